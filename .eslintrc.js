@@ -0,0 +1,19 @@
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2022: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'script'
+  },
+  extends: [
+    'eslint:recommended',
+    'plugin:import/recommended'
+  ],
+  rules: {
+    // Express needs the unused `next` of error handlers, and rest siblings drop fields from copies
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }]
+  }
+};
@@ -0,0 +1,50 @@
+-- Migration: 008_add_sales_script_revisions
+-- Description: Adds an immutable revision history for sales scripts and soft deletion of scripts,
+-- so a call analysis can always be traced back to the script revision it was scored against.
+
+ALTER TABLE sales_scripts
+ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_sales_scripts_is_deleted ON sales_scripts(is_deleted);
+
+CREATE TABLE IF NOT EXISTS sales_script_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sales_script_id UUID NOT NULL REFERENCES sales_scripts(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL DEFAULT 'updated',
+    snapshot JSONB NOT NULL,
+    diff JSONB DEFAULT '{}',
+    change_summary TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_sales_script_revisions_number UNIQUE (sales_script_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_script_revisions_sales_script_id ON sales_script_revisions(sales_script_id);
+CREATE INDEX IF NOT EXISTS idx_sales_script_revisions_organization_id ON sales_script_revisions(organization_id);
+CREATE INDEX IF NOT EXISTS idx_sales_script_revisions_created_at ON sales_script_revisions(created_at);
+
+COMMENT ON TABLE sales_script_revisions IS 'Append-only history of sales script edits. Rows are never updated or deleted by the application.';
+
+-- Backfill an initial revision for scripts that predate revision tracking
+INSERT INTO sales_script_revisions (sales_script_id, organization_id, revision_number, action, snapshot, diff, change_summary, created_by, created_at)
+SELECT s.id, s.organization_id, 1, 'created',
+       jsonb_build_object(
+           'name', s.name,
+           'description', s.description,
+           'content', s.content,
+           'category', s.category,
+           'tags', s.tags,
+           'version', s.version,
+           'is_active', s.is_active
+       ),
+       '{}'::jsonb,
+       'Initial revision (backfilled)',
+       s.created_by,
+       s.created_at
+FROM sales_scripts s
+WHERE NOT EXISTS (
+    SELECT 1 FROM sales_script_revisions r WHERE r.sales_script_id = s.id
+);
@@ -0,0 +1,8 @@
+-- Migration: 009_add_sales_script_stages
+-- Description: Adds structured stages to sales scripts. Each stage carries its order, weight,
+-- required topics, key phrases and forbidden phrases used by script compliance analysis.
+
+ALTER TABLE sales_scripts
+ADD COLUMN IF NOT EXISTS stages JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN sales_scripts.stages IS 'Ordered stages: [{ key, name, order, weight, requiredTopics, keyPhrases, forbiddenPhrases }]';
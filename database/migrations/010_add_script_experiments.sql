@@ -0,0 +1,40 @@
+-- Migration: 010_add_script_experiments
+-- Description: Adds A/B experiments between sales script variants. Calls are assigned to a variant
+-- when they are created, and the variant is recorded on the sales call for outcome comparison.
+
+CREATE TABLE IF NOT EXISTS script_experiments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    hypothesis TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    assignment_mode VARCHAR(20) NOT NULL DEFAULT 'random',
+    assignment_unit VARCHAR(20) NOT NULL DEFAULT 'representative',
+    variants JSONB NOT NULL DEFAULT '[]',
+    assignments JSONB NOT NULL DEFAULT '{}',
+    started_at TIMESTAMP,
+    ended_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_script_experiments_status CHECK (status IN ('draft', 'running', 'completed', 'cancelled')),
+    CONSTRAINT chk_script_experiments_assignment_mode CHECK (assignment_mode IN ('random', 'explicit')),
+    CONSTRAINT chk_script_experiments_assignment_unit CHECK (assignment_unit IN ('representative', 'call'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_script_experiments_organization_id ON script_experiments(organization_id);
+CREATE INDEX IF NOT EXISTS idx_script_experiments_status ON script_experiments(status);
+
+-- Only one experiment per organization may be running at a time
+CREATE UNIQUE INDEX IF NOT EXISTS uq_script_experiments_running
+    ON script_experiments(organization_id) WHERE status = 'running';
+
+COMMENT ON COLUMN script_experiments.variants IS 'Variants: [{ key, name, sales_script_id, weight }]';
+COMMENT ON COLUMN script_experiments.assignments IS 'Explicit assignments: { representatives: { userId: variantKey } }';
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS experiment_id UUID REFERENCES script_experiments(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS experiment_variant VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_sales_calls_experiment ON sales_calls(experiment_id, experiment_variant);
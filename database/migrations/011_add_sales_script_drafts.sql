@@ -0,0 +1,12 @@
+-- Migration: 011_add_sales_script_drafts
+-- Description: Supports importing sales scripts from uploaded documents. Imported scripts are
+-- created as inactive drafts and keep a reference to the source document.
+
+ALTER TABLE sales_scripts
+ADD COLUMN IF NOT EXISTS is_draft BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS source_file_key VARCHAR(500);
+
+CREATE INDEX IF NOT EXISTS idx_sales_scripts_is_draft ON sales_scripts(is_draft);
+
+COMMENT ON COLUMN sales_scripts.is_draft IS 'Imported scripts stay drafts until reviewed and activated';
+COMMENT ON COLUMN sales_scripts.source_file_key IS 'Storage key of the document the script was imported from';
@@ -0,0 +1,8 @@
+-- Migration: 012_add_conversation_metrics
+-- Description: Stores conversation dynamics computed from the speaker-separated transcript
+-- (talk-to-listen ratio, longest monologue, questions, interruptions, speaking pace).
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS conversation_metrics JSONB;
+
+COMMENT ON COLUMN sales_calls.conversation_metrics IS 'Talk ratio, longest rep monologue, question count, interruptions and words per minute';
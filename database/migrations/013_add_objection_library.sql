@@ -0,0 +1,26 @@
+-- Migration: 013_add_objection_library
+-- Description: Per-organization library of customer objections. Each objection has trigger phrases
+-- detected in customer speech and approved rebuttals expected from the rep within a few turns.
+
+CREATE TABLE IF NOT EXISTS objections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    category VARCHAR(30) NOT NULL DEFAULT 'other',
+    name VARCHAR(255) NOT NULL,
+    trigger_phrases JSONB NOT NULL DEFAULT '[]',
+    rebuttals JSONB NOT NULL DEFAULT '[]',
+    response_window INTEGER NOT NULL DEFAULT 2,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_objections_category CHECK (category IN ('price', 'timing', 'spouse', 'competitor', 'trust', 'need', 'other')),
+    CONSTRAINT chk_objections_response_window CHECK (response_window BETWEEN 1 AND 10)
+);
+
+CREATE INDEX IF NOT EXISTS idx_objections_organization_id ON objections(organization_id);
+CREATE INDEX IF NOT EXISTS idx_objections_category ON objections(category);
+
+COMMENT ON COLUMN objections.trigger_phrases IS 'Customer phrases that raise the objection';
+COMMENT ON COLUMN objections.rebuttals IS 'Approved rep responses to the objection';
+COMMENT ON COLUMN objections.response_window IS 'Rep turns after the objection in which a rebuttal counts';
@@ -0,0 +1,51 @@
+-- Migration: 014_add_reanalysis_jobs
+-- Description: Bulk re-analysis of historical sales calls from their stored transcripts. Every score
+-- written to a call is also kept in score_history together with the rubric and script revisions
+-- that produced it.
+
+CREATE TABLE IF NOT EXISTS reanalysis_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    filters JSONB NOT NULL DEFAULT '{}',
+    total_calls INTEGER NOT NULL DEFAULT 0,
+    processed_calls INTEGER NOT NULL DEFAULT 0,
+    failed_calls INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]',
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_reanalysis_jobs_status CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_reanalysis_jobs_organization_id ON reanalysis_jobs(organization_id);
+CREATE INDEX IF NOT EXISTS idx_reanalysis_jobs_status ON reanalysis_jobs(status);
+
+-- Only one job per organization may be active at a time
+CREATE UNIQUE INDEX IF NOT EXISTS uq_reanalysis_jobs_active
+    ON reanalysis_jobs(organization_id) WHERE status IN ('queued', 'running');
+
+CREATE TABLE IF NOT EXISTS score_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sales_call_id UUID NOT NULL REFERENCES sales_calls(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL DEFAULT 'analysis',
+    performance_score DECIMAL(3,2),
+    script_compliance DECIMAL(3,2),
+    strengths JSONB DEFAULT '[]',
+    weaknesses JSONB DEFAULT '[]',
+    scoring_rubric JSONB,
+    script_revisions JSONB DEFAULT '[]',
+    reanalysis_job_id UUID REFERENCES reanalysis_jobs(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_score_history_source CHECK (source IN ('previous', 'analysis', 'reanalysis'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_history_sales_call_id ON score_history(sales_call_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_score_history_reanalysis_job_id ON score_history(reanalysis_job_id);
+
+COMMENT ON COLUMN score_history.source IS 'previous: scores that existed before history was kept; analysis / reanalysis: scores produced by this service';
+COMMENT ON COLUMN score_history.scoring_rubric IS 'Scoring rubric that produced the score';
+COMMENT ON COLUMN score_history.script_revisions IS 'Script revisions the call was scored against';
@@ -0,0 +1,40 @@
+-- Migration: 015_add_keyword_trackers
+-- Description: Organization-defined keyword trackers (competitors, promotions, product names) and the
+-- hits recorded for each analyzed sales call, with the speaker and time of every mention.
+
+CREATE TABLE IF NOT EXISTS keyword_trackers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    phrases JSONB NOT NULL DEFAULT '[]',
+    speaker VARCHAR(20) NOT NULL DEFAULT 'any',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    backfill_status VARCHAR(20) NOT NULL DEFAULT 'idle',
+    backfilled_calls INTEGER NOT NULL DEFAULT 0,
+    last_backfilled_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_keyword_trackers_speaker CHECK (speaker IN ('rep', 'customer', 'any')),
+    CONSTRAINT chk_keyword_trackers_backfill_status CHECK (backfill_status IN ('idle', 'running', 'completed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_keyword_trackers_organization_id ON keyword_trackers(organization_id);
+
+CREATE TABLE IF NOT EXISTS call_tracker_hits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sales_call_id UUID NOT NULL REFERENCES sales_calls(id) ON DELETE CASCADE,
+    keyword_tracker_id UUID NOT NULL REFERENCES keyword_trackers(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    hits JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_call_tracker_hits_call_tracker UNIQUE (sales_call_id, keyword_tracker_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_tracker_hits_keyword_tracker_id ON call_tracker_hits(keyword_tracker_id);
+CREATE INDEX IF NOT EXISTS idx_call_tracker_hits_organization_id ON call_tracker_hits(organization_id);
+
+COMMENT ON COLUMN keyword_trackers.speaker IS 'Whose speech is searched: rep, customer or any';
+COMMENT ON COLUMN call_tracker_hits.hits IS 'Each mention: phrase, speaker role, time in seconds and excerpt';
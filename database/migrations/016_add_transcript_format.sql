@@ -0,0 +1,15 @@
+-- Migration: 016_add_transcript_format
+-- Description: Records the format a sales call's transcript arrived in (Otter text, SRT, WebVTT,
+-- Otter JSON or plain text). transcript_text always holds the normalized Otter-style text.
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS transcript_format VARCHAR(20);
+
+ALTER TABLE sales_calls
+DROP CONSTRAINT IF EXISTS chk_sales_calls_transcript_format;
+
+ALTER TABLE sales_calls
+ADD CONSTRAINT chk_sales_calls_transcript_format
+CHECK (transcript_format IS NULL OR transcript_format IN ('otter_text', 'srt', 'vtt', 'otter_json', 'plain_text'));
+
+COMMENT ON COLUMN sales_calls.transcript_format IS 'Format the transcript was received in; transcript_text stores it normalized';
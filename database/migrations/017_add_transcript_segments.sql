@@ -0,0 +1,39 @@
+-- Migration: 017_add_transcript_segments
+-- Description: Stores each sales call transcript as ordered segments (speaker, start/end offsets, text)
+-- so analysis findings, comments and search hits can point at a moment of the call, and adds
+-- comments on sales calls that may be anchored to a segment.
+
+CREATE TABLE IF NOT EXISTS transcript_segments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sales_call_id UUID NOT NULL REFERENCES sales_calls(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    speaker VARCHAR(255),
+    speaker_role VARCHAR(30),
+    start_time DECIMAL(10,3),
+    end_time DECIMAL(10,3),
+    text TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_transcript_segments_call_position UNIQUE (sales_call_id, position),
+    CONSTRAINT chk_transcript_segments_speaker_role CHECK (speaker_role IS NULL OR speaker_role IN ('sales_representative', 'customer', 'unknown'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_organization_id ON transcript_segments(organization_id);
+
+COMMENT ON COLUMN transcript_segments.position IS 'Order of the segment in the transcript, starting at 0; analysis findings refer to it as segmentIndex';
+COMMENT ON COLUMN transcript_segments.start_time IS 'Offset from the start of the call in seconds';
+
+CREATE TABLE IF NOT EXISTS call_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sales_call_id UUID NOT NULL REFERENCES sales_calls(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    transcript_segment_id UUID REFERENCES transcript_segments(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_comments_sales_call_id ON call_comments(sales_call_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_call_comments_transcript_segment_id ON call_comments(transcript_segment_id);
@@ -0,0 +1,10 @@
+-- Migration: 018_add_call_search_indexes
+-- Description: Full-text search indexes for searching call transcripts and notes, and for finding
+-- the transcript segments a search matched. The expressions must match the ones used by
+-- callSearchService for PostgreSQL to use them.
+
+CREATE INDEX IF NOT EXISTS idx_sales_calls_search_document ON sales_calls
+USING gin(to_tsvector('english', coalesce(transcript_text, '') || ' ' || coalesce(notes, '')));
+
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_text_search ON transcript_segments
+USING gin(to_tsvector('english', text));
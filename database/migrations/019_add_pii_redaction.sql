@@ -0,0 +1,9 @@
+-- Migration: 019_add_pii_redaction
+-- Description: Records what was redacted from a sales call's transcript (card numbers, SSNs, phone
+-- numbers, emails) before it was stored. The redaction policy itself lives in
+-- organizations.settings.piiRedaction.
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS pii_redaction JSONB;
+
+COMMENT ON COLUMN sales_calls.pii_redaction IS 'Policy applied and number of redactions per PII type';
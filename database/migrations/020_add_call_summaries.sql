@@ -0,0 +1,11 @@
+-- Migration: 020_add_call_summaries
+-- Description: Extractive summary of each analyzed call: a few key transcript sentences and a list
+-- of highlights pointing back at the transcript. Generated locally during analysis and on demand.
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS summary TEXT,
+ADD COLUMN IF NOT EXISTS summary_highlights JSONB DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS summary_generated_at TIMESTAMP;
+
+COMMENT ON COLUMN sales_calls.summary IS 'Key sentences of the transcript, in call order';
+COMMENT ON COLUMN sales_calls.summary_highlights IS 'Highlights { text, speaker, role, start, segmentIndex, segmentId, score }';
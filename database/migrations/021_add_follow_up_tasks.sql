@@ -0,0 +1,36 @@
+-- Migration: 021_add_follow_up_tasks
+-- Description: Follow-up tasks created from the commitments and next steps detected in a call
+-- ("I'll send the proposal Friday"). Each task belongs to the call's sales representative, who
+-- completes or dismisses it; closed tasks survive re-analysis.
+
+CREATE TABLE IF NOT EXISTS follow_up_tasks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sales_call_id UUID NOT NULL REFERENCES sales_calls(id) ON DELETE CASCADE,
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+    transcript_segment_id UUID REFERENCES transcript_segments(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    excerpt TEXT,
+    kind VARCHAR(20) NOT NULL DEFAULT 'commitment',
+    action_type VARCHAR(20) NOT NULL DEFAULT 'follow_up',
+    owner VARCHAR(30),
+    due_date DATE,
+    due_expression VARCHAR(100),
+    confidence DECIMAL(3,2),
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    completed_at TIMESTAMP,
+    dismissed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_follow_up_tasks_kind CHECK (kind IN ('commitment', 'request', 'next_step')),
+    CONSTRAINT chk_follow_up_tasks_action_type CHECK (action_type IN ('send', 'call', 'meeting', 'prepare', 'review', 'follow_up')),
+    CONSTRAINT chk_follow_up_tasks_owner CHECK (owner IS NULL OR owner IN ('sales_representative', 'customer')),
+    CONSTRAINT chk_follow_up_tasks_status CHECK (status IN ('open', 'completed', 'dismissed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_follow_up_tasks_sales_call_id ON follow_up_tasks(sales_call_id);
+CREATE INDEX IF NOT EXISTS idx_follow_up_tasks_assigned_to ON follow_up_tasks(assigned_to, status, due_date);
+CREATE INDEX IF NOT EXISTS idx_follow_up_tasks_organization_id ON follow_up_tasks(organization_id, status);
+
+COMMENT ON COLUMN follow_up_tasks.owner IS 'Who made the commitment: the sales representative or the customer';
+COMMENT ON COLUMN follow_up_tasks.due_expression IS 'Relative date said on the call ("next Friday") that due_date was resolved from';
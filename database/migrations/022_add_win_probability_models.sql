@@ -0,0 +1,37 @@
+-- Migration: 022_add_win_probability_models
+-- Description: Win probability models trained per organization on its analyzed calls with a final
+-- outcome. Every training run is a new model version; the active version predicts the probability
+-- of a sale for each newly analyzed call.
+
+CREATE TABLE IF NOT EXISTS win_probability_models (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    algorithm VARCHAR(50) NOT NULL DEFAULT 'logistic_regression',
+    features JSONB NOT NULL DEFAULT '[]',
+    coefficients JSONB,
+    metrics JSONB,
+    training_samples INTEGER NOT NULL DEFAULT 0,
+    positive_samples INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP,
+    trained_at TIMESTAMP,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_win_probability_models_version UNIQUE (organization_id, version),
+    CONSTRAINT chk_win_probability_models_status CHECK (status IN ('queued', 'training', 'ready', 'failed'))
+);
+
+-- At most one active model per organization
+CREATE UNIQUE INDEX IF NOT EXISTS uq_win_probability_models_active
+    ON win_probability_models(organization_id) WHERE is_active;
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS win_probability DECIMAL(5,4),
+ADD COLUMN IF NOT EXISTS win_prediction JSONB;
+
+COMMENT ON COLUMN sales_calls.win_probability IS 'Predicted probability of a sale from the organization''s active win probability model';
+COMMENT ON COLUMN sales_calls.win_prediction IS 'Model ID and version, top factors and time of the prediction';
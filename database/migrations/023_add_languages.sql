@@ -0,0 +1,20 @@
+-- Migration: 023_add_languages
+-- Description: Language of sales calls, sales scripts and objections. The call language is detected
+-- from the transcript; scripts and objections declare theirs so analysis only uses the ones in the
+-- call's language.
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS language VARCHAR(10);
+
+ALTER TABLE sales_scripts
+ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+
+ALTER TABLE objections
+ADD COLUMN IF NOT EXISTS language VARCHAR(10) NOT NULL DEFAULT 'en';
+
+CREATE INDEX IF NOT EXISTS idx_sales_scripts_language ON sales_scripts(organization_id, language);
+CREATE INDEX IF NOT EXISTS idx_objections_language ON objections(organization_id, language);
+
+COMMENT ON COLUMN sales_calls.language IS 'Language detected from the transcript, or declared when the call was created';
+COMMENT ON COLUMN sales_scripts.language IS 'Language of the script; compliance is only checked against scripts in the call''s language';
+COMMENT ON COLUMN objections.language IS 'Language of the trigger phrases and rebuttals';
@@ -0,0 +1,8 @@
+-- Migration: 024_add_question_metrics
+-- Description: Question quality per analyzed call: how many questions the rep asked, how many
+-- were open, and which discovery areas of the organization's question bank were asked about.
+
+ALTER TABLE sales_calls
+ADD COLUMN IF NOT EXISTS question_metrics JSONB;
+
+COMMENT ON COLUMN sales_calls.question_metrics IS 'Question counts, open-question ratio and the discovery areas asked about and missed';
@@ -0,0 +1,21 @@
+-- Migration: 025_language_aware_call_search
+-- Description: Index call transcripts and notes with the text search configuration of the call's
+-- language: 'english' for English calls (and calls from before languages were detected), 'spanish'
+-- for Spanish calls and 'simple' (no stemming or stop words) for any other language. The expression
+-- must match callSearchService's CALL_DOCUMENT for PostgreSQL to use the index.
+
+DROP INDEX IF EXISTS idx_sales_calls_search_document;
+
+CREATE INDEX IF NOT EXISTS idx_sales_calls_language_search_document ON sales_calls
+USING gin(to_tsvector(
+    CASE
+        WHEN language IS NULL OR language = 'en' THEN 'english'::regconfig
+        WHEN language = 'es' THEN 'spanish'::regconfig
+        ELSE 'simple'::regconfig
+    END,
+    coalesce(transcript_text, '') || ' ' || coalesce(notes, '')
+));
+
+-- Segments are now searched with their call's configuration; those searches are always narrowed
+-- to a call, so the English-only segment index is no longer used
+DROP INDEX IF EXISTS idx_transcript_segments_text_search;
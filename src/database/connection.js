@@ -45,6 +45,17 @@ const initializeDatabase = async () => {
     const defineNotification = require('./models/Notification');
     const defineLiveSession = require('./models/LiveSession');
     const defineFiles = require('./models/Files');
+    const defineSalesScriptRevision = require('./models/SalesScriptRevision');
+    const defineScriptExperiment = require('./models/ScriptExperiment');
+    const defineObjection = require('./models/Objection');
+    const defineReanalysisJob = require('./models/ReanalysisJob');
+    const defineScoreHistory = require('./models/ScoreHistory');
+    const defineKeywordTracker = require('./models/KeywordTracker');
+    const defineCallTrackerHit = require('./models/CallTrackerHit');
+    const defineTranscriptSegment = require('./models/TranscriptSegment');
+    const defineCallComment = require('./models/CallComment');
+    const defineFollowUpTask = require('./models/FollowUpTask');
+    const defineWinProbabilityModel = require('./models/WinProbabilityModel');
 
     // Define models with sequelize instance
     defineUser(sequelize);
@@ -55,9 +66,20 @@ const initializeDatabase = async () => {
     defineNotification(sequelize);
     defineLiveSession(sequelize);
     defineFiles(sequelize);
+    defineSalesScriptRevision(sequelize);
+    defineScriptExperiment(sequelize);
+    defineObjection(sequelize);
+    defineReanalysisJob(sequelize);
+    defineScoreHistory(sequelize);
+    defineKeywordTracker(sequelize);
+    defineCallTrackerHit(sequelize);
+    defineTranscriptSegment(sequelize);
+    defineCallComment(sequelize);
+    defineFollowUpTask(sequelize);
+    defineWinProbabilityModel(sequelize);
 
     // Set up model associations
-    const { User, Organization, SalesCall, SalesScript, Analytics, Notification, LiveSession, Files } = sequelize.models;
+    const { User, Organization, SalesCall, SalesScript, Analytics, Notification, LiveSession, Files, SalesScriptRevision, ScriptExperiment, Objection, ReanalysisJob, ScoreHistory, KeywordTracker, CallTrackerHit, TranscriptSegment, CallComment, FollowUpTask, WinProbabilityModel } = sequelize.models;
 
     // Organization associations
     Organization.hasMany(User, {
@@ -169,6 +191,11 @@ const initializeDatabase = async () => {
       as: 'liveSession'
     });
 
+    SalesCall.belongsTo(ScriptExperiment, {
+      foreignKey: 'experiment_id',
+      as: 'experiment'
+    });
+
     // SalesScript associations
     SalesScript.belongsTo(Organization, {
       foreignKey: 'organization_id',
@@ -180,6 +207,200 @@ const initializeDatabase = async () => {
       as: 'creator'
     });
 
+    SalesScript.hasMany(SalesScriptRevision, {
+      foreignKey: 'sales_script_id',
+      as: 'revisions'
+    });
+
+    // SalesScriptRevision associations
+    SalesScriptRevision.belongsTo(SalesScript, {
+      foreignKey: 'sales_script_id',
+      as: 'salesScript'
+    });
+
+    SalesScriptRevision.belongsTo(User, {
+      foreignKey: 'created_by',
+      as: 'author'
+    });
+
+    // ScriptExperiment associations
+    ScriptExperiment.belongsTo(Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
+    ScriptExperiment.belongsTo(User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    ScriptExperiment.hasMany(SalesCall, {
+      foreignKey: 'experiment_id',
+      as: 'salesCalls'
+    });
+
+    // Objection associations
+    Organization.hasMany(Objection, {
+      foreignKey: 'organization_id',
+      as: 'objections'
+    });
+
+    Objection.belongsTo(Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
+    Objection.belongsTo(User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    // Reanalysis job associations
+    ReanalysisJob.belongsTo(Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
+    ReanalysisJob.belongsTo(User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    ReanalysisJob.hasMany(ScoreHistory, {
+      foreignKey: 'reanalysis_job_id',
+      as: 'scoreHistory'
+    });
+
+    // Score history associations
+    SalesCall.hasMany(ScoreHistory, {
+      foreignKey: 'sales_call_id',
+      as: 'scoreHistory'
+    });
+
+    ScoreHistory.belongsTo(SalesCall, {
+      foreignKey: 'sales_call_id',
+      as: 'salesCall'
+    });
+
+    ScoreHistory.belongsTo(ReanalysisJob, {
+      foreignKey: 'reanalysis_job_id',
+      as: 'reanalysisJob'
+    });
+
+    // Keyword tracker associations
+    Organization.hasMany(KeywordTracker, {
+      foreignKey: 'organization_id',
+      as: 'keywordTrackers'
+    });
+
+    KeywordTracker.belongsTo(Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
+    KeywordTracker.belongsTo(User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    KeywordTracker.hasMany(CallTrackerHit, {
+      foreignKey: 'keyword_tracker_id',
+      as: 'hits'
+    });
+
+    SalesCall.hasMany(CallTrackerHit, {
+      foreignKey: 'sales_call_id',
+      as: 'trackerHits'
+    });
+
+    CallTrackerHit.belongsTo(SalesCall, {
+      foreignKey: 'sales_call_id',
+      as: 'salesCall'
+    });
+
+    CallTrackerHit.belongsTo(KeywordTracker, {
+      foreignKey: 'keyword_tracker_id',
+      as: 'tracker'
+    });
+
+    // Transcript segment and comment associations
+    SalesCall.hasMany(TranscriptSegment, {
+      foreignKey: 'sales_call_id',
+      as: 'transcriptSegments'
+    });
+
+    TranscriptSegment.belongsTo(SalesCall, {
+      foreignKey: 'sales_call_id',
+      as: 'salesCall'
+    });
+
+    SalesCall.hasMany(CallComment, {
+      foreignKey: 'sales_call_id',
+      as: 'comments'
+    });
+
+    CallComment.belongsTo(SalesCall, {
+      foreignKey: 'sales_call_id',
+      as: 'salesCall'
+    });
+
+    CallComment.belongsTo(User, {
+      foreignKey: 'user_id',
+      as: 'author'
+    });
+
+    TranscriptSegment.hasMany(CallComment, {
+      foreignKey: 'transcript_segment_id',
+      as: 'comments'
+    });
+
+    CallComment.belongsTo(TranscriptSegment, {
+      foreignKey: 'transcript_segment_id',
+      as: 'segment'
+    });
+
+    // Follow-up task associations
+    SalesCall.hasMany(FollowUpTask, {
+      foreignKey: 'sales_call_id',
+      as: 'followUpTasks'
+    });
+
+    FollowUpTask.belongsTo(SalesCall, {
+      foreignKey: 'sales_call_id',
+      as: 'salesCall'
+    });
+
+    User.hasMany(FollowUpTask, {
+      foreignKey: 'assigned_to',
+      as: 'followUpTasks'
+    });
+
+    FollowUpTask.belongsTo(User, {
+      foreignKey: 'assigned_to',
+      as: 'assignee'
+    });
+
+    FollowUpTask.belongsTo(TranscriptSegment, {
+      foreignKey: 'transcript_segment_id',
+      as: 'segment'
+    });
+
+    // Win probability model associations
+    Organization.hasMany(WinProbabilityModel, {
+      foreignKey: 'organization_id',
+      as: 'winProbabilityModels'
+    });
+
+    WinProbabilityModel.belongsTo(Organization, {
+      foreignKey: 'organization_id',
+      as: 'organization'
+    });
+
+    WinProbabilityModel.belongsTo(User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
     // Analytics associations
     Analytics.belongsTo(Organization, {
       foreignKey: 'organization_id',
@@ -231,7 +452,7 @@ const initializeDatabase = async () => {
 
     // Clean up orphaned foreign keys before syncing constraints
     // This prevents FK creation failures when legacy rows reference missing parents
-    async function cleanOrphanedForeignKeys() {
+    const cleanOrphanedForeignKeys = async () => {
       try {
         // Nullify invalid organization_id references across tables
         await sequelize.query(`
@@ -298,7 +519,7 @@ const initializeDatabase = async () => {
       } catch (cleanupError) {
         logger.warn('Foreign key cleanup encountered an issue:', cleanupError);
       }
-    }
+    };
 
     await cleanOrphanedForeignKeys();
 
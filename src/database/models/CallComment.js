@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+
+let CallComment;
+
+const defineCallComment = (sequelize) => {
+
+  CallComment = sequelize.define('CallComment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sales_call_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales_calls',
+        key: 'id'
+      }
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    transcript_segment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'transcript_segments',
+        key: 'id'
+      },
+      comment: 'Segment the comment is anchored to; null for comments on the whole call'
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 5000]
+      }
+    }
+  }, {
+    tableName: 'call_comments',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_call_comments_sales_call_id',
+        fields: ['sales_call_id', 'created_at']
+      },
+      {
+        name: 'idx_call_comments_transcript_segment_id',
+        fields: ['transcript_segment_id']
+      }
+    ]
+  });
+
+  // Class methods
+  CallComment.findBySalesCall = function(salesCallId, options = {}) {
+    return this.findAll({
+      where: { sales_call_id: salesCallId },
+      order: [['created_at', 'ASC']],
+      ...options
+    });
+  };
+
+  return CallComment;
+};
+
+module.exports = defineCallComment;
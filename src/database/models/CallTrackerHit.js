@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+
+let CallTrackerHit;
+
+const defineCallTrackerHit = (sequelize) => {
+
+  CallTrackerHit = sequelize.define('CallTrackerHit', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sales_call_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales_calls',
+        key: 'id'
+      }
+    },
+    keyword_tracker_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'keyword_trackers',
+        key: 'id'
+      }
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    hit_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    hits: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Each mention: phrase, speaker role, time in seconds and excerpt'
+    }
+  }, {
+    tableName: 'call_tracker_hits',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_call_tracker_hits_call_tracker',
+        unique: true,
+        fields: ['sales_call_id', 'keyword_tracker_id']
+      },
+      {
+        name: 'idx_call_tracker_hits_keyword_tracker_id',
+        fields: ['keyword_tracker_id']
+      }
+    ]
+  });
+
+  /**
+   * Replace a call's hits with new tracker results
+   * Only calls that mention a tracker get a row; trackers not in the results keep their rows.
+   * @param {Object} salesCall - SalesCall (id, organization_id)
+   * @param {Array<Object>} trackerResults - Result of findTrackerHits
+   * @param {Object} options - { transaction }
+   */
+  CallTrackerHit.replaceForCall = async function(salesCall, trackerResults, options = {}) {
+    const results = (trackerResults || []).filter(result => result.trackerId);
+    if (results.length === 0) {
+      return [];
+    }
+
+    await this.destroy({
+      where: {
+        sales_call_id: salesCall.id,
+        keyword_tracker_id: results.map(result => result.trackerId)
+      },
+      transaction: options.transaction
+    });
+
+    return this.bulkCreate(results
+      .filter(result => result.hitCount > 0)
+      .map(result => ({
+        sales_call_id: salesCall.id,
+        keyword_tracker_id: result.trackerId,
+        organization_id: salesCall.organization_id,
+        hit_count: result.hitCount,
+        hits: result.hits
+      })), { transaction: options.transaction });
+  };
+
+  return CallTrackerHit;
+};
+
+module.exports = defineCallTrackerHit;
@@ -0,0 +1,227 @@
+const { DataTypes } = require('sequelize');
+
+let FollowUpTask;
+
+// DECIMAL columns come back from Postgres as strings
+const numberGetter = (field) => function() {
+  const value = this.getDataValue(field);
+  return value === null || value === undefined ? null : Number(value);
+};
+
+const defineFollowUpTask = (sequelize) => {
+
+  FollowUpTask = sequelize.define('FollowUpTask', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sales_call_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales_calls',
+        key: 'id'
+      }
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    assigned_to: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Sales representative of the call, who follows up on it'
+    },
+    transcript_segment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'transcript_segments',
+        key: 'id'
+      }
+    },
+    title: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    excerpt: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Transcript sentence the task was detected in'
+    },
+    kind: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'commitment',
+      validate: {
+        isIn: [['commitment', 'request', 'next_step']]
+      }
+    },
+    action_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'follow_up',
+      validate: {
+        isIn: [['send', 'call', 'meeting', 'prepare', 'review', 'follow_up']]
+      }
+    },
+    owner: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      validate: {
+        isIn: [['sales_representative', 'customer']]
+      },
+      comment: 'Who made the commitment'
+    },
+    due_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    due_expression: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Relative date said on the call ("next Friday")'
+    },
+    confidence: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true,
+      get: numberGetter('confidence')
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [['open', 'completed', 'dismissed']]
+      }
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dismissed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'follow_up_tasks',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_follow_up_tasks_sales_call_id',
+        fields: ['sales_call_id']
+      },
+      {
+        name: 'idx_follow_up_tasks_assigned_to',
+        fields: ['assigned_to', 'status', 'due_date']
+      },
+      {
+        name: 'idx_follow_up_tasks_organization_id',
+        fields: ['organization_id', 'status']
+      }
+    ]
+  });
+
+  // Instance methods
+  FollowUpTask.prototype.complete = function() {
+    return this.update({ status: 'completed', completed_at: new Date(), dismissed_at: null });
+  };
+
+  FollowUpTask.prototype.dismiss = function() {
+    return this.update({ status: 'dismissed', dismissed_at: new Date(), completed_at: null });
+  };
+
+  FollowUpTask.prototype.reopen = function() {
+    return this.update({ status: 'open', completed_at: null, dismissed_at: null });
+  };
+
+  // Class methods
+  FollowUpTask.findBySalesCall = function(salesCallId, options = {}) {
+    return this.findAll({
+      where: { sales_call_id: salesCallId },
+      order: [['due_date', 'ASC NULLS LAST'], ['created_at', 'ASC']],
+      ...options
+    });
+  };
+
+  /**
+   * Store the commitments detected in a call as its follow-up tasks
+   * Open tasks are replaced; a task the rep already completed or dismissed is kept and not
+   * created again when re-analysis detects the same commitment.
+   * @param {Object} salesCall - SalesCall (id, organization_id, sales_representative_id)
+   * @param {Array<Object>} commitments - Result of detectCommitments, with segmentId when stored
+   * @param {Object} options - { transaction }
+   * @returns {Promise<Array<Object>>} The call's tasks
+   */
+  FollowUpTask.replaceDetectedForCall = async function(salesCall, commitments, options = {}) {
+    const { transaction } = options;
+    const keyOf = (actionType, owner, excerpt) => `${actionType}|${owner || ''}|${(excerpt || '').toLowerCase()}`;
+
+    const existing = await this.findAll({ where: { sales_call_id: salesCall.id }, transaction });
+    const existingByKey = new Map(existing.map(task => [keyOf(task.action_type, task.owner, task.excerpt), task]));
+    const matched = new Set();
+    const created = [];
+
+    for (const commitment of commitments || []) {
+      const key = keyOf(commitment.actionType, commitment.owner, commitment.excerpt);
+      const fields = {
+        assigned_to: salesCall.sales_representative_id || null,
+        transcript_segment_id: commitment.segmentId || null,
+        title: commitment.title,
+        kind: commitment.kind,
+        due_date: commitment.dueDate,
+        due_expression: commitment.dueExpression,
+        confidence: commitment.confidence
+      };
+      const task = existingByKey.get(key);
+
+      if (task) {
+        matched.add(task.id);
+        if (task.status === 'open') {
+          await task.update(fields, { transaction });
+        }
+        continue;
+      }
+
+      if (!created.some(row => keyOf(row.action_type, row.owner, row.excerpt) === key)) {
+        created.push({
+          ...fields,
+          sales_call_id: salesCall.id,
+          organization_id: salesCall.organization_id,
+          excerpt: commitment.excerpt,
+          action_type: commitment.actionType,
+          owner: commitment.owner
+        });
+      }
+    }
+
+    const stale = existing.filter(task => task.status === 'open' && !matched.has(task.id));
+    if (stale.length > 0) {
+      await this.destroy({ where: { id: stale.map(task => task.id) }, transaction });
+    }
+
+    if (created.length > 0) {
+      await this.bulkCreate(created, { transaction });
+    }
+
+    return this.findBySalesCall(salesCall.id, { transaction });
+  };
+
+  return FollowUpTask;
+};
+
+module.exports = defineFollowUpTask;
@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const { TRACKER_SPEAKERS } = require('../../utils/keywordTracker');
+const { normalizePhraseList } = require('../../utils/scriptStages');
+
+let KeywordTracker;
+
+const defineKeywordTracker = (sequelize) => {
+
+  KeywordTracker = sequelize.define('KeywordTracker', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    phrases: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      set(value) {
+        this.setDataValue('phrases', normalizePhraseList(value));
+      }
+    },
+    speaker: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'any',
+      comment: 'Whose speech is searched: rep, customer or any',
+      validate: {
+        isIn: [TRACKER_SPEAKERS]
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    backfill_status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'idle',
+      validate: {
+        isIn: [['idle', 'running', 'completed', 'failed']]
+      }
+    },
+    backfilled_calls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_backfilled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'keyword_trackers',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_keyword_trackers_organization_id',
+        fields: ['organization_id']
+      }
+    ]
+  });
+
+  // Class methods
+  KeywordTracker.findByOrganization = function(organizationId, options = {}) {
+    return this.findAll({
+      where: { organization_id: organizationId },
+      order: [['name', 'ASC']],
+      ...options
+    });
+  };
+
+  KeywordTracker.findActiveByOrganization = function(organizationId) {
+    if (!organizationId) {
+      return Promise.resolve([]);
+    }
+    return this.findByOrganization(organizationId, {
+      where: { organization_id: organizationId, is_active: true }
+    });
+  };
+
+  return KeywordTracker;
+};
+
+module.exports = defineKeywordTracker;
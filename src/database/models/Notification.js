@@ -31,7 +31,7 @@ const defineNotification = (sequelize) => {
       type: DataTypes.STRING(100),
       allowNull: false,
       validate: {
-        isIn: [
+        isIn: [[
           'call_started',
           'call_completed',
           'performance_alert',
@@ -40,7 +40,7 @@ const defineNotification = (sequelize) => {
           'reminder',
           'achievement',
           'coaching_tip'
-        ]
+        ]]
       }
     },
     title: {
@@ -79,7 +79,7 @@ const defineNotification = (sequelize) => {
       allowNull: false,
       defaultValue: 'normal',
       validate: {
-        isIn: ['low', 'normal', 'high', 'urgent']
+        isIn: [['low', 'normal', 'high', 'urgent']]
       }
     },
     expires_at: {
@@ -197,6 +197,7 @@ const defineNotification = (sequelize) => {
       type: values.type,
       title: values.title,
       message: values.message,
+      data: values.data,
       priority: values.priority,
       status: values.is_read ? 'read' : 'unread',
       readAt: values.read_at,
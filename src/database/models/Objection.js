@@ -0,0 +1,133 @@
+const { DataTypes } = require('sequelize');
+const { OBJECTION_CATEGORIES, DEFAULT_RESPONSE_WINDOW, getDefaultObjections } = require('../../utils/objectionDetector');
+const { SUPPORTED_LANGUAGES } = require('../../utils/languageDetector');
+const { normalizePhraseList } = require('../../utils/scriptStages');
+
+let Objection;
+
+const defineObjection = (sequelize) => {
+
+  Objection = sequelize.define('Objection', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    category: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      defaultValue: 'other',
+      validate: {
+        isIn: [OBJECTION_CATEGORIES]
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    trigger_phrases: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Customer phrases that raise the objection',
+      set(value) {
+        this.setDataValue('trigger_phrases', normalizePhraseList(value));
+      }
+    },
+    rebuttals: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Approved rep responses to the objection',
+      set(value) {
+        this.setDataValue('rebuttals', normalizePhraseList(value));
+      }
+    },
+    response_window: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: DEFAULT_RESPONSE_WINDOW,
+      validate: {
+        min: 1,
+        max: 10
+      }
+    },
+    language: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'en',
+      comment: 'Language of the trigger phrases and rebuttals',
+      validate: {
+        isIn: [SUPPORTED_LANGUAGES]
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'objections',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_objections_organization_id',
+        fields: ['organization_id']
+      },
+      {
+        name: 'idx_objections_category',
+        fields: ['category']
+      }
+    ]
+  });
+
+  // Class methods
+  Objection.findByOrganization = function(organizationId, options = {}) {
+    return this.findAll({
+      where: { organization_id: organizationId },
+      order: [['category', 'ASC'], ['name', 'ASC']],
+      ...options
+    });
+  };
+
+  /**
+   * Objections used in call analysis: the organization's active objections in the call's
+   * language, or the language's default library while the organization has not defined any
+   */
+  Objection.getLibrary = async function(organizationId, language = 'en') {
+    if (!organizationId) {
+      return getDefaultObjections(language);
+    }
+
+    const objections = await this.findByOrganization(organizationId, { where: { organization_id: organizationId, language } });
+    if (objections.length === 0) {
+      return getDefaultObjections(language);
+    }
+    return objections.filter(objection => objection.is_active);
+  };
+
+  return Objection;
+};
+
+module.exports = defineObjection;
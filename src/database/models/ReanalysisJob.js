@@ -0,0 +1,152 @@
+const { DataTypes, Op } = require('sequelize');
+
+let ReanalysisJob;
+
+// Errors kept on the job; later failures are only counted
+const MAX_STORED_ERRORS = 50;
+
+const defineReanalysisJob = (sequelize) => {
+
+  ReanalysisJob = sequelize.define('ReanalysisJob', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'queued',
+      validate: {
+        isIn: [['queued', 'running', 'completed', 'failed', 'cancelled']]
+      }
+    },
+    filters: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Sales call filters: { startDate, endDate, salesRepresentativeId, experimentId, salesCallIds }'
+    },
+    total_calls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    processed_calls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failed_calls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    errors: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'reanalysis_jobs',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_reanalysis_jobs_organization_id',
+        fields: ['organization_id']
+      },
+      {
+        name: 'idx_reanalysis_jobs_status',
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Instance methods
+  ReanalysisJob.prototype.isActive = function() {
+    return this.status === 'queued' || this.status === 'running';
+  };
+
+  ReanalysisJob.prototype.getProgress = function() {
+    const done = this.processed_calls + this.failed_calls;
+    return {
+      total: this.total_calls,
+      processed: this.processed_calls,
+      failed: this.failed_calls,
+      remaining: Math.max(0, this.total_calls - done),
+      percent: this.total_calls > 0 ? Math.round((done / this.total_calls) * 100) : (this.isActive() ? 0 : 100)
+    };
+  };
+
+  ReanalysisJob.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    values.progress = this.getProgress();
+    return values;
+  };
+
+  /**
+   * Record the outcome of one call
+   */
+  ReanalysisJob.prototype.recordResult = function(salesCallId, error = null) {
+    if (!error) {
+      return this.update({ processed_calls: this.processed_calls + 1 });
+    }
+
+    const errors = this.errors || [];
+    return this.update({
+      failed_calls: this.failed_calls + 1,
+      errors: errors.length < MAX_STORED_ERRORS
+        ? [...errors, { salesCallId, message: error.message }]
+        : errors
+    });
+  };
+
+  // Class methods
+  ReanalysisJob.findByOrganization = function(organizationId, options = {}) {
+    return this.findAll({
+      where: { organization_id: organizationId },
+      order: [['created_at', 'DESC']],
+      ...options
+    });
+  };
+
+  ReanalysisJob.findActive = function(organizationId, options = {}) {
+    return this.findOne({
+      where: {
+        organization_id: organizationId,
+        status: { [Op.in]: ['queued', 'running'] }
+      },
+      ...options
+    });
+  };
+
+  return ReanalysisJob;
+};
+
+module.exports = defineReanalysisJob;
@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const { SUPPORTED_LANGUAGES } = require('../../utils/languageDetector');
 
 let SalesCall;
 
@@ -98,6 +99,50 @@ const defineSalesCall = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    transcript_format: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [['otter_text', 'srt', 'vtt', 'otter_json', 'plain_text']]
+      }
+    },
+    pii_redaction: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Policy applied and number of redactions per PII type (card_number, ssn, phone, email)'
+    },
+    language: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      comment: 'Language detected from the transcript, or declared when the call was created',
+      validate: {
+        isIn: [SUPPORTED_LANGUAGES]
+      }
+    },
+    summary: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Extractive summary: key transcript sentences in call order'
+    },
+    summary_highlights: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: []
+    },
+    summary_generated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    win_probability: {
+      type: DataTypes.DECIMAL(5, 4),
+      allowNull: true,
+      comment: 'Predicted probability of a sale from the organization\'s active win probability model'
+    },
+    win_prediction: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Model ID and version, top factors and time of the prediction'
+    },
     analysis_data: {
       type: DataTypes.JSONB,
       allowNull: true,
@@ -163,6 +208,27 @@ const defineSalesCall = (sequelize) => {
         model: 'live_sessions',
         key: 'id'
       }
+    },
+    experiment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'script_experiments',
+        key: 'id'
+      }
+    },
+    experiment_variant: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    conversation_metrics: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    question_metrics: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Question counts, open-question ratio and the discovery areas asked about and missed'
     }
   }, {
     tableName: 'sales_calls',
@@ -192,8 +258,21 @@ const defineSalesCall = (sequelize) => {
       {
         name: 'idx_sales_calls_customer_email',
         fields: ['customer_email']
+      },
+      {
+        name: 'idx_sales_calls_experiment',
+        fields: ['experiment_id', 'experiment_variant']
       }
-    ]
+    ],
+    hooks: {
+      // Calls created while a script experiment is running are assigned to one of its variants
+      beforeCreate: async (salesCall, options) => {
+        const { ScriptExperiment } = sequelize.models;
+        if (ScriptExperiment) {
+          await ScriptExperiment.assignCall(salesCall, options);
+        }
+      }
+    }
   });
 
   // Instance methods
@@ -271,6 +350,7 @@ const defineSalesCall = (sequelize) => {
         'sale_amount',
         'performance_score',
         'script_compliance',
+        'conversation_metrics',
         'duration'
       ]
     });
@@ -1,7 +1,12 @@
 const { DataTypes } = require('sequelize');
+const { normalizeStages } = require('../../utils/scriptStages');
+const { SUPPORTED_LANGUAGES } = require('../../utils/languageDetector');
 
 let SalesScript;
 
+// Fields captured in each revision snapshot
+const SNAPSHOT_FIELDS = ['name', 'description', 'content', 'stages', 'category', 'tags', 'language', 'version', 'is_active', 'is_draft'];
+
 const defineSalesScript = (sequelize) => {
   
   SalesScript = sequelize.define('SalesScript', {
@@ -31,6 +36,15 @@ const defineSalesScript = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: false
     },
+    stages: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Ordered stages with required topics, key phrases, forbidden phrases and weights',
+      set(value) {
+        this.setDataValue('stages', normalizeStages(value));
+      }
+    },
     category: {
       type: DataTypes.STRING(100),
       allowNull: true
@@ -40,6 +54,15 @@ const defineSalesScript = (sequelize) => {
       allowNull: true,
       defaultValue: []
     },
+    language: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'en',
+      comment: 'Compliance is only checked against scripts in the call\'s language',
+      validate: {
+        isIn: [SUPPORTED_LANGUAGES]
+      }
+    },
     version: {
       type: DataTypes.STRING(20),
       allowNull: false,
@@ -50,6 +73,17 @@ const defineSalesScript = (sequelize) => {
       allowNull: false,
       defaultValue: true
     },
+    is_draft: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Imported scripts stay drafts until reviewed and activated'
+    },
+    source_file_key: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      comment: 'Storage key of the document the script was imported from'
+    },
     created_by: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -57,6 +91,17 @@ const defineSalesScript = (sequelize) => {
         model: 'users',
         key: 'id'
       }
+    },
+    is_deleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Soft delete flag (revisions and past analyses keep referencing the script)'
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Timestamp when script was soft deleted'
     }
   }, {
     tableName: 'sales_scripts',
@@ -74,6 +119,10 @@ const defineSalesScript = (sequelize) => {
       {
         name: 'idx_sales_scripts_is_active',
         fields: ['is_active']
+      },
+      {
+        name: 'idx_sales_scripts_is_deleted',
+        fields: ['is_deleted']
       }
     ]
   });
@@ -83,12 +132,44 @@ const defineSalesScript = (sequelize) => {
     return this.is_active === true;
   };
 
+  SalesScript.prototype.isDraft = function() {
+    return this.is_draft === true;
+  };
+
+  SalesScript.prototype.hasStages = function() {
+    return Array.isArray(this.stages) && this.stages.length > 0;
+  };
+
+  SalesScript.prototype.getStages = function() {
+    return normalizeStages(this.stages);
+  };
+
+  SalesScript.prototype.isDeleted = function() {
+    return this.is_deleted === true;
+  };
+
+  SalesScript.prototype.softDelete = function(options = {}) {
+    this.is_deleted = true;
+    this.is_active = false;
+    this.deleted_at = new Date();
+    return this.save(options);
+  };
+
+  SalesScript.prototype.toSnapshot = function() {
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      snapshot[field] = this.get(field) ?? null;
+    });
+    return snapshot;
+  };
+
   // Class methods
   SalesScript.findActiveByOrganization = function(organizationId) {
     return this.findAll({
       where: {
         organization_id: organizationId,
-        is_active: true
+        is_active: true,
+        is_deleted: false
       },
       include: [
         {
@@ -104,3 +185,4 @@ const defineSalesScript = (sequelize) => {
 };
 
 module.exports = defineSalesScript;
+module.exports.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
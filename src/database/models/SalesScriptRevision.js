@@ -0,0 +1,185 @@
+const { DataTypes, Op } = require('sequelize');
+const { diffSnapshots } = require('../../utils/diffUtils');
+
+let SalesScriptRevision;
+
+const defineSalesScriptRevision = (sequelize) => {
+
+  SalesScriptRevision = sequelize.define('SalesScriptRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sales_script_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales_scripts',
+        key: 'id'
+      }
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    revision_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'updated',
+      validate: {
+        isIn: [['created', 'updated', 'activated', 'deactivated', 'deleted']]
+      }
+    },
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Full state of the script after this revision'
+    },
+    diff: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {},
+      comment: 'Field-level changes relative to the previous revision'
+    },
+    change_summary: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'sales_script_revisions',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_sales_script_revisions_sales_script_id',
+        fields: ['sales_script_id']
+      },
+      {
+        name: 'idx_sales_script_revisions_organization_id',
+        fields: ['organization_id']
+      },
+      {
+        name: 'idx_sales_script_revisions_created_at',
+        fields: ['created_at']
+      }
+    ],
+    hooks: {
+      // Revisions are an audit trail and must never change once written
+      beforeUpdate: () => {
+        throw new Error('Sales script revisions are immutable');
+      },
+      beforeDestroy: () => {
+        throw new Error('Sales script revisions are immutable');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Sales script revisions are immutable');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Sales script revisions are immutable');
+      }
+    }
+  });
+
+  // Instance methods
+  SalesScriptRevision.prototype.wasActive = function() {
+    return this.snapshot?.is_active === true;
+  };
+
+  // Class methods
+  SalesScriptRevision.findLatest = function(salesScriptId, options = {}) {
+    return this.findOne({
+      where: { sales_script_id: salesScriptId },
+      order: [['revision_number', 'DESC']],
+      ...options
+    });
+  };
+
+  SalesScriptRevision.findByScript = function(salesScriptId, options = {}) {
+    return this.findAll({
+      where: { sales_script_id: salesScriptId },
+      include: [
+        {
+          model: sequelize.models.User,
+          as: 'author',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ],
+      order: [['revision_number', 'DESC']],
+      ...options
+    });
+  };
+
+  /**
+   * Find the revision of a script that was in effect at a point in time
+   */
+  SalesScriptRevision.findInEffectAt = function(salesScriptId, date, options = {}) {
+    return this.findOne({
+      where: {
+        sales_script_id: salesScriptId,
+        created_at: {
+          [Op.lte]: date
+        }
+      },
+      order: [['revision_number', 'DESC']],
+      ...options
+    });
+  };
+
+  /**
+   * Append a revision for the current state of a script
+   * The script row is locked for the rest of the transaction, so concurrent changes to one script
+   * number their revisions one after the other instead of both taking the same next number.
+   * @param {Object} salesScript - SalesScript instance after the change was applied
+   * @param {Object} options - { action, userId, changeSummary, transaction }
+   */
+  SalesScriptRevision.record = async function(salesScript, options = {}) {
+    const { action = 'updated', userId = null, changeSummary = null, transaction } = options;
+
+    if (!transaction) {
+      return sequelize.transaction(t => this.record(salesScript, { ...options, transaction: t }));
+    }
+
+    await sequelize.models.SalesScript.findByPk(salesScript.id, {
+      attributes: ['id'],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const previous = await this.findLatest(salesScript.id, { transaction });
+    const snapshot = salesScript.toSnapshot();
+
+    return this.create({
+      sales_script_id: salesScript.id,
+      organization_id: salesScript.organization_id,
+      revision_number: previous ? previous.revision_number + 1 : 1,
+      action,
+      snapshot,
+      diff: diffSnapshots(previous ? previous.snapshot : null, snapshot),
+      change_summary: changeSummary,
+      created_by: userId
+    }, { transaction });
+  };
+
+  return SalesScriptRevision;
+};
+
+module.exports = defineSalesScriptRevision;
@@ -0,0 +1,147 @@
+const { DataTypes } = require('sequelize');
+
+let ScoreHistory;
+
+const defineScoreHistory = (sequelize) => {
+
+  ScoreHistory = sequelize.define('ScoreHistory', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sales_call_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales_calls',
+        key: 'id'
+      }
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'analysis',
+      validate: {
+        isIn: [['previous', 'analysis', 'reanalysis']]
+      }
+    },
+    performance_score: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true
+    },
+    script_compliance: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true
+    },
+    strengths: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: []
+    },
+    weaknesses: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: []
+    },
+    scoring_rubric: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Scoring rubric that produced the score'
+    },
+    script_revisions: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: [],
+      comment: 'Script revisions the call was scored against'
+    },
+    reanalysis_job_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'reanalysis_jobs',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'score_history',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_score_history_sales_call_id',
+        fields: ['sales_call_id', 'created_at']
+      },
+      {
+        name: 'idx_score_history_reanalysis_job_id',
+        fields: ['reanalysis_job_id']
+      }
+    ]
+  });
+
+  // Class methods
+  ScoreHistory.findBySalesCall = function(salesCallId, options = {}) {
+    return this.findAll({
+      where: { sales_call_id: salesCallId },
+      order: [['created_at', 'DESC']],
+      ...options
+    });
+  };
+
+  /**
+   * Append the scores currently stored on a sales call
+   * @param {Object} salesCall - SalesCall instance after the scores were written
+   * @param {Object} options - { source, scoringRubric, scriptRevisions, jobId, transaction }
+   */
+  ScoreHistory.record = function(salesCall, options = {}) {
+    const { source = 'analysis', scoringRubric = null, scriptRevisions = [], jobId = null, transaction } = options;
+
+    return this.create({
+      sales_call_id: salesCall.id,
+      organization_id: salesCall.organization_id,
+      source,
+      performance_score: salesCall.performance_score,
+      script_compliance: salesCall.script_compliance,
+      strengths: salesCall.strengths || [],
+      weaknesses: salesCall.weaknesses || [],
+      scoring_rubric: scoringRubric,
+      script_revisions: scriptRevisions,
+      reanalysis_job_id: jobId
+    }, { transaction });
+  };
+
+  /**
+   * Keep the scores a call had before score history existed, so re-analysis never loses them
+   */
+  ScoreHistory.recordPreviousIfMissing = async function(salesCall, options = {}) {
+    const existing = await this.count({
+      where: { sales_call_id: salesCall.id },
+      transaction: options.transaction
+    });
+
+    if (existing > 0 || (salesCall.performance_score === null && salesCall.script_compliance === null)) {
+      return null;
+    }
+
+    const analysisData = salesCall.analysis_data || {};
+    return this.record(salesCall, {
+      source: 'previous',
+      scriptRevisions: analysisData.scriptRevisions || analysisData.transcriptAnalysis?.scriptRevisions || [],
+      transaction: options.transaction
+    });
+  };
+
+  return ScoreHistory;
+};
+
+module.exports = defineScoreHistory;
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+
+let ScriptExperiment;
+
+const toVariantKey = (value) => String(value).trim().toLowerCase().replace(/\s+/g, '_');
+
+/**
+ * Normalize experiment variants: keys are lower-case slugs and weights default to 1
+ */
+const normalizeVariants = (variants) => {
+  if (!Array.isArray(variants)) {
+    return [];
+  }
+
+  return variants
+    .filter(variant => variant && typeof variant === 'object')
+    .map((variant, index) => {
+      const key = toVariantKey(variant.key || variant.name || `variant_${index + 1}`);
+      const weight = Number(variant.weight);
+
+      return {
+        key,
+        name: variant.name || key.toUpperCase(),
+        sales_script_id: variant.sales_script_id || variant.salesScriptId,
+        weight: Number.isFinite(weight) && weight > 0 ? weight : 1
+      };
+    });
+};
+
+const defineScriptExperiment = (sequelize) => {
+
+  ScriptExperiment = sequelize.define('ScriptExperiment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    hypothesis: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'draft',
+      validate: {
+        isIn: [['draft', 'running', 'completed', 'cancelled']]
+      }
+    },
+    assignment_mode: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'random',
+      validate: {
+        isIn: [['random', 'explicit']]
+      }
+    },
+    assignment_unit: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'representative',
+      validate: {
+        isIn: [['representative', 'call']]
+      }
+    },
+    variants: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Variants: [{ key, name, sales_script_id, weight }]',
+      set(value) {
+        this.setDataValue('variants', normalizeVariants(value));
+      }
+    },
+    assignments: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Explicit assignments: { representatives: { userId: variantKey } }'
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ended_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'script_experiments',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'idx_script_experiments_organization_id',
+        fields: ['organization_id']
+      },
+      {
+        name: 'idx_script_experiments_status',
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Instance methods
+  ScriptExperiment.prototype.isRunning = function() {
+    return this.status === 'running';
+  };
+
+  ScriptExperiment.prototype.isDraft = function() {
+    return this.status === 'draft';
+  };
+
+  ScriptExperiment.prototype.getVariant = function(key) {
+    if (key === null || key === undefined) {
+      return null;
+    }
+    return (this.variants || []).find(variant => variant.key === toVariantKey(key)) || null;
+  };
+
+  /**
+   * Pick a variant for a call
+   * Random splits by representative are deterministic, so a rep always pitches the same variant.
+   * Explicit assignments only cover listed representatives; other calls stay out of the experiment.
+   * @param {Object} salesCall - Sales call being created
+   * @returns {Object|null} Variant or null when the call is not part of the experiment
+   */
+  ScriptExperiment.prototype.pickVariant = function(salesCall) {
+    const variants = this.variants || [];
+    if (variants.length === 0) {
+      return null;
+    }
+
+    const representativeId = salesCall.sales_representative_id;
+
+    if (this.assignment_mode === 'explicit') {
+      const key = representativeId ? this.assignments?.representatives?.[representativeId] : null;
+      return key ? this.getVariant(key) : null;
+    }
+
+    let position;
+    if (this.assignment_unit === 'representative') {
+      if (!representativeId) {
+        return null;
+      }
+      const hash = crypto.createHash('sha256').update(`${this.id}:${representativeId}`).digest();
+      position = hash.readUInt32BE(0) / 0x100000000;
+    } else {
+      position = Math.random();
+    }
+
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let threshold = 0;
+    return variants.find(variant => {
+      threshold += variant.weight / totalWeight;
+      return position < threshold;
+    }) || variants[variants.length - 1];
+  };
+
+  // Class methods
+  ScriptExperiment.normalizeVariants = normalizeVariants;
+
+  ScriptExperiment.findByOrganization = function(organizationId, options = {}) {
+    return this.findAll({
+      where: { organization_id: organizationId },
+      order: [['created_at', 'DESC']],
+      ...options
+    });
+  };
+
+  ScriptExperiment.findRunning = function(organizationId, options = {}) {
+    return this.findOne({
+      where: { organization_id: organizationId, status: 'running' },
+      ...options
+    });
+  };
+
+  /**
+   * Record the running experiment's variant on a new sales call (used by the SalesCall beforeCreate hook)
+   */
+  ScriptExperiment.assignCall = async function(salesCall, options = {}) {
+    if (!salesCall.organization_id || salesCall.experiment_id) {
+      return null;
+    }
+
+    const experiment = await this.findRunning(salesCall.organization_id, { transaction: options.transaction });
+    const variant = experiment ? experiment.pickVariant(salesCall) : null;
+
+    if (variant) {
+      salesCall.experiment_id = experiment.id;
+      salesCall.experiment_variant = variant.key;
+    }
+
+    return variant;
+  };
+
+  return ScriptExperiment;
+};
+
+module.exports = defineScriptExperiment;
@@ -0,0 +1,161 @@
+const { DataTypes } = require('sequelize');
+
+let TranscriptSegment;
+
+// DECIMAL columns come back from Postgres as strings
+const numberGetter = (field) => function() {
+  const value = this.getDataValue(field);
+  return value === null || value === undefined ? null : Number(value);
+};
+
+const defineTranscriptSegment = (sequelize) => {
+
+  TranscriptSegment = sequelize.define('TranscriptSegment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    sales_call_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'sales_calls',
+        key: 'id'
+      }
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Order of the segment in the transcript, starting at 0'
+    },
+    speaker: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    speaker_role: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      validate: {
+        isIn: [['sales_representative', 'customer', 'unknown']]
+      }
+    },
+    start_time: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true,
+      get: numberGetter('start_time'),
+      comment: 'Offset from the start of the call in seconds'
+    },
+    end_time: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true,
+      get: numberGetter('end_time')
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    }
+  }, {
+    tableName: 'transcript_segments',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_transcript_segments_call_position',
+        unique: true,
+        fields: ['sales_call_id', 'position']
+      },
+      {
+        name: 'idx_transcript_segments_organization_id',
+        fields: ['organization_id']
+      }
+    ]
+  });
+
+  // Class methods
+  TranscriptSegment.findBySalesCall = function(salesCallId, options = {}) {
+    return this.findAll({
+      where: { sales_call_id: salesCallId },
+      order: [['position', 'ASC']],
+      ...options
+    });
+  };
+
+  /**
+   * Store a call's transcript segments
+   * Existing rows whose text is unchanged (e.g. on a re-analysis, or around an edited line) are kept
+   * and only their position, speaker and times are updated, so comments and findings keep pointing
+   * at the same IDs. Only segments whose text is gone are deleted. Runs in a transaction of its own
+   * unless one is given.
+   * @param {Object} salesCall - SalesCall (id, organization_id)
+   * @param {Array<Object>} segments - Segments { speaker, role, start, end, text } in transcript order
+   * @param {Object} options - { transaction }
+   * @returns {Promise<Array<Object>>} Stored segments ordered by position
+   */
+  TranscriptSegment.replaceForCall = async function(salesCall, segments, options = {}) {
+    if (!options.transaction) {
+      return sequelize.transaction(transaction => this.replaceForCall(salesCall, segments, { ...options, transaction }));
+    }
+
+    const { transaction } = options;
+    const rows = (segments || []).map((segment, position) => ({
+      sales_call_id: salesCall.id,
+      organization_id: salesCall.organization_id,
+      position,
+      speaker: segment.speaker || null,
+      speaker_role: segment.role || null,
+      start_time: Number.isFinite(segment.start) ? segment.start : null,
+      end_time: Number.isFinite(segment.end) ? segment.end : null,
+      text: segment.text
+    }));
+
+    // Reuse existing segments by text; a line repeated in the transcript reuses its copies in order
+    const existing = await this.findBySalesCall(salesCall.id, { transaction });
+    const existingByText = new Map();
+    existing.forEach(segment => {
+      existingByText.set(segment.text, [...(existingByText.get(segment.text) || []), segment]);
+    });
+    const kept = rows.map(row => existingByText.get(row.text)?.shift() || null);
+
+    const keptIds = new Set(kept.filter(Boolean).map(segment => segment.id));
+    const removedIds = existing.filter(segment => !keptIds.has(segment.id)).map(segment => segment.id);
+    if (removedIds.length > 0) {
+      await this.destroy({ where: { id: removedIds }, transaction });
+    }
+
+    // Move shifted segments out of the way first so no two rows share a position in between
+    const moved = kept.filter((segment, position) => segment && segment.position !== position);
+    for (const segment of moved) {
+      await segment.update({ position: -1 - segment.position }, { transaction });
+    }
+
+    for (const [position, segment] of kept.entries()) {
+      if (!segment) {
+        continue;
+      }
+      const { speaker, speaker_role, start_time, end_time } = rows[position];
+      if (segment.position !== position || segment.speaker !== speaker || segment.speaker_role !== speaker_role ||
+          segment.start_time !== start_time || segment.end_time !== end_time) {
+        await segment.update({ position, speaker, speaker_role, start_time, end_time }, { transaction });
+      }
+    }
+
+    const newRows = rows.filter((row, position) => !kept[position]);
+    const created = newRows.length > 0 ? await this.bulkCreate(newRows, { transaction }) : [];
+
+    return kept.map(segment => segment || created.shift());
+  };
+
+  return TranscriptSegment;
+};
+
+module.exports = defineTranscriptSegment;
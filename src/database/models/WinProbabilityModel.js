@@ -0,0 +1,151 @@
+const { DataTypes, Op } = require('sequelize');
+
+let WinProbabilityModel;
+
+const defineWinProbabilityModel = (sequelize) => {
+
+  WinProbabilityModel = sequelize.define('WinProbabilityModel', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    organization_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'organizations',
+        key: 'id'
+      }
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'queued',
+      validate: {
+        isIn: [['queued', 'training', 'ready', 'failed']]
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether this version predicts newly analyzed calls; at most one per organization'
+    },
+    algorithm: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'logistic_regression'
+    },
+    features: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Feature keys the model was trained on'
+    },
+    coefficients: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Intercept, feature weights and the means / deviations used to standardize features'
+    },
+    metrics: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Accuracy on the training calls and on the held-out calls'
+    },
+    training_samples: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    positive_samples: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    trained_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'win_probability_models',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        name: 'uq_win_probability_models_version',
+        unique: true,
+        fields: ['organization_id', 'version']
+      }
+    ]
+  });
+
+  // Instance methods
+  WinProbabilityModel.prototype.isTraining = function() {
+    return this.status === 'queued' || this.status === 'training';
+  };
+
+  // Class methods
+  WinProbabilityModel.findByOrganization = function(organizationId, options = {}) {
+    return this.findAll({
+      where: { organization_id: organizationId },
+      order: [['version', 'DESC']],
+      ...options
+    });
+  };
+
+  WinProbabilityModel.findActive = function(organizationId, options = {}) {
+    return this.findOne({
+      where: { organization_id: organizationId, is_active: true, status: 'ready' },
+      ...options
+    });
+  };
+
+  WinProbabilityModel.findTraining = function(organizationId, options = {}) {
+    return this.findOne({
+      where: {
+        organization_id: organizationId,
+        status: { [Op.in]: ['queued', 'training'] }
+      },
+      ...options
+    });
+  };
+
+  /**
+   * Make a trained version the organization's active model
+   */
+  WinProbabilityModel.activate = async function(model) {
+    return sequelize.transaction(async (transaction) => {
+      await this.update(
+        { is_active: false },
+        { where: { organization_id: model.organization_id, is_active: true }, transaction }
+      );
+      return model.update({ is_active: true }, { transaction });
+    });
+  };
+
+  return WinProbabilityModel;
+};
+
+module.exports = defineWinProbabilityModel;
@@ -12,6 +12,17 @@ module.exports = {
   Notification: null,
   LiveSession: null,
   Files: null,
+  SalesScriptRevision: null,
+  ScriptExperiment: null,
+  Objection: null,
+  ReanalysisJob: null,
+  ScoreHistory: null,
+  KeywordTracker: null,
+  CallTrackerHit: null,
+  TranscriptSegment: null,
+  CallComment: null,
+  FollowUpTask: null,
+  WinProbabilityModel: null,
   get sequelize() {
     const { getSequelize } = require('../connection');
     return getSequelize();
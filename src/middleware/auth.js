@@ -249,24 +249,20 @@ const generateRefreshToken = (user) => {
  * Verify refresh token
  */
 const verifyRefreshToken = async (refreshToken) => {
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid token type');
-    }
-
-    const { User } = getModels();
-    if (!User) throw new Error('Models not initialized');
-    const user = await User.findByPk(decoded.userId);
-    if (!user || user.status !== 'active') {
-      throw new Error('User not found or inactive');
-    }
+  const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  
+  if (decoded.type !== 'refresh') {
+    throw new Error('Invalid token type');
+  }
 
-    return user;
-  } catch (error) {
-    throw error;
+  const { User } = getModels();
+  if (!User) throw new Error('Models not initialized');
+  const user = await User.findByPk(decoded.userId);
+  if (!user || user.status !== 'active') {
+    throw new Error('User not found or inactive');
   }
+
+  return user;
 };
 
 module.exports = {
@@ -1,7 +1,10 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const { getSequelize } = require('../database/connection');
 const { requireRole, authenticateToken } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { averageConversationMetrics } = require('../utils/conversationMetrics');
+const { averageQuestionMetrics } = require('../utils/questionAnalysis');
 
 const router = express.Router();
 
@@ -12,7 +15,9 @@ const getModels = () => {
     return {
       Analytics: sequelize.models.Analytics,
       SalesCall: sequelize.models.SalesCall,
-      User: sequelize.models.User
+      User: sequelize.models.User,
+      KeywordTracker: sequelize.models.KeywordTracker,
+      CallTrackerHit: sequelize.models.CallTrackerHit
     };
   } catch (error) {
     logger.error('Failed to get models:', error);
@@ -82,7 +87,9 @@ router.get('/overview', authenticateToken, async (req, res) => {
           successfulSales: 0,
           totalRevenue: 0,
           averageScore: 0,
-          scores: []
+          scores: [],
+          conversationMetrics: [],
+          questionMetrics: []
         };
       }
       
@@ -94,6 +101,8 @@ router.get('/overview', authenticateToken, async (req, res) => {
       if (call.performance_score) {
         salesRepStats[call.sales_representative_id].scores.push(parseFloat(call.performance_score));
       }
+      salesRepStats[call.sales_representative_id].conversationMetrics.push(call.conversation_metrics);
+      salesRepStats[call.sales_representative_id].questionMetrics.push(call.question_metrics);
     });
 
     // Calculate average scores
@@ -101,6 +110,8 @@ router.get('/overview', authenticateToken, async (req, res) => {
       rep.averageScore = rep.scores.length > 0 ? 
         rep.scores.reduce((sum, score) => sum + score, 0) / rep.scores.length : 0;
       delete rep.scores;
+      rep.conversationMetrics = averageConversationMetrics(rep.conversationMetrics);
+      rep.questionMetrics = averageQuestionMetrics(rep.questionMetrics);
     });
 
     const topPerformers = Object.values(salesRepStats)
@@ -115,6 +126,8 @@ router.get('/overview', authenticateToken, async (req, res) => {
       averageCallDuration,
       averagePerformanceScore,
       conversionRate,
+      conversationMetrics: averageConversationMetrics(salesCalls.map(call => call.conversation_metrics)),
+      questionMetrics: averageQuestionMetrics(salesCalls.map(call => call.question_metrics)),
       topPerformers
     };
 
@@ -211,13 +224,18 @@ router.get('/performance', [
         });
       }
 
-      if (call.objectionsHandled) {
-        call.objectionsHandled.forEach(objection => {
-          const existing = objections.find(o => o.name === objection);
-          if (existing) {
-            existing.count++;
-          } else {
-            objections.push({ name: objection, count: 1 });
+      // Detected objections are objects with a handled flag; older calls store plain names
+      if (Array.isArray(call.objections_handled)) {
+        call.objections_handled.forEach(objection => {
+          const name = typeof objection === 'object' ? objection.name : objection;
+          let existing = objections.find(o => o.name === name);
+          if (!existing) {
+            existing = { name, category: objection.category || null, count: 0, handled: 0 };
+            objections.push(existing);
+          }
+          existing.count++;
+          if (objection.handled) {
+            existing.handled++;
           }
         });
       }
@@ -228,7 +246,10 @@ router.get('/performance', [
       trends,
       topStrengths: strengths.sort((a, b) => b.count - a.count).slice(0, 5),
       topWeaknesses: weaknesses.sort((a, b) => b.count - a.count).slice(0, 5),
-      commonObjections: objections.sort((a, b) => b.count - a.count).slice(0, 5)
+      commonObjections: objections
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5)
+        .map(objection => ({ ...objection, handledRate: objection.handled / objection.count }))
     };
 
     res.status(200).json({
@@ -324,6 +345,8 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
       averagePerformanceScore,
       averageScriptCompliance,
       conversionRate,
+      conversationMetrics: averageConversationMetrics(salesCalls.map(call => call.conversation_metrics)),
+      questionMetrics: averageQuestionMetrics(salesCalls.map(call => call.question_metrics)),
       analytics: userAnalytics,
       recentCalls: salesCalls.slice(0, 10)
     };
@@ -389,32 +412,163 @@ router.get('/trends', [
   }
 });
 
+/**
+ * @route   GET /api/v1/analytics/trackers
+ * @desc    Get keyword tracker mentions over time: per period, the calls and hits of each tracker
+ *          and the share of calls mentioning it
+ * @access  Private (Managers, Admins)
+ */
+router.get('/trackers', [
+  authenticateToken,
+  requireRole(['sales_manager', 'admin', 'super_admin']),
+  query('trackerId').optional().isUUID().withMessage('Tracker ID must be a UUID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { startDate, endDate, periodType = 'weekly', trackerId } = req.query;
+    const organizationId = req.user.organization_id;
+    const { SalesCall, KeywordTracker, CallTrackerHit } = getModels();
+
+    const whereClause = { organization_id: organizationId };
+    if (startDate && endDate) {
+      whereClause.appointment_date = {
+        [require('sequelize').Op.between]: [new Date(startDate), new Date(endDate)]
+      };
+    }
+
+    const trackers = await KeywordTracker.findByOrganization(organizationId, {
+      where: { organization_id: organizationId, ...(trackerId ? { id: trackerId } : {}) },
+      attributes: ['id', 'name', 'speaker', 'is_active']
+    });
+
+    const salesCalls = await SalesCall.findAll({
+      where: whereClause,
+      attributes: ['id', 'appointment_date'],
+      include: [
+        {
+          model: CallTrackerHit,
+          as: 'trackerHits',
+          attributes: ['keyword_tracker_id', 'hit_count'],
+          where: { keyword_tracker_id: trackers.map(tracker => tracker.id) },
+          required: false
+        }
+      ],
+      order: [['appointment_date', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        trackers,
+        totals: calculateTrackerTotals(salesCalls, trackers),
+        periods: calculateTrackerTrends(salesCalls, trackers, periodType)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching tracker analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch tracker analytics',
+        code: 'TRACKER_ANALYTICS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * Key of the period a date falls in
+ */
+const getPeriodKey = (value, periodType) => {
+  const date = new Date(value);
+
+  switch (periodType) {
+    case 'daily':
+      return date.toISOString().split('T')[0];
+    case 'weekly': {
+      const weekStart = new Date(date);
+      weekStart.setDate(date.getDate() - date.getDay());
+      return weekStart.toISOString().split('T')[0];
+    }
+    case 'monthly':
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    default:
+      return date.toISOString().split('T')[0];
+  }
+};
+
+/**
+ * Count calls and hits per tracker
+ */
+const summarizeTrackerHits = (salesCalls, trackers) => {
+  const summary = {};
+  trackers.forEach(tracker => {
+    summary[tracker.id] = { trackerId: tracker.id, name: tracker.name, calls: 0, hits: 0, mentionRate: 0 };
+  });
+
+  salesCalls.forEach(call => {
+    (call.trackerHits || []).forEach(hit => {
+      const entry = summary[hit.keyword_tracker_id];
+      if (entry && hit.hit_count > 0) {
+        entry.calls++;
+        entry.hits += hit.hit_count;
+      }
+    });
+  });
+
+  Object.values(summary).forEach(entry => {
+    entry.mentionRate = salesCalls.length > 0 ? entry.calls / salesCalls.length : 0;
+  });
+
+  return Object.values(summary);
+};
+
+const calculateTrackerTotals = (salesCalls, trackers) => ({
+  totalCalls: salesCalls.length,
+  trackers: summarizeTrackerHits(salesCalls, trackers)
+});
+
+/**
+ * Group tracker hits by period
+ */
+const calculateTrackerTrends = (salesCalls, trackers, periodType) => {
+  const periods = {};
+
+  salesCalls.forEach(call => {
+    const periodKey = getPeriodKey(call.appointment_date, periodType);
+    if (!periods[periodKey]) {
+      periods[periodKey] = [];
+    }
+    periods[periodKey].push(call);
+  });
+
+  return Object.keys(periods).sort().map(period => ({
+    period,
+    totalCalls: periods[period].length,
+    trackers: summarizeTrackerHits(periods[period], trackers)
+  }));
+};
+
 /**
  * Calculate trends from sales calls data
  */
 const calculateTrends = (salesCalls, periodType) => {
-  const trends = {};
   const periods = {};
 
   salesCalls.forEach(call => {
-    let periodKey;
-    const date = new Date(call.appointment_date);
-
-    switch (periodType) {
-      case 'daily':
-        periodKey = date.toISOString().split('T')[0];
-        break;
-      case 'weekly':
-        const weekStart = new Date(date);
-        weekStart.setDate(date.getDate() - date.getDay());
-        periodKey = weekStart.toISOString().split('T')[0];
-        break;
-      case 'monthly':
-        periodKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        break;
-      default:
-        periodKey = date.toISOString().split('T')[0];
-    }
+    const periodKey = getPeriodKey(call.appointment_date, periodType);
 
     if (!periods[periodKey]) {
       periods[periodKey] = {
@@ -424,7 +578,9 @@ const calculateTrends = (salesCalls, periodType) => {
         successfulSales: 0,
         totalRevenue: 0,
         averagePerformanceScore: 0,
-        performanceScores: []
+        performanceScores: [],
+        conversationMetrics: [],
+        questionMetrics: []
       };
     }
 
@@ -439,6 +595,8 @@ const calculateTrends = (salesCalls, periodType) => {
     if (call.performanceScore) {
       periods[periodKey].performanceScores.push(parseFloat(call.performanceScore));
     }
+    periods[periodKey].conversationMetrics.push(call.conversation_metrics);
+    periods[periodKey].questionMetrics.push(call.question_metrics);
   });
 
   // Calculate averages
@@ -446,6 +604,8 @@ const calculateTrends = (salesCalls, periodType) => {
     period.averagePerformanceScore = period.performanceScores.length > 0 ?
       period.performanceScores.reduce((sum, score) => sum + score, 0) / period.performanceScores.length : 0;
     delete period.performanceScores;
+    period.conversationMetrics = averageConversationMetrics(period.conversationMetrics);
+    period.questionMetrics = averageQuestionMetrics(period.questionMetrics);
   });
 
   return Object.values(periods).sort((a, b) => a.period.localeCompare(b.period));
@@ -0,0 +1,687 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { getSequelize } = require('../database/connection');
+const { requireRole, authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { mean, twoProportionZTest, welchTTest } = require('../utils/statistics');
+
+const router = express.Router();
+
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      ScriptExperiment: sequelize.models.ScriptExperiment,
+      SalesScript: sequelize.models.SalesScript,
+      SalesCall: sequelize.models.SalesCall,
+      User: sequelize.models.User
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
+const MANAGER_ROLES = ['sales_manager', 'admin', 'super_admin'];
+const DEFAULT_SIGNIFICANCE_LEVEL = 0.05;
+const SENTIMENT_VALUES = { positive: 1, neutral: 0, negative: -1 };
+
+// express-validator custom check for experiment variants
+const variantsValidator = (variants) => {
+  if (!Array.isArray(variants) || variants.length < 2) {
+    throw new Error('An experiment needs at least two variants');
+  }
+
+  const { ScriptExperiment } = getModels();
+  const normalized = ScriptExperiment.normalizeVariants(variants);
+  const keys = new Set(normalized.map(variant => variant.key));
+
+  if (normalized.length !== variants.length) {
+    throw new Error('Each variant must be an object');
+  }
+  if (keys.size !== normalized.length) {
+    throw new Error('Variant keys must be unique');
+  }
+  if (normalized.some(variant => !variant.sales_script_id)) {
+    throw new Error('Each variant requires a sales_script_id');
+  }
+  return true;
+};
+
+/**
+ * Find an experiment that belongs to the caller's organization
+ */
+const findOrganizationExperiment = (id, organizationId) => {
+  const { ScriptExperiment } = getModels();
+  return ScriptExperiment.findOne({
+    where: { id, organization_id: organizationId }
+  });
+};
+
+const experimentNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Experiment not found',
+    code: 'EXPERIMENT_NOT_FOUND'
+  }
+});
+
+const invalidState = (res, message) => res.status(409).json({
+  success: false,
+  error: {
+    message,
+    code: 'EXPERIMENT_INVALID_STATE'
+  }
+});
+
+/**
+ * Check that every variant points at a live script of the organization
+ * @returns {Array<string>} Variant keys whose script is missing
+ */
+const findInvalidVariantScripts = async (variants, organizationId) => {
+  const { SalesScript, ScriptExperiment } = getModels();
+  const normalized = ScriptExperiment.normalizeVariants(variants);
+  const scripts = await SalesScript.findAll({
+    where: {
+      id: normalized.map(variant => variant.sales_script_id),
+      organization_id: organizationId,
+      is_deleted: false
+    },
+    attributes: ['id']
+  });
+  const scriptIds = new Set(scripts.map(script => script.id));
+
+  return normalized
+    .filter(variant => !scriptIds.has(variant.sales_script_id))
+    .map(variant => variant.key);
+};
+
+/**
+ * Check explicit representative assignments against the variant keys
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+const validateAssignments = (assignments, variants) => {
+  const { ScriptExperiment } = getModels();
+  const experiment = ScriptExperiment.build({ variants });
+  const representatives = assignments?.representatives || {};
+
+  return Object.entries(representatives)
+    .filter(([, variantKey]) => !experiment.getVariant(variantKey))
+    .map(([userId, variantKey]) => `Representative ${userId} is assigned to unknown variant "${variantKey}"`);
+};
+
+/**
+ * Summarize the outcomes of the calls assigned to one variant
+ */
+const summarizeVariant = (variant, calls) => {
+  const completed = calls.filter(call => call.status === 'completed');
+  const withOutcome = completed.filter(call => call.outcome);
+  const sales = withOutcome.filter(call => call.outcome === 'sale');
+  const scores = completed
+    .filter(call => call.performance_score !== null)
+    .map(call => parseFloat(call.performance_score));
+  const saleAmounts = sales
+    .filter(call => call.sale_amount !== null)
+    .map(call => parseFloat(call.sale_amount));
+  const sentiments = completed
+    .filter(call => SENTIMENT_VALUES[call.customer_sentiment] !== undefined)
+    .map(call => SENTIMENT_VALUES[call.customer_sentiment]);
+
+  return {
+    key: variant.key,
+    name: variant.name,
+    salesScriptId: variant.sales_script_id,
+    totalCalls: calls.length,
+    completedCalls: completed.length,
+    sampleSizes: {
+      conversion: withOutcome.length,
+      performanceScore: scores.length,
+      saleAmount: saleAmounts.length,
+      sentiment: sentiments.length
+    },
+    conversions: sales.length,
+    conversionRate: withOutcome.length > 0 ? sales.length / withOutcome.length : null,
+    averagePerformanceScore: mean(scores),
+    averageSaleAmount: mean(saleAmounts),
+    totalRevenue: saleAmounts.reduce((sum, amount) => sum + amount, 0),
+    averageSentiment: mean(sentiments),
+    sentimentBreakdown: Object.keys(SENTIMENT_VALUES).reduce((breakdown, sentiment) => {
+      breakdown[sentiment] = completed.filter(call => call.customer_sentiment === sentiment).length;
+      return breakdown;
+    }, {}),
+    // Raw samples for the significance tests; stripped before responding
+    samples: { scores, saleAmounts, sentiments }
+  };
+};
+
+/**
+ * Compare a variant against the control variant on every metric
+ */
+const compareToControl = (control, variant, alpha) => {
+  const withSignificance = (result) => (result ? { ...result, significant: result.pValue < alpha } : null);
+
+  return {
+    variant: variant.key,
+    control: control.key,
+    conversionRate: withSignificance(twoProportionZTest(
+      control.conversions, control.sampleSizes.conversion,
+      variant.conversions, variant.sampleSizes.conversion
+    )),
+    performanceScore: withSignificance(welchTTest(control.samples.scores, variant.samples.scores)),
+    saleAmount: withSignificance(welchTTest(control.samples.saleAmounts, variant.samples.saleAmounts)),
+    sentiment: withSignificance(welchTTest(control.samples.sentiments, variant.samples.sentiments))
+  };
+};
+
+/**
+ * @route   GET /api/v1/experiments
+ * @desc    Get script experiments for organization
+ * @access  Private (Managers, Admins)
+ */
+router.get('/', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { ScriptExperiment } = getModels();
+
+    const experiments = await ScriptExperiment.findByOrganization(req.user.organization_id, {
+      where: {
+        organization_id: req.user.organization_id,
+        ...(status ? { status } : {})
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: experiments
+    });
+  } catch (error) {
+    logger.error('Error fetching experiments:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch experiments',
+        code: 'EXPERIMENTS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/experiments/:id
+ * @desc    Get experiment by ID
+ * @access  Private (Managers, Admins)
+ */
+router.get('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const experiment = await findOrganizationExperiment(req.params.id, req.user.organization_id);
+    if (!experiment) {
+      return experimentNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    logger.error('Error fetching experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch experiment',
+        code: 'EXPERIMENT_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/experiments
+ * @desc    Create a script experiment (starts as a draft)
+ * @access  Private (Managers, Admins)
+ */
+router.post('/', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  body('name').notEmpty().withMessage('Experiment name is required'),
+  body('variants').custom(variantsValidator),
+  body('assignment_mode').optional().isIn(['random', 'explicit']).withMessage('Assignment mode must be random or explicit'),
+  body('assignment_unit').optional().isIn(['representative', 'call']).withMessage('Assignment unit must be representative or call'),
+  body('assignments.representatives').optional().isObject().withMessage('Representative assignments must be an object')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const organizationId = req.user.organization_id;
+    const { name, description, hypothesis, variants, assignment_mode, assignment_unit, assignments } = req.body;
+
+    const assignmentErrors = validateAssignments(assignments, variants);
+    const invalidVariants = await findInvalidVariantScripts(variants, organizationId);
+    if (assignmentErrors.length > 0 || invalidVariants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: [
+            ...assignmentErrors,
+            ...(invalidVariants.length > 0 ? [`Sales script not found for variants: ${invalidVariants.join(', ')}`] : [])
+          ].join('; '),
+          code: 'INVALID_EXPERIMENT_VARIANTS'
+        }
+      });
+    }
+
+    const experiment = await getModels().ScriptExperiment.create({
+      organization_id: organizationId,
+      name,
+      description,
+      hypothesis,
+      variants,
+      assignment_mode,
+      assignment_unit,
+      assignments: assignments || {},
+      created_by: req.user.id
+    });
+
+    logger.logUserActivity(req.user.id, 'experiment_created', {
+      experimentId: experiment.id,
+      name: experiment.name
+    });
+
+    res.status(201).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    logger.error('Error creating experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create experiment',
+        code: 'EXPERIMENT_CREATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/experiments/:id
+ * @desc    Update an experiment; variants and assignment settings can only change while it is a draft
+ * @access  Private (Managers, Admins)
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  body('name').optional().notEmpty().withMessage('Experiment name cannot be empty'),
+  body('variants').optional().custom(variantsValidator),
+  body('assignment_mode').optional().isIn(['random', 'explicit']).withMessage('Assignment mode must be random or explicit'),
+  body('assignment_unit').optional().isIn(['representative', 'call']).withMessage('Assignment unit must be representative or call'),
+  body('assignments.representatives').optional().isObject().withMessage('Representative assignments must be an object')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const organizationId = req.user.organization_id;
+    const experiment = await findOrganizationExperiment(req.params.id, organizationId);
+    if (!experiment) {
+      return experimentNotFound(res);
+    }
+
+    const designFields = ['variants', 'assignment_mode', 'assignment_unit', 'assignments'];
+    const changesDesign = designFields.some(field => req.body[field] !== undefined);
+    if (changesDesign && !experiment.isDraft()) {
+      return invalidState(res, 'Variants and assignments can only be changed before the experiment starts');
+    }
+
+    const variants = req.body.variants !== undefined ? req.body.variants : experiment.variants;
+    const assignments = req.body.assignments !== undefined ? req.body.assignments : experiment.assignments;
+
+    if (changesDesign) {
+      const assignmentErrors = validateAssignments(assignments, variants);
+      const invalidVariants = req.body.variants !== undefined
+        ? await findInvalidVariantScripts(variants, organizationId)
+        : [];
+      if (assignmentErrors.length > 0 || invalidVariants.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: [
+              ...assignmentErrors,
+              ...(invalidVariants.length > 0 ? [`Sales script not found for variants: ${invalidVariants.join(', ')}`] : [])
+            ].join('; '),
+            code: 'INVALID_EXPERIMENT_VARIANTS'
+          }
+        });
+      }
+    }
+
+    const updateData = {};
+    ['name', 'description', 'hypothesis', ...designFields].forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    await experiment.update(updateData);
+
+    logger.logUserActivity(req.user.id, 'experiment_updated', {
+      experimentId: experiment.id,
+      updatedFields: Object.keys(updateData)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    logger.error('Error updating experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update experiment',
+        code: 'EXPERIMENT_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/experiments/:id/start
+ * @desc    Start an experiment; new calls are assigned to its variants from now on
+ * @access  Private (Managers, Admins)
+ */
+router.post('/:id/start', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const organizationId = req.user.organization_id;
+    const experiment = await findOrganizationExperiment(req.params.id, organizationId);
+    if (!experiment) {
+      return experimentNotFound(res);
+    }
+
+    if (!experiment.isDraft()) {
+      return invalidState(res, 'Only draft experiments can be started');
+    }
+
+    const running = await getModels().ScriptExperiment.findRunning(organizationId);
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Experiment "${running.name}" is already running`,
+          code: 'EXPERIMENT_ALREADY_RUNNING'
+        }
+      });
+    }
+
+    await experiment.update({ status: 'running', started_at: new Date() });
+
+    logger.logUserActivity(req.user.id, 'experiment_started', {
+      experimentId: experiment.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    logger.error('Error starting experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to start experiment',
+        code: 'EXPERIMENT_START_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/experiments/:id/stop
+ * @desc    Stop a running experiment; collected calls remain available for results
+ * @access  Private (Managers, Admins)
+ */
+router.post('/:id/stop', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const experiment = await findOrganizationExperiment(req.params.id, req.user.organization_id);
+    if (!experiment) {
+      return experimentNotFound(res);
+    }
+
+    if (!experiment.isRunning()) {
+      return invalidState(res, 'Only running experiments can be stopped');
+    }
+
+    await experiment.update({ status: 'completed', ended_at: new Date() });
+
+    logger.logUserActivity(req.user.id, 'experiment_stopped', {
+      experimentId: experiment.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    logger.error('Error stopping experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to stop experiment',
+        code: 'EXPERIMENT_STOP_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/experiments/:id/assign
+ * @desc    Explicitly assign existing sales calls to a variant
+ * @access  Private (Managers, Admins)
+ */
+router.post('/:id/assign', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  body('variant').notEmpty().withMessage('Variant key is required'),
+  body('sales_call_ids').isArray({ min: 1 }).withMessage('sales_call_ids must be a non-empty array'),
+  body('sales_call_ids.*').isUUID().withMessage('Sales call IDs must be UUIDs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const organizationId = req.user.organization_id;
+    const experiment = await findOrganizationExperiment(req.params.id, organizationId);
+    if (!experiment) {
+      return experimentNotFound(res);
+    }
+
+    if (!['draft', 'running'].includes(experiment.status)) {
+      return invalidState(res, 'Calls can only be assigned to draft or running experiments');
+    }
+
+    const variant = experiment.getVariant(req.body.variant);
+    if (!variant) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Unknown variant "${req.body.variant}"`,
+          code: 'INVALID_EXPERIMENT_VARIANT'
+        }
+      });
+    }
+
+    const [assignedCount] = await getModels().SalesCall.update({
+      experiment_id: experiment.id,
+      experiment_variant: variant.key
+    }, {
+      where: {
+        id: { [Op.in]: req.body.sales_call_ids },
+        organization_id: organizationId
+      }
+    });
+
+    logger.logUserActivity(req.user.id, 'experiment_calls_assigned', {
+      experimentId: experiment.id,
+      variant: variant.key,
+      assignedCount
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        experimentId: experiment.id,
+        variant: variant.key,
+        assignedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Error assigning calls to experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to assign calls to experiment',
+        code: 'EXPERIMENT_ASSIGN_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/experiments/:id/results
+ * @desc    Compare outcomes between variants; each variant is tested against the first (control)
+ * @access  Private (Managers, Admins)
+ */
+router.get('/:id/results', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const experiment = await findOrganizationExperiment(req.params.id, req.user.organization_id);
+    if (!experiment) {
+      return experimentNotFound(res);
+    }
+
+    const requestedAlpha = parseFloat(req.query.alpha);
+    const alpha = requestedAlpha > 0 && requestedAlpha < 1 ? requestedAlpha : DEFAULT_SIGNIFICANCE_LEVEL;
+
+    const calls = await getModels().SalesCall.findAll({
+      where: { experiment_id: experiment.id },
+      attributes: ['id', 'experiment_variant', 'status', 'outcome', 'sale_amount', 'performance_score', 'customer_sentiment']
+    });
+
+    const summaries = (experiment.variants || []).map(variant => summarizeVariant(
+      variant,
+      calls.filter(call => call.experiment_variant === variant.key)
+    ));
+
+    const [control, ...challengers] = summaries;
+    const comparisons = control ? challengers.map(variant => compareToControl(control, variant, alpha)) : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        experimentId: experiment.id,
+        name: experiment.name,
+        status: experiment.status,
+        startedAt: experiment.started_at,
+        endedAt: experiment.ended_at,
+        significanceLevel: alpha,
+        variants: summaries.map(({ samples, ...summary }) => summary),
+        comparisons
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching experiment results:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch experiment results',
+        code: 'EXPERIMENT_RESULTS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/v1/experiments/:id
+ * @desc    Cancel an experiment; assigned calls keep their variant for reference
+ * @access  Private (Managers, Admins)
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const experiment = await findOrganizationExperiment(req.params.id, req.user.organization_id);
+    if (!experiment) {
+      return experimentNotFound(res);
+    }
+
+    await experiment.update({
+      status: 'cancelled',
+      ended_at: experiment.ended_at || new Date()
+    });
+
+    logger.logUserActivity(req.user.id, 'experiment_cancelled', {
+      experimentId: experiment.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Experiment cancelled successfully'
+    });
+  } catch (error) {
+    logger.error('Error cancelling experiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to cancel experiment',
+        code: 'EXPERIMENT_CANCEL_FAILED'
+      }
+    });
+  }
+});
+
+module.exports = router;
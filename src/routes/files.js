@@ -1,12 +1,32 @@
 const express = require('express');
 const multer = require('multer');
+const path = require('path');
 const { body, validationResult } = require('express-validator');
 const fileStorageService = require('../services/fileStorageService');
+const scriptImportService = require('../services/scriptImportService');
+const transcriptIngestionService = require('../services/transcriptIngestionService');
+const otterAIService = require('../services/otterAIService');
+const { getSequelize } = require('../database/connection');
 const { logger } = require('../utils/logger');
-const { requireRole } = require('../middleware/auth');
+const { MARKDOWN_EXTENSIONS } = require('../utils/scriptDocumentParser');
+const { TRANSCRIPT_EXTENSIONS } = require('../utils/transcriptFormats');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      SalesCall: sequelize.models.SalesCall
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
 // Configure multer for memory storage (no local file saving)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -27,10 +47,14 @@ const upload = multer({
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       'application/vnd.ms-excel',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'text/plain', 'text/csv'
+      'text/plain', 'text/csv', 'text/markdown', 'text/x-markdown',
+      // Transcript files
+      'text/vtt', 'application/x-subrip', 'text/srt', 'application/json'
     ];
 
-    if (allowedTypes.includes(file.mimetype)) {
+    // Browsers often send Markdown and transcript files without a specific MIME type
+    if (allowedTypes.includes(file.mimetype) || MARKDOWN_EXTENSIONS.test(file.originalname) ||
+        (file.fieldname === 'transcript' && TRANSCRIPT_EXTENSIONS.test(file.originalname))) {
       cb(null, true);
     } else {
       cb(new Error(`File type ${file.mimetype} is not allowed`), false);
@@ -38,14 +62,25 @@ const upload = multer({
   }
 });
 
+// Script imports create organization data, so they need an authenticated manager
+const requireScriptImportAccess = (req, res, next) => {
+  if (req.body.category !== 'sales-script') {
+    return next();
+  }
+  return authenticateToken(req, res, () => {
+    requireRole(['sales_manager', 'admin', 'super_admin'])(req, res, next);
+  });
+};
+
 /**
  * @route   POST /api/v1/files/upload
- * @desc    Upload a file to IDrive E2
+ * @desc    Upload a file to IDrive E2 (category "sales-script" also imports the document as a draft script)
  * @access  Private (All authenticated users)
  */
 router.post('/upload', [
   upload.single('file'),
-  body('category').isIn(['sales-call', 'analytics', 'profile', 'general']).withMessage('Valid category is required'),
+  requireScriptImportAccess,
+  body('category').isIn(['sales-call', 'analytics', 'profile', 'general', 'sales-script']).withMessage('Valid category is required'),
   body('description').optional().isLength({ max: 500 }).withMessage('Description too long')
 ], async (req, res) => {
   try {
@@ -75,13 +110,13 @@ router.post('/upload', [
     const { category, description, relatedId } = req.body;
     const { originalname, mimetype, buffer, size } = req.file;
 
-    // Generate appropriate prefix based on category
-    let prefix = 'uploads';
     let fileKey = null;
+    let salesScript = null;
+    let importWarnings;
 
     try {
       switch (category) {
-        case 'sales-call':
+        case 'sales-call': {
           if (!relatedId) {
             return res.status(400).json({
               success: false,
@@ -98,8 +133,9 @@ router.post('/upload', [
           );
           fileKey = salesCallResult.fileKey;
           break;
+        }
 
-        case 'analytics':
+        case 'analytics': {
           if (!relatedId) {
             return res.status(400).json({
               success: false,
@@ -116,8 +152,9 @@ router.post('/upload', [
           );
           fileKey = analyticsResult.fileKey;
           break;
+        }
 
-        case 'profile':
+        case 'profile': {
           if (!relatedId) {
             return res.status(400).json({
               success: false,
@@ -134,8 +171,42 @@ router.post('/upload', [
           );
           fileKey = profileResult.fileKey;
           break;
+        }
+
+        case 'sales-script': {
+          // Parse before storing so unreadable documents are rejected up front
+          let parsedScript;
+          try {
+            parsedScript = await scriptImportService.parseDocument(buffer, mimetype, originalname);
+          } catch (parseError) {
+            logger.error('Sales script document parsing failed:', parseError);
+            return res.status(422).json({
+              success: false,
+              error: {
+                message: parseError.code ? parseError.message : 'Could not read the sales script document',
+                code: parseError.code || 'SCRIPT_DOCUMENT_PARSE_FAILED'
+              }
+            });
+          }
+
+          const scriptDocumentResult = await fileStorageService.uploadSalesScriptDocument(
+            buffer,
+            originalname,
+            req.user.organization_id
+          );
+          fileKey = scriptDocumentResult.fileKey;
+
+          salesScript = await scriptImportService.createDraft(parsedScript, {
+            organizationId: req.user.organization_id,
+            userId: req.user.id,
+            fileKey,
+            originalName: originalname
+          });
+          importWarnings = parsedScript.warnings;
+          break;
+        }
 
-        default:
+        default: {
           const generalResult = await fileStorageService.uploadFile(
             buffer, 
             originalname, 
@@ -143,6 +214,7 @@ router.post('/upload', [
             'general'
           );
           fileKey = generalResult.fileKey;
+        }
       }
 
       // Get file metadata
@@ -171,7 +243,8 @@ router.post('/upload', [
           description,
           relatedId,
           uploadedAt: new Date().toISOString(),
-          metadata
+          metadata,
+          ...(salesScript ? { salesScript, importWarnings } : {})
         }
       });
 
@@ -201,12 +274,17 @@ router.post('/upload', [
 
 /**
  * @route   POST /api/v1/files/upload-sales-call
- * @desc    Upload sales call recording file
+ * @desc    Upload a sales call recording and/or transcript file
+ *          Transcripts (Otter text, SRT, WebVTT or Otter JSON) are normalized, stored on the call and analyzed.
  * @access  Private (Sales representatives, managers)
  */
 router.post('/upload-sales-call', [
+  authenticateToken,
   requireRole(['sales_representative', 'sales_manager', 'admin']),
-  upload.single('recording'),
+  upload.fields([
+    { name: 'recording', maxCount: 1 },
+    { name: 'transcript', maxCount: 1 }
+  ]),
   body('salesCallId').isUUID().withMessage('Valid sales call ID is required'),
   body('description').optional().isLength({ max: 500 }).withMessage('Description too long')
 ], async (req, res) => {
@@ -224,21 +302,23 @@ router.post('/upload-sales-call', [
       });
     }
 
-    if (!req.file) {
+    const recordingFile = req.files?.recording?.[0];
+    const transcriptFile = req.files?.transcript?.[0];
+
+    if (!recordingFile && !transcriptFile) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'No recording file provided',
+          message: 'No recording or transcript file provided',
           code: 'NO_RECORDING_FILE'
         }
       });
     }
 
     const { salesCallId, description } = req.body;
-    const { originalname, mimetype, buffer, size } = req.file;
 
     // Validate file type (audio/video only)
-    if (!mimetype.startsWith('audio/') && !mimetype.startsWith('video/')) {
+    if (recordingFile && !recordingFile.mimetype.startsWith('audio/') && !recordingFile.mimetype.startsWith('video/')) {
       return res.status(400).json({
         success: false,
         error: {
@@ -248,36 +328,61 @@ router.post('/upload-sales-call', [
       });
     }
 
-    try {
-      const result = await fileStorageService.uploadSalesCallRecording(
-        buffer,
-        originalname,
-        salesCallId
-      );
+    const { SalesCall } = getModels();
+    const salesCall = await SalesCall.findOne({
+      where: { id: salesCallId, organization_id: req.user.organization_id }
+    });
 
-      // Log user activity if user is available
-      if (req.user && req.user.id) {
-        logger.logUserActivity(req.user.id, 'sales_call_recording_uploaded', {
-          salesCallId,
-          originalName: originalname,
-          fileKey: result.fileKey,
-          fileSize: size
-        });
-      }
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
 
-      res.status(201).json({
-        success: true,
-        message: 'Sales call recording uploaded successfully',
-        data: {
-          ...result,
-          salesCallId,
-          description
+    const transcript = transcriptFile
+      ? transcriptIngestionService.parse(transcriptFile.buffer, {
+        filename: transcriptFile.originalname,
+        mimetype: transcriptFile.mimetype,
+        redactionPolicy: await transcriptIngestionService.getRedactionPolicy(req.user.organization_id)
+      })
+      : null;
+
+    if (transcriptFile && !transcript) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Transcript file contains no readable transcript',
+          code: 'INVALID_TRANSCRIPT_FILE'
         }
       });
+    }
 
+    let recordingResult = null;
+    let transcriptResult = null;
+    try {
+      if (recordingFile) {
+        recordingResult = await fileStorageService.uploadSalesCallRecording(
+          recordingFile.buffer,
+          recordingFile.originalname,
+          salesCallId
+        );
+      }
+      if (transcriptFile) {
+        // With redaction on, the redacted transcript is stored instead of the uploaded original
+        const redacted = transcript.redaction.enabled;
+        transcriptResult = await fileStorageService.uploadSalesCallTranscript(
+          redacted ? Buffer.from(transcript.text, 'utf8') : transcriptFile.buffer,
+          redacted ? `${path.parse(transcriptFile.originalname).name}.txt` : transcriptFile.originalname,
+          salesCallId
+        );
+      }
     } catch (uploadError) {
       logger.error('Sales call recording upload failed:', uploadError);
-      res.status(500).json({
+      return res.status(500).json({
         success: false,
         error: {
           message: 'Recording upload failed',
@@ -287,6 +392,46 @@ router.post('/upload-sales-call', [
       });
     }
 
+    if (transcript) {
+      await transcriptIngestionService.attachToSalesCall(salesCall, transcript);
+
+      try {
+        await otterAIService.analyzeTranscriptText(salesCall.id);
+      } catch (analysisError) {
+        logger.error('Error analyzing uploaded transcript:', analysisError);
+        // The transcript is stored; analysis can be rerun with a re-analysis job
+      }
+    }
+
+    logger.logUserActivity(req.user.id, 'sales_call_recording_uploaded', {
+      salesCallId,
+      originalName: recordingFile ? recordingFile.originalname : null,
+      fileKey: recordingResult ? recordingResult.fileKey : null,
+      fileSize: recordingFile ? recordingFile.size : null,
+      transcriptFileKey: transcriptResult ? transcriptResult.fileKey : null,
+      transcriptFormat: transcript ? transcript.format : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: recordingFile
+        ? 'Sales call recording uploaded successfully'
+        : 'Sales call transcript uploaded successfully',
+      data: {
+        ...(recordingResult || {}),
+        salesCallId,
+        description,
+        transcript: transcript
+          ? {
+            ...transcriptResult,
+            format: transcript.format,
+            segmentCount: transcript.segments.length,
+            piiRedactions: transcript.redaction.counts
+          }
+          : null
+      }
+    });
+
   } catch (error) {
     logger.error('Sales call recording upload route error:', error);
     res.status(500).json({
@@ -0,0 +1,209 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { getSequelize } = require('../database/connection');
+const { authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      FollowUpTask: sequelize.models.FollowUpTask,
+      SalesCall: sequelize.models.SalesCall,
+      User: sequelize.models.User
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
+const MANAGER_ROLES = ['sales_manager', 'admin', 'super_admin'];
+
+const TASK_STATUSES = ['open', 'completed', 'dismissed'];
+
+const TASK_OWNERS = ['sales_representative', 'customer'];
+
+const MAX_TASKS_PER_PAGE = 100;
+
+/**
+ * @route   GET /api/v1/follow-up-tasks
+ * @desc    Get follow-up tasks detected in calls, soonest due first. Sales representatives see their
+ *          own tasks; managers see the organization's and can filter by salesRepresentativeId, or
+ *          with unassigned=true list the tasks of calls no rep could be resolved for.
+ *          Optional filters: status (open, completed, dismissed), salesCallId, owner
+ *          (sales_representative, customer), overdue=true, dueBefore (date)
+ * @access  Private (All authenticated users)
+ */
+router.get('/', [
+  authenticateToken,
+  query('dueBefore').optional().isISO8601().withMessage('Due before must be a valid date'),
+  query('salesCallId').optional().isUUID().withMessage('Sales call ID must be a UUID'),
+  query('salesRepresentativeId').optional().isUUID().withMessage('Sales representative ID must be a UUID'),
+  query('unassigned').optional().isBoolean().withMessage('Unassigned must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { status, salesCallId, owner, overdue, dueBefore, salesRepresentativeId, unassigned } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_TASKS_PER_PAGE);
+    const { FollowUpTask, SalesCall, User } = getModels();
+
+    const whereClause = { organization_id: req.user.organization_id };
+    if (!MANAGER_ROLES.includes(req.user.role)) {
+      whereClause.assigned_to = req.user.id;
+    } else if (salesRepresentativeId) {
+      whereClause.assigned_to = salesRepresentativeId;
+    } else if (unassigned === 'true') {
+      whereClause.assigned_to = null;
+    }
+    if (TASK_STATUSES.includes(status)) whereClause.status = status;
+    if (TASK_OWNERS.includes(owner)) whereClause.owner = owner;
+    if (salesCallId) whereClause.sales_call_id = salesCallId;
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (overdue === 'true') {
+      whereClause.status = 'open';
+      whereClause.due_date = { [Op.lt]: today };
+    } else if (dueBefore) {
+      whereClause.due_date = { [Op.lte]: dueBefore };
+    }
+
+    const tasks = await FollowUpTask.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: SalesCall,
+          as: 'salesCall',
+          attributes: ['id', 'customer_name', 'appointment_date', 'status', 'outcome']
+        },
+        {
+          model: User,
+          as: 'assignee',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ],
+      limit,
+      offset: (page - 1) * limit,
+      order: [['due_date', 'ASC NULLS LAST'], ['created_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tasks: tasks.rows,
+        pagination: {
+          page,
+          limit,
+          total: tasks.count,
+          pages: Math.ceil(tasks.count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching follow-up tasks:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch follow-up tasks',
+        code: 'FOLLOW_UP_TASKS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * Route handler changing a task's status; the assigned rep or a manager may change it
+ * @param {string} action - complete, dismiss or reopen (FollowUpTask instance methods)
+ * @param {string} activity - Activity logged for the user
+ */
+const changeTaskStatus = (action, activity) => async (req, res) => {
+  try {
+    const { FollowUpTask } = getModels();
+
+    const task = await FollowUpTask.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Follow-up task not found',
+          code: 'FOLLOW_UP_TASK_NOT_FOUND'
+        }
+      });
+    }
+
+    if (task.assigned_to !== req.user.id && !MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Only the assigned sales representative or a manager can change this task',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        }
+      });
+    }
+
+    await task[action]();
+
+    logger.logUserActivity(req.user.id, activity, {
+      taskId: task.id,
+      salesCallId: task.sales_call_id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    logger.error(`Error updating follow-up task (${action}):`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update follow-up task',
+        code: 'FOLLOW_UP_TASK_UPDATE_FAILED'
+      }
+    });
+  }
+};
+
+/**
+ * @route   POST /api/v1/follow-up-tasks/:id/complete
+ * @desc    Mark a follow-up task as done
+ * @access  Private (Assigned sales representative, Managers)
+ */
+router.post('/:id/complete', authenticateToken, changeTaskStatus('complete', 'follow_up_task_completed'));
+
+/**
+ * @route   POST /api/v1/follow-up-tasks/:id/dismiss
+ * @desc    Dismiss a follow-up task that is not needed (e.g. a misdetected commitment);
+ *          re-analyzing the call does not bring it back
+ * @access  Private (Assigned sales representative, Managers)
+ */
+router.post('/:id/dismiss', authenticateToken, changeTaskStatus('dismiss', 'follow_up_task_dismissed'));
+
+/**
+ * @route   POST /api/v1/follow-up-tasks/:id/reopen
+ * @desc    Reopen a completed or dismissed follow-up task
+ * @access  Private (Assigned sales representative, Managers)
+ */
+router.post('/:id/reopen', authenticateToken, changeTaskStatus('reopen', 'follow_up_task_reopened'));
+
+module.exports = router;
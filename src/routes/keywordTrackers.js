@@ -0,0 +1,311 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getSequelize } = require('../database/connection');
+const { requireRole, authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { TRACKER_SPEAKERS } = require('../utils/keywordTracker');
+const keywordTrackerService = require('../services/keywordTrackerService');
+
+const router = express.Router();
+
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      KeywordTracker: sequelize.models.KeywordTracker
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
+const MANAGER_ROLES = ['sales_manager', 'admin', 'super_admin'];
+
+const trackerValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().withMessage('Tracker name is required'),
+    field('phrases').custom((phrases) => {
+      if (!Array.isArray(phrases) || phrases.length === 0 || phrases.some(phrase => typeof phrase !== 'string')) {
+        throw new Error('Phrases must be a non-empty array of strings');
+      }
+      return true;
+    }),
+    body('speaker').optional().isIn(TRACKER_SPEAKERS).withMessage(`Speaker must be one of: ${TRACKER_SPEAKERS.join(', ')}`),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+  ];
+};
+
+const trackerNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Keyword tracker not found',
+    code: 'KEYWORD_TRACKER_NOT_FOUND'
+  }
+});
+
+/**
+ * @route   GET /api/v1/keyword-trackers
+ * @desc    Get the organization's keyword trackers
+ * @access  Private (All authenticated users)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { KeywordTracker } = getModels();
+    const trackers = await KeywordTracker.findByOrganization(req.user.organization_id);
+
+    res.status(200).json({
+      success: true,
+      data: trackers
+    });
+  } catch (error) {
+    logger.error('Error fetching keyword trackers:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch keyword trackers',
+        code: 'KEYWORD_TRACKERS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/keyword-trackers
+ * @desc    Create a keyword tracker; it is counted in calls analyzed from now on
+ *          (use POST /:id/backfill for earlier calls)
+ * @access  Private (Managers, Admins)
+ */
+router.post('/', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  ...trackerValidators(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { name, phrases, speaker, is_active } = req.body;
+    const { KeywordTracker } = getModels();
+
+    const tracker = await KeywordTracker.create({
+      organization_id: req.user.organization_id,
+      name,
+      phrases,
+      speaker,
+      is_active,
+      created_by: req.user.id
+    });
+
+    logger.logUserActivity(req.user.id, 'keyword_tracker_created', {
+      trackerId: tracker.id,
+      name: tracker.name
+    });
+
+    res.status(201).json({
+      success: true,
+      data: tracker
+    });
+  } catch (error) {
+    logger.error('Error creating keyword tracker:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create keyword tracker',
+        code: 'KEYWORD_TRACKER_CREATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/keyword-trackers/:id
+ * @desc    Update a keyword tracker
+ *          Existing hits are not recounted; use POST /:id/backfill after changing phrases or speaker.
+ * @access  Private (Managers, Admins)
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  ...trackerValidators(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { KeywordTracker } = getModels();
+    const tracker = await KeywordTracker.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!tracker) {
+      return trackerNotFound(res);
+    }
+
+    const allowedFields = ['name', 'phrases', 'speaker', 'is_active'];
+    const updates = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    await tracker.update(updates);
+
+    logger.logUserActivity(req.user.id, 'keyword_tracker_updated', {
+      trackerId: tracker.id,
+      fields: Object.keys(updates)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: tracker
+    });
+  } catch (error) {
+    logger.error('Error updating keyword tracker:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update keyword tracker',
+        code: 'KEYWORD_TRACKER_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/v1/keyword-trackers/:id
+ * @desc    Delete a keyword tracker and its recorded hits
+ * @access  Private (Managers, Admins)
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { KeywordTracker } = getModels();
+    const tracker = await KeywordTracker.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!tracker) {
+      return trackerNotFound(res);
+    }
+
+    await tracker.destroy();
+
+    logger.logUserActivity(req.user.id, 'keyword_tracker_deleted', {
+      trackerId: tracker.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Keyword tracker deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting keyword tracker:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete keyword tracker',
+        code: 'KEYWORD_TRACKER_DELETE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/keyword-trackers/:id/backfill
+ * @desc    Recount the tracker over the stored transcripts of earlier calls
+ *          Runs in the background; progress is reported on the tracker (backfill_status, backfilled_calls).
+ * @access  Private (Managers, Admins)
+ */
+router.post('/:id/backfill', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { KeywordTracker } = getModels();
+    const tracker = await KeywordTracker.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!tracker) {
+      return trackerNotFound(res);
+    }
+
+    if (tracker.backfill_status === 'running') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'A backfill is already running for this tracker',
+          code: 'KEYWORD_TRACKER_BACKFILL_RUNNING'
+        }
+      });
+    }
+
+    const { startDate, endDate } = req.body;
+    await tracker.update({ backfill_status: 'running', backfilled_calls: 0 });
+
+    // Run detached; backfill records its own failures on the tracker
+    keywordTrackerService.backfill(tracker.id, { startDate, endDate })
+      .catch(error => logger.error('Error running keyword tracker backfill:', error));
+
+    logger.logUserActivity(req.user.id, 'keyword_tracker_backfill_started', {
+      trackerId: tracker.id
+    });
+
+    res.status(202).json({
+      success: true,
+      data: tracker
+    });
+  } catch (error) {
+    logger.error('Error starting keyword tracker backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to start keyword tracker backfill',
+        code: 'KEYWORD_TRACKER_BACKFILL_FAILED'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { getSequelize } = require('../database/connection');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 const emailService = require('../services/emailService');
+const coachingService = require('../services/coachingService');
 
 const router = express.Router();
 
@@ -146,6 +147,69 @@ router.put('/:id/read', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/v1/notifications/:id/dismiss
+ * @desc    Dismiss a coaching tip: marks the notification as read and stops sending the tip
+ * @access  Private (All authenticated users)
+ */
+router.put('/:id/dismiss', authenticateToken, async (req, res) => {
+  try {
+    const { Notification, User } = getModels();
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const notification = await Notification.findOne({
+      where: { id, user_id: userId }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Notification not found',
+          code: 'NOTIFICATION_NOT_FOUND'
+        }
+      });
+    }
+
+    if (notification.type !== 'coaching_tip' || !notification.data?.tipId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only coaching tips can be dismissed',
+          code: 'NOT_A_COACHING_TIP'
+        }
+      });
+    }
+
+    const user = await User.findByPk(userId);
+    const dismissedTips = await coachingService.dismissTip(user, notification.data.tipId);
+    await notification.markAsRead();
+
+    logger.logUserActivity(userId, 'coaching_tip_dismissed', {
+      notificationId: notification.id,
+      tipId: notification.data.tipId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notification,
+        dismissedTips
+      }
+    });
+  } catch (error) {
+    logger.error('Error dismissing coaching tip:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to dismiss coaching tip',
+        code: 'COACHING_TIP_DISMISS_FAILED'
+      }
+    });
+  }
+});
+
 /**
  * @route   PUT /api/v1/notifications/read-all
  * @desc    Mark all notifications as read
@@ -334,6 +398,7 @@ router.get('/organization', [
   try {
     const { page = 1, limit = 20, type, status } = req.query;
     const organization_id = req.user.organization_id;
+    const { Notification, User } = getModels();
 
     const whereClause = { organization_id };
     if (type) whereClause.type = type;
@@ -405,6 +470,7 @@ router.post('/send-email', [
 
     const { userId, subject, message } = req.body;
     const organization_id = req.user.organization_id;
+    const { Notification, User } = getModels();
 
     // Find user
     const user = await User.findOne({
@@ -0,0 +1,325 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getSequelize } = require('../database/connection');
+const { requireRole, authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { OBJECTION_CATEGORIES, getDefaultObjections } = require('../utils/objectionDetector');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage } = require('../utils/languageDetector');
+
+const router = express.Router();
+
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      Objection: sequelize.models.Objection
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
+const MANAGER_ROLES = ['sales_manager', 'admin', 'super_admin'];
+
+// express-validator custom check for trigger phrase and rebuttal lists
+const phraseListValidator = (label) => (phrases) => {
+  if (!Array.isArray(phrases) || phrases.some(phrase => typeof phrase !== 'string')) {
+    throw new Error(`${label} must be an array of strings`);
+  }
+  return true;
+};
+
+const objectionValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().withMessage('Objection name is required'),
+    field('category').isIn(OBJECTION_CATEGORIES).withMessage(`Category must be one of: ${OBJECTION_CATEGORIES.join(', ')}`),
+    field('trigger_phrases').custom(phraseListValidator('Trigger phrases')),
+    body('rebuttals').optional().custom(phraseListValidator('Rebuttals')),
+    body('response_window').optional().isInt({ min: 1, max: 10 }).withMessage('Response window must be between 1 and 10 turns'),
+    body('language').optional().isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+  ];
+};
+
+const objectionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Objection not found',
+    code: 'OBJECTION_NOT_FOUND'
+  }
+});
+
+/**
+ * @route   GET /api/v1/objections
+ * @desc    Get the organization's objection library for a language (?language=, default en)
+ *          Organizations without objections of their own in the language are analyzed with the
+ *          language's default library, which is returned with usingDefaults set.
+ * @access  Private (All authenticated users)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { category } = req.query;
+    const language = normalizeLanguage(req.query.language) || DEFAULT_LANGUAGE;
+    const { Objection } = getModels();
+
+    const objections = await Objection.findByOrganization(req.user.organization_id, {
+      where: { organization_id: req.user.organization_id, language }
+    });
+    const usingDefaults = objections.length === 0;
+    const library = usingDefaults ? getDefaultObjections(language) : objections;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        usingDefaults,
+        language,
+        languages: SUPPORTED_LANGUAGES,
+        categories: OBJECTION_CATEGORIES,
+        objections: category ? library.filter(objection => objection.category === category) : library
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching objections:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch objections',
+        code: 'OBJECTIONS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/objections
+ * @desc    Add an objection to the organization's library
+ * @access  Private (Managers, Admins)
+ */
+router.post('/', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  ...objectionValidators(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { category, name, trigger_phrases, rebuttals, response_window, language, is_active } = req.body;
+    const { Objection } = getModels();
+
+    const objection = await Objection.create({
+      organization_id: req.user.organization_id,
+      category,
+      name,
+      trigger_phrases,
+      rebuttals: rebuttals || [],
+      response_window,
+      language,
+      is_active,
+      created_by: req.user.id
+    });
+
+    logger.logUserActivity(req.user.id, 'objection_created', {
+      objectionId: objection.id,
+      category: objection.category
+    });
+
+    res.status(201).json({
+      success: true,
+      data: objection
+    });
+  } catch (error) {
+    logger.error('Error creating objection:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create objection',
+        code: 'OBJECTION_CREATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/objections/import-defaults
+ * @desc    Copy the default objection library of a language (body language, default en) into the
+ *          organization so it can be edited
+ * @access  Private (Managers, Admins)
+ */
+router.post('/import-defaults', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  body('language').optional().isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const organizationId = req.user.organization_id;
+    const language = req.body.language || DEFAULT_LANGUAGE;
+    const { Objection } = getModels();
+
+    const existing = await Objection.findByOrganization(organizationId, {
+      where: { organization_id: organizationId, language }
+    });
+    const existingNames = new Set(existing.map(objection => objection.name.toLowerCase()));
+    const missing = getDefaultObjections(language).filter(objection => !existingNames.has(objection.name.toLowerCase()));
+
+    const created = await Objection.bulkCreate(missing.map(objection => ({
+      ...objection,
+      language,
+      organization_id: organizationId,
+      created_by: req.user.id
+    })));
+
+    logger.logUserActivity(req.user.id, 'objection_defaults_imported', {
+      organizationId,
+      language,
+      imported: created.length
+    });
+
+    res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (error) {
+    logger.error('Error importing default objections:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to import default objections',
+        code: 'OBJECTION_IMPORT_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/objections/:id
+ * @desc    Update an objection
+ * @access  Private (Managers, Admins)
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  ...objectionValidators(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { Objection } = getModels();
+    const objection = await Objection.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!objection) {
+      return objectionNotFound(res);
+    }
+
+    const allowedFields = ['category', 'name', 'trigger_phrases', 'rebuttals', 'response_window', 'language', 'is_active'];
+    const updates = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    await objection.update(updates);
+
+    logger.logUserActivity(req.user.id, 'objection_updated', {
+      objectionId: objection.id,
+      fields: Object.keys(updates)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: objection
+    });
+  } catch (error) {
+    logger.error('Error updating objection:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update objection',
+        code: 'OBJECTION_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/v1/objections/:id
+ * @desc    Remove an objection from the library
+ * @access  Private (Managers, Admins)
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { Objection } = getModels();
+    const objection = await Objection.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!objection) {
+      return objectionNotFound(res);
+    }
+
+    await objection.destroy();
+
+    logger.logUserActivity(req.user.id, 'objection_deleted', {
+      objectionId: objection.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Objection deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting objection:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete objection',
+        code: 'OBJECTION_DELETE_FAILED'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,11 @@ const { body, validationResult } = require('express-validator');
 const { getSequelize } = require('../database/connection');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { DEFAULT_THRESHOLD, DEFAULT_SYNONYM_GROUPS, PhraseMatcher } = require('../utils/phraseMatcher');
+const { SCORING_COMPONENTS, normalizeScoringRubric, validateScoringRubric } = require('../utils/scoringRubric');
+const { PII_TYPES, normalizeRedactionPolicy } = require('../utils/piiRedactor');
+const { COACHING_WEAKNESSES, normalizeCoachingTips, validateCoachingTips } = require('../utils/coachingTips');
+const otterAIService = require('../services/otterAIService');
 
 const router = express.Router();
 
@@ -12,7 +17,8 @@ const getModels = () => {
     const sequelize = getSequelize();
     return {
       Organization: sequelize.models.Organization,
-      User: sequelize.models.User
+      User: sequelize.models.User,
+      SalesCall: sequelize.models.SalesCall
     };
   } catch (error) {
     logger.error('Failed to get models:', error);
@@ -20,6 +26,33 @@ const getModels = () => {
   }
 };
 
+// express-validator custom check for scoring rubrics
+const scoringRubricValidator = (rubric) => {
+  const rubricErrors = validateScoringRubric(rubric);
+  if (rubricErrors.length > 0) {
+    throw new Error(rubricErrors.join('; '));
+  }
+  return true;
+};
+
+// express-validator custom check for analyzer settings
+const analyzerSettingsValidator = (settings) => {
+  const settingsErrors = otterAIService.analyzers.validateSettings(settings);
+  if (settingsErrors.length > 0) {
+    throw new Error(settingsErrors.join('; '));
+  }
+  return true;
+};
+
+// express-validator custom check for an organization's coaching tips
+const coachingTipsValidator = (tips) => {
+  const tipErrors = validateCoachingTips(tips);
+  if (tipErrors.length > 0) {
+    throw new Error(tipErrors.join('; '));
+  }
+  return true;
+};
+
 /**
  * @route   GET /api/v1/organizations
  * @desc    Get all organizations (for super admins)
@@ -411,4 +444,792 @@ router.get('/:id/stats', [
   }
 });
 
+/**
+ * @route   GET /api/v1/organizations/:id/phrase-matching
+ * @desc    Get phrase matching settings used for script compliance
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.get('/:id/phrase-matching', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin'])
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    const phraseMatching = organization.settings?.phraseMatching || {};
+
+    res.status(200).json({
+      success: true,
+      data: {
+        threshold: phraseMatching.threshold ?? DEFAULT_THRESHOLD,
+        synonyms: phraseMatching.synonyms || [],
+        defaultSynonyms: DEFAULT_SYNONYM_GROUPS
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching phrase matching settings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch phrase matching settings',
+        code: 'PHRASE_MATCHING_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/organizations/:id/phrase-matching
+ * @desc    Update synonyms and match threshold used for script compliance
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.put('/:id/phrase-matching', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin']),
+  body('threshold').optional().isFloat({ gt: 0, max: 1 }).withMessage('Threshold must be greater than 0 and at most 1'),
+  body('synonyms').optional().isArray().withMessage('Synonyms must be an array of word groups'),
+  body('synonyms.*').optional().isArray({ min: 2 }).withMessage('Each synonym group needs at least two entries'),
+  body('synonyms.*.*').optional().isString().trim().notEmpty().withMessage('Synonyms must be non-empty strings')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    const current = organization.settings?.phraseMatching || {};
+    const phraseMatching = {
+      threshold: req.body.threshold !== undefined ? Number(req.body.threshold) : current.threshold,
+      synonyms: req.body.synonyms !== undefined ? PhraseMatcher.toSynonymGroups(req.body.synonyms) : current.synonyms
+    };
+
+    // Reassign settings so Sequelize detects the JSONB change
+    await organization.update({
+      settings: { ...(organization.settings || {}), phraseMatching }
+    });
+
+    logger.logUserActivity(req.user.id, 'phrase_matching_updated', {
+      organizationId: organization.id,
+      threshold: phraseMatching.threshold,
+      synonymGroups: (phraseMatching.synonyms || []).length
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        threshold: phraseMatching.threshold ?? DEFAULT_THRESHOLD,
+        synonyms: phraseMatching.synonyms || []
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating phrase matching settings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update phrase matching settings',
+        code: 'PHRASE_MATCHING_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/organizations/:id/pii-redaction
+ * @desc    Get the PII redaction policy applied to incoming transcripts
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.get('/:id/pii-redaction', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin'])
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...normalizeRedactionPolicy(organization.settings?.piiRedaction),
+        availableTypes: PII_TYPES
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching PII redaction policy:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch PII redaction policy',
+        code: 'PII_REDACTION_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/organizations/:id/pii-redaction
+ * @desc    Update the PII redaction policy; applies to transcripts received from now on
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.put('/:id/pii-redaction', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin']),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean(),
+  body('types').optional().isArray().withMessage('Types must be an array'),
+  body('types.*').optional().isIn(PII_TYPES).withMessage(`Types must be among: ${PII_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    const current = normalizeRedactionPolicy(organization.settings?.piiRedaction);
+    const piiRedaction = normalizeRedactionPolicy({
+      enabled: req.body.enabled !== undefined ? req.body.enabled : current.enabled,
+      types: req.body.types !== undefined ? req.body.types : current.types
+    });
+
+    // Reassign settings so Sequelize detects the JSONB change
+    await organization.update({
+      settings: { ...(organization.settings || {}), piiRedaction }
+    });
+
+    logger.logUserActivity(req.user.id, 'pii_redaction_updated', {
+      organizationId: organization.id,
+      enabled: piiRedaction.enabled,
+      types: piiRedaction.types
+    });
+
+    res.status(200).json({
+      success: true,
+      data: piiRedaction
+    });
+  } catch (error) {
+    logger.error('Error updating PII redaction policy:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update PII redaction policy',
+        code: 'PII_REDACTION_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/organizations/:id/analyzers
+ * @desc    Get the analyzers of the analysis pipeline and whether they run for the organization
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.get('/:id/analyzers', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin'])
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        analyzers: otterAIService.analyzers.describe(organization.settings?.analyzers)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching analyzer settings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch analyzer settings',
+        code: 'ANALYZER_SETTINGS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/organizations/:id/analyzers
+ * @desc    Enable or disable analyzers and set their options, e.g.
+ *          { "disclosures": { "enabled": true, "options": { ... } } }
+ *          Analyzers left out keep their current settings.
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.put('/:id/analyzers', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin']),
+  body().custom(analyzerSettingsValidator)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    const analyzers = { ...(organization.settings?.analyzers || {}) };
+    Object.entries(req.body).forEach(([name, entry]) => {
+      analyzers[name] = {
+        ...(analyzers[name] || {}),
+        ...(entry.enabled !== undefined ? { enabled: entry.enabled } : {}),
+        ...(entry.options !== undefined ? { options: entry.options } : {})
+      };
+    });
+
+    // Reassign settings so Sequelize detects the JSONB change
+    await organization.update({
+      settings: { ...(organization.settings || {}), analyzers }
+    });
+
+    logger.logUserActivity(req.user.id, 'analyzer_settings_updated', {
+      organizationId: organization.id,
+      analyzers: Object.keys(req.body)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        analyzers: otterAIService.analyzers.describe(analyzers)
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating analyzer settings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update analyzer settings',
+        code: 'ANALYZER_SETTINGS_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/organizations/:id/scoring-rubric
+ * @desc    Get the rubric that weights the call performance score
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.get('/:id/scoring-rubric', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin'])
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rubric: normalizeScoringRubric(organization.settings?.scoringRubric),
+        isDefault: !organization.settings?.scoringRubric,
+        components: SCORING_COMPONENTS
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching scoring rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch scoring rubric',
+        code: 'SCORING_RUBRIC_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/organizations/:id/scoring-rubric
+ * @desc    Update component weights, enabled components and strength/weakness thresholds
+ *          Applies to calls analyzed from now on; existing scores are not recalculated.
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.put('/:id/scoring-rubric', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin']),
+  body().custom(scoringRubricValidator)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    const scoringRubric = normalizeScoringRubric(req.body);
+
+    // Reassign settings so Sequelize detects the JSONB change
+    await organization.update({
+      settings: { ...(organization.settings || {}), scoringRubric }
+    });
+
+    logger.logUserActivity(req.user.id, 'scoring_rubric_updated', {
+      organizationId: organization.id,
+      enabledComponents: Object.keys(scoringRubric.components).filter(key => scoringRubric.components[key].enabled)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rubric: scoringRubric,
+        isDefault: false,
+        components: SCORING_COMPONENTS
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating scoring rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update scoring rubric',
+        code: 'SCORING_RUBRIC_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/organizations/:id/scoring-rubric/preview
+ * @desc    Score an analyzed sample call with a rubric without saving the rubric
+ *          Falls back to the saved rubric when none is submitted.
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.post('/:id/scoring-rubric/preview', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin']),
+  body('salesCallId').isUUID().withMessage('A sample sales call ID is required'),
+  body('rubric').optional().custom(scoringRubricValidator)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { salesCallId, rubric } = req.body;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const { Organization, SalesCall } = getModels();
+    const organization = await Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    const salesCall = await SalesCall.findOne({
+      where: { id: salesCallId, organization_id: id }
+    });
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    const previewRubric = normalizeScoringRubric(rubric || organization.settings?.scoringRubric);
+    const preview = otterAIService.rescoreStoredAnalysis(salesCall, previewRubric);
+
+    if (!preview) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          message: 'The sample call has not been analyzed yet',
+          code: 'SALES_CALL_NOT_ANALYZED'
+        }
+      });
+    }
+
+    // Score with the saved rubric for comparison
+    const current = otterAIService.rescoreStoredAnalysis(salesCall, organization.settings?.scoringRubric);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesCallId: salesCall.id,
+        rubric: previewRubric,
+        storedPerformanceScore: salesCall.performance_score !== null ? parseFloat(salesCall.performance_score) : null,
+        currentRubricScore: current.score,
+        previewScore: preview.score,
+        breakdown: preview.breakdown,
+        strengths: preview.strengths,
+        weaknesses: preview.weaknesses
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing scoring rubric:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to preview scoring rubric',
+        code: 'SCORING_RUBRIC_PREVIEW_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/organizations/:id/coaching-tips
+ * @desc    Get the coaching tip library: the built-in tips merged with the organization's own
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.get('/:id/coaching-tips', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin'])
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tips: normalizeCoachingTips(organization.settings?.coachingTips),
+        customTips: organization.settings?.coachingTips || [],
+        weaknesses: COACHING_WEAKNESSES
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching coaching tips:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch coaching tips',
+        code: 'COACHING_TIPS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/organizations/:id/coaching-tips
+ * @desc    Replace the organization's own coaching tips
+ *          An entry with a built-in ID replaces that tip; enabled: false switches it off.
+ * @access  Private (Super Admins, Organization Admins)
+ */
+router.put('/:id/coaching-tips', [
+  authenticateToken,
+  requireRole(['super_admin', 'admin']),
+  body('tips').custom(coachingTipsValidator)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+
+    if (req.user.role !== 'super_admin' && req.user.organization_id !== id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied',
+          code: 'ACCESS_DENIED'
+        }
+      });
+    }
+
+    const organization = await getModels().Organization.findByPk(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Organization not found',
+          code: 'ORGANIZATION_NOT_FOUND'
+        }
+      });
+    }
+
+    const coachingTips = req.body.tips.map(({ id: tipId, title, tip, enabled }) => ({
+      id: tipId.trim(),
+      ...(title !== undefined ? { title } : {}),
+      ...(tip !== undefined ? { tip } : {}),
+      enabled: enabled !== false
+    }));
+
+    // Reassign settings so Sequelize detects the JSONB change
+    await organization.update({
+      settings: { ...(organization.settings || {}), coachingTips }
+    });
+
+    logger.logUserActivity(req.user.id, 'coaching_tips_updated', {
+      organizationId: organization.id,
+      customTips: coachingTips.length
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tips: normalizeCoachingTips(coachingTips),
+        customTips: coachingTips,
+        weaknesses: COACHING_WEAKNESSES
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating coaching tips:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update coaching tips',
+        code: 'COACHING_TIPS_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
 module.exports = router;
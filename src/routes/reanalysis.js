@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getSequelize } = require('../database/connection');
+const { requireRole, authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const reanalysisService = require('../services/reanalysisService');
+
+const router = express.Router();
+
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      ReanalysisJob: sequelize.models.ReanalysisJob
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
+const MANAGER_ROLES = ['sales_manager', 'admin', 'super_admin'];
+
+const jobNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Reanalysis job not found',
+    code: 'REANALYSIS_JOB_NOT_FOUND'
+  }
+});
+
+/**
+ * @route   POST /api/v1/reanalysis-jobs
+ * @desc    Re-analyze historical sales calls from their stored transcripts with the current
+ *          scripts and scoring rubric. The job runs in the background; poll GET /:id for progress.
+ * @access  Private (Managers, Admins)
+ */
+router.post('/', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('salesRepresentativeId').optional().isUUID().withMessage('Sales representative ID must be a UUID'),
+  body('experimentId').optional().isUUID().withMessage('Experiment ID must be a UUID'),
+  body('salesCallIds').optional().isArray({ min: 1 }).withMessage('Sales call IDs must be a non-empty array'),
+  body('salesCallIds.*').optional().isUUID().withMessage('Sales call IDs must be UUIDs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const organizationId = req.user.organization_id;
+    const { ReanalysisJob } = getModels();
+
+    const activeJob = await ReanalysisJob.findActive(organizationId);
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'A reanalysis job is already running for this organization',
+          code: 'REANALYSIS_JOB_ACTIVE',
+          jobId: activeJob.id
+        }
+      });
+    }
+
+    const { startDate, endDate, salesRepresentativeId, experimentId, salesCallIds } = req.body;
+    const filters = { startDate, endDate, salesRepresentativeId, experimentId, salesCallIds };
+    Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
+
+    const job = await reanalysisService.createJob(organizationId, filters, req.user.id);
+
+    // Run detached; runJob records its own failures on the job
+    reanalysisService.runJob(job.id).catch(error => logger.error('Error running reanalysis job:', error));
+
+    logger.logUserActivity(req.user.id, 'reanalysis_job_started', {
+      jobId: job.id,
+      totalCalls: job.total_calls,
+      filters
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error starting reanalysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to start reanalysis job',
+        code: 'REANALYSIS_JOB_CREATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/reanalysis-jobs
+ * @desc    Get the organization's reanalysis jobs, newest first
+ * @access  Private (Managers, Admins)
+ */
+router.get('/', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const { ReanalysisJob } = getModels();
+
+    const jobs = await ReanalysisJob.findByOrganization(req.user.organization_id, {
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    logger.error('Error fetching reanalysis jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch reanalysis jobs',
+        code: 'REANALYSIS_JOBS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/reanalysis-jobs/:id
+ * @desc    Get a reanalysis job with its progress
+ * @access  Private (Managers, Admins)
+ */
+router.get('/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { ReanalysisJob } = getModels();
+    const job = await ReanalysisJob.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error fetching reanalysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch reanalysis job',
+        code: 'REANALYSIS_JOB_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/reanalysis-jobs/:id/cancel
+ * @desc    Cancel a queued or running reanalysis job
+ *          Calls already re-analyzed keep their new scores.
+ * @access  Private (Managers, Admins)
+ */
+router.post('/:id/cancel', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { ReanalysisJob } = getModels();
+    const job = await ReanalysisJob.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!job) {
+      return jobNotFound(res);
+    }
+
+    if (!job.isActive()) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Reanalysis job is already ${job.status}`,
+          code: 'REANALYSIS_JOB_NOT_ACTIVE'
+        }
+      });
+    }
+
+    await job.update({ status: 'cancelled', completed_at: new Date() });
+
+    logger.logUserActivity(req.user.id, 'reanalysis_job_cancelled', {
+      jobId: job.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error cancelling reanalysis job:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to cancel reanalysis job',
+        code: 'REANALYSIS_JOB_CANCEL_FAILED'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { body, query, validationResult } = require('express-validator');
 const { getSequelize } = require('../database/connection');
-const { requireRole, requireManagerAccess, authenticateToken } = require('../middleware/auth');
+const { requireRole, authenticateToken } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { attachEvidence } = require('../utils/findingEvidence');
+const { SUPPORTED_LANGUAGES } = require('../utils/languageDetector');
+const callSearchService = require('../services/callSearchService');
+const otterAIService = require('../services/otterAIService');
 
 const router = express.Router();
 
@@ -13,7 +18,12 @@ const getModels = () => {
     return {
       SalesCall: sequelize.models.SalesCall,
       User: sequelize.models.User,
-      Organization: sequelize.models.Organization
+      Organization: sequelize.models.Organization,
+      ScoreHistory: sequelize.models.ScoreHistory,
+      CallTrackerHit: sequelize.models.CallTrackerHit,
+      KeywordTracker: sequelize.models.KeywordTracker,
+      TranscriptSegment: sequelize.models.TranscriptSegment,
+      CallComment: sequelize.models.CallComment
     };
   } catch (error) {
     logger.error('Failed to get models:', error);
@@ -21,20 +31,54 @@ const getModels = () => {
   }
 };
 
+const MANAGER_ROLES = ['sales_manager', 'admin', 'super_admin'];
+
+const SEGMENT_SPEAKER_ROLES = ['sales_representative', 'customer'];
+
+const MAX_SEGMENTS_PER_PAGE = 200;
+
+const MAX_SEGMENT_QUERY_LENGTH = 200;
+
+/**
+ * Escape LIKE wildcards so a text filter matches literally
+ */
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+const MAX_SEARCH_RESULTS_PER_PAGE = 50;
+
 /**
  * @route   GET /api/v1/sales-calls
  * @desc    Get all sales calls for organization
+ *          trackerId limits the list to calls mentioning a keyword tracker (at least minTrackerHits times)
  * @access  Private (All authenticated users)
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', [
+  authenticateToken,
+  query('trackerId').optional().isUUID().withMessage('Tracker ID must be a UUID'),
+  query('minTrackerHits').optional().isInt({ min: 1 }).withMessage('Minimum tracker hits must be a positive integer')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, outcome, salesRepresentativeId, startDate, endDate } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { page = 1, limit = 10, status, outcome, language, salesRepresentativeId, startDate, endDate, trackerId, minTrackerHits } = req.query;
     const organizationId = req.user.organization_id;
-    const { SalesCall, User } = getModels();
+    const { SalesCall, User, CallTrackerHit } = getModels();
 
     const whereClause = { organization_id: organizationId };
     if (status) whereClause.status = status;
     if (outcome) whereClause.outcome = outcome;
+    if (language) whereClause.language = language;
     if (salesRepresentativeId) whereClause.sales_representative_id = salesRepresentativeId;
     if (startDate && endDate) {
       whereClause.appointment_date = {
@@ -54,8 +98,19 @@ router.get('/', authenticateToken, async (req, res) => {
           model: User,
           as: 'manager',
           attributes: ['id', 'first_name', 'last_name', 'email']
-        }
+        },
+        ...(trackerId ? [{
+          model: CallTrackerHit,
+          as: 'trackerHits',
+          attributes: ['keyword_tracker_id', 'hit_count', 'hits'],
+          where: {
+            keyword_tracker_id: trackerId,
+            hit_count: { [require('sequelize').Op.gte]: Math.max(1, parseInt(minTrackerHits) || 1) }
+          },
+          required: true
+        }] : [])
       ],
+      distinct: true,
       limit: parseInt(limit),
       offset: (parseInt(page) - 1) * parseInt(limit),
       order: [['appointment_date', 'DESC']]
@@ -91,6 +146,80 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/v1/sales-calls/search
+ * @desc    Full-text search over call transcripts and notes within the organization
+ *          q uses web search syntax: "exact phrase", OR, -excluded (AND / NOT also accepted).
+ *          Filters: salesRepresentativeId, startDate, endDate, outcome, minScore, maxScore and
+ *          speaker (sales_representative, customer) to require the match in that speaker's words.
+ * @access  Private (All authenticated users)
+ */
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const { q, salesRepresentativeId, startDate, endDate, outcome, minScore, maxScore, speaker } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_SEARCH_RESULTS_PER_PAGE);
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Search query (q) is required',
+          code: 'SEARCH_QUERY_REQUIRED'
+        }
+      });
+    }
+
+    const invalidDate = [startDate, endDate].some(value => value && Number.isNaN(new Date(value).getTime()));
+    const invalidScore = [minScore, maxScore].some(value => value !== undefined && !Number.isFinite(parseFloat(value)));
+    if (invalidDate || invalidScore) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Dates must be valid dates and scores must be numbers',
+          code: 'VALIDATION_ERROR'
+        }
+      });
+    }
+
+    const { results, total } = await callSearchService.search(req.user.organization_id, {
+      q: String(q),
+      salesRepresentativeId,
+      startDate,
+      endDate,
+      outcome,
+      minScore: minScore !== undefined ? parseFloat(minScore) : undefined,
+      maxScore: maxScore !== undefined ? parseFloat(maxScore) : undefined,
+      speaker,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: q,
+        results,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error searching sales calls:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to search sales calls',
+        code: 'SALES_CALL_SEARCH_FAILED'
+      }
+    });
+  }
+});
+
 /**
  * @route   GET /api/v1/sales-calls/:id
  * @desc    Get sales call by ID
@@ -100,7 +229,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const organizationId = req.user.organization_id;
-    const { SalesCall, User } = getModels();
+    const { SalesCall, User, CallTrackerHit, KeywordTracker } = getModels();
 
     const salesCall = await SalesCall.findOne({
       where: { id, organization_id: organizationId },
@@ -114,6 +243,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
           model: User,
           as: 'manager',
           attributes: ['id', 'first_name', 'last_name', 'email']
+        },
+        {
+          model: CallTrackerHit,
+          as: 'trackerHits',
+          attributes: ['keyword_tracker_id', 'hit_count', 'hits'],
+          include: [
+            {
+              model: KeywordTracker,
+              as: 'tracker',
+              attributes: ['id', 'name', 'speaker']
+            }
+          ]
         }
       ]
     });
@@ -134,7 +275,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: salesCall
+      data: {
+        ...salesCall.toJSON(),
+        // Strengths, weaknesses and recommendations with the transcript evidence behind them
+        findings: attachEvidence(salesCall)
+      }
     });
   } catch (error) {
     logger.error('Error fetching sales call:', error);
@@ -148,6 +293,482 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/v1/sales-calls/:id/sentiment
+ * @desc    Get the customer sentiment timeline of an analyzed sales call
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id/sentiment', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user.organization_id;
+    const { SalesCall } = getModels();
+
+    const salesCall = await SalesCall.findOne({
+      where: { id, organization_id: organizationId },
+      attributes: ['id', 'customer_sentiment', 'duration', 'analysis_data']
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    // Recording analysis and Zapier transcript analysis store their results in different places
+    const analysisData = salesCall.analysis_data || {};
+    const sentimentAnalysis = analysisData.detailedAnalysis?.sentimentAnalysis
+      || analysisData.transcriptAnalysis?.sentimentAnalysis;
+
+    if (!sentimentAnalysis?.timeline) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'No sentiment timeline is available for this sales call',
+          code: 'SENTIMENT_NOT_AVAILABLE'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesCallId: salesCall.id,
+        customerSentiment: salesCall.customer_sentiment,
+        duration: salesCall.duration,
+        source: sentimentAnalysis.source,
+        trajectory: sentimentAnalysis.trajectory,
+        timeline: sentimentAnalysis.timeline
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching sales call sentiment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch sales call sentiment',
+        code: 'SALES_CALL_SENTIMENT_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/sales-calls/:id/summary/regenerate
+ * @desc    Rebuild the extractive summary and highlights of a sales call from its transcript
+ * @access  Private (Sales representatives, managers, admins)
+ */
+router.post('/:id/summary/regenerate', [
+  authenticateToken,
+  requireRole(['sales_representative', 'sales_manager', 'admin', 'super_admin'])
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user.organization_id;
+    const { SalesCall } = getModels();
+
+    const salesCall = await SalesCall.findOne({
+      where: { id, organization_id: organizationId },
+      attributes: ['id']
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    const updatedCall = await otterAIService.regenerateSummary(salesCall.id);
+
+    if (!updatedCall) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Sales call has no transcript to summarize',
+          code: 'TRANSCRIPT_NOT_AVAILABLE'
+        }
+      });
+    }
+
+    logger.logUserActivity(req.user.id, 'sales_call_summary_regenerated', { salesCallId: salesCall.id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesCallId: updatedCall.id,
+        summary: updatedCall.summary,
+        highlights: updatedCall.summary_highlights,
+        generatedAt: updatedCall.summary_generated_at
+      }
+    });
+  } catch (error) {
+    logger.error('Error regenerating sales call summary:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to regenerate sales call summary',
+        code: 'SALES_CALL_SUMMARY_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-calls/:id/score-history
+ * @desc    Get every score a sales call has had, newest first, with the scoring rubric and
+ *          script revisions that produced it
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id/score-history', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user.organization_id;
+    const { SalesCall, ScoreHistory } = getModels();
+
+    const salesCall = await SalesCall.findOne({
+      where: { id, organization_id: organizationId },
+      attributes: ['id', 'performance_score', 'script_compliance']
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    const history = await ScoreHistory.findBySalesCall(salesCall.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesCallId: salesCall.id,
+        currentScore: salesCall.performance_score,
+        currentScriptCompliance: salesCall.script_compliance,
+        history
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching sales call score history:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch sales call score history',
+        code: 'SCORE_HISTORY_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-calls/:id/segments
+ * @desc    Page through a call's transcript segments in order
+ *          Optional filters: speaker (sales_representative, customer), from / to (seconds), q (literal text)
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id/segments', [
+  authenticateToken,
+  query('q').optional().isString().trim()
+    .isLength({ min: 1, max: MAX_SEGMENT_QUERY_LENGTH })
+    .withMessage(`Search text must be 1-${MAX_SEGMENT_QUERY_LENGTH} characters`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { speaker, from, to, q } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_SEGMENTS_PER_PAGE);
+    const organizationId = req.user.organization_id;
+    const { SalesCall, TranscriptSegment } = getModels();
+
+    const salesCall = await SalesCall.findOne({
+      where: { id, organization_id: organizationId },
+      attributes: ['id', 'transcript_format']
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    const whereClause = { sales_call_id: salesCall.id };
+    if (SEGMENT_SPEAKER_ROLES.includes(speaker)) whereClause.speaker_role = speaker;
+    if (q) whereClause.text = { [Op.iLike]: `%${escapeLikePattern(q)}%` };
+    // A segment is in range when it overlaps [from, to] (seconds)
+    if (Number.isFinite(parseFloat(from))) {
+      whereClause[Op.or] = [{ end_time: { [Op.gte]: parseFloat(from) } }, { end_time: null }];
+    }
+    if (Number.isFinite(parseFloat(to))) whereClause.start_time = { [Op.lte]: parseFloat(to) };
+
+    const segments = await TranscriptSegment.findAndCountAll({
+      where: whereClause,
+      attributes: ['id', 'position', 'speaker', 'speaker_role', 'start_time', 'end_time', 'text'],
+      order: [['position', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesCallId: salesCall.id,
+        transcriptFormat: salesCall.transcript_format,
+        segments: segments.rows,
+        pagination: {
+          page,
+          limit,
+          total: segments.count,
+          pages: Math.ceil(segments.count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching transcript segments:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch transcript segments',
+        code: 'TRANSCRIPT_SEGMENTS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-calls/:id/comments
+ * @desc    Get the comments on a sales call, oldest first, with the segment each is anchored to
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user.organization_id;
+    const { SalesCall, CallComment, TranscriptSegment, User } = getModels();
+
+    const salesCall = await SalesCall.findOne({
+      where: { id, organization_id: organizationId },
+      attributes: ['id']
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    const comments = await CallComment.findBySalesCall(salesCall.id, {
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        },
+        {
+          model: TranscriptSegment,
+          as: 'segment',
+          attributes: ['id', 'position', 'speaker', 'speaker_role', 'start_time', 'end_time']
+        }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: comments
+    });
+  } catch (error) {
+    logger.error('Error fetching sales call comments:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch sales call comments',
+        code: 'CALL_COMMENTS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/sales-calls/:id/comments
+ * @desc    Comment on a sales call, optionally anchored to a transcript segment (segmentId)
+ * @access  Private (All authenticated users)
+ */
+router.post('/:id/comments', [
+  authenticateToken,
+  body('body').trim().notEmpty().withMessage('Comment body is required')
+    .isLength({ max: 5000 }).withMessage('Comment must be at most 5000 characters'),
+  body('segmentId').optional({ nullable: true }).isUUID().withMessage('Segment ID must be a valid UUID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { id } = req.params;
+    const { body: commentBody, segmentId } = req.body;
+    const organizationId = req.user.organization_id;
+    const { SalesCall, CallComment, TranscriptSegment } = getModels();
+
+    const salesCall = await SalesCall.findOne({
+      where: { id, organization_id: organizationId },
+      attributes: ['id', 'organization_id']
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    if (segmentId) {
+      const segment = await TranscriptSegment.findOne({
+        where: { id: segmentId, sales_call_id: salesCall.id },
+        attributes: ['id']
+      });
+
+      if (!segment) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Transcript segment not found for this sales call',
+            code: 'TRANSCRIPT_SEGMENT_NOT_FOUND'
+          }
+        });
+      }
+    }
+
+    const comment = await CallComment.create({
+      sales_call_id: salesCall.id,
+      organization_id: salesCall.organization_id,
+      user_id: req.user.id,
+      transcript_segment_id: segmentId || null,
+      body: commentBody
+    });
+
+    logger.logUserActivity(req.user.id, 'call_comment_created', {
+      salesCallId: salesCall.id,
+      commentId: comment.id,
+      segmentId: comment.transcript_segment_id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    logger.error('Error creating sales call comment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create comment',
+        code: 'CALL_COMMENT_CREATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/v1/sales-calls/:id/comments/:commentId
+ * @desc    Delete a comment (its author, managers and admins)
+ * @access  Private (All authenticated users)
+ */
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const organizationId = req.user.organization_id;
+    const { CallComment } = getModels();
+
+    const comment = await CallComment.findOne({
+      where: { id: commentId, sales_call_id: id, organization_id: organizationId }
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Comment not found',
+          code: 'CALL_COMMENT_NOT_FOUND'
+        }
+      });
+    }
+
+    if (comment.user_id !== req.user.id && !MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Only the author or a manager can delete this comment',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        }
+      });
+    }
+
+    await comment.destroy();
+
+    logger.logUserActivity(req.user.id, 'call_comment_deleted', {
+      salesCallId: id,
+      commentId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting sales call comment:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete comment',
+        code: 'CALL_COMMENT_DELETE_FAILED'
+      }
+    });
+  }
+});
+
 /**
  * @route   POST /api/v1/sales-calls
  * @desc    Create new sales call
@@ -158,7 +779,8 @@ router.post('/', [
   requireRole(['sales_representative', 'sales_manager', 'admin', 'super_admin']),
   body('customer_name').notEmpty().withMessage('Customer name is required'),
   body('appointment_date').isISO8601().withMessage('Valid appointment date is required'),
-  body('sales_representative_id').isUUID().withMessage('Valid sales representative ID is required')
+  body('sales_representative_id').isUUID().withMessage('Valid sales representative ID is required'),
+  body('language').optional().isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -181,6 +803,7 @@ router.post('/', [
       appointment_date,
       sales_representative_id,
       manager_id,
+      language,
       notes
     } = req.body;
 
@@ -195,6 +818,7 @@ router.post('/', [
       appointment_date,
       sales_representative_id,
       manager_id,
+      language,
       organization_id: organizationId,
       notes
     });
@@ -232,7 +856,8 @@ router.put('/:id', [
   body('customer_name').optional().notEmpty().withMessage('Customer name cannot be empty'),
   body('appointment_date').optional().isISO8601().withMessage('Valid appointment date is required'),
   body('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'no_show']).withMessage('Valid status is required'),
-  body('outcome').optional().isIn(['sale', 'no_sale', 'follow_up', 'rescheduled']).withMessage('Valid outcome is required')
+  body('outcome').optional().isIn(['sale', 'no_sale', 'follow_up', 'rescheduled']).withMessage('Valid outcome is required'),
+  body('language').optional().isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -0,0 +1,601 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { getSequelize } = require('../database/connection');
+const { requireRole, authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { validateStages } = require('../utils/scriptStages');
+const { SUPPORTED_LANGUAGES } = require('../utils/languageDetector');
+
+const router = express.Router();
+
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      SalesScript: sequelize.models.SalesScript,
+      SalesScriptRevision: sequelize.models.SalesScriptRevision,
+      SalesCall: sequelize.models.SalesCall,
+      User: sequelize.models.User
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
+const EDITABLE_FIELDS = ['name', 'description', 'content', 'stages', 'category', 'tags', 'language', 'version'];
+
+// express-validator custom check for structured stages
+const stagesValidator = (stages) => {
+  const stageErrors = validateStages(stages);
+  if (stageErrors.length > 0) {
+    throw new Error(stageErrors.join('; '));
+  }
+  return true;
+};
+
+/**
+ * Find a non-deleted script that belongs to the caller's organization
+ */
+const findOrganizationScript = (id, organizationId, options = {}) => {
+  const { SalesScript } = getModels();
+  return SalesScript.findOne({
+    where: { id, organization_id: organizationId, is_deleted: false },
+    ...options
+  });
+};
+
+const scriptNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Sales script not found',
+    code: 'SALES_SCRIPT_NOT_FOUND'
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-scripts
+ * @desc    Get sales scripts for organization
+ * @access  Private (All authenticated users)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, category, language, isActive, isDraft, search } = req.query;
+    const organizationId = req.user.organization_id;
+    const { SalesScript, User } = getModels();
+
+    const whereClause = { organization_id: organizationId, is_deleted: false };
+    if (category) whereClause.category = category;
+    if (language) whereClause.language = language;
+    if (isActive !== undefined) whereClause.is_active = isActive === 'true';
+    if (isDraft !== undefined) whereClause.is_draft = isDraft === 'true';
+    if (search) whereClause.name = { [Op.iLike]: `%${search}%` };
+
+    const scripts = await SalesScript.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      order: [['updated_at', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesScripts: scripts.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: scripts.count,
+          pages: Math.ceil(scripts.count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching sales scripts:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch sales scripts',
+        code: 'SALES_SCRIPTS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-scripts/calls/:salesCallId/revisions
+ * @desc    Get the script revisions that were active when a sales call was analyzed
+ * @access  Private (Managers, Admins)
+ */
+router.get('/calls/:salesCallId/revisions', [
+  authenticateToken,
+  requireRole(['sales_manager', 'admin', 'super_admin'])
+], async (req, res) => {
+  try {
+    const { salesCallId } = req.params;
+    const organizationId = req.user.organization_id;
+    const { SalesCall, SalesScript, SalesScriptRevision } = getModels();
+
+    const salesCall = await SalesCall.findOne({
+      where: { id: salesCallId, organization_id: organizationId }
+    });
+
+    if (!salesCall) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales call not found',
+          code: 'SALES_CALL_NOT_FOUND'
+        }
+      });
+    }
+
+    const analysisData = salesCall.analysis_data || {};
+    const analyzedAt = analysisData.analyzedAt ? new Date(analysisData.analyzedAt) : salesCall.updated_at;
+    let revisions;
+    let source;
+
+    if (Array.isArray(analysisData.scriptRevisions)) {
+      // Analysis recorded exactly which revisions it scored against
+      source = 'analysis';
+      revisions = await SalesScriptRevision.findAll({
+        where: {
+          id: analysisData.scriptRevisions.map(revision => revision.revisionId),
+          organization_id: organizationId
+        },
+        order: [['created_at', 'ASC']]
+      });
+    } else {
+      // Older analyses: reconstruct from the revision history at analysis time
+      source = 'history';
+      const scripts = await SalesScript.findAll({
+        where: { organization_id: organizationId },
+        attributes: ['id']
+      });
+      const candidates = await Promise.all(
+        scripts.map(script => SalesScriptRevision.findInEffectAt(script.id, analyzedAt))
+      );
+      revisions = candidates.filter(revision => revision && revision.wasActive());
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesCallId: salesCall.id,
+        analyzedAt,
+        source,
+        revisions
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching script revisions for sales call:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch script revisions for sales call',
+        code: 'SALES_CALL_SCRIPT_REVISIONS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-scripts/:id
+ * @desc    Get sales script by ID
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { User } = getModels();
+    const salesScript = await findOrganizationScript(req.params.id, req.user.organization_id, {
+      include: [
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'first_name', 'last_name']
+        }
+      ]
+    });
+
+    if (!salesScript) {
+      return scriptNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: salesScript
+    });
+  } catch (error) {
+    logger.error('Error fetching sales script:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch sales script',
+        code: 'SALES_SCRIPT_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/sales-scripts
+ * @desc    Create new sales script
+ * @access  Private (Managers, Admins)
+ */
+router.post('/', [
+  authenticateToken,
+  requireRole(['sales_manager', 'admin', 'super_admin']),
+  body('name').notEmpty().withMessage('Script name is required'),
+  body('content').notEmpty().withMessage('Script content is required'),
+  body('category').optional().isLength({ max: 100 }).withMessage('Category too long'),
+  body('stages').optional().custom(stagesValidator),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('language').optional().isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+  body('version').optional().isLength({ max: 20 }).withMessage('Version too long'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { SalesScript, SalesScriptRevision } = getModels();
+    const sequelize = getSequelize();
+
+    const salesScript = await sequelize.transaction(async (transaction) => {
+      const script = await SalesScript.create({
+        ...EDITABLE_FIELDS.reduce((fields, field) => {
+          if (req.body[field] !== undefined) fields[field] = req.body[field];
+          return fields;
+        }, {}),
+        is_active: req.body.is_active !== undefined ? req.body.is_active : true,
+        organization_id: req.user.organization_id,
+        created_by: req.user.id
+      }, { transaction });
+
+      await SalesScriptRevision.record(script, {
+        action: 'created',
+        userId: req.user.id,
+        changeSummary: req.body.change_summary,
+        transaction
+      });
+
+      return script;
+    });
+
+    logger.logUserActivity(req.user.id, 'sales_script_created', {
+      salesScriptId: salesScript.id,
+      name: salesScript.name
+    });
+
+    res.status(201).json({
+      success: true,
+      data: salesScript
+    });
+  } catch (error) {
+    logger.error('Error creating sales script:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create sales script',
+        code: 'SALES_SCRIPT_CREATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/v1/sales-scripts/:id
+ * @desc    Update sales script (records a new revision)
+ * @access  Private (Managers, Admins)
+ */
+router.put('/:id', [
+  authenticateToken,
+  requireRole(['sales_manager', 'admin', 'super_admin']),
+  body('name').optional().notEmpty().withMessage('Script name cannot be empty'),
+  body('content').optional().notEmpty().withMessage('Script content cannot be empty'),
+  body('category').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Category too long'),
+  body('stages').optional().custom(stagesValidator),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('language').optional().isIn(SUPPORTED_LANGUAGES).withMessage(`Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`),
+  body('version').optional().isLength({ max: 20 }).withMessage('Version too long'),
+  body('change_summary').optional().isLength({ max: 1000 }).withMessage('Change summary too long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Validation failed',
+          code: 'VALIDATION_ERROR',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { SalesScriptRevision } = getModels();
+    const sequelize = getSequelize();
+
+    const salesScript = await findOrganizationScript(req.params.id, req.user.organization_id);
+    if (!salesScript) {
+      return scriptNotFound(res);
+    }
+
+    const updateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    salesScript.set(updateData);
+    if (!salesScript.changed()) {
+      return res.status(200).json({
+        success: true,
+        data: salesScript
+      });
+    }
+
+    const revision = await sequelize.transaction(async (transaction) => {
+      await salesScript.save({ transaction });
+      return SalesScriptRevision.record(salesScript, {
+        action: 'updated',
+        userId: req.user.id,
+        changeSummary: req.body.change_summary,
+        transaction
+      });
+    });
+
+    logger.logUserActivity(req.user.id, 'sales_script_updated', {
+      salesScriptId: salesScript.id,
+      revisionNumber: revision.revision_number,
+      updatedFields: Object.keys(revision.diff || {})
+    });
+
+    res.status(200).json({
+      success: true,
+      data: salesScript
+    });
+  } catch (error) {
+    logger.error('Error updating sales script:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update sales script',
+        code: 'SALES_SCRIPT_UPDATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * Build a handler that toggles a script's active flag and records the revision
+ */
+const setActiveState = (isActive) => async (req, res) => {
+  const action = isActive ? 'activated' : 'deactivated';
+
+  try {
+    const { SalesScriptRevision } = getModels();
+    const sequelize = getSequelize();
+
+    const salesScript = await findOrganizationScript(req.params.id, req.user.organization_id);
+    if (!salesScript) {
+      return scriptNotFound(res);
+    }
+
+    if (salesScript.is_active === isActive) {
+      return res.status(200).json({
+        success: true,
+        data: salesScript
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      // Activating a reviewed draft publishes it
+      await salesScript.update({
+        is_active: isActive,
+        ...(isActive ? { is_draft: false } : {})
+      }, { transaction });
+      await SalesScriptRevision.record(salesScript, {
+        action,
+        userId: req.user.id,
+        changeSummary: req.body?.change_summary,
+        transaction
+      });
+    });
+
+    logger.logUserActivity(req.user.id, `sales_script_${action}`, {
+      salesScriptId: salesScript.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: salesScript
+    });
+  } catch (error) {
+    logger.error(`Error setting sales script ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: `Failed to mark sales script ${action}`,
+        code: isActive ? 'SALES_SCRIPT_ACTIVATE_FAILED' : 'SALES_SCRIPT_DEACTIVATE_FAILED'
+      }
+    });
+  }
+};
+
+/**
+ * @route   POST /api/v1/sales-scripts/:id/activate
+ * @desc    Activate sales script so it is used in call analysis
+ * @access  Private (Managers, Admins)
+ */
+router.post('/:id/activate', [
+  authenticateToken,
+  requireRole(['sales_manager', 'admin', 'super_admin'])
+], setActiveState(true));
+
+/**
+ * @route   POST /api/v1/sales-scripts/:id/deactivate
+ * @desc    Deactivate (retire) sales script
+ * @access  Private (Managers, Admins)
+ */
+router.post('/:id/deactivate', [
+  authenticateToken,
+  requireRole(['sales_manager', 'admin', 'super_admin'])
+], setActiveState(false));
+
+/**
+ * @route   DELETE /api/v1/sales-scripts/:id
+ * @desc    Delete sales script (soft delete, revision history is kept)
+ * @access  Private (Admins)
+ */
+router.delete('/:id', [
+  authenticateToken,
+  requireRole(['admin', 'super_admin'])
+], async (req, res) => {
+  try {
+    const { SalesScriptRevision } = getModels();
+    const sequelize = getSequelize();
+
+    const salesScript = await findOrganizationScript(req.params.id, req.user.organization_id);
+    if (!salesScript) {
+      return scriptNotFound(res);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await salesScript.softDelete({ transaction });
+      await SalesScriptRevision.record(salesScript, {
+        action: 'deleted',
+        userId: req.user.id,
+        transaction
+      });
+    });
+
+    logger.logUserActivity(req.user.id, 'sales_script_deleted', {
+      salesScriptId: salesScript.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales script deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting sales script:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete sales script',
+        code: 'SALES_SCRIPT_DELETE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-scripts/:id/revisions
+ * @desc    Get revision history for a sales script
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { SalesScriptRevision } = getModels();
+
+    const salesScript = await findOrganizationScript(req.params.id, req.user.organization_id);
+    if (!salesScript) {
+      return scriptNotFound(res);
+    }
+
+    const revisions = await SalesScriptRevision.findByScript(salesScript.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        salesScriptId: salesScript.id,
+        revisions
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching sales script revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch sales script revisions',
+        code: 'SALES_SCRIPT_REVISIONS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/sales-scripts/:id/revisions/:revisionNumber
+ * @desc    Get a single revision of a sales script
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id/revisions/:revisionNumber', authenticateToken, async (req, res) => {
+  try {
+    const { SalesScriptRevision, User } = getModels();
+
+    const salesScript = await findOrganizationScript(req.params.id, req.user.organization_id);
+    if (!salesScript) {
+      return scriptNotFound(res);
+    }
+
+    const revision = await SalesScriptRevision.findOne({
+      where: {
+        sales_script_id: salesScript.id,
+        revision_number: parseInt(req.params.revisionNumber)
+      },
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ]
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Sales script revision not found',
+          code: 'SALES_SCRIPT_REVISION_NOT_FOUND'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    logger.error('Error fetching sales script revision:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch sales script revision',
+        code: 'SALES_SCRIPT_REVISION_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+module.exports = router;
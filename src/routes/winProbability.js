@@ -0,0 +1,261 @@
+const express = require('express');
+const { getSequelize } = require('../database/connection');
+const { requireRole, authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const winProbabilityService = require('../services/winProbabilityService');
+
+const router = express.Router();
+
+// Get models from sequelize instance
+const getModels = () => {
+  try {
+    const sequelize = getSequelize();
+    return {
+      WinProbabilityModel: sequelize.models.WinProbabilityModel
+    };
+  } catch (error) {
+    logger.error('Failed to get models:', error);
+    throw new Error('Database not initialized');
+  }
+};
+
+const MANAGER_ROLES = ['sales_manager', 'admin', 'super_admin'];
+
+const modelNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Win probability model not found',
+    code: 'WIN_PROBABILITY_MODEL_NOT_FOUND'
+  }
+});
+
+/**
+ * @route   POST /api/v1/win-probability/models
+ * @desc    Train a new win probability model version on the organization's analyzed calls with a
+ *          sale or no_sale outcome. Training runs in the background; poll GET /models/:id. A trained
+ *          version becomes the active model.
+ * @access  Private (Managers, Admins)
+ */
+router.post('/models', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const organizationId = req.user.organization_id;
+    const { WinProbabilityModel } = getModels();
+
+    const training = await WinProbabilityModel.findTraining(organizationId);
+    if (training) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'A win probability model is already being trained for this organization',
+          code: 'WIN_PROBABILITY_TRAINING_ACTIVE',
+          modelId: training.id
+        }
+      });
+    }
+
+    const model = await winProbabilityService.createTrainingJob(organizationId, req.user.id);
+
+    // Run detached; runTraining records its own failures on the model
+    winProbabilityService.runTraining(model.id).catch(error => logger.error('Error training win probability model:', error));
+
+    logger.logUserActivity(req.user.id, 'win_probability_training_started', {
+      modelId: model.id,
+      version: model.version
+    });
+
+    res.status(202).json({
+      success: true,
+      data: model
+    });
+  } catch (error) {
+    logger.error('Error starting win probability training:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to start win probability training',
+        code: 'WIN_PROBABILITY_TRAINING_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/win-probability/models
+ * @desc    Get the organization's win probability model versions, newest first
+ * @access  Private (Managers, Admins)
+ */
+router.get('/models', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { WinProbabilityModel } = getModels();
+    const models = await WinProbabilityModel.findByOrganization(req.user.organization_id, {
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: models
+    });
+  } catch (error) {
+    logger.error('Error fetching win probability models:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch win probability models',
+        code: 'WIN_PROBABILITY_MODELS_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/win-probability/models/:id
+ * @desc    Get a win probability model version with its coefficients and training metrics
+ * @access  Private (Managers, Admins)
+ */
+router.get('/models/:id', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { WinProbabilityModel } = getModels();
+    const model = await WinProbabilityModel.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!model) {
+      return modelNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: model
+    });
+  } catch (error) {
+    logger.error('Error fetching win probability model:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch win probability model',
+        code: 'WIN_PROBABILITY_MODEL_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   POST /api/v1/win-probability/models/:id/activate
+ * @desc    Make a trained version the active model, e.g. to roll back to an earlier version
+ * @access  Private (Managers, Admins)
+ */
+router.post('/models/:id/activate', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const { WinProbabilityModel } = getModels();
+    const model = await WinProbabilityModel.findOne({
+      where: { id: req.params.id, organization_id: req.user.organization_id }
+    });
+
+    if (!model) {
+      return modelNotFound(res);
+    }
+
+    if (model.status !== 'ready') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only a trained model can be activated',
+          code: 'WIN_PROBABILITY_MODEL_NOT_READY'
+        }
+      });
+    }
+
+    await WinProbabilityModel.activate(model);
+
+    logger.logUserActivity(req.user.id, 'win_probability_model_activated', {
+      modelId: model.id,
+      version: model.version
+    });
+
+    res.status(200).json({
+      success: true,
+      data: model
+    });
+  } catch (error) {
+    logger.error('Error activating win probability model:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to activate win probability model',
+        code: 'WIN_PROBABILITY_MODEL_ACTIVATE_FAILED'
+      }
+    });
+  }
+});
+
+/**
+ * @route   GET /api/v1/win-probability/accuracy
+ * @desc    Accuracy of the active model (or ?modelId=): on calls held out during training, and live
+ *          on the calls it predicted that have since closed as sale or no_sale
+ * @access  Private (Managers, Admins)
+ */
+router.get('/accuracy', [
+  authenticateToken,
+  requireRole(MANAGER_ROLES)
+], async (req, res) => {
+  try {
+    const organizationId = req.user.organization_id;
+    const { WinProbabilityModel } = getModels();
+
+    const model = req.query.modelId
+      ? await WinProbabilityModel.findOne({ where: { id: req.query.modelId, organization_id: organizationId } })
+      : await WinProbabilityModel.findActive(organizationId);
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: req.query.modelId ? 'Win probability model not found' : 'No win probability model has been trained yet',
+          code: req.query.modelId ? 'WIN_PROBABILITY_MODEL_NOT_FOUND' : 'WIN_PROBABILITY_MODEL_NOT_TRAINED'
+        }
+      });
+    }
+
+    const accuracy = await winProbabilityService.getAccuracy(model);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        model: {
+          id: model.id,
+          version: model.version,
+          status: model.status,
+          isActive: model.is_active,
+          algorithm: model.algorithm,
+          trainingSamples: model.training_samples,
+          positiveSamples: model.positive_samples,
+          trainedAt: model.trained_at
+        },
+        ...accuracy
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching win probability accuracy:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch win probability accuracy',
+        code: 'WIN_PROBABILITY_ACCURACY_FETCH_FAILED'
+      }
+    });
+  }
+});
+
+module.exports = router;
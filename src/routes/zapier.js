@@ -1,8 +1,10 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { getSequelize } = require('../database/connection');
-const { requireRole } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const otterAIService = require('../services/otterAIService');
+const transcriptIngestionService = require('../services/transcriptIngestionService');
+const { redactValue } = require('../utils/piiRedactor');
 const { Op } = require('sequelize');
 const fs = require('fs');
 const path = require('path');
@@ -121,13 +123,13 @@ function normalizeOtterZapierPayload(rawBody) {
     meeting_details = meetingDetailsRaw;
   }
 
-  // Separate transcript into URL vs text; recording url is always URL
+  // Separate transcript into URL vs content (Otter text, SRT, WebVTT or Otter JSON); recording url is always URL
   const transcript_url = isUrl(transcriptCandidate) ? transcriptCandidate : null;
   const transcript = !isUrl(transcriptCandidate) ? transcriptCandidate : null;
   const captured_data_url = isUrl(capturedCandidate) ? capturedCandidate : null;
 
   return {
-    transcript, // text if provided as raw content
+    transcript, // content if provided inline (text, or parsed Otter JSON)
     transcript_url, // url if provided
     captured_data_url, // url only
     sentiment_analysis,
@@ -177,6 +179,24 @@ const getModels = () => {
   }
 };
 
+// =============================================
+// Zapier sends no user ID: the call's rep is the active organization member who owns the
+// Otter account, matched by email before the payload is redacted
+// =============================================
+const findOtterAccountOwner = async (organizationId, otterUser) => {
+  const email = typeof otterUser?.user_email === 'string' ? otterUser.user_email.trim() : '';
+  if (!organizationId || !isValidUUID(organizationId) || !email) {
+    return null;
+  }
+
+  const { User } = getModels();
+  const owner = await User.findOne({
+    where: { organization_id: organizationId, email, status: 'active' },
+    attributes: ['id']
+  });
+  return owner ? owner.id : null;
+};
+
 /**
  * @route   POST /api/v1/zapier/webhook/sales-call-completed
  * @desc    Webhook endpoint for Zapier to trigger when a sales call is completed
@@ -519,7 +539,7 @@ router.post('/actions/create-sales-call', [
       notes
     } = req.body;
 
-    const { SalesCall, User } = getModels();
+    const { SalesCall } = getModels();
 
     const salesCall = await SalesCall.create({
       customerName,
@@ -648,8 +668,6 @@ router.get('/search/users', [
   try {
     const { organizationId, role, query } = req.query;
 
-    const { User, Organization } = getModels();
-
     const whereClause = {};
 
     if (organizationId) {
@@ -754,10 +772,16 @@ router.get('/search/organizations', [
  * @access  Public (OtterAI webhook)
  */
 router.post('/actions/otterai-analyze', async (req, res) => {
-  // Save input body data to special file
-  saveInputDataToFile('otterai-analyze', req.body);
-  
   try {
+    // Redact PII with the organization's policy before the payload is written to disk
+    const payload = normalizeOtterZapierPayload(req.body);
+    const redactionPolicy = await transcriptIngestionService.getRedactionPolicy(
+      isValidUUID(payload.organizationId) ? payload.organizationId : null
+    );
+
+    // Save input body data to special file
+    saveInputDataToFile('otterai-analyze', redactValue(req.body, redactionPolicy).value);
+
     // const errors = validationResult(req);
     // if (!errors.isEmpty()) {
     //   return res.status(400).json({
@@ -771,7 +795,7 @@ router.post('/actions/otterai-analyze', async (req, res) => {
     // }
 
     const {
-      transcript, // raw text if provided
+      transcript, // raw content if provided
       transcript_url, // url if provided
       captured_data_url, // url only
       sentiment_analysis,
@@ -781,7 +805,26 @@ router.post('/actions/otterai-analyze', async (req, res) => {
       meeting_details,
       salesCallId,
       organizationId
-    } = normalizeOtterZapierPayload(req.body);
+    } = payload;
+
+    // Normalize the transcript to Otter text whatever format it came in and redact PII from it; a
+    // transcript given only as a URL is downloaded so it can be analyzed too
+    const normalizedTranscript = await transcriptIngestionService.resolve({
+      transcript,
+      transcriptUrl: transcript_url,
+      redactionPolicy
+    });
+    const transcriptText = normalizedTranscript ? normalizedTranscript.text : null;
+    const transcriptFormat = normalizedTranscript ? normalizedTranscript.format : null;
+
+    // Otter's own fields (meeting summary, sentiment notes, attendee details) are stored as well, so
+    // they are redacted with the same policy as the transcript
+    const redactedOtterData = redactValue({
+      sentiment_analysis,
+      user_identification,
+      user_info,
+      meeting_details
+    }, redactionPolicy).value;
 
     // Helper function to format calendar guests
     const formatCalendarGuests = (guests) => {
@@ -822,30 +865,33 @@ router.post('/actions/otterai-analyze', async (req, res) => {
       salesCallId,
       organizationId,
       meeting_id,
-      hasTranscript: !!transcript,
+      hasTranscript: !!transcriptText,
+      transcriptFormat,
+      piiRedacted: normalizedTranscript ? normalizedTranscript.redaction.total : 0,
       hasSentimentAnalysis: !!sentiment_analysis,
       hasUserIdentification: !!user_identification,
       hasUserInfo: !!user_info,
       hasMeetingDetails: !!meeting_details,
-      transcriptLength: transcript ? transcript.length : 0
+      transcriptLength: transcriptText ? transcriptText.length : 0
     });
 
     // Handle sales call - either update existing or create new one
     let createdSalesCallId = null;
     try {
       const { SalesCall } = getModels();
+      const salesRepresentativeId = await findOtterAccountOwner(organizationId, user_identification || user_info);
       
       // Prepare analysis data from sentiment analysis
         const analysisData = {
           meeting_id,
-          sentiment_analysis,
-          user_identification,
+          sentiment_analysis: redactedOtterData.sentiment_analysis,
+          user_identification: redactedOtterData.user_identification,
           user_info: {
-            ...user_info,
-            calendar_guests_formatted: formatCalendarGuests(user_info?.calendar_guests)
+            ...redactedOtterData.user_info,
+            calendar_guests_formatted: formatCalendarGuests(redactedOtterData.user_info?.calendar_guests)
           },
-          meeting_details,
-          transcript: transcript || transcript_url || null,
+          meeting_details: redactedOtterData.meeting_details,
+          transcript: transcript ? transcriptText : (transcript_url || null),
           captured_data_url: captured_data_url || null
         };
 
@@ -853,11 +899,11 @@ router.post('/actions/otterai-analyze', async (req, res) => {
       const performanceScore = sentiment_analysis?.meeting_score ? 
         Math.min(parseFloat(sentiment_analysis.meeting_score), 9.99) : null; // Cap at 9.99 for database precision
       
-      const strengths = sentiment_analysis?.strengths ? 
-        sentiment_analysis.strengths.split(',').map(s => s.trim()).filter(s => s) : [];
+      const strengths = analysisData.sentiment_analysis?.strengths ? 
+        analysisData.sentiment_analysis.strengths.split(',').map(s => s.trim()).filter(s => s) : [];
       
-      const weaknesses = sentiment_analysis?.weaknesses ? 
-        sentiment_analysis.weaknesses.split(',').map(s => s.trim()).filter(s => s) : [];
+      const weaknesses = analysisData.sentiment_analysis?.weaknesses ? 
+        analysisData.sentiment_analysis.weaknesses.split(',').map(s => s.trim()).filter(s => s) : [];
 
       // Calculate duration from meeting details
       let duration = null;
@@ -925,8 +971,11 @@ router.post('/actions/otterai-analyze', async (req, res) => {
 
         await existingSalesCall.update({
           analysis_data: analysisData,
+          sales_representative_id: existingSalesCall.sales_representative_id || salesRepresentativeId,
           transcript_url: transcript_url || existingSalesCall.transcript_url, // Only set if a URL was provided
-          transcript_text: transcript || existingSalesCall.transcript_text, // Store text content
+          transcript_text: transcriptText || existingSalesCall.transcript_text, // Store normalized text content
+          transcript_format: transcriptFormat || existingSalesCall.transcript_format,
+          pii_redaction: normalizedTranscript ? normalizedTranscript.redaction : existingSalesCall.pii_redaction,
           performance_score: performanceScore,
           strengths: strengths,
           weaknesses: weaknesses,
@@ -965,7 +1014,7 @@ router.post('/actions/otterai-analyze', async (req, res) => {
 
         const salesCallData = {
           organization_id: (organizationId && isValidUUID(organizationId)) ? organizationId : null, // Only use valid UUIDs
-          sales_representative_id: null, // No userId available from Zapier
+          sales_representative_id: salesRepresentativeId, // Otter account owner, when they belong to the organization
           customer_name: user_info?.user_name || user_identification?.user_name || 'Unknown Customer',
           customer_email: user_info?.user_email || user_identification?.user_email || null,
           appointment_date: meeting_details?.start_datetime ? new Date(meeting_details.start_datetime) : new Date(), // Use meeting start time if available
@@ -975,7 +1024,9 @@ router.post('/actions/otterai-analyze', async (req, res) => {
           outcome: null, // Hidden field - not needed
           analysis_data: analysisData,
           transcript_url: transcript_url || null,
-          transcript_text: transcript || null, // Store text content
+          transcript_text: transcriptText, // Store normalized text content
+          transcript_format: transcriptFormat,
+          pii_redaction: normalizedTranscript ? normalizedTranscript.redaction : null,
           performance_score: performanceScore,
           strengths: strengths,
           weaknesses: weaknesses,
@@ -1003,6 +1054,16 @@ router.post('/actions/otterai-analyze', async (req, res) => {
       // Don't fail the entire request if sales call handling fails
     }
 
+    // Score the transcript against the organization's scripts using the rep's speech only
+    if (createdSalesCallId && transcriptText) {
+      try {
+        await otterAIService.analyzeTranscriptText(createdSalesCallId);
+      } catch (transcriptAnalysisError) {
+        logger.error('Error analyzing transcript text:', transcriptAnalysisError);
+        // Don't fail the entire request if transcript analysis fails
+      }
+    }
+
     // Create analytics record if we have sentiment analysis data (optional - for reporting)
     if (sentiment_analysis && (createdSalesCallId || salesCallId)) {
       try {
@@ -1032,12 +1093,9 @@ router.post('/actions/otterai-analyze', async (req, res) => {
           report_type: 'otterai_analysis',
           report_name: `OtterAI Analysis - ${createdSalesCallId || salesCallId || meeting_id || 'General'}`,
           report_data: {
-            transcript: transcript || transcript_url || null,
+            transcript: transcript ? transcriptText : (transcript_url || null),
             captured_data_url: captured_data_url || null,
-            sentiment_analysis,
-            user_identification,
-            user_info,
-            meeting_details,
+            ...redactedOtterData,
             meeting_id,
             sales_call_id: createdSalesCallId || salesCallId,
             analysis_timestamp: new Date().toISOString()
@@ -1075,13 +1133,15 @@ router.post('/actions/otterai-analyze', async (req, res) => {
         meeting_id,
         salesCallCreated: !!createdSalesCallId,
         dataReceived: {
-          transcript: !!transcript,
+          transcript: !!transcriptText,
+          transcriptFormat,
+          piiRedactions: normalizedTranscript ? normalizedTranscript.redaction.counts : null,
           capturedDataUrl: !!captured_data_url,
           sentimentAnalysis: !!sentiment_analysis,
           userIdentification: !!user_identification,
           userInfo: !!user_info,
           meetingDetails: !!meeting_details,
-          transcriptLength: transcript ? transcript.length : 0
+          transcriptLength: transcriptText ? transcriptText.length : 0
         },
         analysisSummary: {
           sentimentCategory: sentiment_analysis?.sentiment_category || null,
@@ -1119,7 +1179,7 @@ router.get('/test/otterai', (req, res) => {
     method: 'POST',
     description: 'Creates sales call records from OtterAI interview analysis data with updated structure',
       expectedData: {
-        transcript: 'string (optional) - URL to transcript file',
+        transcript: 'string|object (optional) - Transcript (Otter text, SRT, WebVTT or Otter JSON) or URL to transcript file',
         captured_data_url: 'string (optional) - URL to recording file',
         sentiment_analysis: 'object (optional) - Contains sentiment_category, strengths, weaknesses, meeting_score',
         user_identification: 'object (optional) - Contains user_email, user_name, calendar_guests, meeting_id',
@@ -25,6 +25,13 @@ const notificationRoutes = require('./routes/notifications');
 const adminRoutes = require('./routes/admin');
 const zapierRoutes = require('./routes/zapier');
 const fileRoutes = require('./routes/files');
+const salesScriptRoutes = require('./routes/salesScripts');
+const experimentRoutes = require('./routes/experiments');
+const objectionRoutes = require('./routes/objections');
+const reanalysisRoutes = require('./routes/reanalysis');
+const keywordTrackerRoutes = require('./routes/keywordTrackers');
+const followUpTaskRoutes = require('./routes/followUpTasks');
+const winProbabilityRoutes = require('./routes/winProbability');
 // Import Socket.IO handlers
 const { initializeSocketIO } = require('./socket/socketHandler');
 
@@ -149,6 +156,13 @@ app.use(`${apiPrefix}/zapier`, zapierRoutes);
 app.use(`${apiPrefix}/users`, userRoutes);
 app.use(`${apiPrefix}/organizations`, organizationRoutes);
 app.use(`${apiPrefix}/sales-calls`, salesCallRoutes);
+app.use(`${apiPrefix}/sales-scripts`, salesScriptRoutes);
+app.use(`${apiPrefix}/experiments`, experimentRoutes);
+app.use(`${apiPrefix}/objections`, objectionRoutes);
+app.use(`${apiPrefix}/reanalysis-jobs`, reanalysisRoutes);
+app.use(`${apiPrefix}/keyword-trackers`, keywordTrackerRoutes);
+app.use(`${apiPrefix}/follow-up-tasks`, followUpTaskRoutes);
+app.use(`${apiPrefix}/win-probability`, winProbabilityRoutes);
 app.use(`${apiPrefix}/analytics`, analyticsRoutes);
 app.use(`${apiPrefix}/notifications`, notificationRoutes);
 app.use(`${apiPrefix}/admin`, adminRoutes);
@@ -0,0 +1,347 @@
+const { performance } = require('perf_hooks');
+const { logger } = require('../../utils/logger');
+const { registerScoringComponent } = require('../../utils/scoringRubric');
+
+/**
+ * Registry of the analyzers that make up call analysis
+ *
+ * An analyzer declares the values it reads (`inputs`) and the values it produces (`outputs`).
+ * Inputs are either analysis context values (transcript, speakers, insights, duration, language,
+ * salesScripts, matcher, participants, objectionLibrary) or outputs of other analyzers, which
+ * always run first. Analyzers are defined as:
+ *
+ *   {
+ *     name: 'disclosures',
+ *     description: 'Required compliance disclosures',
+ *     inputs: ['speakerSeparation', 'matcher'],
+ *     outputs: ['disclosureAnalysis'],
+ *     scoreComponents: [{ key: 'complianceDisclosures', label: 'Compliance disclosures', weight: 0.1 }],
+ *     enabledByDefault: false,
+ *     analyze: (inputs, { options }) => ({ disclosureAnalysis }),
+ *     score: (outputs) => ({ complianceDisclosures: 0.5 }),
+ *     findings: (outputs, { rubric, segments }) => ({ strengths: [], weaknesses: [], recommendations: [] }),
+ *     fallback: (results) => ({ disclosureAnalysis: null }),
+ *     validateOptions: (options) => []
+ *   }
+ *
+ * Findings are sentences, or { text, evidence } built with the helpers in utils/findingEvidence
+ * (segments are the call's transcript segments the evidence is located in).
+ *
+ * Organizations enable analyzers and set their options in settings.analyzers
+ * ({ [name]: { enabled, options } }). Required analyzers cannot be disabled.
+ */
+class AnalyzerRegistry {
+  constructor() {
+    this.analyzers = new Map();
+  }
+
+  /**
+   * Add an analyzer
+   * Score components it declares that the scoring rubric does not know yet are added to it.
+   * @param {Object} definition - Analyzer definition (see above)
+   * @returns {AnalyzerRegistry} The registry, for chaining
+   */
+  register(definition) {
+    const analyzer = this.normalizeDefinition(definition);
+
+    if (this.analyzers.has(analyzer.name)) {
+      throw new Error(`Analyzer "${analyzer.name}" is already registered`);
+    }
+
+    this.analyzers.forEach(existing => {
+      const shared = existing.outputs.filter(output => analyzer.outputs.includes(output));
+      if (shared.length > 0) {
+        throw new Error(`Analyzer "${analyzer.name}" output ${shared.join(', ')} is already produced by "${existing.name}"`);
+      }
+    });
+
+    analyzer.scoreComponents.forEach(component => registerScoringComponent(component.key, component));
+
+    this.analyzers.set(analyzer.name, analyzer);
+    this.executionOrder = null;
+
+    return this;
+  }
+
+  /**
+   * Remove an analyzer; its score components stay known to the rubric
+   */
+  unregister(name) {
+    this.executionOrder = null;
+    return this.analyzers.delete(name);
+  }
+
+  get(name) {
+    return this.analyzers.get(name) || null;
+  }
+
+  list() {
+    return this.getExecutionOrder();
+  }
+
+  normalizeDefinition(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+      throw new Error('Analyzer name is required');
+    }
+    if (typeof definition.analyze !== 'function') {
+      throw new Error(`Analyzer "${definition.name}" must have an analyze function`);
+    }
+
+    const list = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+    const outputs = list(definition.outputs);
+    if (outputs.length === 0) {
+      throw new Error(`Analyzer "${definition.name}" must declare at least one output`);
+    }
+
+    return {
+      name: definition.name.trim(),
+      description: definition.description || '',
+      inputs: list(definition.inputs),
+      outputs,
+      scoreComponents: (definition.scoreComponents || []).map(component => (
+        typeof component === 'string' ? { key: component } : component
+      )),
+      enabledByDefault: definition.enabledByDefault !== false,
+      required: Boolean(definition.required),
+      builtin: Boolean(definition.builtin),
+      analyze: definition.analyze,
+      score: typeof definition.score === 'function' ? definition.score : null,
+      findings: typeof definition.findings === 'function' ? definition.findings : null,
+      fallback: typeof definition.fallback === 'function' ? definition.fallback : null,
+      validateOptions: typeof definition.validateOptions === 'function' ? definition.validateOptions : null
+    };
+  }
+
+  /**
+   * Order analyzers so each one runs after the analyzers producing its inputs
+   */
+  getExecutionOrder() {
+    if (this.executionOrder) {
+      return this.executionOrder;
+    }
+
+    const producers = {};
+    this.analyzers.forEach(analyzer => {
+      analyzer.outputs.forEach(output => {
+        producers[output] = analyzer.name;
+      });
+    });
+
+    const ordered = [];
+    const state = {};
+    const visit = (analyzer, path) => {
+      if (state[analyzer.name] === 'done') return;
+      if (state[analyzer.name] === 'visiting') {
+        throw new Error(`Analyzer dependency cycle: ${[...path, analyzer.name].join(' -> ')}`);
+      }
+
+      state[analyzer.name] = 'visiting';
+      analyzer.inputs
+        .filter(input => producers[input] && producers[input] !== analyzer.name)
+        .forEach(input => visit(this.analyzers.get(producers[input]), [...path, analyzer.name]));
+      state[analyzer.name] = 'done';
+      ordered.push(analyzer);
+    };
+
+    // Registration order decides between independent analyzers
+    this.analyzers.forEach(analyzer => visit(analyzer, []));
+
+    this.executionOrder = ordered;
+    return ordered;
+  }
+
+  /**
+   * Whether an analyzer runs for an organization
+   * @param {Object} analyzer - Registered analyzer
+   * @param {Object} settings - Organization settings.analyzers
+   */
+  isEnabled(analyzer, settings = {}) {
+    if (analyzer.required) {
+      return true;
+    }
+    const enabled = settings?.[analyzer.name]?.enabled;
+    return typeof enabled === 'boolean' ? enabled : analyzer.enabledByDefault;
+  }
+
+  /**
+   * Validate submitted analyzer settings
+   * @param {Object} settings - { [name]: { enabled, options } }
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return ['Analyzer settings must be an object keyed by analyzer name'];
+    }
+
+    const errors = [];
+    Object.entries(settings).forEach(([name, entry]) => {
+      const analyzer = this.get(name);
+      if (!analyzer) {
+        errors.push(`Unknown analyzer "${name}"`);
+        return;
+      }
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`Settings for analyzer "${name}" must be an object`);
+        return;
+      }
+      if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+        errors.push(`Analyzer "${name}" enabled must be a boolean`);
+      }
+      if (entry.enabled === false && analyzer.required) {
+        errors.push(`Analyzer "${name}" is required and cannot be disabled`);
+      }
+      if (entry.options !== undefined) {
+        if (!entry.options || typeof entry.options !== 'object' || Array.isArray(entry.options)) {
+          errors.push(`Analyzer "${name}" options must be an object`);
+        } else if (analyzer.validateOptions) {
+          analyzer.validateOptions(entry.options).forEach(message => errors.push(`Analyzer "${name}": ${message}`));
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Run every analyzer in dependency order
+   * A failing analyzer is logged and recorded in the pipeline report; its fallback outputs (if it
+   * has any) are used instead so the rest of the analysis still completes. Analyzers whose inputs
+   * were not produced are skipped.
+   * @param {Object} context - Analysis context values available as inputs
+   * @param {Object} settings - Organization settings.analyzers
+   * @returns {Promise<Object>} { results, pipeline: [{ name, status, durationMs, error }] }
+   */
+  async run(context, settings = {}) {
+    const results = { ...context };
+    const produced = new Set();
+    const pipeline = [];
+
+    const pick = (source, keys) => keys.reduce((picked, key) => {
+      if (source && source[key] !== undefined) {
+        picked[key] = source[key];
+      }
+      return picked;
+    }, {});
+
+    for (const analyzer of this.getExecutionOrder()) {
+      const entry = { name: analyzer.name, status: 'completed', durationMs: 0 };
+      const missingInputs = analyzer.inputs.filter(input => this.isProducedOutput(input) && !produced.has(input));
+
+      if (!this.isEnabled(analyzer, settings)) {
+        entry.status = 'disabled';
+      } else if (missingInputs.length > 0) {
+        entry.status = 'skipped';
+        entry.error = `Missing inputs: ${missingInputs.join(', ')}`;
+      } else {
+        const startedAt = performance.now();
+        try {
+          const outputs = await analyzer.analyze(pick(results, analyzer.inputs), {
+            options: settings?.[analyzer.name]?.options || {}
+          });
+          Object.assign(results, pick(outputs, analyzer.outputs));
+          analyzer.outputs.filter(output => outputs?.[output] !== undefined).forEach(output => produced.add(output));
+        } catch (error) {
+          logger.error(`Analyzer ${analyzer.name} failed:`, error);
+          entry.status = 'failed';
+          entry.error = error.message;
+        }
+        entry.durationMs = Math.round((performance.now() - startedAt) * 100) / 100;
+      }
+
+      if (entry.status !== 'completed' && analyzer.fallback) {
+        try {
+          const outputs = analyzer.fallback(results);
+          Object.assign(results, pick(outputs, analyzer.outputs));
+          analyzer.outputs.filter(output => outputs?.[output] !== undefined).forEach(output => produced.add(output));
+        } catch (error) {
+          logger.error(`Analyzer ${analyzer.name} fallback failed:`, error);
+        }
+      }
+
+      pipeline.push(entry);
+    }
+
+    return { results, pipeline };
+  }
+
+  isProducedOutput(key) {
+    return this.getExecutionOrder().some(analyzer => analyzer.outputs.includes(key));
+  }
+
+  /**
+   * Collect the score components of the analyzers that completed
+   * @param {Object} results - Analysis results keyed by output
+   * @param {Array<Object>} pipeline - Pipeline report; when omitted every analyzer counts as completed
+   * @returns {Object} Scores (0-1 or null) keyed by score component
+   */
+  score(results, pipeline = null) {
+    const completed = pipeline ? new Set(pipeline.filter(entry => entry.status === 'completed').map(entry => entry.name)) : null;
+    const scores = {};
+
+    this.getExecutionOrder().forEach(analyzer => {
+      if (!analyzer.score) return;
+
+      const keys = analyzer.scoreComponents.map(component => component.key);
+      keys.forEach(key => {
+        scores[key] = null;
+      });
+      if (completed && !completed.has(analyzer.name)) return;
+
+      try {
+        const analyzerScores = analyzer.score(results) || {};
+        keys.forEach(key => {
+          const value = analyzerScores[key];
+          scores[key] = typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : null;
+        });
+      } catch (error) {
+        logger.error(`Analyzer ${analyzer.name} scoring failed:`, error);
+      }
+    });
+
+    return scores;
+  }
+
+  /**
+   * Collect strengths, weaknesses and recommendations contributed by analyzers that completed
+   * @returns {Object} { strengths, weaknesses, recommendations }
+   */
+  findings(results, pipeline = null, context = {}) {
+    const completed = pipeline ? new Set(pipeline.filter(entry => entry.status === 'completed').map(entry => entry.name)) : null;
+    const collected = { strengths: [], weaknesses: [], recommendations: [] };
+
+    this.getExecutionOrder().forEach(analyzer => {
+      if (!analyzer.findings || (completed && !completed.has(analyzer.name))) return;
+
+      try {
+        const found = analyzer.findings(results, context) || {};
+        Object.keys(collected).forEach(kind => {
+          collected[kind].push(...(Array.isArray(found[kind]) ? found[kind] : []));
+        });
+      } catch (error) {
+        logger.error(`Analyzer ${analyzer.name} findings failed:`, error);
+      }
+    });
+
+    return collected;
+  }
+
+  /**
+   * Describe analyzers with their effective state for an organization
+   */
+  describe(settings = {}) {
+    return this.getExecutionOrder().map(analyzer => ({
+      name: analyzer.name,
+      description: analyzer.description,
+      inputs: analyzer.inputs,
+      outputs: analyzer.outputs,
+      scoreComponents: analyzer.scoreComponents.map(component => component.key),
+      builtin: analyzer.builtin,
+      required: analyzer.required,
+      enabledByDefault: analyzer.enabledByDefault,
+      enabled: this.isEnabled(analyzer, settings),
+      options: settings?.[analyzer.name]?.options || {}
+    }));
+  }
+}
+
+module.exports = AnalyzerRegistry;
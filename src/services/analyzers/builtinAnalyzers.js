@@ -0,0 +1,142 @@
+const { separateSpeakers } = require('../../utils/transcriptParser');
+const { computeConversationMetrics, scoreConversationMetrics } = require('../../utils/conversationMetrics');
+const { DEFAULT_OBJECTIONS } = require('../../utils/objectionDetector');
+
+/**
+ * The analyzers behind the standard call analysis
+ * They delegate to the OtterAIService methods so those stay usable on their own.
+ * @param {OtterAIService} service - Service providing the analysis methods
+ * @returns {Array<Object>} Analyzer definitions, see AnalyzerRegistry
+ */
+function createBuiltinAnalyzers(service) {
+  return [
+    {
+      name: 'speakers',
+      description: 'Separates the sales representative\'s speech from the customer\'s',
+      inputs: ['transcript', 'speakers', 'participants'],
+      outputs: ['speakerSeparation'],
+      required: true,
+      analyze: ({ transcript, speakers, participants }) => ({
+        speakerSeparation: separateSpeakers(transcript || '', speakers || [], participants)
+      }),
+      // Without separation both sides are analyzed on the full text
+      fallback: ({ transcript }) => {
+        const text = typeof transcript === 'string' ? transcript : '';
+        return {
+          speakerSeparation: {
+            salesRepSpeech: text,
+            customerSpeech: text,
+            segments: [],
+            speakers: [],
+            method: 'unseparated',
+            confidence: 0,
+            separated: false
+          }
+        };
+      }
+    },
+    {
+      name: 'conversationMetrics',
+      description: 'Talk ratio, monologues, questions, interruptions and pace',
+      inputs: ['speakerSeparation', 'duration'],
+      outputs: ['conversationMetrics'],
+      scoreComponents: ['conversationDynamics'],
+      analyze: ({ speakerSeparation, duration }) => ({
+        conversationMetrics: speakerSeparation.separated
+          ? computeConversationMetrics(speakerSeparation.segments, { duration })
+          : null
+      }),
+      score: ({ conversationMetrics }) => ({ conversationDynamics: scoreConversationMetrics(conversationMetrics) }),
+      fallback: () => ({ conversationMetrics: null })
+    },
+    {
+      name: 'scriptCompliance',
+      description: 'Scores the rep\'s speech against the active sales scripts, stage by stage',
+      inputs: ['speakerSeparation', 'salesScripts', 'matcher', 'language'],
+      outputs: ['scriptAnalysis'],
+      scoreComponents: ['scriptCompliance', 'topicCoverage'],
+      analyze: ({ speakerSeparation, salesScripts, matcher, language }) => ({
+        scriptAnalysis: service.analyzeScriptCompliance(speakerSeparation.salesRepSpeech, salesScripts || [], matcher, language)
+      }),
+      score: ({ scriptAnalysis }) => ({
+        scriptCompliance: scriptAnalysis.complianceScore ?? null,
+        topicCoverage: service.calculateTopicScore(null, scriptAnalysis)
+      }),
+      // No compliance result: the component is left out of the score
+      fallback: () => ({
+        scriptAnalysis: {
+          complianceScore: null,
+          coveredTopics: [],
+          missedTopics: [],
+          keyPhrasesFound: [],
+          forbiddenPhrasesUsed: [],
+          stageBreakdown: [],
+          scripts: []
+        }
+      })
+    },
+    {
+      name: 'stageSequence',
+      description: 'Checks the order in which script stages were delivered',
+      inputs: ['speakerSeparation', 'scriptAnalysis', 'salesScripts', 'duration', 'matcher'],
+      outputs: ['sequenceAnalysis'],
+      analyze: ({ speakerSeparation, scriptAnalysis, salesScripts, duration, matcher }) => {
+        const matchedScript = (salesScripts || []).find(script => script.id === scriptAnalysis.scriptId);
+        return {
+          sequenceAnalysis: service.analyzeStageSequence(speakerSeparation.salesRepSpeech, matchedScript || null, duration, matcher, speakerSeparation.segments)
+        };
+      },
+      fallback: () => ({ sequenceAnalysis: service.analyzeStageSequence('', null) })
+    },
+    {
+      name: 'sentiment',
+      description: 'Customer sentiment timeline and trajectory',
+      inputs: ['speakerSeparation', 'insights', 'language'],
+      outputs: ['sentimentAnalysis'],
+      scoreComponents: ['customerSentiment'],
+      analyze: ({ speakerSeparation, insights, language }) => ({
+        sentimentAnalysis: service.analyzeCustomerSentiment(insights || {}, speakerSeparation, language)
+      }),
+      score: ({ sentimentAnalysis }) => ({
+        customerSentiment: sentimentAnalysis.overallSentiment ? service.sentimentToScore(sentimentAnalysis.overallSentiment) : null
+      }),
+      // OtterAI's own sentiment is still reported when the local analysis does not run
+      fallback: ({ insights = {} }) => ({
+        sentimentAnalysis: {
+          overallSentiment: insights.sentiment || null,
+          confidence: insights.sentiment_confidence || null,
+          emotions: insights.emotions || {},
+          source: insights.sentiment ? 'otter' : null,
+          trajectory: null,
+          timeline: []
+        }
+      })
+    },
+    {
+      name: 'topicsAndObjections',
+      description: 'Detects customer objections and checks the rep\'s rebuttals',
+      inputs: ['speakerSeparation', 'insights', 'matcher', 'objectionLibrary'],
+      outputs: ['topicAnalysis'],
+      scoreComponents: ['objectionHandling'],
+      analyze: ({ speakerSeparation, insights, matcher, objectionLibrary }) => ({
+        topicAnalysis: service.analyzeTopicsAndObjections(speakerSeparation, insights || {}, {
+          matcher,
+          objectionLibrary: objectionLibrary || DEFAULT_OBJECTIONS
+        })
+      }),
+      score: ({ topicAnalysis }) => ({ objectionHandling: service.calculateObjectionScore(topicAnalysis) }),
+      fallback: ({ insights = {} }) => ({
+        topicAnalysis: {
+          topics: insights.topics || [],
+          objections: [],
+          reportedObjections: insights.objections || [],
+          topicConfidence: insights.topic_confidence || {}
+        }
+      })
+    }
+  ].map(analyzer => ({ ...analyzer, builtin: true }));
+}
+
+module.exports = {
+  createBuiltinAnalyzers
+};
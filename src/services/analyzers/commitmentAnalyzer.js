@@ -0,0 +1,23 @@
+const { detectCommitments } = require('../../utils/commitmentDetector');
+
+/**
+ * Commitments and next steps
+ *
+ * Finds what the rep and the customer promised to do after the call, with due dates resolved
+ * from the call date. The commitments are stored as follow-up tasks after analysis.
+ */
+const commitmentAnalyzer = {
+  name: 'commitments',
+  description: 'Detects commitments and next steps and turns them into follow-up tasks',
+  inputs: ['speakerSeparation', 'callDate'],
+  outputs: ['commitmentAnalysis'],
+
+  analyze: ({ speakerSeparation, callDate }) => ({
+    commitmentAnalysis: detectCommitments(speakerSeparation.segments, {
+      referenceDate: callDate || new Date(),
+      fallbackText: speakerSeparation.salesRepSpeech
+    })
+  })
+};
+
+module.exports = commitmentAnalyzer;
@@ -0,0 +1,99 @@
+/**
+ * Required compliance disclosures
+ *
+ * Checks that the rep read each disclosure the organization requires (e.g. "this call may be
+ * recorded", financing terms). Disabled by default; organizations enable it with their
+ * disclosures in settings.analyzers.disclosures.options:
+ *
+ *   { "disclosures": [{ "name": "Recording notice", "phrases": ["this call may be recorded"] }] }
+ */
+
+const { excerptEvidence, missingEvidence, createFinding } = require('../../utils/findingEvidence');
+
+/**
+ * Disclosures from analyzer options, dropping entries without phrases
+ */
+function getDisclosures(options = {}) {
+  return (Array.isArray(options.disclosures) ? options.disclosures : [])
+    .map(disclosure => ({
+      name: String(disclosure?.name || '').trim(),
+      phrases: (Array.isArray(disclosure?.phrases) ? disclosure.phrases : [])
+        .filter(phrase => typeof phrase === 'string' && phrase.trim())
+    }))
+    .filter(disclosure => disclosure.name && disclosure.phrases.length > 0);
+}
+
+const disclosureAnalyzer = {
+  name: 'disclosures',
+  description: 'Checks that the rep read every required compliance disclosure',
+  inputs: ['speakerSeparation', 'matcher'],
+  outputs: ['disclosureAnalysis'],
+  scoreComponents: [{ key: 'complianceDisclosures', label: 'Compliance disclosures', weight: 0.1 }],
+  enabledByDefault: false,
+
+  analyze: ({ speakerSeparation, matcher }, { options }) => {
+    const disclosures = getDisclosures(options);
+    const document = matcher.prepare(speakerSeparation.salesRepSpeech || '');
+
+    const results = disclosures.map(disclosure => {
+      const match = disclosure.phrases
+        .map(phrase => matcher.match(document, phrase))
+        .filter(result => result.matched)
+        .sort((a, b) => b.confidence - a.confidence)[0];
+
+      return {
+        name: disclosure.name,
+        delivered: Boolean(match),
+        phrase: match ? match.phrase : null,
+        confidence: match ? match.confidence : null,
+        excerpt: match ? match.excerpt : null
+      };
+    });
+
+    return {
+      disclosureAnalysis: {
+        required: results.length,
+        delivered: results.filter(result => result.delivered).length,
+        missing: results.filter(result => !result.delivered).map(result => result.name),
+        disclosures: results
+      }
+    };
+  },
+
+  // Null when the organization has not configured any disclosures
+  score: ({ disclosureAnalysis }) => ({
+    complianceDisclosures: disclosureAnalysis?.required > 0
+      ? disclosureAnalysis.delivered / disclosureAnalysis.required
+      : null
+  }),
+
+  findings: ({ disclosureAnalysis }, { segments } = {}) => {
+    if (!disclosureAnalysis?.required) {
+      return {};
+    }
+    if (disclosureAnalysis.missing.length === 0) {
+      const delivered = disclosureAnalysis.disclosures
+        .map(disclosure => excerptEvidence(disclosure.excerpt, {}, segments, { phrase: disclosure.phrase, disclosure: disclosure.name }));
+      return { strengths: [createFinding('Delivered every required disclosure', delivered)] };
+    }
+    const missing = disclosureAnalysis.missing.map(name => missingEvidence(name, { kind: 'disclosure' }));
+    return {
+      weaknesses: [createFinding(`Missing required disclosures: ${disclosureAnalysis.missing.join(', ')}`, missing)],
+      recommendations: [createFinding('Read every required disclosure on each call; missing disclosures are a compliance risk', missing)]
+    };
+  },
+
+  validateOptions: (options) => {
+    if (options.disclosures === undefined) {
+      return [];
+    }
+    if (!Array.isArray(options.disclosures) ||
+        options.disclosures.some(disclosure => !disclosure?.name || !Array.isArray(disclosure.phrases) ||
+          disclosure.phrases.some(phrase => typeof phrase !== 'string'))) {
+      return ['disclosures must be an array of { name, phrases } with phrases as strings'];
+    }
+    return [];
+  }
+};
+
+module.exports = disclosureAnalyzer;
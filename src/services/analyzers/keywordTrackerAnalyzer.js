@@ -0,0 +1,22 @@
+const { findTrackerHits } = require('../../utils/keywordTracker');
+
+/**
+ * Keyword trackers
+ *
+ * Counts mentions of the organization's keyword trackers. The hits are stored per call in
+ * call_tracker_hits after analysis.
+ */
+const keywordTrackerAnalyzer = {
+  name: 'keywordTrackers',
+  description: 'Counts mentions of the organization\'s keyword trackers (competitors, promotions, products)',
+  inputs: ['speakerSeparation', 'matcher', 'keywordTrackers'],
+  outputs: ['trackerAnalysis'],
+
+  analyze: ({ speakerSeparation, matcher, keywordTrackers }) => ({
+    trackerAnalysis: findTrackerHits(speakerSeparation.segments, keywordTrackers || [], matcher, {
+      fallbackText: speakerSeparation.salesRepSpeech
+    })
+  })
+};
+
+module.exports = keywordTrackerAnalyzer;
@@ -0,0 +1,99 @@
+/**
+ * Question quality
+ *
+ * Classifies the rep's questions as open or closed and checks which discovery areas they
+ * covered. Organizations define their own discovery question bank in
+ * settings.analyzers.questions.options; the default areas of the call's language apply otherwise:
+ *
+ *   { "discoveryAreas": [{ "key": "budget", "name": "Budget", "phrases": ["what's your budget"] }] }
+ *
+ * The per-call counts are stored in sales_calls.question_metrics for analytics.
+ */
+
+const { getDiscoveryAreas, validateDiscoveryAreas, analyzeQuestions } = require('../../utils/questionAnalysis');
+const { excerptEvidence, missingEvidence, createFinding } = require('../../utils/findingEvidence');
+
+// Open ratios at or above which a call is a strength, and below which it is a weakness
+const GOOD_OPEN_RATIO = 0.5;
+const LOW_OPEN_RATIO = 0.25;
+// Calls with fewer questions are not judged on their open ratio
+const MIN_QUESTIONS_FOR_RATIO = 3;
+
+// Questions quoted as evidence per finding
+const EVIDENCE_QUESTIONS = 3;
+
+function questionEvidence(questions, segments, limit = EVIDENCE_QUESTIONS) {
+  return questions
+    .slice(0, limit)
+    .map(question => excerptEvidence(question.text, question, segments, { questionType: question.type, areas: question.areas }));
+}
+
+const questionAnalyzer = {
+  name: 'questions',
+  description: 'Classifies the rep\'s questions as open or closed and checks discovery coverage',
+  inputs: ['speakerSeparation', 'matcher', 'language'],
+  outputs: ['questionAnalysis'],
+
+  analyze: ({ speakerSeparation, matcher, language }, { options }) => ({
+    questionAnalysis: analyzeQuestions(speakerSeparation.segments, {
+      areas: getDiscoveryAreas(options.discoveryAreas, language),
+      matcher,
+      language,
+      fallbackText: speakerSeparation.salesRepSpeech
+    })
+  }),
+
+  findings: ({ questionAnalysis }, { segments } = {}) => {
+    if (!questionAnalysis) {
+      return {};
+    }
+
+    const { metrics, areas, questions } = questionAnalysis;
+    const strengths = [];
+    const weaknesses = [];
+    const recommendations = [];
+
+    if (metrics.totalQuestions >= MIN_QUESTIONS_FOR_RATIO) {
+      const open = questions.filter(question => question.type === 'open');
+      const closed = questions.filter(question => question.type === 'closed');
+      if (metrics.openRatio >= GOOD_OPEN_RATIO) {
+        strengths.push(createFinding(
+          `Asked mostly open questions (${open.length} of ${metrics.totalQuestions})`,
+          questionEvidence(open, segments)
+        ));
+      } else if (metrics.openRatio < LOW_OPEN_RATIO) {
+        const evidence = questionEvidence(closed, segments);
+        weaknesses.push(createFinding(
+          `Relied on closed questions (${closed.length} of ${metrics.totalQuestions} were yes/no)`,
+          evidence
+        ));
+        recommendations.push(createFinding(
+          'Turn yes/no questions into open ones ("What...", "How...", "Tell me about...") to get the customer talking',
+          evidence
+        ));
+      }
+    }
+
+    const missed = areas.filter(area => !area.asked);
+    if (areas.length > 0 && missed.length === 0) {
+      const firstPerArea = areas
+        .map(area => questions.find(question => question.areas.includes(area.key)))
+        .filter((question, index, list) => list.indexOf(question) === index);
+      strengths.push(createFinding(
+        `Covered every discovery area (${areas.map(area => area.name).join(', ')})`,
+        questionEvidence(firstPerArea, segments, firstPerArea.length)
+      ));
+    } else if (missed.length > 0) {
+      const evidence = missed.map(area => missingEvidence(area.name, { kind: 'discovery_area', key: area.key }));
+      const names = missed.map(area => area.name).join(', ');
+      weaknesses.push(createFinding(`Never asked about: ${names}`, evidence));
+      recommendations.push(createFinding(`Ask about ${names} during discovery`, evidence));
+    }
+
+    return { strengths, weaknesses, recommendations };
+  },
+
+  validateOptions: (options) => (options.discoveryAreas === undefined ? [] : validateDiscoveryAreas(options.discoveryAreas))
+};
+
+module.exports = questionAnalyzer;
@@ -0,0 +1,236 @@
+const { QueryTypes } = require('sequelize');
+const { getSequelize } = require('../database/connection');
+
+// Text search configuration of each call language: calls from before languages were detected are
+// English, and languages without a configuration of their own are searched without stemming
+const SEARCH_CONFIGS = [
+  { config: 'english', condition: `sc.language IS NULL OR sc.language = 'en'` },
+  { config: 'spanish', condition: `sc.language = 'es'` },
+  { config: 'simple', condition: `sc.language NOT IN ('en', 'es')` }
+];
+const CALL_CONFIG = `CASE WHEN sc.language IS NULL OR sc.language = 'en' THEN 'english'::regconfig WHEN sc.language = 'es' THEN 'spanish'::regconfig ELSE 'simple'::regconfig END`;
+
+// Must match the expression of idx_sales_calls_language_search_document for the index to be used
+const CALL_DOCUMENT = `to_tsvector(${CALL_CONFIG}, coalesce(sc.transcript_text, '') || ' ' || coalesce(sc.notes, ''))`;
+const SEGMENT_DOCUMENT = `to_tsvector(${CALL_CONFIG}, ts.text)`;
+
+// The search query parsed once with every configuration
+const SEARCH_QUERIES = `SELECT ${SEARCH_CONFIGS.map(({ config }) => `websearch_to_tsquery('${config}', :query) AS ${config}_query`).join(', ')}`;
+
+// The query parsed with the call's configuration
+const CALL_QUERY = `CASE ${SEARCH_CONFIGS.map(({ config, condition }) => `WHEN ${condition} THEN search.${config}_query`).join(' ')} END`;
+
+const SNIPPET_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=3, MinWords=8, MaxWords=25, FragmentDelimiter=" … "';
+
+// Markers wrapped around every match when locating match offsets; stripped from the text again
+const OFFSET_START = '⟦';
+const OFFSET_STOP = '⟧';
+const OFFSET_OPTIONS = `HighlightAll=true, StartSel="${OFFSET_START}", StopSel="${OFFSET_STOP}"`;
+
+// Match offsets returned per call and field
+const MAX_MATCHES_PER_FIELD = 50;
+
+const SEARCH_SPEAKER_ROLES = ['sales_representative', 'customer'];
+
+/**
+ * Accept upper-case AND / NOT next to websearch syntax ("quoted phrases", OR, -term)
+ * Lower-case words are left alone so natural language queries keep working.
+ */
+function toWebSearchQuery(query) {
+  return String(query || '')
+    .replace(/\bAND\b/g, ' ')
+    .replace(/\bNOT\s+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Character offsets of the highlighted matches in a fully highlighted document
+ * @param {string} marked - ts_headline output with every match between the offset markers
+ * @param {string} field - Field the text comes from
+ * @returns {Array<Object>} Matches { field, start, end, text } with offsets into the unmarked text
+ */
+function extractMatchOffsets(marked, field) {
+  const matches = [];
+  let plainLength = 0;
+  let cursor = 0;
+
+  while (cursor < (marked || '').length && matches.length < MAX_MATCHES_PER_FIELD) {
+    const open = marked.indexOf(OFFSET_START, cursor);
+    if (open < 0) break;
+    const close = marked.indexOf(OFFSET_STOP, open);
+    if (close < 0) break;
+
+    plainLength += open - cursor;
+    const text = marked.slice(open + OFFSET_START.length, close);
+    matches.push({ field, start: plainLength, end: plainLength + text.length, text });
+
+    plainLength += text.length;
+    cursor = close + OFFSET_STOP.length;
+  }
+
+  return matches;
+}
+
+/**
+ * Condition matching a document against the query parsed with the call's configuration
+ * Written as one branch per configuration so each can use the search index.
+ */
+function matchesQuery(document) {
+  const branches = SEARCH_CONFIGS.map(({ config, condition }) => `((${condition}) AND ${document} @@ search.${config}_query)`);
+  return `(${branches.join(' OR ')})`;
+}
+
+class CallSearchService {
+  /**
+   * Full-text search over the transcripts and notes of an organization's calls
+   * The query uses PostgreSQL websearch syntax: "exact phrase", OR, -excluded (AND / NOT also work).
+   * @param {string} organizationId - Only this organization's calls are searched
+   * @param {Object} params - { q, salesRepresentativeId, startDate, endDate, outcome, minScore, maxScore, speaker, page, limit }
+   * @returns {Promise<Object>} { results, total }; each result has the call, rank, snippets, match offsets and matching segments
+   */
+  async search(organizationId, params = {}) {
+    const sequelize = getSequelize();
+    const limit = params.limit;
+    const offset = (params.page - 1) * params.limit;
+
+    const conditions = ['sc.organization_id = :organizationId', matchesQuery(CALL_DOCUMENT)];
+    const replacements = { organizationId, query: toWebSearchQuery(params.q), limit, offset };
+
+    if (params.salesRepresentativeId) {
+      conditions.push('sc.sales_representative_id = :salesRepresentativeId');
+      replacements.salesRepresentativeId = params.salesRepresentativeId;
+    }
+    if (params.startDate) {
+      conditions.push('sc.appointment_date >= :startDate');
+      replacements.startDate = new Date(params.startDate);
+    }
+    if (params.endDate) {
+      conditions.push('sc.appointment_date <= :endDate');
+      replacements.endDate = new Date(params.endDate);
+    }
+    if (params.outcome) {
+      conditions.push('sc.outcome = :outcome');
+      replacements.outcome = params.outcome;
+    }
+    if (params.minScore !== undefined) {
+      conditions.push('sc.performance_score >= :minScore');
+      replacements.minScore = params.minScore;
+    }
+    if (params.maxScore !== undefined) {
+      conditions.push('sc.performance_score <= :maxScore');
+      replacements.maxScore = params.maxScore;
+    }
+    if (SEARCH_SPEAKER_ROLES.includes(params.speaker)) {
+      // e.g. calls where the customer (not the rep) mentioned financing
+      conditions.push(`EXISTS (
+        SELECT 1 FROM transcript_segments ts
+        WHERE ts.sales_call_id = sc.id
+          AND ts.speaker_role = :speaker
+          AND ${matchesQuery(SEGMENT_DOCUMENT)}
+      )`);
+      replacements.speaker = params.speaker;
+    }
+
+    // Rank and page first so snippets are only built for the calls returned
+    const rows = await sequelize.query(`
+      WITH search AS (${SEARCH_QUERIES}),
+      matches AS (
+        SELECT sc.id, ts_rank_cd(${CALL_DOCUMENT}, ${CALL_QUERY}) AS rank, COUNT(*) OVER () AS total
+        FROM sales_calls sc CROSS JOIN search
+        WHERE ${conditions.join('\n          AND ')}
+        ORDER BY rank DESC, sc.appointment_date DESC
+        LIMIT :limit OFFSET :offset
+      )
+      SELECT
+        sc.id, sc.customer_name, sc.appointment_date, sc.status, sc.outcome, sc.performance_score,
+        sc.sales_representative_id, u.first_name, u.last_name,
+        matches.rank, matches.total,
+        ts_headline(${CALL_CONFIG}, coalesce(sc.transcript_text, ''), ${CALL_QUERY}, :snippetOptions) AS transcript_snippet,
+        ts_headline(${CALL_CONFIG}, coalesce(sc.notes, ''), ${CALL_QUERY}, :snippetOptions) AS notes_snippet,
+        ts_headline(${CALL_CONFIG}, coalesce(sc.transcript_text, ''), ${CALL_QUERY}, :offsetOptions) AS transcript_marked,
+        ts_headline(${CALL_CONFIG}, coalesce(sc.notes, ''), ${CALL_QUERY}, :offsetOptions) AS notes_marked
+      FROM matches
+      JOIN sales_calls sc ON sc.id = matches.id
+      LEFT JOIN users u ON u.id = sc.sales_representative_id
+      CROSS JOIN search
+      ORDER BY matches.rank DESC, sc.appointment_date DESC
+    `, {
+      replacements: { ...replacements, snippetOptions: SNIPPET_OPTIONS, offsetOptions: OFFSET_OPTIONS },
+      type: QueryTypes.SELECT
+    });
+
+    if (rows.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    const segments = await this.findMatchingSegments(rows.map(row => row.id), replacements.query, params.speaker);
+
+    const results = rows.map(row => {
+      const transcriptMatches = extractMatchOffsets(row.transcript_marked, 'transcript');
+      const notesMatches = extractMatchOffsets(row.notes_marked, 'notes');
+
+      return {
+        salesCall: {
+          id: row.id,
+          customer_name: row.customer_name,
+          appointment_date: row.appointment_date,
+          status: row.status,
+          outcome: row.outcome,
+          performance_score: row.performance_score,
+          salesRepresentative: row.sales_representative_id
+            ? { id: row.sales_representative_id, first_name: row.first_name, last_name: row.last_name }
+            : null
+        },
+        rank: Number(row.rank),
+        // ts_headline returns the start of the text when nothing in it matched
+        snippets: {
+          transcript: transcriptMatches.length > 0 ? row.transcript_snippet : null,
+          notes: notesMatches.length > 0 ? row.notes_snippet : null
+        },
+        matches: [...transcriptMatches, ...notesMatches],
+        segments: segments.filter(segment => segment.salesCallId === row.id).map(({ salesCallId, ...segment }) => segment)
+      };
+    });
+
+    return { results, total: parseInt(rows[0].total) };
+  }
+
+  /**
+   * Transcript segments of the given calls that match the query on their own
+   * Hits on a whole transcript (e.g. two terms said minutes apart) may have no matching segment.
+   * Segments are matched with their call's text search configuration.
+   */
+  async findMatchingSegments(salesCallIds, query, speaker) {
+    const speakerCondition = SEARCH_SPEAKER_ROLES.includes(speaker) ? 'AND ts.speaker_role = :speaker' : '';
+
+    const rows = await getSequelize().query(`
+      WITH search AS (${SEARCH_QUERIES})
+      SELECT ts.id, ts.sales_call_id, ts.position, ts.speaker, ts.speaker_role, ts.start_time, ts.end_time,
+        ts_headline(${CALL_CONFIG}, ts.text, ${CALL_QUERY}, :snippetOptions) AS snippet
+      FROM transcript_segments ts
+      JOIN sales_calls sc ON sc.id = ts.sales_call_id
+      CROSS JOIN search
+      WHERE ts.sales_call_id IN (:salesCallIds)
+        AND ${matchesQuery(SEGMENT_DOCUMENT)}
+        ${speakerCondition}
+      ORDER BY ts.sales_call_id, ts.position
+    `, {
+      replacements: { salesCallIds, query, speaker, snippetOptions: SNIPPET_OPTIONS },
+      type: QueryTypes.SELECT
+    });
+
+    return rows.map(row => ({
+      salesCallId: row.sales_call_id,
+      id: row.id,
+      position: row.position,
+      speaker: row.speaker,
+      speaker_role: row.speaker_role,
+      start_time: row.start_time === null ? null : Number(row.start_time),
+      end_time: row.end_time === null ? null : Number(row.end_time),
+      snippet: row.snippet
+    }));
+  }
+}
+
+module.exports = new CallSearchService();
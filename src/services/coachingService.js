@@ -0,0 +1,212 @@
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const { getSequelize } = require('../database/connection');
+const { normalizeCoachingTips, detectCoachingNeeds, selectCoachingTips } = require('../utils/coachingTips');
+
+// Coaching tips sent to a rep for one analyzed call
+const MAX_TIPS_PER_CALL = parseInt(process.env.COACHING_TIPS_PER_CALL) || 2;
+
+// Top performers are the reps with the best average score over their recent analyzed calls
+const TOP_PERFORMERS = 3;
+const TOP_PERFORMER_MIN_CALLS = 3;
+const TOP_PERFORMER_LOOKBACK_DAYS = 90;
+
+// Best-scored calls of the top performers searched for example snippets
+const EXAMPLE_CALLS = 25;
+
+// Conversation metrics whose top performer average is quoted with a tip
+const METRIC_BENCHMARKS = {
+  rep_talk_share_high: { metric: 'repTalkShare', format: (value) => `${Math.round(value * 100)}% talk share` },
+  rep_talk_share_low: { metric: 'repTalkShare', format: (value) => `${Math.round(value * 100)}% talk share` },
+  long_monologue: { metric: 'longestRepMonologueSeconds', format: (value) => `a longest monologue of ${Math.round(value)} seconds` },
+  few_questions: { metric: 'questionsAsked', format: (value) => `${Math.round(value * 10) / 10} questions per call` },
+  frequent_interruptions: { metric: 'repInterruptions', format: (value) => `${Math.round(value * 10) / 10} interruptions per call` }
+};
+
+class CoachingService {
+  /**
+   * IDs of the organization's top performing reps, excluding the given rep
+   */
+  async findTopPerformers(organizationId, excludeUserId) {
+    const since = new Date(Date.now() - TOP_PERFORMER_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const calls = await getSequelize().models.SalesCall.findAll({
+      where: {
+        organization_id: organizationId,
+        performance_score: { [Op.ne]: null },
+        sales_representative_id: { [Op.ne]: null },
+        appointment_date: { [Op.gte]: since }
+      },
+      attributes: ['sales_representative_id', 'performance_score']
+    });
+
+    const byRep = new Map();
+    calls.forEach(call => {
+      const scores = byRep.get(call.sales_representative_id) || [];
+      scores.push(Number(call.performance_score));
+      byRep.set(call.sales_representative_id, scores);
+    });
+
+    return [...byRep.entries()]
+      .filter(([userId, scores]) => userId !== excludeUserId && scores.length >= TOP_PERFORMER_MIN_CALLS)
+      .map(([userId, scores]) => ({ userId, average: scores.reduce((sum, score) => sum + score, 0) / scores.length }))
+      .sort((a, b) => b.average - a.average)
+      .slice(0, TOP_PERFORMERS)
+      .map(performer => performer.userId);
+  }
+
+  /**
+   * Example for a tip from the top performers' calls: how they answered the same objection,
+   * how they ran the same stage or covered the same topic, or their average for a conversation metric
+   * @returns {Object|null} { salesCallId, excerpt } or { benchmark, value }
+   */
+  findExample(tip, exampleCalls) {
+    if (METRIC_BENCHMARKS[tip.weakness]) {
+      const { metric, format } = METRIC_BENCHMARKS[tip.weakness];
+      const values = exampleCalls
+        .map(call => call.conversation_metrics?.[metric])
+        .filter(value => typeof value === 'number');
+      if (values.length === 0) {
+        return null;
+      }
+      const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+      return { benchmark: `Top performers average ${format(average)}`, value: Math.round(average * 100) / 100 };
+    }
+
+    for (const call of exampleCalls) {
+      let excerpt = null;
+
+      if (tip.weakness === 'unhandled_objection') {
+        const answered = (call.objections_handled || [])
+          .find(objection => objection.category === tip.detail && objection.handled && objection.responseExcerpt);
+        excerpt = answered?.responseExcerpt || null;
+      } else if (['skipped_stage', 'weak_stage', 'missed_topics'].includes(tip.weakness)) {
+        const analysisData = call.analysis_data || {};
+        const scriptAnalysis = analysisData.transcriptAnalysis?.scriptAnalysis || analysisData.detailedAnalysis?.scriptAnalysis || {};
+        const matches = (scriptAnalysis.stageBreakdown || [])
+          .filter(stage => tip.weakness === 'missed_topics' || (stage.key === tip.detail && stage.score >= 0.8))
+          .flatMap(stage => stage.matches || [])
+          .filter(match => match.excerpt && match.type !== 'forbiddenPhrase')
+          .filter(match => tip.weakness !== 'missed_topics' || (tip.params.topics || []).includes(match.phrase))
+          .sort((a, b) => b.confidence - a.confidence);
+        excerpt = matches[0]?.excerpt || null;
+      }
+
+      if (excerpt) {
+        return { salesCallId: call.id, excerpt };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Send the rep of a freshly analyzed call the most relevant coaching tips as coaching_tip notifications
+   * Tips the rep dismissed and tips already sent for the call are skipped. Failures are logged and
+   * never fail the analysis.
+   * @param {Object} salesCall - Analyzed SalesCall, loaded with its organization
+   * @param {Object} analysis - Result of performAnalysis
+   * @returns {Promise<Array<Object>>} Created notifications
+   */
+  async deliverCoachingTips(salesCall, analysis) {
+    if (!salesCall.sales_representative_id) {
+      return [];
+    }
+
+    try {
+      const { Notification, SalesCall, User } = getSequelize().models;
+      const settings = salesCall.organization?.settings || {};
+      const needs = detectCoachingNeeds(analysis, settings.scoringRubric);
+      if (needs.length === 0) {
+        return [];
+      }
+
+      const rep = await User.findByPk(salesCall.sales_representative_id, { attributes: ['id', 'preferences'] });
+      if (!rep) {
+        return [];
+      }
+
+      const alreadySent = await Notification.findAll({
+        where: { user_id: rep.id, type: 'coaching_tip', data: { salesCallId: salesCall.id } },
+        attributes: ['data']
+      });
+
+      const tips = selectCoachingTips(needs, normalizeCoachingTips(settings.coachingTips), {
+        dismissed: rep.preferences?.dismissedCoachingTips,
+        sent: alreadySent.map(notification => notification.data?.needId),
+        max: MAX_TIPS_PER_CALL
+      });
+      if (tips.length === 0) {
+        return [];
+      }
+
+      const topPerformers = await this.findTopPerformers(salesCall.organization_id, rep.id);
+      const exampleCalls = topPerformers.length > 0
+        ? await SalesCall.findAll({
+          where: {
+            organization_id: salesCall.organization_id,
+            sales_representative_id: { [Op.in]: topPerformers },
+            performance_score: { [Op.ne]: null }
+          },
+          attributes: ['id', 'objections_handled', 'conversation_metrics', 'analysis_data'],
+          order: [['performance_score', 'DESC']],
+          limit: EXAMPLE_CALLS
+        })
+        : [];
+
+      const notifications = [];
+      for (const tip of tips) {
+        const example = this.findExample(tip, exampleCalls);
+        let message = tip.tip;
+        if (example?.excerpt) {
+          message += `\n\nFrom a top performer's call: "${example.excerpt}"`;
+        } else if (example?.benchmark) {
+          message += `\n\n${example.benchmark}.`;
+        }
+
+        notifications.push(await Notification.create({
+          organization_id: salesCall.organization_id,
+          user_id: rep.id,
+          type: 'coaching_tip',
+          title: tip.title,
+          message,
+          priority: tip.severity >= 0.8 ? 'high' : 'normal',
+          data: {
+            tipId: tip.id,
+            needId: tip.needId,
+            weakness: tip.weakness,
+            detail: tip.detail,
+            salesCallId: salesCall.id,
+            segmentIndex: tip.segmentIndex,
+            example
+          }
+        }));
+      }
+
+      logger.info(`Sent ${notifications.length} coaching tips for sales call ${salesCall.id}`);
+
+      return notifications;
+    } catch (error) {
+      logger.error(`Error delivering coaching tips for sales call ${salesCall.id}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Stop sending a tip to a user
+   * @param {Object} user - User instance
+   * @param {string} tipId - Coaching tip ID
+   */
+  async dismissTip(user, tipId) {
+    const preferences = user.preferences || {};
+    const dismissed = new Set(preferences.dismissedCoachingTips || []);
+    dismissed.add(tipId);
+
+    // Reassign so Sequelize detects the JSONB change
+    user.preferences = { ...preferences, dismissedCoachingTips: [...dismissed] };
+    await user.save();
+
+    return user.preferences.dismissedCoachingTips;
+  }
+}
+
+module.exports = new CoachingService();
@@ -1,6 +1,5 @@
 const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand } = require("@aws-sdk/client-s3");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
-const { Readable } = require("stream");
 const { logger } = require('../utils/logger');
 const path = require('path');
 const crypto = require('crypto');
@@ -323,6 +322,20 @@ class FileStorageService {
     return this.uploadFile(fileData, originalName, contentType, prefix);
   }
 
+  /**
+   * Upload sales call transcript file
+   * @param {Buffer|string} fileData - Transcript file data (Otter text, SRT, WebVTT or Otter JSON)
+   * @param {string} originalName - Original filename
+   * @param {string} salesCallId - Sales call ID for organization
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadSalesCallTranscript(fileData, originalName, salesCallId) {
+    const prefix = `sales-calls/${salesCallId}/transcripts`;
+    const contentType = this.getContentType(originalName);
+    
+    return this.uploadFile(fileData, originalName, contentType, prefix);
+  }
+
   /**
    * Upload analytics report file
    * @param {Buffer|string} fileData - Report file data
@@ -351,6 +364,20 @@ class FileStorageService {
     return this.uploadFile(fileData, originalName, contentType, prefix);
   }
 
+  /**
+   * Upload a sales script source document
+   * @param {Buffer|string} fileData - Document file data
+   * @param {string} originalName - Original filename
+   * @param {string} organizationId - Organization ID for organization
+   * @returns {Promise<Object>} Upload result
+   */
+  async uploadSalesScriptDocument(fileData, originalName, organizationId) {
+    const prefix = `sales-scripts/${organizationId}`;
+    const contentType = this.getContentType(originalName);
+    
+    return this.uploadFile(fileData, originalName, contentType, prefix);
+  }
+
   /**
    * Get content type based on file extension
    * @param {string} filename - Filename with extension
@@ -376,7 +403,12 @@ class FileStorageService {
       '.xls': 'application/vnd.ms-excel',
       '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       '.txt': 'text/plain',
-      '.csv': 'text/csv'
+      '.md': 'text/markdown',
+      '.markdown': 'text/markdown',
+      '.csv': 'text/csv',
+      '.srt': 'application/x-subrip',
+      '.vtt': 'text/vtt',
+      '.json': 'application/json'
     };
 
     return mimeTypes[ext] || 'application/octet-stream';
@@ -0,0 +1,110 @@
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const { getSequelize } = require('../database/connection');
+const { createMatcher } = require('../utils/phraseMatcher');
+const { separateSpeakers } = require('../utils/transcriptParser');
+const { findTrackerHits } = require('../utils/keywordTracker');
+const otterAIService = require('./otterAIService');
+
+// Calls loaded per query during a backfill
+const BATCH_SIZE = 50;
+
+class KeywordTrackerService {
+  /**
+   * Recount a tracker's hits over the stored transcripts of the organization's calls
+   * Only the tracker's hits are replaced; the calls are not re-analyzed. Progress is kept on the
+   * tracker (backfill_status, backfilled_calls). Never rejects, so it can run detached from the
+   * request that started it.
+   * @param {string} trackerId - KeywordTracker ID
+   * @param {Object} filters - { startDate, endDate } limiting the calls by appointment date
+   */
+  async backfill(trackerId, filters = {}) {
+    const { KeywordTracker, SalesCall, Organization, User, CallTrackerHit, TranscriptSegment } = getSequelize().models;
+    let tracker;
+
+    try {
+      tracker = await KeywordTracker.findByPk(trackerId);
+      if (!tracker) {
+        return null;
+      }
+
+      const organization = await Organization.findByPk(tracker.organization_id);
+      // Calls are matched in the language they were analyzed in
+      const matchers = {};
+      const matcherFor = (language) => {
+        const key = language || 'en';
+        matchers[key] = matchers[key] || createMatcher(organization?.settings, key);
+        return matchers[key];
+      };
+
+      const where = {
+        organization_id: tracker.organization_id,
+        transcript_text: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] }
+      };
+      if (filters.startDate || filters.endDate) {
+        where.appointment_date = {
+          ...(filters.startDate ? { [Op.gte]: new Date(filters.startDate) } : {}),
+          ...(filters.endDate ? { [Op.lte]: new Date(filters.endDate) } : {})
+        };
+      }
+
+      await tracker.update({ backfill_status: 'running', backfilled_calls: 0 });
+
+      let processed = 0;
+      for (let offset = 0; ; offset += BATCH_SIZE) {
+        const salesCalls = await SalesCall.findAll({
+          where,
+          attributes: ['id', 'organization_id', 'transcript_text', 'language', 'customer_name', 'customer_email', 'analysis_data'],
+          include: [
+            {
+              model: User,
+              as: 'salesRepresentative',
+              attributes: ['id', 'first_name', 'last_name', 'email']
+            }
+          ],
+          order: [['created_at', 'ASC']],
+          limit: BATCH_SIZE,
+          offset
+        });
+
+        if (salesCalls.length === 0) {
+          break;
+        }
+
+        for (const salesCall of salesCalls) {
+          const separation = separateSpeakers(salesCall.transcript_text, [], otterAIService.getCallParticipants(salesCall));
+          const results = findTrackerHits(separation.segments, [tracker], matcherFor(salesCall.language), {
+            fallbackText: salesCall.transcript_text
+          });
+
+          // Stored segments were split from the same transcript, so positions match segmentIndex
+          const segments = await TranscriptSegment.findBySalesCall(salesCall.id, { attributes: ['id', 'position'] });
+          results.forEach(result => result.hits.forEach(hit => {
+            if (Number.isInteger(hit.segmentIndex)) {
+              hit.segmentId = segments[hit.segmentIndex]?.id || null;
+            }
+          }));
+
+          await CallTrackerHit.replaceForCall(salesCall, results);
+        }
+
+        processed += salesCalls.length;
+        await tracker.update({ backfilled_calls: processed });
+      }
+
+      await tracker.update({ backfill_status: 'completed', last_backfilled_at: new Date() });
+      logger.info(`Backfilled keyword tracker ${trackerId} over ${processed} calls`);
+
+      return tracker;
+    } catch (error) {
+      logger.error(`Keyword tracker backfill ${trackerId} failed:`, error);
+      if (tracker) {
+        await tracker.update({ backfill_status: 'failed' })
+          .catch(updateError => logger.error('Error marking keyword tracker backfill as failed:', updateError));
+      }
+      return tracker;
+    }
+  }
+}
+
+module.exports = new KeywordTrackerService();
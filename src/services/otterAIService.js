@@ -1,6 +1,32 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
-const { SalesCall, SalesScript, Organization } = require('../database/models');
+const { getSequelize } = require('../database/connection');
+const { normalizeStages } = require('../utils/scriptStages');
+const { ROLE_REP, segmentTranscript, separateSpeakers } = require('../utils/transcriptParser');
+const { createMatcher } = require('../utils/phraseMatcher');
+const { scoreConversationMetrics } = require('../utils/conversationMetrics');
+const { buildSentimentTimeline, summarizeSentimentTrajectory } = require('../utils/sentimentAnalyzer');
+const { summarizeTranscript } = require('../utils/callSummarizer');
+const { DEFAULT_LANGUAGE, detectLanguage, localeForLanguage } = require('../utils/languageDetector');
+const { excerptEvidence, missingEvidence, createFinding, normalizeFinding } = require('../utils/findingEvidence');
+const { DEFAULT_OBJECTIONS, getDefaultObjections, detectObjections, scoreObjectionHandling } = require('../utils/objectionDetector');
+const { normalizeScoringRubric, applyScoringRubric, isComponentEnabled } = require('../utils/scoringRubric');
+const { redactValue } = require('../utils/piiRedactor');
+const AnalyzerRegistry = require('./analyzers/analyzerRegistry');
+const { createBuiltinAnalyzers } = require('./analyzers/builtinAnalyzers');
+const disclosureAnalyzer = require('./analyzers/disclosureAnalyzer');
+const keywordTrackerAnalyzer = require('./analyzers/keywordTrackerAnalyzer');
+const commitmentAnalyzer = require('./analyzers/commitmentAnalyzer');
+const questionAnalyzer = require('./analyzers/questionAnalyzer');
+const winProbabilityService = require('./winProbabilityService');
+const coachingService = require('./coachingService');
+const transcriptIngestionService = require('./transcriptIngestionService');
+
+// Models are defined when the database initializes, so resolve them lazily
+const getModels = () => getSequelize().models;
+
+// Score deducted from a stage for each forbidden phrase the rep used
+const FORBIDDEN_PHRASE_PENALTY = 0.25;
 
 class OtterAIService {
   constructor() {
@@ -15,6 +41,22 @@ class OtterAIService {
         'Content-Type': 'application/json'
       }
     });
+
+    // Analysis pipeline; organizations enable optional analyzers in settings.analyzers
+    this.analyzers = new AnalyzerRegistry();
+    createBuiltinAnalyzers(this).forEach(analyzer => this.analyzers.register(analyzer));
+    this.analyzers.register(disclosureAnalyzer);
+    this.analyzers.register(keywordTrackerAnalyzer);
+    this.analyzers.register(commitmentAnalyzer);
+    this.analyzers.register(questionAnalyzer);
+  }
+
+  /**
+   * Add an analyzer to the analysis pipeline (see AnalyzerRegistry for the definition format)
+   */
+  registerAnalyzer(definition) {
+    this.analyzers.register(definition);
+    return this;
   }
 
   /**
@@ -22,6 +64,7 @@ class OtterAIService {
    */
   async startRecording(salesCallId, organizationId, options = {}) {
     try {
+      const { SalesCall, Organization } = getModels();
       const salesCall = await SalesCall.findByPk(salesCallId, {
         include: [
           {
@@ -39,7 +82,8 @@ class OtterAIService {
       const recordingPayload = {
         name: `Sales Call - ${salesCall.customerName || 'Customer'}`,
         description: `Sales presentation for ${salesCall.customerName}`,
-        language: 'en-US',
+        // The call's declared language; options.language overrides it with any Otter locale
+        language: localeForLanguage(salesCall.language),
         ...options
       };
 
@@ -116,54 +160,91 @@ class OtterAIService {
    */
   async analyzeSalesCall(salesCallId, recordingId) {
     try {
-      const salesCall = await SalesCall.findByPk(salesCallId, {
-        include: [
-          {
-            model: Organization,
-            as: 'organization',
-            include: [
-              {
-                model: SalesScript,
-                as: 'salesScripts',
-                where: { status: 'active' },
-                required: false
-              }
-            ]
-          }
-        ]
-      });
+      const salesCall = await this.findSalesCallForAnalysis(salesCallId);
 
       if (!salesCall) {
         throw new Error('Sales call not found');
       }
 
-      // Get recording details from OtterAI
-      const recordingDetails = await this.getRecordingDetails(recordingId);
+      // Get recording details from OtterAI, redacted with the organization's policy before anything is analyzed or stored
+      const redactionPolicy = await transcriptIngestionService.getRedactionPolicy(salesCall.organization_id);
+      const { recordingDetails, transcript } = this.redactRecordingDetails(
+        await this.getRecordingDetails(recordingId),
+        redactionPolicy
+      );
+
+      // The language spoken decides the scripts, objections and lexicons used
+      const languageDetection = detectLanguage(recordingDetails.transcript, { fallback: salesCall.language });
+      const { language } = languageDetection;
       
-      // Get active sales scripts for the organization
-      const activeScripts = salesCall.organization.salesScripts || [];
+      // Get active sales scripts for the organization; calls in an experiment use their variant's script
+      const activeScripts = await this.getCallScripts(salesCall);
       
-      // Perform analysis
-      const analysis = await this.performAnalysis(recordingDetails, activeScripts);
+      // Perform analysis using the organization's phrase matching settings, objection library and scoring rubric
+      const analysis = await this.performAnalysis(recordingDetails, activeScripts, {
+        language,
+        matcher: createMatcher(salesCall.organization?.settings, language),
+        participants: this.getCallParticipants(salesCall),
+        objectionLibrary: await getModels().Objection.getLibrary(salesCall.organization_id, language),
+        scoringRubric: salesCall.organization?.settings?.scoringRubric,
+        analyzerSettings: salesCall.organization?.settings?.analyzers,
+        keywordTrackers: await getModels().KeywordTracker.findActiveByOrganization(salesCall.organization_id),
+        callDate: salesCall.call_start_time || salesCall.appointment_date
+      });
+
+      // Remember which script revisions this analysis was scored against
+      const scriptRevisions = await this.getScriptRevisions(this.scriptsInLanguage(activeScripts, language));
+
+      // Segments are stored first so the findings saved below can reference them
+      await this.saveTranscriptSegments(salesCall, analysis);
+      const { transcriptSegments, callSummary, ...analysisData } = analysis;
+      const { questionAnalysis } = analysis.detailedAnalysis.extensions;
       
       // Update sales call with analysis results
       await salesCall.update({
         status: 'completed',
-        callEndTime: new Date(),
+        call_end_time: new Date(),
         duration: recordingDetails.duration,
-        recordingUrl: recordingDetails.recordingUrl,
-        transcriptUrl: recordingDetails.transcriptUrl,
-        analysisData: analysis,
-        performanceScore: analysis.performanceScore,
+        recording_url: recordingDetails.recordingUrl,
+        transcript_url: recordingDetails.transcriptUrl,
+        // Stored so the call can be re-analyzed and searched later
+        ...(transcript ? {
+          transcript_text: transcript.text,
+          transcript_format: transcript.format,
+          pii_redaction: transcript.redaction
+        } : {}),
+        analysis_data: {
+          ...analysisData,
+          languageDetection,
+          analyzedAt: new Date().toISOString(),
+          scriptRevisions
+        },
+        language,
+        performance_score: analysis.performanceScore,
         strengths: analysis.strengths,
         weaknesses: analysis.weaknesses,
         recommendations: analysis.recommendations,
-        scriptCompliance: analysis.scriptCompliance,
-        keyTopicsCovered: analysis.keyTopicsCovered,
-        objectionsHandled: analysis.objectionsHandled,
-        customerSentiment: analysis.customerSentiment
+        script_compliance: analysis.scriptCompliance,
+        conversation_metrics: analysis.conversationMetrics,
+        // Kept from the previous analysis when the question analyzer did not run
+        ...(questionAnalysis ? { question_metrics: questionAnalysis.metrics } : {}),
+        key_topics_covered: analysis.keyTopicsCovered,
+        objections_handled: analysis.objectionsHandled,
+        customer_sentiment: analysis.customerSentiment,
+        ...this.summaryFields(callSummary)
+      });
+
+      await getModels().ScoreHistory.record(salesCall, {
+        source: 'analysis',
+        scoringRubric: normalizeScoringRubric(salesCall.organization?.settings?.scoringRubric),
+        scriptRevisions
       });
 
+      await this.saveTrackerHits(salesCall, analysis);
+      await this.saveFollowUpTasks(salesCall, analysis);
+      await winProbabilityService.predictForCall(salesCall);
+      await coachingService.deliverCoachingTips(salesCall, analysis);
+
       logger.info(`Completed analysis for sales call ${salesCallId}`);
       
       return analysis;
@@ -173,173 +254,867 @@ class OtterAIService {
     }
   }
 
+  /**
+   * Redact PII from recording details returned by the OtterAI API
+   * The transcript is normalized to Otter text like transcripts from other sources; speakers,
+   * summary and insights are redacted with the same policy.
+   * @param {Object} recordingDetails - Result of getRecordingDetails
+   * @param {Object} redactionPolicy - Organization redaction policy
+   * @returns {Object} { recordingDetails, transcript } where transcript is the normalized transcript
+   *          ({ format, segments, text, redaction }), or null when the recording has none
+   */
+  redactRecordingDetails(recordingDetails, redactionPolicy) {
+    const transcript = transcriptIngestionService.parse(recordingDetails.transcript, {
+      speakers: recordingDetails.speakers,
+      redactionPolicy
+    });
+    const { speakers, summary, insights } = redactValue({
+      speakers: recordingDetails.speakers,
+      summary: recordingDetails.summary,
+      insights: recordingDetails.insights
+    }, redactionPolicy).value;
+
+    return {
+      recordingDetails: {
+        ...recordingDetails,
+        transcript: transcript ? transcript.text : '',
+        speakers,
+        summary,
+        insights
+      },
+      transcript
+    };
+  }
+
+  /**
+   * Analyze the transcript text stored on a sales call (e.g. delivered by Zapier)
+   * Otter's own meeting score, strengths and weaknesses are kept; this adds script compliance
+   * scored on the rep's speech and the speaker separation under analysis_data.transcriptAnalysis.
+   * With recomputeScores (used by re-analysis jobs) the performance score, strengths, weaknesses and
+   * recommendations are replaced as well, and the new scores are appended to the score history.
+   * @param {Object} options - { recomputeScores, reanalysisJobId }
+   */
+  async analyzeTranscriptText(salesCallId, options = {}) {
+    try {
+      const salesCall = await this.findSalesCallForAnalysis(salesCallId);
+
+      if (!salesCall) {
+        throw new Error('Sales call not found');
+      }
+
+      if (!salesCall.transcript_text) {
+        return null;
+      }
+
+      const languageDetection = detectLanguage(salesCall.transcript_text, { fallback: salesCall.language });
+      const { language } = languageDetection;
+      const activeScripts = await this.getCallScripts(salesCall);
+
+      const scoringRubric = normalizeScoringRubric(salesCall.organization?.settings?.scoringRubric);
+      const analysis = await this.performAnalysis({
+        transcript: salesCall.transcript_text,
+        duration: salesCall.duration
+      }, activeScripts, {
+        language,
+        matcher: createMatcher(salesCall.organization?.settings, language),
+        participants: this.getCallParticipants(salesCall),
+        objectionLibrary: await getModels().Objection.getLibrary(salesCall.organization_id, language),
+        scoringRubric,
+        analyzerSettings: salesCall.organization?.settings?.analyzers,
+        keywordTrackers: await getModels().KeywordTracker.findActiveByOrganization(salesCall.organization_id),
+        callDate: salesCall.call_start_time || salesCall.appointment_date
+      });
+
+      const scriptRevisions = await this.getScriptRevisions(this.scriptsInLanguage(activeScripts, language));
+      const {
+        scriptAnalysis, sequenceAnalysis, speakerAnalysis, sentimentAnalysis, topicAnalysis, scoreBreakdown, extensions, pipeline
+      } = analysis.detailedAnalysis;
+      const { ScoreHistory } = getModels();
+
+      if (options.recomputeScores) {
+        // Scores from before score history existed would otherwise be lost
+        await ScoreHistory.recordPreviousIfMissing(salesCall);
+      }
+
+      await this.saveTranscriptSegments(salesCall, analysis);
+
+      await salesCall.update({
+        analysis_data: {
+          ...(salesCall.analysis_data || {}),
+          transcriptAnalysis: {
+            scriptAnalysis,
+            sequenceAnalysis,
+            speakerAnalysis,
+            sentimentAnalysis,
+            topicAnalysis,
+            extensions,
+            pipeline,
+            findings: analysis.findings,
+            languageDetection,
+            ...(options.recomputeScores ? { scoreBreakdown } : {}),
+            analyzedAt: new Date().toISOString(),
+            scriptRevisions
+          }
+        },
+        language,
+        conversation_metrics: analysis.conversationMetrics,
+        ...(extensions.questionAnalysis ? { question_metrics: extensions.questionAnalysis.metrics } : {}),
+        objections_handled: analysis.objectionsHandled,
+        ...this.summaryFields(analysis.callSummary),
+        // Otter's sentiment category from Zapier takes precedence over the local estimate
+        ...(salesCall.customer_sentiment ? {} : { customer_sentiment: sentimentAnalysis.overallSentiment }),
+        // Only a matched script yields a meaningful compliance score
+        ...(scriptAnalysis.scriptId ? { script_compliance: scriptAnalysis.complianceScore } : {}),
+        ...(options.recomputeScores ? {
+          performance_score: analysis.performanceScore,
+          strengths: analysis.strengths,
+          weaknesses: analysis.weaknesses,
+          recommendations: analysis.recommendations
+        } : {})
+      });
+
+      if (options.recomputeScores) {
+        await ScoreHistory.record(salesCall, {
+          source: 'reanalysis',
+          scoringRubric,
+          scriptRevisions,
+          jobId: options.reanalysisJobId || null
+        });
+      }
+
+      await this.saveTrackerHits(salesCall, analysis);
+      await this.saveFollowUpTasks(salesCall, analysis);
+      await winProbabilityService.predictForCall(salesCall);
+      // Re-analysis jobs rescore old calls; coaching is only sent for calls that were just held
+      if (!options.recomputeScores) {
+        await coachingService.deliverCoachingTips(salesCall, analysis);
+      }
+
+      logger.info(`Completed transcript analysis for sales call ${salesCallId} (speakers: ${speakerAnalysis.method})`);
+
+      return analysis;
+    } catch (error) {
+      logger.error('Error analyzing sales call transcript:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the call's transcript segments and point the analysis findings at them
+   * Objections, sentiment points and tracker hits carry the segmentIndex they were found in;
+   * the stored segment's ID is added next to it as segmentId.
+   * @returns {Promise<Array<Object>>} Stored segments ordered by position
+   */
+  async saveTranscriptSegments(salesCall, analysis) {
+    const segments = await getModels().TranscriptSegment.replaceForCall(salesCall, analysis.transcriptSegments);
+
+    const link = (finding) => {
+      if (finding && Number.isInteger(finding.segmentIndex)) {
+        finding.segmentId = segments[finding.segmentIndex]?.id || null;
+      }
+    };
+    const { topicAnalysis, sentimentAnalysis, extensions = {} } = analysis.detailedAnalysis;
+    (topicAnalysis?.objections || []).forEach(link);
+    (sentimentAnalysis?.timeline || []).forEach(link);
+    (extensions.trackerAnalysis || []).forEach(tracker => (tracker.hits || []).forEach(link));
+    (analysis.callSummary?.highlights || []).forEach(link);
+    (extensions.commitmentAnalysis || []).forEach(link);
+    Object.values(analysis.findings || {}).forEach(findings => findings.forEach(finding => finding.evidence.forEach(link)));
+
+    return segments;
+  }
+
+  /**
+   * Sales call fields holding an extractive summary
+   */
+  summaryFields(callSummary) {
+    return {
+      summary: callSummary?.summary || null,
+      summary_highlights: callSummary?.highlights || [],
+      summary_generated_at: new Date()
+    };
+  }
+
+  /**
+   * Rebuild the extractive summary of a call from its stored transcript
+   * The stored transcript segments are used when there are any, so highlights link to the same
+   * segments as the rest of the analysis; otherwise the transcript text is split again.
+   * @param {string} salesCallId - Sales call ID
+   * @returns {Promise<Object|null>} Updated sales call, or null when it has no transcript
+   */
+  async regenerateSummary(salesCallId) {
+    const salesCall = await this.findSalesCallForAnalysis(salesCallId);
+
+    if (!salesCall) {
+      throw new Error('Sales call not found');
+    }
+
+    if (!salesCall.transcript_text) {
+      return null;
+    }
+
+    const storedSegments = await getModels().TranscriptSegment.findBySalesCall(salesCall.id);
+    let segments = storedSegments.map(segment => ({
+      speaker: segment.speaker,
+      role: segment.speaker_role,
+      start: segment.start_time,
+      text: segment.text,
+      index: segment.position
+    }));
+
+    if (segments.length === 0) {
+      const { segments: labelled } = separateSpeakers(salesCall.transcript_text, [], this.getCallParticipants(salesCall));
+      segments = labelled.length > 0 ? labelled : segmentTranscript(salesCall.transcript_text);
+    }
+
+    const callSummary = summarizeTranscript(segments, {
+      language: salesCall.language || detectLanguage(salesCall.transcript_text).language
+    });
+    callSummary.highlights.forEach(highlight => {
+      highlight.segmentId = storedSegments[highlight.segmentIndex]?.id || null;
+    });
+
+    return salesCall.update(this.summaryFields(callSummary));
+  }
+
+  /**
+   * Store the keyword tracker hits of an analysis
+   * Existing hits are kept when the tracker analyzer did not complete.
+   */
+  async saveTrackerHits(salesCall, analysis) {
+    const { pipeline = [], extensions = {} } = analysis.detailedAnalysis;
+    const trackerStep = pipeline.find(entry => entry.name === keywordTrackerAnalyzer.name);
+
+    if (trackerStep?.status !== 'completed') {
+      return;
+    }
+
+    await getModels().CallTrackerHit.replaceForCall(salesCall, extensions.trackerAnalysis);
+  }
+
+  /**
+   * Store the commitments of an analysis as follow-up tasks for the call's rep
+   * Existing tasks are kept when the commitment analyzer did not complete.
+   */
+  async saveFollowUpTasks(salesCall, analysis) {
+    const { pipeline = [], extensions = {} } = analysis.detailedAnalysis;
+    const commitmentStep = pipeline.find(entry => entry.name === commitmentAnalyzer.name);
+
+    if (commitmentStep?.status !== 'completed') {
+      return;
+    }
+
+    await getModels().FollowUpTask.replaceDetectedForCall(salesCall, extensions.commitmentAnalysis);
+  }
+
+  /**
+   * Load a sales call with everything analysis needs: organization settings,
+   * active scripts and the assigned sales representative
+   */
+  findSalesCallForAnalysis(salesCallId) {
+    const { SalesCall, Organization, SalesScript, User } = getModels();
+    return SalesCall.findByPk(salesCallId, {
+      include: [
+        {
+          model: Organization,
+          as: 'organization',
+          include: [
+            {
+              model: SalesScript,
+              as: 'salesScripts',
+              where: { is_active: true, is_deleted: false },
+              required: false
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'salesRepresentative',
+          attributes: ['id', 'first_name', 'last_name', 'email']
+        }
+      ]
+    });
+  }
+
+  /**
+   * Names used to recognize the rep and the customer among transcript speakers
+   * Zapier-created calls have no rep user, so the Otter account owner stands in for the rep
+   * and calendar guests for the customer.
+   */
+  getCallParticipants(salesCall) {
+    const rep = salesCall.salesRepresentative;
+    const otterUser = salesCall.analysis_data?.user_identification || salesCall.analysis_data?.user_info || {};
+    const guests = salesCall.analysis_data?.user_info?.calendar_guests;
+    const guestNames = (Array.isArray(guests) ? guests : String(guests || '').split(','))
+      .map(guest => (typeof guest === 'object' ? guest?.name || guest?.email : guest))
+      .filter(Boolean)
+      .map(guest => String(guest).trim());
+
+    return {
+      salesRepresentative: rep
+        ? { names: [`${rep.first_name} ${rep.last_name}`], email: rep.email }
+        : { names: [otterUser.user_name].filter(Boolean), email: otterUser.user_email },
+      customer: {
+        names: [salesCall.customer_name, ...guestNames].filter(Boolean),
+        email: salesCall.customer_email
+      }
+    };
+  }
+
+  /**
+   * Scripts a call is checked against: its experiment variant's script, or the organization's
+   * active scripts. Only those in the call's language are scored (see scriptsInLanguage).
+   */
+  async getCallScripts(salesCall) {
+    const variantScript = await this.getExperimentScript(salesCall);
+    return variantScript ? [variantScript] : (salesCall.organization?.salesScripts || []);
+  }
+
+  /**
+   * Keep the scripts written in the given language
+   */
+  scriptsInLanguage(salesScripts, language) {
+    return salesScripts.filter(script => (script.language || DEFAULT_LANGUAGE) === language);
+  }
+
+  /**
+   * Resolve the script a call was assigned to through a script experiment
+   */
+  async getExperimentScript(salesCall) {
+    if (!salesCall.experiment_id || !salesCall.experiment_variant) {
+      return null;
+    }
+
+    const { ScriptExperiment, SalesScript } = getModels();
+    const experiment = await ScriptExperiment.findByPk(salesCall.experiment_id);
+    const variant = experiment?.getVariant(salesCall.experiment_variant);
+
+    if (!variant?.sales_script_id) {
+      return null;
+    }
+
+    return SalesScript.findOne({
+      where: { id: variant.sales_script_id, is_deleted: false }
+    });
+  }
+
+  /**
+   * Resolve the latest revision of each script used in an analysis
+   */
+  async getScriptRevisions(salesScripts) {
+    const { SalesScriptRevision } = getModels();
+    const revisions = await Promise.all(
+      salesScripts.map(script => SalesScriptRevision.findLatest(script.id))
+    );
+
+    return revisions
+      .filter(Boolean)
+      .map(revision => ({
+        scriptId: revision.sales_script_id,
+        revisionId: revision.id,
+        revisionNumber: revision.revision_number
+      }));
+  }
+
   /**
    * Perform detailed analysis of the sales call
+   * Runs the analyzer pipeline: script analysis runs on the rep's speech only, topic and objection
+   * analysis on the customer's. Analyzers that fail fall back to empty results and are reported
+   * in detailedAnalysis.pipeline; outputs of analyzers beyond the built-in ones go to
+   * detailedAnalysis.extensions.
+   * @param {Object} options - { language, matcher, participants, objectionLibrary, scoringRubric, analyzerSettings, keywordTrackers, callDate }
+   *        the transcript language, phrase matcher configured for the organization, the people used to tell rep and customer apart, the
+   *        objections to detect, the rubric weighting the performance score, the organization's analyzer settings,
+   *        the keyword trackers to count and the date follow-up due dates are counted from
    */
-  async performAnalysis(recordingDetails, salesScripts) {
-    const transcript = recordingDetails.transcript || '';
-    const speakers = recordingDetails.speakers || [];
+  async performAnalysis(recordingDetails, salesScripts, options = {}) {
     const insights = recordingDetails.insights || {};
+    const rubric = normalizeScoringRubric(options.scoringRubric);
+    const language = options.language || DEFAULT_LANGUAGE;
 
-    // Extract sales representative speech
-    const salesRepSpeech = this.extractSalesRepSpeech(transcript, speakers);
+    const { results, pipeline } = await this.analyzers.run({
+      transcript: recordingDetails.transcript || '',
+      speakers: recordingDetails.speakers || [],
+      insights,
+      duration: recordingDetails.duration,
+      salesScripts,
+      language,
+      matcher: options.matcher || createMatcher({}, language),
+      participants: options.participants,
+      objectionLibrary: options.objectionLibrary || getDefaultObjections(language),
+      keywordTrackers: options.keywordTrackers || [],
+      callDate: options.callDate
+    }, options.analyzerSettings);
+    const { speakerSeparation, conversationMetrics, scriptAnalysis, sequenceAnalysis, sentimentAnalysis, topicAnalysis } = results;
     
-    // Analyze against training scripts
-    const scriptAnalysis = this.analyzeScriptCompliance(salesRepSpeech, salesScripts);
+    // Calculate performance score using the organization's rubric
+    const componentScores = this.analyzers.score(results, pipeline);
+    const scoreBreakdown = applyScoringRubric(componentScores, rubric);
+    const performanceScore = scoreBreakdown.score;
     
-    // Analyze customer sentiment
-    const sentimentAnalysis = this.analyzeCustomerSentiment(insights);
-    
-    // Identify key topics and objections
-    const topicAnalysis = this.analyzeTopicsAndObjections(transcript, insights);
-    
-    // Calculate performance score
-    const performanceScore = this.calculatePerformanceScore(scriptAnalysis, sentimentAnalysis, topicAnalysis);
-    
-    // Generate strengths and weaknesses
-    const strengths = this.identifyStrengths(scriptAnalysis, sentimentAnalysis, topicAnalysis);
-    const weaknesses = this.identifyWeaknesses(scriptAnalysis, sentimentAnalysis, topicAnalysis);
+    // The transcript in the segments findings refer to by segmentIndex; stored separately, not in analysis_data
+    const transcriptSegments = speakerSeparation.segments?.length > 0
+      ? speakerSeparation.segments
+      : segmentTranscript(recordingDetails.transcript || '', recordingDetails.speakers || []);
+
+    // Generate strengths and weaknesses with their evidence, adding those contributed by analyzers
+    const analyzerFindings = this.analyzers.findings(results, pipeline, { rubric, segments: transcriptSegments });
+    const strengths = [
+      ...this.identifyStrengths(scriptAnalysis, sentimentAnalysis, topicAnalysis, sequenceAnalysis, rubric, transcriptSegments),
+      ...analyzerFindings.strengths.map(normalizeFinding)
+    ];
+    const weaknesses = [
+      ...this.identifyWeaknesses(scriptAnalysis, sentimentAnalysis, topicAnalysis, sequenceAnalysis, rubric, transcriptSegments),
+      ...analyzerFindings.weaknesses.map(normalizeFinding)
+    ];
     
     // Generate recommendations
-    const recommendations = this.generateRecommendations(weaknesses, scriptAnalysis);
+    const recommendations = [
+      ...analyzerFindings.recommendations.map(normalizeFinding),
+      ...this.generateRecommendations(weaknesses, scriptAnalysis, sequenceAnalysis, topicAnalysis, rubric, transcriptSegments)
+    ];
+    const texts = (findings) => findings.map(finding => finding.text);
 
     return {
       performanceScore,
       scriptCompliance: scriptAnalysis.complianceScore,
-      strengths,
-      weaknesses,
-      recommendations,
-      keyTopicsCovered: topicAnalysis.topics,
+      conversationMetrics,
+      strengths: texts(strengths),
+      weaknesses: texts(weaknesses),
+      recommendations: texts(recommendations),
+      // The evidence behind each strength, weakness and recommendation
+      findings: { strengths, weaknesses, recommendations },
+      // OtterAI topics when available, otherwise the script topics the rep covered
+      keyTopicsCovered: topicAnalysis.topics.length > 0 ? topicAnalysis.topics : scriptAnalysis.coveredTopics,
       objectionsHandled: topicAnalysis.objections,
       customerSentiment: sentimentAnalysis.overallSentiment,
+      transcriptSegments,
+      // Stored in the summary columns, not in analysis_data
+      callSummary: summarizeTranscript(transcriptSegments, { language }),
       detailedAnalysis: {
+        speakerAnalysis: {
+          separated: speakerSeparation.separated,
+          method: speakerSeparation.method,
+          confidence: speakerSeparation.confidence,
+          speakers: speakerSeparation.speakers
+        },
         scriptAnalysis,
+        sequenceAnalysis,
         sentimentAnalysis,
-        topicAnalysis
+        topicAnalysis,
+        extensions: this.getExtensionResults(results),
+        pipeline,
+        scoreBreakdown: {
+          ...scoreBreakdown,
+          thresholds: rubric.thresholds
+        }
       }
     };
   }
 
   /**
-   * Extract sales representative speech from transcript
+   * Outputs of the analyzers that are not part of the standard analysis, keyed by output
    */
-  extractSalesRepSpeech(transcript, speakers) {
-    // Implementation would identify sales rep vs customer speech
-    // For now, return the full transcript
-    return transcript;
+  getExtensionResults(results) {
+    return this.analyzers.list()
+      .filter(analyzer => !analyzer.builtin)
+      .reduce((extensions, analyzer) => {
+        analyzer.outputs
+          .filter(output => results[output] !== undefined)
+          .forEach(output => {
+            extensions[output] = results[output];
+          });
+        return extensions;
+      }, {});
   }
 
   /**
    * Analyze script compliance
+   * Each structured script is scored stage by stage; the best matching script
+   * is reported as the call's compliance result. When a language is given only the
+   * scripts in that language are scored; if the organization has scripts but none in the
+   * call's language, compliance is skipped and the reason recorded in skippedReason.
    */
-  analyzeScriptCompliance(salesRepSpeech, salesScripts) {
-    let complianceScore = 0;
-    const coveredTopics = [];
-    const missedTopics = [];
-    const keyPhrasesFound = [];
+  analyzeScriptCompliance(salesRepSpeech, salesScripts, matcher = createMatcher(), language = null) {
+    const allStructuredScripts = salesScripts.filter(script => this.getScriptStages(script).length > 0);
+    const structuredScripts = language ? this.scriptsInLanguage(allStructuredScripts, language) : allStructuredScripts;
 
-    if (salesScripts.length === 0) {
+    if (structuredScripts.length === 0) {
+      const skipped = allStructuredScripts.length > 0 ? { skippedReason: 'no_script_in_language', language } : {};
       return {
-        complianceScore: 0.5, // Neutral score if no scripts available
+        ...skipped,
+        // Compliance is unknown without a script: the rubric leaves the component out
+        complianceScore: null,
         coveredTopics: [],
         missedTopics: [],
-        keyPhrasesFound: []
+        keyPhrasesFound: [],
+        forbiddenPhrasesUsed: [],
+        stageBreakdown: [],
+        matchThreshold: matcher.threshold,
+        scripts: []
       };
     }
 
-    // Analyze against each script
-    salesScripts.forEach(script => {
-      const scriptKeyPhrases = script.keyPhrases || [];
-      const scriptRequiredTopics = script.requiredTopics || [];
+    // Tokenize the speech once and reuse it for every script
+    const document = matcher.prepare(salesRepSpeech);
+    const scriptResults = structuredScripts.map(script => this.scoreScript(document, script, matcher));
+    const bestMatch = scriptResults.reduce((best, result) => (
+      result.complianceScore > best.complianceScore ? result : best
+    ));
 
-      // Check key phrases
-      scriptKeyPhrases.forEach(phrase => {
-        if (salesRepSpeech.toLowerCase().includes(phrase.toLowerCase())) {
-          keyPhrasesFound.push(phrase);
-        }
-      });
+    return {
+      complianceScore: bestMatch.complianceScore,
+      scriptId: bestMatch.scriptId,
+      scriptName: bestMatch.scriptName,
+      coveredTopics: bestMatch.coveredTopics,
+      missedTopics: bestMatch.missedTopics,
+      keyPhrasesFound: bestMatch.keyPhrasesFound,
+      forbiddenPhrasesUsed: bestMatch.forbiddenPhrasesUsed,
+      stageBreakdown: bestMatch.stageBreakdown,
+      matchThreshold: matcher.threshold,
+      scripts: scriptResults.map(({ scriptId, scriptName, complianceScore }) => ({
+        scriptId,
+        scriptName,
+        complianceScore
+      }))
+    };
+  }
+
+  /**
+   * Get the ordered stages of a script (model instance or plain object)
+   */
+  getScriptStages(script) {
+    if (typeof script.getStages === 'function') {
+      return script.getStages();
+    }
+    return normalizeStages(script.stages);
+  }
+
+  /**
+   * Score a single script against the sales rep's speech, stage by stage
+   * @param {Object|string} speech - Speech prepared by the matcher, or raw text
+   */
+  scoreScript(speech, script, matcher = createMatcher()) {
+    const document = typeof speech === 'string' ? matcher.prepare(speech) : speech;
 
-      // Check required topics
-      scriptRequiredTopics.forEach(topic => {
-        if (salesRepSpeech.toLowerCase().includes(topic.toLowerCase())) {
-          coveredTopics.push(topic);
-        } else {
-          missedTopics.push(topic);
+    const stageBreakdown = this.getScriptStages(script).map(stage => {
+      const matches = [];
+      const findMatches = (phrases, type) => phrases.map(phrase => {
+        const result = matcher.match(document, phrase);
+        if (result.matched) {
+          matches.push({
+            phrase,
+            type,
+            confidence: result.confidence,
+            method: result.method,
+            excerpt: result.excerpt,
+            start: result.start,
+            end: result.end
+          });
         }
+        return result;
       });
+      const matchedPhrases = (results) => results.filter(result => result.matched).map(result => result.phrase);
+
+      const topicResults = findMatches(stage.requiredTopics, 'requiredTopic');
+      const coveredTopics = matchedPhrases(topicResults);
+      const missedTopics = topicResults.filter(result => !result.matched).map(result => result.phrase);
+      const keyPhrasesFound = matchedPhrases(findMatches(stage.keyPhrases, 'keyPhrase'));
+      const forbiddenPhrasesUsed = matchedPhrases(findMatches(stage.forbiddenPhrases, 'forbiddenPhrase'));
+
+      // Required topics drive the stage score; key phrases stand in when a stage has none
+      let coverage = 1;
+      if (stage.requiredTopics.length > 0) {
+        coverage = coveredTopics.length / stage.requiredTopics.length;
+      } else if (stage.keyPhrases.length > 0) {
+        coverage = keyPhrasesFound.length / stage.keyPhrases.length;
+      }
+
+      const penalty = forbiddenPhrasesUsed.length * FORBIDDEN_PHRASE_PENALTY;
+      const score = Math.max(0, Math.min(1, coverage - penalty));
+
+      return {
+        key: stage.key,
+        name: stage.name,
+        order: stage.order,
+        weight: stage.weight,
+        score,
+        coveredTopics,
+        missedTopics,
+        keyPhrasesFound,
+        forbiddenPhrasesUsed,
+        matches
+      };
     });
 
-    // Calculate compliance score
-    const totalTopics = coveredTopics.length + missedTopics.length;
-    if (totalTopics > 0) {
-      complianceScore = coveredTopics.length / totalTopics;
-    }
+    const totalWeight = stageBreakdown.reduce((sum, stage) => sum + stage.weight, 0);
+    const complianceScore = totalWeight > 0
+      ? stageBreakdown.reduce((sum, stage) => sum + stage.score * stage.weight, 0) / totalWeight
+      : 0;
+
+    const collect = (field) => stageBreakdown.reduce((all, stage) => all.concat(stage[field]), []);
 
     return {
+      scriptId: script.id,
+      scriptName: script.name,
       complianceScore,
-      coveredTopics,
-      missedTopics,
-      keyPhrasesFound
+      coveredTopics: collect('coveredTopics'),
+      missedTopics: collect('missedTopics'),
+      keyPhrasesFound: collect('keyPhrasesFound'),
+      forbiddenPhrasesUsed: collect('forbiddenPhrasesUsed'),
+      stageBreakdown
+    };
+  }
+
+  /**
+   * Analyze whether script stages were delivered in the expected order
+   * Positions come from the first mention of any of a stage's topics or phrases.
+   * Times come from the timestamps of the rep's segments when every one has a start, and are
+   * otherwise estimated from the position within the transcript and the call duration.
+   * @param {Array<Object>} segments - Speaker-labelled segments the rep's speech was joined from
+   */
+  analyzeStageSequence(salesRepSpeech, script, duration, matcher = createMatcher(), segments = []) {
+    const emptyResult = {
+      stages: [],
+      detectedOrder: [],
+      outOfOrderStages: [],
+      skippedStages: [],
+      timePerStage: [],
+      timeSource: null
+    };
+
+    if (!script) {
+      return emptyResult;
+    }
+
+    const speech = salesRepSpeech || '';
+    const document = matcher.prepare(speech);
+    const callDuration = Number(duration) > 0 ? Number(duration) : null;
+
+    // The rep's speech is their segments joined by newlines, so each offset falls in one segment
+    const repSegments = (segments || []).filter(segment => segment.role === ROLE_REP);
+    const hasTimestamps = repSegments.length > 0
+      && repSegments.every(segment => Number.isFinite(segment.start))
+      && repSegments.map(segment => segment.text).join('\n') === speech;
+
+    let cursor = 0;
+    const spans = hasTimestamps ? repSegments.map(segment => {
+      const span = { segment, from: cursor, to: cursor + segment.text.length };
+      cursor = span.to + 1;
+      return span;
+    }) : [];
+    const lastSegment = repSegments[repSegments.length - 1];
+    const endOfCall = callDuration || (hasTimestamps ? lastSegment.end ?? lastSegment.start : null);
+
+    const offsetToSeconds = (offset) => {
+      if (hasTimestamps) {
+        const { segment, from, to } = spans.find(span => offset <= span.to) || spans[spans.length - 1];
+        // Within a segment, interpolate between its start and end when it has one
+        const within = Number.isFinite(segment.end) && to > from
+          ? ((offset - from) / (to - from)) * Math.max(0, segment.end - segment.start)
+          : 0;
+        return Math.round(segment.start + within);
+      }
+      return callDuration && speech.length > 0 ? Math.round((offset / speech.length) * callDuration) : null;
+    };
+
+    const stages = this.getScriptStages(script).map(stage => {
+      const phrases = [...stage.requiredTopics, ...stage.keyPhrases];
+      const offsets = phrases
+        .map(phrase => matcher.match(document, phrase))
+        .filter(result => result.matched)
+        .map(result => result.start);
+      const firstMentionOffset = offsets.length > 0 ? Math.min(...offsets) : null;
+
+      return {
+        key: stage.key,
+        name: stage.name,
+        expectedOrder: stage.order,
+        detected: firstMentionOffset !== null,
+        firstMentionOffset,
+        firstMentionAt: firstMentionOffset !== null ? offsetToSeconds(firstMentionOffset) : null
+      };
+    });
+
+    const detected = stages
+      .filter(stage => stage.detected)
+      .sort((a, b) => a.firstMentionOffset - b.firstMentionOffset);
+
+    detected.forEach((stage, index) => {
+      stage.actualOrder = index + 1;
+    });
+
+    // A stage is out of order when it first appears before a stage that should precede it
+    const outOfOrderStages = [];
+    detected.forEach((stage, index) => {
+      const precededBy = detected
+        .slice(index + 1)
+        .filter(later => later.expectedOrder < stage.expectedOrder)
+        .map(later => later.key);
+
+      if (precededBy.length > 0) {
+        outOfOrderStages.push({
+          key: stage.key,
+          name: stage.name,
+          expectedAfter: precededBy
+        });
+      }
+    });
+
+    const skippedStages = stages
+      .filter(stage => !stage.detected)
+      .map(stage => ({ key: stage.key, name: stage.name }));
+
+    // Each detected stage runs until the next detected stage begins (or the call ends)
+    const timePerStage = detected.map((stage, index) => {
+      const next = detected[index + 1];
+      const endOffset = next ? next.firstMentionOffset : speech.length;
+      const startAt = stage.firstMentionAt;
+      const endAt = next ? next.firstMentionAt : endOfCall;
+
+      return {
+        key: stage.key,
+        name: stage.name,
+        startAt,
+        endAt,
+        seconds: startAt !== null && endAt !== null ? Math.max(0, endAt - startAt) : null,
+        share: speech.length > 0 ? (endOffset - stage.firstMentionOffset) / speech.length : 0
+      };
+    });
+
+    return {
+      ...emptyResult,
+      scriptId: script.id,
+      stages,
+      detectedOrder: detected.map(stage => stage.key),
+      outOfOrderStages,
+      skippedStages,
+      timePerStage,
+      timeSource: hasTimestamps ? 'timestamps' : (callDuration ? 'estimated' : null)
     };
   }
 
   /**
    * Analyze customer sentiment
+   * Every customer utterance is scored locally to build a timeline; the overall sentiment comes
+   * from its trajectory unless OtterAI provided its own.
    */
-  analyzeCustomerSentiment(insights) {
-    // Use OtterAI insights or implement sentiment analysis
-    const sentiment = insights.sentiment || 'neutral';
-    
+  analyzeCustomerSentiment(insights, speakerSeparation = {}, language = DEFAULT_LANGUAGE) {
+    const timeline = buildSentimentTimeline(speakerSeparation.segments, {
+      fallbackText: speakerSeparation.customerSpeech,
+      language
+    });
+    const trajectory = summarizeSentimentTrajectory(timeline);
+
     return {
-      overallSentiment: sentiment,
-      confidence: insights.sentiment_confidence || 0.5,
-      emotions: insights.emotions || {}
+      overallSentiment: insights.sentiment || trajectory.overallSentiment,
+      confidence: insights.sentiment_confidence || trajectory.confidence,
+      emotions: insights.emotions || {},
+      source: insights.sentiment ? 'otter' : 'lexicon',
+      trajectory,
+      timeline
     };
   }
 
   /**
    * Analyze topics and objections
+   * Objections from the organization's library are detected in the customer's speech and
+   * checked for an approved rebuttal in the rep's following turns.
    */
-  analyzeTopicsAndObjections(transcript, insights) {
+  analyzeTopicsAndObjections(speakerSeparation, insights, options = {}) {
     const topics = insights.topics || [];
-    const objections = insights.objections || [];
-    
+    const objections = detectObjections(
+      speakerSeparation.segments,
+      options.objectionLibrary || DEFAULT_OBJECTIONS,
+      options.matcher || createMatcher(),
+      { fallbackText: speakerSeparation.customerSpeech }
+    );
+
     return {
       topics,
       objections,
+      // Objections as reported by OtterAI, kept for reference
+      reportedObjections: insights.objections || [],
       topicConfidence: insights.topic_confidence || {}
     };
   }
 
+  /**
+   * Score each performance component between 0 and 1
+   * Components that do not apply to the call are null: topic coverage without a script with
+   * required topics, objection handling without objections, conversation dynamics when the
+   * transcript could not be separated by speaker.
+   */
+  calculateComponentScores(scriptAnalysis, sentimentAnalysis, topicAnalysis, conversationMetrics = null) {
+    return {
+      scriptCompliance: scriptAnalysis.complianceScore ?? null,
+      customerSentiment: this.sentimentToScore(sentimentAnalysis.overallSentiment),
+      topicCoverage: this.calculateTopicScore(topicAnalysis, scriptAnalysis),
+      objectionHandling: this.calculateObjectionScore(topicAnalysis),
+      conversationDynamics: scoreConversationMetrics(conversationMetrics)
+    };
+  }
+
   /**
    * Calculate overall performance score
+   * @param {Object} rubric - Organization scoring rubric; the default weights apply when omitted
    */
-  calculatePerformanceScore(scriptAnalysis, sentimentAnalysis, topicAnalysis) {
-    let score = 0;
-    let factors = 0;
+  calculatePerformanceScore(scriptAnalysis, sentimentAnalysis, topicAnalysis, conversationMetrics = null, rubric = null) {
+    const componentScores = this.calculateComponentScores(scriptAnalysis, sentimentAnalysis, topicAnalysis, conversationMetrics);
+    return applyScoringRubric(componentScores, rubric).score;
+  }
 
-    // Script compliance (40% weight)
-    if (scriptAnalysis.complianceScore !== undefined) {
-      score += scriptAnalysis.complianceScore * 0.4;
-      factors += 0.4;
-    }
+  /**
+   * Re-score a call's stored analysis with a rubric without saving anything, e.g. to preview rubric changes
+   * @param {Object} salesCall - Analyzed sales call
+   * @param {Object} rubric - Scoring rubric to apply
+   * @returns {Object|null} { score, breakdown, thresholds, strengths, weaknesses }, or null when the call has no stored analysis
+   */
+  rescoreStoredAnalysis(salesCall, rubric) {
+    const analysisData = salesCall.analysis_data || {};
+    const stored = analysisData.detailedAnalysis || analysisData.transcriptAnalysis;
 
-    // Customer sentiment (30% weight)
-    const sentimentScore = this.sentimentToScore(sentimentAnalysis.overallSentiment);
-    score += sentimentScore * 0.3;
-    factors += 0.3;
+    if (!stored?.scriptAnalysis) {
+      return null;
+    }
 
-    // Topic coverage (20% weight)
-    const topicScore = this.calculateTopicScore(topicAnalysis);
-    score += topicScore * 0.2;
-    factors += 0.2;
+    const normalizedRubric = normalizeScoringRubric(rubric);
+    const scriptAnalysis = {
+      coveredTopics: [],
+      missedTopics: [],
+      keyPhrasesFound: [],
+      forbiddenPhrasesUsed: [],
+      ...stored.scriptAnalysis
+    };
+    const sentimentAnalysis = stored.sentimentAnalysis || { overallSentiment: salesCall.customer_sentiment };
+    const topicAnalysis = stored.topicAnalysis || { objections: [] };
+    const sequenceAnalysis = stored.sequenceAnalysis || {};
+    const results = {
+      ...(stored.extensions || {}),
+      scriptAnalysis,
+      sentimentAnalysis,
+      topicAnalysis,
+      sequenceAnalysis,
+      conversationMetrics: salesCall.conversation_metrics
+    };
 
-    // Objection handling (10% weight)
-    const objectionScore = this.calculateObjectionScore(topicAnalysis);
-    score += objectionScore * 0.1;
-    factors += 0.1;
+    // Analyses stored before the pipeline report existed ran every built-in analyzer
+    const pipeline = stored.pipeline || null;
+    const componentScores = this.analyzers.score(results, pipeline);
+    const analyzerFindings = this.analyzers.findings(results, pipeline || [], { rubric: normalizedRubric });
 
-    return factors > 0 ? score / factors : 0;
+    return {
+      ...applyScoringRubric(componentScores, normalizedRubric),
+      thresholds: normalizedRubric.thresholds,
+      strengths: [
+        ...this.identifyStrengths(scriptAnalysis, sentimentAnalysis, topicAnalysis, sequenceAnalysis, normalizedRubric),
+        ...analyzerFindings.strengths.map(normalizeFinding)
+      ].map(finding => finding.text),
+      weaknesses: [
+        ...this.identifyWeaknesses(scriptAnalysis, sentimentAnalysis, topicAnalysis, sequenceAnalysis, normalizedRubric),
+        ...analyzerFindings.weaknesses.map(normalizeFinding)
+      ].map(finding => finding.text)
+    };
   }
 
   /**
@@ -356,36 +1131,106 @@ class OtterAIService {
 
   /**
    * Calculate topic coverage score
+   * Share of the matched script's required topics the rep covered anywhere in the call,
+   * regardless of stage. Null when no script with required topics applies.
    */
-  calculateTopicScore(topicAnalysis) {
-    // Implementation would score based on topic coverage
-    return 0.7; // Placeholder
+  calculateTopicScore(topicAnalysis, scriptAnalysis = {}) {
+    const covered = scriptAnalysis.coveredTopics?.length || 0;
+    const total = covered + (scriptAnalysis.missedTopics?.length || 0);
+    return total > 0 ? covered / total : null;
   }
 
   /**
    * Calculate objection handling score
+   * Null when the customer raised no objections or handling could not be judged.
    */
   calculateObjectionScore(topicAnalysis) {
-    // Implementation would score based on objection handling
-    return 0.8; // Placeholder
+    return scoreObjectionHandling(topicAnalysis.objections);
+  }
+
+  /**
+   * Phrase matches of the matched script as evidence, best matches first
+   * @param {Function} filter - (match, stage) => boolean
+   */
+  matchEvidence(scriptAnalysis, segments, filter = () => true) {
+    return (scriptAnalysis.stageBreakdown || [])
+      .flatMap(stage => (stage.matches || [])
+        .filter(match => match.excerpt && filter(match, stage))
+        .map(match => ({ match, stage })))
+      .sort((a, b) => b.match.confidence - a.match.confidence)
+      .map(({ match, stage }) => excerptEvidence(match.excerpt, {}, segments, { phrase: match.phrase, stage: stage.name }));
+  }
+
+  /**
+   * Customer utterances with the strongest sentiment of a label as evidence
+   */
+  sentimentEvidence(sentimentAnalysis, label) {
+    return (sentimentAnalysis.timeline || [])
+      .filter(point => point.label === label && point.excerpt)
+      .sort((a, b) => (label === 'positive' ? b.score - a.score : a.score - b.score))
+      .map(point => excerptEvidence(point.excerpt, { speaker: point.speaker, role: 'customer', start: point.start, segmentIndex: point.segmentIndex }));
+  }
+
+  /**
+   * Required topics the rep never covered as evidence, with their stage
+   */
+  missedTopicEvidence(scriptAnalysis, stages = null) {
+    const breakdown = scriptAnalysis.stageBreakdown || [];
+    if (breakdown.length === 0) {
+      return (scriptAnalysis.missedTopics || []).map(topic => missingEvidence(topic, { kind: 'topic' }));
+    }
+    return breakdown
+      .filter(stage => !stages || stages.includes(stage.key))
+      .flatMap(stage => (stage.missedTopics || []).map(topic => missingEvidence(topic, { kind: 'topic', stage: stage.name })));
   }
 
   /**
    * Identify strengths
+   * Only components enabled in the rubric are reported, using its strength threshold.
+   * @param {Array<Object>} segments - Transcript segments the evidence is located in
+   * @returns {Array<Object>} Findings { text, evidence }
    */
-  identifyStrengths(scriptAnalysis, sentimentAnalysis, topicAnalysis) {
+  identifyStrengths(scriptAnalysis, sentimentAnalysis, topicAnalysis, sequenceAnalysis = {}, rubric = null, segments = []) {
     const strengths = [];
+    const { thresholds } = normalizeScoringRubric(rubric);
 
-    if (scriptAnalysis.complianceScore > 0.8) {
-      strengths.push('Excellent script compliance');
+    if (isComponentEnabled(rubric, 'scriptCompliance') &&
+        scriptAnalysis.complianceScore !== null && scriptAnalysis.complianceScore > thresholds.strength) {
+      strengths.push(createFinding('Excellent script compliance',
+        this.matchEvidence(scriptAnalysis, segments, match => match.type !== 'forbiddenPhrase')));
     }
 
-    if (sentimentAnalysis.overallSentiment === 'positive') {
-      strengths.push('Positive customer engagement');
+    if (isComponentEnabled(rubric, 'customerSentiment') && sentimentAnalysis.overallSentiment === 'positive') {
+      strengths.push(createFinding('Positive customer engagement', this.sentimentEvidence(sentimentAnalysis, 'positive')));
     }
 
     if (scriptAnalysis.keyPhrasesFound.length > 0) {
-      strengths.push(`Used ${scriptAnalysis.keyPhrasesFound.length} key phrases effectively`);
+      strengths.push(createFinding(`Used ${scriptAnalysis.keyPhrasesFound.length} key phrases effectively`,
+        this.matchEvidence(scriptAnalysis, segments, match => match.type === 'keyPhrase')));
+    }
+
+    if (sequenceAnalysis.stages?.length > 1 &&
+        sequenceAnalysis.skippedStages.length === 0 &&
+        sequenceAnalysis.outOfOrderStages.length === 0) {
+      // The first mention of each stage, in the order they were delivered
+      const firstMentions = (scriptAnalysis.stageBreakdown || [])
+        .map(stage => ({ stage, match: [...(stage.matches || [])].filter(match => match.excerpt).sort((a, b) => a.start - b.start)[0] }))
+        .filter(({ match }) => match)
+        .sort((a, b) => a.stage.order - b.stage.order)
+        .map(({ stage, match }) => excerptEvidence(match.excerpt, {}, segments, { phrase: match.phrase, stage: stage.name }));
+      strengths.push(createFinding('Followed the script stages in order', firstMentions));
+    }
+
+    const raisedObjections = (topicAnalysis.objections || []).filter(objection => typeof objection.handled === 'boolean');
+    if (isComponentEnabled(rubric, 'objectionHandling') &&
+        raisedObjections.length > 0 && raisedObjections.every(objection => objection.handled)) {
+      strengths.push(createFinding(
+        `Answered every objection raised (${[...new Set(raisedObjections.map(objection => objection.category))].join(', ')})`,
+        raisedObjections.map(objection => excerptEvidence(objection.responseExcerpt, {}, segments, {
+          objection: objection.name,
+          rebuttal: objection.rebuttal
+        }))
+      ));
     }
 
     return strengths;
@@ -393,20 +1238,63 @@ class OtterAIService {
 
   /**
    * Identify weaknesses
+   * Only components enabled in the rubric are reported, using its weakness threshold.
+   * @param {Array<Object>} segments - Transcript segments the evidence is located in
+   * @returns {Array<Object>} Findings { text, evidence }
    */
-  identifyWeaknesses(scriptAnalysis, sentimentAnalysis, topicAnalysis) {
+  identifyWeaknesses(scriptAnalysis, sentimentAnalysis, topicAnalysis, sequenceAnalysis = {}, rubric = null, segments = []) {
     const weaknesses = [];
+    const { thresholds } = normalizeScoringRubric(rubric);
 
-    if (scriptAnalysis.complianceScore < 0.6) {
-      weaknesses.push('Low script compliance');
+    // A null compliance score means script analysis did not run
+    if (isComponentEnabled(rubric, 'scriptCompliance') &&
+        scriptAnalysis.complianceScore !== null && scriptAnalysis.complianceScore < thresholds.weakness) {
+      // Stages never mentioned, then the topics missed in the stages that were
+      const silentStages = (scriptAnalysis.stageBreakdown || [])
+        .filter(stage => !(stage.matches || []).some(match => match.type !== 'forbiddenPhrase'))
+        .map(stage => missingEvidence(stage.name, { kind: 'stage' }));
+      weaknesses.push(createFinding('Low script compliance', [...silentStages, ...this.missedTopicEvidence(scriptAnalysis)]));
     }
 
-    if (scriptAnalysis.missedTopics.length > 0) {
-      weaknesses.push(`Missed key topics: ${scriptAnalysis.missedTopics.join(', ')}`);
+    if (isComponentEnabled(rubric, 'topicCoverage') && scriptAnalysis.missedTopics.length > 0) {
+      weaknesses.push(createFinding(`Missed key topics: ${scriptAnalysis.missedTopics.join(', ')}`, this.missedTopicEvidence(scriptAnalysis)));
+    }
+
+    if (scriptAnalysis.forbiddenPhrasesUsed?.length > 0) {
+      weaknesses.push(createFinding(`Used forbidden phrases: ${scriptAnalysis.forbiddenPhrasesUsed.join(', ')}`,
+        this.matchEvidence(scriptAnalysis, segments, match => match.type === 'forbiddenPhrase')));
+    }
+
+    const stageNames = {};
+    (sequenceAnalysis.stages || []).forEach(stage => {
+      stageNames[stage.key] = stage.name;
+    });
+
+    (sequenceAnalysis.outOfOrderStages || []).forEach(stage => {
+      const earlierStages = stage.expectedAfter.map(key => stageNames[key] || key);
+      const firstMention = ((scriptAnalysis.stageBreakdown || []).find(entry => entry.key === stage.key)?.matches || [])
+        .filter(match => match.excerpt && match.type !== 'forbiddenPhrase')
+        .sort((a, b) => a.start - b.start)[0];
+      weaknesses.push(createFinding(`${stage.name} stage came before ${earlierStages.join(', ')}`, [
+        firstMention ? excerptEvidence(firstMention.excerpt, {}, segments, { phrase: firstMention.phrase, stage: stage.name }) : null
+      ]));
+    });
+
+    if (sequenceAnalysis.skippedStages?.length > 0) {
+      weaknesses.push(createFinding(`Skipped script stages: ${sequenceAnalysis.skippedStages.map(stage => stage.name).join(', ')}`,
+        sequenceAnalysis.skippedStages.map(stage => missingEvidence(stage.name, { kind: 'stage' }))));
+    }
+
+    if (isComponentEnabled(rubric, 'customerSentiment') && sentimentAnalysis.overallSentiment === 'negative') {
+      weaknesses.push(createFinding('Customer showed negative sentiment', this.sentimentEvidence(sentimentAnalysis, 'negative')));
     }
 
-    if (sentimentAnalysis.overallSentiment === 'negative') {
-      weaknesses.push('Customer showed negative sentiment');
+    const unansweredObjections = (topicAnalysis.objections || []).filter(objection => objection.handled === false);
+    if (isComponentEnabled(rubric, 'objectionHandling') && unansweredObjections.length > 0) {
+      weaknesses.push(createFinding(
+        `Unanswered objections: ${[...new Set(unansweredObjections.map(objection => objection.name))].join(', ')}`,
+        unansweredObjections.map(objection => excerptEvidence(objection.excerpt, objection, segments, { objection: objection.name }))
+      ));
     }
 
     return weaknesses;
@@ -414,20 +1302,51 @@ class OtterAIService {
 
   /**
    * Generate recommendations
+   * Each recommendation carries the evidence of the weakness it addresses.
+   * @param {Array<Object>} weaknesses - Findings from identifyWeaknesses
+   * @returns {Array<Object>} Findings { text, evidence }
    */
-  generateRecommendations(weaknesses, scriptAnalysis) {
+  generateRecommendations(weaknesses, scriptAnalysis, sequenceAnalysis = {}, topicAnalysis = {}, rubric = null, segments = []) {
     const recommendations = [];
+    const { thresholds } = normalizeScoringRubric(rubric);
+    const evidenceOf = (text) => weaknesses.find(weakness => weakness.text === text)?.evidence || [];
 
-    if (scriptAnalysis.complianceScore < 0.6) {
-      recommendations.push('Review and practice the sales script more thoroughly');
+    if (scriptAnalysis.complianceScore !== null && scriptAnalysis.complianceScore < thresholds.weakness) {
+      recommendations.push(createFinding('Review and practice the sales script more thoroughly', evidenceOf('Low script compliance')));
     }
 
     if (scriptAnalysis.missedTopics.length > 0) {
-      recommendations.push('Ensure all required topics are covered in future presentations');
+      recommendations.push(createFinding('Ensure all required topics are covered in future presentations', this.missedTopicEvidence(scriptAnalysis)));
+    }
+
+    const weakStages = (scriptAnalysis.stageBreakdown || []).filter(stage => stage.score < 0.5);
+    if (weakStages.length > 0) {
+      recommendations.push(createFinding(
+        `Strengthen the ${weakStages.map(stage => stage.name).join(', ')} stage${weakStages.length > 1 ? 's' : ''} of the script`,
+        this.missedTopicEvidence(scriptAnalysis, weakStages.map(stage => stage.key))
+      ));
+    }
+
+    if (sequenceAnalysis.outOfOrderStages?.length > 0) {
+      const outOfOrder = weaknesses.filter(weakness => / stage came before /.test(weakness.text));
+      recommendations.push(createFinding('Follow the script order: complete each stage before moving on to the next',
+        outOfOrder.flatMap(weakness => weakness.evidence)));
+    }
+
+    const unansweredObjections = (topicAnalysis.objections || []).filter(objection => objection.handled === false);
+    const unansweredCategories = [...new Set(unansweredObjections.map(objection => objection.category))];
+    if (unansweredCategories.length > 0) {
+      recommendations.push(createFinding(
+        `Practice the approved rebuttals for ${unansweredCategories.join(', ')} objections and use them right after the customer raises them`,
+        unansweredObjections.map(objection => excerptEvidence(objection.excerpt, objection, segments, { objection: objection.name }))
+      ));
     }
 
-    recommendations.push('Continue practicing objection handling techniques');
-    recommendations.push('Focus on building rapport and positive customer relationships');
+    const negativeSentiment = weaknesses.find(weakness => weakness.text === 'Customer showed negative sentiment');
+    if (negativeSentiment) {
+      recommendations.push(createFinding('Rebuild rapport when the customer\'s mood drops: acknowledge the concern before presenting again',
+        negativeSentiment.evidence));
+    }
 
     return recommendations;
   }
@@ -481,6 +1400,7 @@ class OtterAIService {
     logger.info(`Recording completed: ${recordingId}`);
     
     // Find sales call by recording ID
+    const { SalesCall } = getModels();
     const salesCall = await SalesCall.findOne({
       where: { otterAIRecordingId: recordingId }
     });
@@ -500,6 +1420,7 @@ class OtterAIService {
     logger.info(`Transcript ready: ${recordingId}`);
     
     // Find sales call by recording ID
+    const { SalesCall } = getModels();
     const salesCall = await SalesCall.findOne({
       where: { otterAIRecordingId: recordingId }
     });
@@ -518,6 +1439,7 @@ class OtterAIService {
     logger.info(`Analysis completed: ${recordingId}`);
     
     // Find sales call by recording ID
+    const { SalesCall } = getModels();
     const salesCall = await SalesCall.findOne({
       where: { otterAIRecordingId: recordingId }
     });
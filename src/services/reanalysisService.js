@@ -0,0 +1,129 @@
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const { getSequelize } = require('../database/connection');
+const otterAIService = require('./otterAIService');
+
+// Calls re-analyzed between cancellation checks
+const BATCH_SIZE = 25;
+
+class ReanalysisService {
+  /**
+   * Build the sales call query for a job's filters
+   * Only calls with a stored transcript can be re-analyzed.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - { startDate, endDate, salesRepresentativeId, experimentId, salesCallIds }
+   */
+  buildWhereClause(organizationId, filters = {}) {
+    const where = {
+      organization_id: organizationId,
+      transcript_text: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] }
+    };
+
+    if (filters.startDate || filters.endDate) {
+      where.appointment_date = {
+        ...(filters.startDate ? { [Op.gte]: new Date(filters.startDate) } : {}),
+        ...(filters.endDate ? { [Op.lte]: new Date(filters.endDate) } : {})
+      };
+    }
+    if (filters.salesRepresentativeId) where.sales_representative_id = filters.salesRepresentativeId;
+    if (filters.experimentId) where.experiment_id = filters.experimentId;
+    if (Array.isArray(filters.salesCallIds) && filters.salesCallIds.length > 0) {
+      where.id = { [Op.in]: filters.salesCallIds };
+    }
+
+    return where;
+  }
+
+  /**
+   * Queue a re-analysis job for the sales calls matching the filters
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - Sales call filters
+   * @param {string} userId - User starting the job
+   * @returns {Promise<Object>} Created ReanalysisJob
+   */
+  async createJob(organizationId, filters, userId) {
+    const { ReanalysisJob, SalesCall } = getSequelize().models;
+
+    const totalCalls = await SalesCall.count({
+      where: this.buildWhereClause(organizationId, filters)
+    });
+
+    return ReanalysisJob.create({
+      organization_id: organizationId,
+      filters,
+      total_calls: totalCalls,
+      created_by: userId
+    });
+  }
+
+  /**
+   * Re-analyze every call of a job from its stored transcript
+   * Calls are processed one at a time; a failed call is recorded on the job and skipped.
+   * Never rejects, so it can run detached from the request that started it.
+   * @param {string} jobId - ReanalysisJob ID
+   */
+  async runJob(jobId) {
+    const { ReanalysisJob, SalesCall } = getSequelize().models;
+    let job;
+
+    try {
+      job = await ReanalysisJob.findByPk(jobId);
+      if (!job || job.status !== 'queued') {
+        return job;
+      }
+
+      await job.update({ status: 'running', started_at: new Date() });
+
+      // Fix the set of calls up front so calls added while the job runs are left alone
+      const salesCalls = await SalesCall.findAll({
+        where: this.buildWhereClause(job.organization_id, job.filters),
+        attributes: ['id'],
+        order: [['appointment_date', 'ASC']]
+      });
+      const salesCallIds = salesCalls.map(salesCall => salesCall.id);
+
+      if (salesCallIds.length !== job.total_calls) {
+        await job.update({ total_calls: salesCallIds.length });
+      }
+
+      for (let offset = 0; offset <= salesCallIds.length; offset += BATCH_SIZE) {
+        // Cancellation is checked between batches and once more before completing
+        await job.reload();
+        if (job.status === 'cancelled') {
+          logger.info(`Reanalysis job ${jobId} cancelled after ${offset} calls`);
+          return job;
+        }
+
+        for (const salesCallId of salesCallIds.slice(offset, offset + BATCH_SIZE)) {
+          try {
+            await otterAIService.analyzeTranscriptText(salesCallId, {
+              recomputeScores: true,
+              reanalysisJobId: job.id
+            });
+            await job.recordResult(salesCallId);
+          } catch (error) {
+            logger.error(`Reanalysis of sales call ${salesCallId} failed:`, error);
+            await job.recordResult(salesCallId, error);
+          }
+        }
+      }
+
+      await job.update({ status: 'completed', completed_at: new Date() });
+      logger.info(`Reanalysis job ${jobId} completed: ${job.processed_calls} processed, ${job.failed_calls} failed`);
+
+      return job;
+    } catch (error) {
+      logger.error(`Reanalysis job ${jobId} failed:`, error);
+      if (job) {
+        await job.update({
+          status: 'failed',
+          completed_at: new Date(),
+          errors: [...(job.errors || []), { message: error.message }]
+        }).catch(updateError => logger.error('Error marking reanalysis job as failed:', updateError));
+      }
+      return job;
+    }
+  }
+}
+
+module.exports = new ReanalysisService();
@@ -0,0 +1,78 @@
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { getSequelize } = require('../database/connection');
+const { extractDocument, buildScriptDraft } = require('../utils/scriptDocumentParser');
+const { detectLanguage } = require('../utils/languageDetector');
+
+class ScriptImportService {
+  /**
+   * Parse an uploaded document into a draft script definition without saving it
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimetype - Uploaded MIME type
+   * @param {string} originalName - Uploaded file name
+   * @returns {Promise<Object>} { format, content, name, description, stages, warnings }
+   */
+  async parseDocument(buffer, mimetype, originalName) {
+    const document = await extractDocument(buffer, mimetype, originalName);
+    const content = (document.text || '').trim();
+
+    if (!content) {
+      const error = new Error('The document does not contain any text');
+      error.code = 'EMPTY_SCRIPT_DOCUMENT';
+      throw error;
+    }
+
+    const draft = buildScriptDraft(document.blocks, {
+      fallbackName: path.basename(originalName, path.extname(originalName))
+    });
+
+    return {
+      format: document.format,
+      content,
+      ...draft
+    };
+  }
+
+  /**
+   * Create an inactive draft sales script from a parsed document
+   * @param {Object} parsed - Result of parseDocument
+   * @param {Object} options - { organizationId, userId, fileKey, originalName }
+   * @returns {Promise<Object>} Created SalesScript draft
+   */
+  async createDraft(parsed, options) {
+    const { organizationId, userId, fileKey, originalName } = options;
+    const sequelize = getSequelize();
+    const { SalesScript, SalesScriptRevision } = sequelize.models;
+
+    const salesScript = await sequelize.transaction(async (transaction) => {
+      const script = await SalesScript.create({
+        organization_id: organizationId,
+        name: parsed.name,
+        description: parsed.description,
+        content: parsed.content,
+        stages: parsed.stages,
+        // Reviewers can correct the language before activating the draft
+        language: detectLanguage(parsed.content).language,
+        is_active: false,
+        is_draft: true,
+        source_file_key: fileKey || null,
+        created_by: userId
+      }, { transaction });
+
+      await SalesScriptRevision.record(script, {
+        action: 'created',
+        userId,
+        changeSummary: `Imported from ${originalName}`,
+        transaction
+      });
+
+      return script;
+    });
+
+    logger.info(`Imported draft sales script ${salesScript.id} from ${originalName} (${parsed.stages.length} stages)`);
+
+    return salesScript;
+  }
+}
+
+module.exports = new ScriptImportService();
@@ -0,0 +1,138 @@
+const { logger } = require('../utils/logger');
+const { getSequelize } = require('../database/connection');
+const { normalizeTranscript } = require('../utils/transcriptParser');
+const { DEFAULT_REDACTION_POLICY, normalizeRedactionPolicy, redactText } = require('../utils/piiRedactor');
+const { parseAllowedHosts, downloadFile } = require('../utils/remoteFile');
+
+// Transcripts larger than this are rejected rather than parsed
+const MAX_TRANSCRIPT_BYTES = parseInt(process.env.MAX_TRANSCRIPT_BYTES) || 10 * 1024 * 1024; // 10MB default
+
+// How long a transcript URL may take to respond
+const FETCH_TIMEOUT_MS = 15000;
+
+// Hosts transcripts may be downloaded from (subdomains included); webhook callers choose the URL
+const TRANSCRIPT_URL_HOSTS = parseAllowedHosts(process.env.TRANSCRIPT_URL_HOSTS || 'otter.ai');
+
+class TranscriptIngestionService {
+  /**
+   * The organization's PII redaction policy (settings.piiRedaction)
+   * Falls back to the default policy, which redacts everything, when the organization is unknown
+   * or cannot be loaded, so a transcript is never stored unredacted by accident.
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { enabled, types }
+   */
+  async getRedactionPolicy(organizationId) {
+    if (!organizationId) {
+      return { ...DEFAULT_REDACTION_POLICY };
+    }
+
+    try {
+      const organization = await getSequelize().models.Organization.findByPk(organizationId, {
+        attributes: ['id', 'settings']
+      });
+      return normalizeRedactionPolicy(organization?.settings?.piiRedaction);
+    } catch (error) {
+      logger.error(`Error loading PII redaction policy for organization ${organizationId}:`, error);
+      return { ...DEFAULT_REDACTION_POLICY };
+    }
+  }
+
+  /**
+   * Normalize a transcript from any source into { format, segments, text, redaction }
+   * PII is redacted after parsing, so numbers in SRT timings or Otter JSON offsets are never touched.
+   * @param {string|Object|Array|Buffer} content - Transcript content; buffers are read as UTF-8
+   * @param {Object} options - { filename, mimetype, speakers, redactionPolicy }
+   * @returns {Object|null} Normalized transcript, or null when it has no text
+   */
+  parse(content, options = {}) {
+    const source = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+    if (source === null || source === undefined || (typeof source === 'string' && !source.trim())) {
+      return null;
+    }
+
+    const transcript = normalizeTranscript(source, options);
+    if (!transcript.text) {
+      return null;
+    }
+
+    const policy = normalizeRedactionPolicy(options.redactionPolicy);
+    const { text, counts, total } = redactText(transcript.text, policy);
+
+    return {
+      format: transcript.format,
+      segments: transcript.segments.map(segment => ({ ...segment, text: redactText(segment.text, policy).text })),
+      text,
+      redaction: {
+        enabled: policy.enabled,
+        types: policy.types,
+        counts,
+        total,
+        redactedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Download and normalize a transcript file
+   * Only https URLs on TRANSCRIPT_URL_HOSTS that resolve to public addresses are downloaded;
+   * redirects are refused and the body is capped at MAX_TRANSCRIPT_BYTES (see utils/remoteFile).
+   * The format is detected from the content, with the URL's extension and the response's
+   * content type as hints.
+   * @param {string} url - Transcript URL
+   * @param {Object} options - { redactionPolicy }
+   * @returns {Promise<Object|null>} Normalized transcript
+   */
+  async fetchFromUrl(url, options = {}) {
+    const file = await downloadFile(url, {
+      allowedHosts: TRANSCRIPT_URL_HOSTS,
+      maxBytes: MAX_TRANSCRIPT_BYTES,
+      timeoutMs: FETCH_TIMEOUT_MS
+    });
+
+    return this.parse(file.body, {
+      filename: file.filename,
+      mimetype: file.contentType,
+      redactionPolicy: options.redactionPolicy
+    });
+  }
+
+  /**
+   * Normalize the transcript of an incoming call, downloading it when only a URL was given
+   * A transcript URL that cannot be downloaded is logged and treated as no transcript.
+   * @param {Object} input - { transcript, transcriptUrl, redactionPolicy }
+   * @returns {Promise<Object|null>} Normalized transcript
+   */
+  async resolve({ transcript, transcriptUrl, redactionPolicy } = {}) {
+    if (transcript) {
+      return this.parse(transcript, { redactionPolicy });
+    }
+    if (!transcriptUrl) {
+      return null;
+    }
+
+    try {
+      return await this.fetchFromUrl(transcriptUrl, { redactionPolicy });
+    } catch (error) {
+      logger.error(`Error fetching transcript from ${transcriptUrl}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a normalized transcript on a sales call
+   * @param {Object} salesCall - SalesCall instance
+   * @param {Object} transcript - Result of parse, fetchFromUrl or resolve
+   * @param {Object} updates - Extra fields to update in the same query
+   * @returns {Promise<Object>} Updated sales call
+   */
+  async attachToSalesCall(salesCall, transcript, updates = {}) {
+    return salesCall.update({
+      ...updates,
+      transcript_text: transcript.text,
+      transcript_format: transcript.format,
+      pii_redaction: transcript.redaction
+    });
+  }
+}
+
+module.exports = new TranscriptIngestionService();
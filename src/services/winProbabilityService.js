@@ -0,0 +1,213 @@
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const { getSequelize } = require('../database/connection');
+const {
+  WIN_PROBABILITY_FEATURES, extractFeatures, predictWinProbability, evaluatePredictions, trainWinProbabilityModel
+} = require('../utils/winProbability');
+
+// Outcomes a call can be trained and evaluated on; follow-ups and reschedules are still open
+const FINAL_OUTCOMES = ['sale', 'no_sale'];
+
+// Fewer calls than this (or fewer of either outcome) cannot train a useful model
+const MIN_TRAINING_CALLS = parseInt(process.env.WIN_MODEL_MIN_TRAINING_CALLS) || 30;
+const MIN_CALLS_PER_OUTCOME = 5;
+
+// Sales call columns the features are extracted from
+const FEATURE_ATTRIBUTES = [
+  'id', 'organization_id', 'outcome', 'duration', 'script_compliance', 'customer_sentiment',
+  'objections_handled', 'conversation_metrics', 'win_prediction'
+];
+
+class WinProbabilityService {
+  /**
+   * Analyzed calls of an organization with a final outcome
+   */
+  findTrainingCalls(organizationId) {
+    return getSequelize().models.SalesCall.findAll({
+      where: {
+        organization_id: organizationId,
+        outcome: { [Op.in]: FINAL_OUTCOMES },
+        [Op.or]: [
+          { conversation_metrics: { [Op.ne]: null } },
+          { script_compliance: { [Op.ne]: null } }
+        ]
+      },
+      attributes: FEATURE_ATTRIBUTES,
+      order: [['appointment_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Queue a training run as the organization's next model version
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User starting the training
+   * @returns {Promise<Object>} Created WinProbabilityModel
+   */
+  async createTrainingJob(organizationId, userId) {
+    const { WinProbabilityModel } = getSequelize().models;
+    const latestVersion = await WinProbabilityModel.max('version', { where: { organization_id: organizationId } });
+
+    return WinProbabilityModel.create({
+      organization_id: organizationId,
+      version: (latestVersion || 0) + 1,
+      features: WIN_PROBABILITY_FEATURES.map(feature => feature.key),
+      created_by: userId
+    });
+  }
+
+  /**
+   * Train a queued model version on the organization's call history
+   * A successfully trained version becomes the active model, and open calls are predicted with it.
+   * Never rejects, so it can run detached from the request that started it.
+   * @param {string} modelId - WinProbabilityModel ID
+   */
+  async runTraining(modelId) {
+    const { WinProbabilityModel } = getSequelize().models;
+    let model;
+
+    try {
+      model = await WinProbabilityModel.findByPk(modelId);
+      if (!model || model.status !== 'queued') {
+        return model;
+      }
+
+      await model.update({ status: 'training', started_at: new Date() });
+
+      const calls = await this.findTrainingCalls(model.organization_id);
+      const rows = calls.map(call => ({ features: extractFeatures(call), won: call.outcome === 'sale' }));
+      const wins = rows.filter(row => row.won).length;
+
+      if (rows.length < MIN_TRAINING_CALLS || wins < MIN_CALLS_PER_OUTCOME || rows.length - wins < MIN_CALLS_PER_OUTCOME) {
+        await model.update({
+          status: 'failed',
+          training_samples: rows.length,
+          positive_samples: wins,
+          error: `Training needs at least ${MIN_TRAINING_CALLS} analyzed calls with a sale or no_sale outcome, ` +
+            `including ${MIN_CALLS_PER_OUTCOME} of each (found ${rows.length} calls, ${wins} sales)`
+        });
+        return model;
+      }
+
+      const trained = trainWinProbabilityModel(rows);
+
+      await model.update({
+        status: 'ready',
+        coefficients: trained.coefficients,
+        metrics: trained.metrics,
+        training_samples: trained.samples,
+        positive_samples: trained.positives,
+        trained_at: new Date()
+      });
+      await WinProbabilityModel.activate(model);
+
+      const predicted = await this.predictOpenCalls(model);
+      logger.info(`Win probability model v${model.version} trained for organization ${model.organization_id} on ${trained.samples} calls; ${predicted} open calls predicted`);
+
+      return model;
+    } catch (error) {
+      logger.error(`Win probability training ${modelId} failed:`, error);
+      if (model) {
+        await model.update({ status: 'failed', error: error.message })
+          .catch(updateError => logger.error('Error marking win probability model as failed:', updateError));
+      }
+      return model;
+    }
+  }
+
+  /**
+   * Win prediction fields of a sales call under a model
+   */
+  buildPrediction(model, salesCall) {
+    const { probability, factors } = predictWinProbability(model.coefficients, extractFeatures(salesCall));
+
+    return {
+      win_probability: probability,
+      win_prediction: {
+        modelId: model.id,
+        modelVersion: model.version,
+        probability,
+        factors,
+        predictedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Predict the calls of the model's organization that are analyzed but have no final outcome yet
+   * Calls with an outcome keep their earlier prediction, which is what live accuracy is measured on.
+   * @returns {Promise<number>} Number of calls predicted
+   */
+  async predictOpenCalls(model) {
+    const calls = await getSequelize().models.SalesCall.findAll({
+      where: {
+        organization_id: model.organization_id,
+        [Op.and]: [
+          { [Op.or]: [{ outcome: null }, { outcome: { [Op.notIn]: FINAL_OUTCOMES } }] },
+          { [Op.or]: [{ conversation_metrics: { [Op.ne]: null } }, { script_compliance: { [Op.ne]: null } }] }
+        ]
+      },
+      attributes: FEATURE_ATTRIBUTES
+    });
+
+    for (const call of calls) {
+      await call.update(this.buildPrediction(model, call));
+    }
+
+    return calls.length;
+  }
+
+  /**
+   * Predict a freshly analyzed call with its organization's active model
+   * Calls that already have a final outcome (e.g. in a re-analysis job) keep their prediction.
+   * Failures are logged and never fail the analysis.
+   * @param {Object} salesCall - Analyzed SalesCall
+   * @returns {Promise<Object|null>} The prediction, or null without an active model
+   */
+  async predictForCall(salesCall) {
+    if (FINAL_OUTCOMES.includes(salesCall.outcome)) {
+      return salesCall.win_prediction || null;
+    }
+
+    try {
+      const model = await getSequelize().models.WinProbabilityModel.findActive(salesCall.organization_id);
+      if (!model) {
+        return null;
+      }
+
+      const prediction = this.buildPrediction(model, salesCall);
+      await salesCall.update(prediction);
+      return prediction.win_prediction;
+    } catch (error) {
+      logger.error(`Error predicting win probability for sales call ${salesCall.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Accuracy of a model: on held-out calls at training time, and live on the calls it predicted
+   * before their outcome was known
+   * @param {Object} model - WinProbabilityModel
+   * @returns {Promise<Object>} { holdout, training, live }
+   */
+  async getAccuracy(model) {
+    const calls = await getSequelize().models.SalesCall.findAll({
+      where: {
+        organization_id: model.organization_id,
+        outcome: { [Op.in]: FINAL_OUTCOMES },
+        win_prediction: { modelId: model.id }
+      },
+      attributes: ['id', 'outcome', 'win_probability']
+    });
+
+    return {
+      holdout: model.metrics?.holdout || null,
+      training: model.metrics?.training || null,
+      live: evaluatePredictions(calls.map(call => ({
+        probability: Number(call.win_probability),
+        won: call.outcome === 'sale'
+      })))
+    };
+  }
+}
+
+module.exports = new WinProbabilityService();
@@ -1,6 +1,5 @@
 const { logger } = require('../utils/logger');
-const { LiveSession, User, SalesCall } = require('../database/models');
-const { generateToken, verifyRefreshToken } = require('../middleware/auth');
+const { LiveSession, User } = require('../database/models');
 
 /**
  * Initialize Socket.IO handlers
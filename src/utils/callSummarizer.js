@@ -0,0 +1,188 @@
+/**
+ * Extractive call summaries
+ *
+ * Ranks the sentences of a transcript without any external service: each sentence is scored
+ * by how close its TF-IDF vector is to the call's overall vocabulary, with a boost for sales
+ * cues such as pricing, objections and next steps. The best sentences are kept in transcript
+ * order as a short summary and a list of highlights, skipping near-duplicates. Spanish calls
+ * use Spanish stop words, stems and cue words.
+ */
+
+const { getLanguageResources, tokenize } = require('./phraseMatcher');
+
+const DEFAULT_SUMMARY_SENTENCES = 3;
+const DEFAULT_HIGHLIGHTS = 5;
+
+// Sentences with fewer content words are small talk ("Sounds good.") and never picked
+const MIN_CONTENT_WORDS = 4;
+
+// Highlights longer than this are cut at a word boundary
+const MAX_HIGHLIGHT_LENGTH = 240;
+
+// A sentence sharing more than this share of its words with a picked one is skipped
+const MAX_OVERLAP = 0.5;
+
+// Words that mark the moments a sales manager wants to see, stemmed like the transcript
+const CUE_WORDS = {
+  en: [
+    'price', 'cost', 'budget', 'quote', 'proposal', 'financing', 'payment', 'contract', 'sign', 'decide',
+    'decision', 'agree', 'concern', 'worry', 'problem', 'competitor', 'discount', 'warranty', 'install',
+    'schedule', 'appointment', 'deadline', 'next', 'follow', 'send', 'call', 'week', 'month'
+  ],
+  es: [
+    'precio', 'costo', 'presupuesto', 'cotización', 'propuesta', 'financiamiento', 'pago', 'contrato', 'firmar',
+    'decidir', 'decisión', 'acuerdo', 'preocupación', 'problema', 'competencia', 'descuento', 'garantía',
+    'instalación', 'cita', 'fecha', 'próximo', 'seguimiento', 'enviar', 'llamar', 'semana', 'mes'
+  ]
+};
+const CUE_BOOST = 0.1;
+const MAX_CUE_BOOST = 0.3;
+
+/**
+ * Split text into sentences
+ */
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Stemmed content words of a sentence
+ * @param {string} text - Sentence
+ * @param {Object} resources - Language resources from getLanguageResources
+ */
+function contentTerms(text, resources = getLanguageResources('en')) {
+  return tokenize(text)
+    .map(token => resources.normalize(token.word))
+    .filter(word => !resources.stopWords.has(word) && !/^\d+$/.test(word) && word.length > 1)
+    .map(resources.stem);
+}
+
+function truncate(text, length) {
+  if (text.length <= length) {
+    return text;
+  }
+  const cut = text.slice(0, length);
+  return `${cut.slice(0, Math.max(cut.lastIndexOf(' '), 1))}…`;
+}
+
+/**
+ * Break transcript segments into candidate sentences that keep their speaker and position
+ * @param {Array<Object>} segments - Segments { speaker, role, start, text, index }
+ * @param {string} language - Transcript language
+ * @returns {Array<Object>} Sentences { position, text, speaker, role, start, segmentIndex, terms }
+ */
+function buildSentences(segments, language = 'en') {
+  const resources = getLanguageResources(language);
+  const sentences = [];
+
+  (segments || []).forEach((segment, segmentPosition) => {
+    splitSentences(segment.text).forEach(text => {
+      sentences.push({
+        position: sentences.length,
+        text,
+        speaker: segment.speaker || null,
+        role: segment.role || null,
+        start: segment.start ?? null,
+        segmentIndex: segment.index ?? segmentPosition,
+        terms: contentTerms(text, resources)
+      });
+    });
+  });
+
+  return sentences;
+}
+
+/**
+ * Score sentences by cosine similarity between their TF-IDF vector and the call's centroid
+ */
+function scoreSentences(sentences, language = 'en') {
+  const resources = getLanguageResources(language);
+  const cueWords = new Set((CUE_WORDS[language] || CUE_WORDS.en).map(word => resources.stem(resources.normalize(word))));
+  const documentFrequency = new Map();
+  sentences.forEach(sentence => {
+    new Set(sentence.terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const idf = (term) => Math.log((sentences.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+
+  const vectors = sentences.map(sentence => {
+    const vector = new Map();
+    sentence.terms.forEach(term => vector.set(term, (vector.get(term) || 0) + idf(term)));
+    return vector;
+  });
+
+  const centroid = new Map();
+  vectors.forEach(vector => vector.forEach((weight, term) => centroid.set(term, (centroid.get(term) || 0) + weight)));
+  const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  const centroidNorm = norm(centroid);
+
+  return sentences.map((sentence, index) => {
+    const vector = vectors[index];
+    const vectorNorm = norm(vector);
+    let dot = 0;
+    vector.forEach((weight, term) => { dot += weight * centroid.get(term); });
+    const similarity = vectorNorm > 0 && centroidNorm > 0 ? dot / (vectorNorm * centroidNorm) : 0;
+
+    const cues = new Set(sentence.terms.filter(term => cueWords.has(term))).size;
+    return Math.round((similarity + Math.min(cues * CUE_BOOST, MAX_CUE_BOOST)) * 1000) / 1000;
+  });
+}
+
+function overlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(term => setB.has(term)).length;
+  return shared / Math.min(setA.size, setB.size);
+}
+
+/**
+ * Summarize a call transcript
+ * @param {Array<Object>} segments - Transcript segments, speaker-labelled from separateSpeakers or plain paragraphs
+ * @param {Object} options - { summarySentences, highlights, language } how many sentences each part keeps
+ *        and the transcript language
+ * @returns {Object} { summary, highlights: [{ text, speaker, role, start, segmentIndex, score }], method, sentenceCount }
+ */
+function summarizeTranscript(segments, options = {}) {
+  const summarySentences = options.summarySentences || DEFAULT_SUMMARY_SENTENCES;
+  const highlightCount = options.highlights || DEFAULT_HIGHLIGHTS;
+
+  const sentences = buildSentences(segments, options.language);
+  const candidates = sentences.filter(sentence => sentence.terms.length >= MIN_CONTENT_WORDS);
+  const scores = scoreSentences(candidates, options.language);
+
+  const ranked = candidates
+    .map((sentence, index) => ({ ...sentence, score: scores[index] }))
+    .sort((a, b) => b.score - a.score || a.position - b.position);
+
+  const picked = [];
+  for (const sentence of ranked) {
+    if (picked.length >= Math.max(summarySentences, highlightCount)) break;
+    if (picked.some(other => overlap(sentence.terms, other.terms) > MAX_OVERLAP)) continue;
+    picked.push(sentence);
+  }
+
+  const inTranscriptOrder = (list) => [...list].sort((a, b) => a.position - b.position);
+
+  return {
+    summary: inTranscriptOrder(picked.slice(0, summarySentences)).map(sentence => sentence.text).join(' ') || null,
+    highlights: inTranscriptOrder(picked.slice(0, highlightCount)).map(sentence => ({
+      text: truncate(sentence.text, MAX_HIGHLIGHT_LENGTH),
+      speaker: sentence.speaker,
+      role: sentence.role,
+      start: sentence.start,
+      segmentIndex: sentence.segmentIndex,
+      score: sentence.score
+    })),
+    method: 'extractive',
+    sentenceCount: sentences.length
+  };
+}
+
+module.exports = {
+  splitSentences,
+  buildSentences,
+  summarizeTranscript
+};
@@ -0,0 +1,299 @@
+/**
+ * Coaching tip library
+ *
+ * Maps the weaknesses found in a call (a skipped stage, a rep who talks too much, an unanswered
+ * price objection) to short coaching tips. Organizations can override the built-in tips, add
+ * their own or switch tips off in settings.coachingTips. Tip IDs are either a weakness
+ * ("skipped_stage") or a weakness with a detail ("unhandled_objection:price"); the detailed tip
+ * wins when both exist. "{stage}" and "{category}" in a tip are filled in from the call.
+ */
+
+const { CONVERSATION_BENCHMARKS } = require('./conversationMetrics');
+const { normalizeScoringRubric, isComponentEnabled } = require('./scoringRubric');
+
+const COACHING_WEAKNESSES = [
+  'skipped_stage',
+  'weak_stage',
+  'out_of_order_stages',
+  'missed_topics',
+  'low_script_compliance',
+  'forbidden_phrases',
+  'unhandled_objection',
+  'rep_talk_share_high',
+  'rep_talk_share_low',
+  'long_monologue',
+  'few_questions',
+  'frequent_interruptions',
+  'negative_sentiment'
+];
+
+const DEFAULT_COACHING_TIPS = [
+  {
+    id: 'skipped_stage',
+    title: 'Don\'t skip the {stage} stage',
+    tip: 'The {stage} stage never came up on this call. Before moving on, check off each stage of the script; customers who skip a step tend to come back to it as an objection later.'
+  },
+  {
+    id: 'weak_stage',
+    title: 'Strengthen your {stage}',
+    tip: 'You reached the {stage} stage but covered less than half of it. Use the stage\'s key phrases and cover its required topics before moving on.'
+  },
+  {
+    id: 'out_of_order_stages',
+    title: 'Keep the script in order',
+    tip: 'Stages came out of order on this call. Finish each stage before starting the next so the customer hears the story the way it was designed.'
+  },
+  {
+    id: 'missed_topics',
+    title: 'Cover every required topic',
+    tip: 'Some required topics were never mentioned. Keep a short checklist of them and confirm each one before you ask for the decision.'
+  },
+  {
+    id: 'low_script_compliance',
+    title: 'Lean on the script',
+    tip: 'This call strayed far from the script. Practice the script out loud and use its key phrases word for word until they feel natural.'
+  },
+  {
+    id: 'forbidden_phrases',
+    title: 'Avoid phrases the script rules out',
+    tip: 'Phrases the script forbids came up on this call. Replace them with the approved wording; they undermine trust or create compliance risk.'
+  },
+  {
+    id: 'unhandled_objection',
+    title: 'Answer {category} objections on the spot',
+    tip: 'A {category} objection went unanswered. Acknowledge it, ask a question to understand it, and answer it with one of the approved rebuttals right away.'
+  },
+  {
+    id: 'unhandled_objection:price',
+    title: 'Turn price objections into value',
+    tip: 'When price comes up, don\'t defend the number. Break it down into a monthly payment, compare it with what the customer pays today, and show the financing options.'
+  },
+  {
+    id: 'unhandled_objection:timing',
+    title: 'Handle "not right now"',
+    tip: 'Ask what would change if they waited, and quantify what waiting costs them every month. Mention incentives that expire.'
+  },
+  {
+    id: 'unhandled_objection:spouse',
+    title: 'Bring every decision maker in',
+    tip: 'When the customer needs to talk to someone first, ask what questions that person would have and offer a time when both decision makers can be there.'
+  },
+  {
+    id: 'unhandled_objection:competitor',
+    title: 'Differentiate from competitors',
+    tip: 'Don\'t criticize the competitor. Ask what they liked about the other offer, then compare warranty, equipment and local service side by side.'
+  },
+  {
+    id: 'unhandled_objection:trust',
+    title: 'Build trust before you close',
+    tip: 'Acknowledge the concern, then back it up: reviews, references, licensing and the warranty in writing.'
+  },
+  {
+    id: 'rep_talk_share_high',
+    title: 'Talk less, listen more',
+    tip: `You did most of the talking on this call. Aim for under ${Math.round(CONVERSATION_BENCHMARKS.repTalkShare.max * 100)}% of the talk time: ask an open question and let the customer finish before answering.`
+  },
+  {
+    id: 'rep_talk_share_low',
+    title: 'Lead the conversation',
+    tip: `You spoke for less than ${Math.round(CONVERSATION_BENCHMARKS.repTalkShare.min * 100)}% of the call. Take the lead: summarize what you heard, explain the next step and guide the customer through the script.`
+  },
+  {
+    id: 'long_monologue',
+    title: 'Break up long monologues',
+    tip: `One of your monologues ran over ${Math.round(CONVERSATION_BENCHMARKS.longestMonologueSeconds.max / 60 * 10) / 10} minutes. Pause every minute or so to check in with a question.`
+  },
+  {
+    id: 'few_questions',
+    title: 'Ask more discovery questions',
+    tip: `You asked fewer than ${CONVERSATION_BENCHMARKS.questionsAsked.min} questions. Open questions about the customer's situation and goals surface needs you can build the offer around.`
+  },
+  {
+    id: 'frequent_interruptions',
+    title: 'Let the customer finish',
+    tip: 'You cut the customer off several times. Wait a beat after they stop talking; the most useful information often comes right after a pause.'
+  },
+  {
+    id: 'negative_sentiment',
+    title: 'Rebuild rapport when the mood drops',
+    tip: 'The customer\'s mood turned negative. Name what you are hearing ("it sounds like..."), ask what matters most to them, and slow down before presenting again.'
+  }
+];
+
+/**
+ * Normalize an organization's coaching tip library (settings.coachingTips)
+ * @param {Array<Object>} customTips - { id, title, tip, enabled } entries; an entry with a built-in
+ *        ID replaces that tip, enabled: false switches it off
+ * @returns {Array<Object>} Enabled tips { id, weakness, detail, title, tip, custom }
+ */
+function normalizeCoachingTips(customTips) {
+  const tips = new Map(DEFAULT_COACHING_TIPS.map(tip => [tip.id, { ...tip, custom: false }]));
+
+  (Array.isArray(customTips) ? customTips : []).forEach(entry => {
+    if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+      return;
+    }
+    const id = entry.id.trim();
+    const existing = tips.get(id) || {};
+    tips.set(id, {
+      ...existing,
+      id,
+      title: typeof entry.title === 'string' && entry.title.trim() ? entry.title.trim() : existing.title,
+      tip: typeof entry.tip === 'string' && entry.tip.trim() ? entry.tip.trim() : existing.tip,
+      enabled: entry.enabled !== false,
+      custom: true
+    });
+  });
+
+  return [...tips.values()]
+    .filter(tip => tip.enabled !== false && tip.title && tip.tip)
+    .map(({ enabled, ...tip }) => {
+      const [weakness, detail = null] = tip.id.split(':');
+      return { ...tip, weakness, detail };
+    });
+}
+
+/**
+ * Validate a coaching tip library before it is saved
+ * @returns {Array<string>} Error messages
+ */
+function validateCoachingTips(customTips) {
+  if (!Array.isArray(customTips)) {
+    return ['Coaching tips must be an array'];
+  }
+
+  const errors = [];
+  customTips.forEach((entry, index) => {
+    const weakness = typeof entry?.id === 'string' ? entry.id.split(':')[0] : null;
+    if (!COACHING_WEAKNESSES.includes(weakness)) {
+      errors.push(`Tip ${index + 1}: id must start with one of ${COACHING_WEAKNESSES.join(', ')}`);
+    }
+    const isBuiltin = DEFAULT_COACHING_TIPS.some(tip => tip.id === entry?.id);
+    if (!isBuiltin && entry?.enabled !== false && (typeof entry?.title !== 'string' || typeof entry?.tip !== 'string')) {
+      errors.push(`Tip ${index + 1}: new tips need a title and a tip`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * The coaching needs of an analyzed call, most severe first
+ * Components switched off in the organization's scoring rubric produce no needs, like they produce no weaknesses.
+ * @param {Object} analysis - Result of performAnalysis
+ * @param {Object} rubric - Organization's scoring rubric
+ * @returns {Array<Object>} Needs { weakness, detail, severity, params, segmentIndex }
+ */
+function detectCoachingNeeds(analysis, rubric = null) {
+  const {
+    scriptAnalysis = {}, sequenceAnalysis = {}, topicAnalysis = {}, sentimentAnalysis = {}
+  } = analysis.detailedAnalysis || {};
+  const metrics = analysis.conversationMetrics;
+  const needs = [];
+  const add = (weakness, severity, params = {}, detail = null, segmentIndex = null) => {
+    needs.push({ weakness, detail, severity: Math.round(severity * 100) / 100, params, segmentIndex });
+  };
+
+  // Objections first: an unanswered objection is the most direct way to lose a sale
+  const seenCategories = new Set();
+  (isComponentEnabled(rubric, 'objectionHandling') ? topicAnalysis.objections || [] : [])
+    .filter(objection => objection.handled === false)
+    .forEach(objection => {
+      if (seenCategories.has(objection.category)) return;
+      seenCategories.add(objection.category);
+      add('unhandled_objection', 0.9, { category: objection.category }, objection.category, objection.segmentIndex ?? null);
+    });
+
+  (sequenceAnalysis.skippedStages || []).forEach(stage => add('skipped_stage', 0.8, { stage: stage.name }, stage.key));
+
+  const skippedKeys = new Set((sequenceAnalysis.skippedStages || []).map(stage => stage.key));
+  (scriptAnalysis.stageBreakdown || [])
+    .filter(stage => stage.score < 0.5 && !skippedKeys.has(stage.key))
+    .forEach(stage => add('weak_stage', 0.6 + (0.5 - stage.score) / 2, { stage: stage.name }, stage.key));
+
+  if (scriptAnalysis.forbiddenPhrasesUsed?.length > 0) add('forbidden_phrases', 0.75);
+  if (sequenceAnalysis.outOfOrderStages?.length > 0) add('out_of_order_stages', 0.5);
+  if (isComponentEnabled(rubric, 'topicCoverage') && scriptAnalysis.missedTopics?.length > 0) {
+    add('missed_topics', 0.55, { topics: scriptAnalysis.missedTopics });
+  }
+  if (isComponentEnabled(rubric, 'scriptCompliance') && typeof scriptAnalysis.complianceScore === 'number' &&
+      scriptAnalysis.complianceScore < normalizeScoringRubric(rubric).thresholds.weakness) {
+    add('low_script_compliance', 0.7);
+  }
+  if (isComponentEnabled(rubric, 'customerSentiment') && sentimentAnalysis.overallSentiment === 'negative') add('negative_sentiment', 0.65);
+
+  if (metrics && isComponentEnabled(rubric, 'conversationDynamics')) {
+    const { repTalkShare, longestMonologueSeconds, questionsAsked } = CONVERSATION_BENCHMARKS;
+    if (metrics.repTalkShare !== null && metrics.repTalkShare > repTalkShare.max) {
+      add('rep_talk_share_high', 0.5 + Math.min(0.3, metrics.repTalkShare - repTalkShare.max), { value: metrics.repTalkShare });
+    }
+    if (metrics.repTalkShare !== null && metrics.repTalkShare < repTalkShare.min) {
+      add('rep_talk_share_low', 0.5 + Math.min(0.3, repTalkShare.min - metrics.repTalkShare), { value: metrics.repTalkShare });
+    }
+    if (metrics.longestRepMonologueSeconds > longestMonologueSeconds.max) {
+      add('long_monologue', 0.45, { value: metrics.longestRepMonologueSeconds });
+    }
+    if (typeof metrics.questionsAsked === 'number' && metrics.questionsAsked < questionsAsked.min) {
+      add('few_questions', 0.5, { value: metrics.questionsAsked });
+    }
+    const talkMinutes = ((metrics.repTalkSeconds || 0) + (metrics.customerTalkSeconds || 0)) / 60;
+    if (talkMinutes > 0 && (metrics.repInterruptions / talkMinutes) * 10 > CONVERSATION_BENCHMARKS.interruptionsPerTenMinutes.max) {
+      add('frequent_interruptions', 0.45, { value: metrics.repInterruptions });
+    }
+  }
+
+  return needs.sort((a, b) => b.severity - a.severity);
+}
+
+function fillTemplate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, key) => (params[key] !== undefined ? String(params[key]) : placeholder));
+}
+
+/**
+ * Pick the tips for a call's coaching needs
+ * @param {Array<Object>} needs - Result of detectCoachingNeeds
+ * @param {Array<Object>} library - Result of normalizeCoachingTips
+ * @param {Object} options - { dismissed: tip IDs the rep dismissed, sent: need IDs already sent for the call, max }
+ * @returns {Array<Object>} Tips { id, needId, title, tip, weakness, detail, severity, params, segmentIndex }
+ */
+function selectCoachingTips(needs, library, options = {}) {
+  const dismissed = new Set(options.dismissed || []);
+  const sent = new Set(options.sent || []);
+  const max = options.max || 2;
+  const selected = [];
+
+  for (const need of needs) {
+    if (selected.length >= max) break;
+
+    const tip = (need.detail && library.find(entry => entry.id === `${need.weakness}:${need.detail}`))
+      || library.find(entry => entry.id === need.weakness);
+    // A generic tip such as skipped_stage can cover several needs of a call, one per stage
+    const needId = need.detail ? `${need.weakness}:${need.detail}` : need.weakness;
+    if (!tip || dismissed.has(tip.id) || sent.has(needId) || selected.some(entry => entry.needId === needId)) {
+      continue;
+    }
+
+    selected.push({
+      id: tip.id,
+      needId,
+      weakness: need.weakness,
+      detail: need.detail,
+      title: fillTemplate(tip.title, need.params),
+      tip: fillTemplate(tip.tip, need.params),
+      severity: need.severity,
+      params: need.params,
+      segmentIndex: need.segmentIndex
+    });
+  }
+
+  return selected;
+}
+
+module.exports = {
+  COACHING_WEAKNESSES,
+  DEFAULT_COACHING_TIPS,
+  normalizeCoachingTips,
+  validateCoachingTips,
+  detectCoachingNeeds,
+  selectCoachingTips
+};
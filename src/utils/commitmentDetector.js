@@ -0,0 +1,297 @@
+/**
+ * Commitment and next-step detection
+ *
+ * Finds the promises made on a call ("I'll send the proposal Friday"), requests the other side
+ * agreed to take on ("can you email me the quote?") and scheduled next steps ("let's set up a
+ * demo next week"). Each commitment gets an owner (rep or customer) from the speaker who made
+ * it and a due date when the sentence contains a relative date expression.
+ */
+
+const { ROLE_REP, ROLE_CUSTOMER } = require('./transcriptParser');
+const { splitSentences } = require('./callSummarizer');
+
+const ACTION_TYPES = ['send', 'call', 'meeting', 'prepare', 'review', 'follow_up'];
+
+// Verbs (and short verb phrases) that make a statement a commitment, by action type
+const ACTION_VERBS = {
+  send: ['send', 'email', 'e-mail', 'mail', 'forward', 'share', 'text'],
+  call: ['call', 'phone', 'ring', 'give you a call', 'give you a ring', 'reach out', 'get back to'],
+  meeting: ['schedule', 'book', 'set up', 'meet', 'come by', 'stop by', 'come out', 'visit', 'come back'],
+  prepare: ['prepare', 'draft', 'write up', 'put together', 'work up', 'get you', 'run the numbers'],
+  review: ['review', 'look over', 'look at', 'go over', 'think about', 'talk to', 'talk with', 'discuss', 'decide', 'check', 'sign', 'confirm'],
+  follow_up: ['follow up', 'check in', 'touch base']
+};
+
+const VERB_ALTERNATION = Object.values(ACTION_VERBS)
+  .flat()
+  .sort((a, b) => b.length - a.length)
+  .map(verb => verb.replace(/[-\s]/g, m => (m === ' ' ? '\\s+' : '-')))
+  .join('|');
+
+// Up to two words between the modal and the verb ("I'll quickly send", "we will also set up")
+const GAP = "(?:[a-z']+\\s+){0,2}?";
+
+const COMMITMENT_PATTERNS = [
+  // The speaker commits: "I'll send", "we're going to schedule", "let me email"
+  {
+    kind: 'commitment',
+    owner: 'speaker',
+    confidence: 0.8,
+    pattern: new RegExp(`\\b(?:(?:i|we)(?:'ll|\\s+will|\\s+shall|'m\\s+going\\s+to|\\s+am\\s+going\\s+to|'re\\s+going\\s+to|\\s+are\\s+going\\s+to|\\s+can|\\s+could)|let\\s+me)\\s+(${GAP})(${VERB_ALTERNATION})\\b`, 'i')
+  },
+  // The other side is asked or expected to act: "can you send", "you'll get", "please call"
+  {
+    kind: 'request',
+    owner: 'other',
+    confidence: 0.6,
+    pattern: new RegExp(`\\b(?:(?:can|could|would|will)\\s+you|you(?:'ll|\\s+will|'re\\s+going\\s+to|\\s+are\\s+going\\s+to)|please)\\s+(${GAP})(${VERB_ALTERNATION})\\b`, 'i')
+  },
+  // A next step both sides agreed on: "let's schedule", "the next step is to book"
+  {
+    kind: 'next_step',
+    owner: 'rep',
+    confidence: 0.7,
+    pattern: new RegExp(`\\b(?:let's|let\\s+us|next\\s+steps?\\s+(?:is|are|would\\s+be|will\\s+be)(?:\\s+to|\\s+for\\s+(?:me|us)\\s+to)?)\\s+(${GAP})(${VERB_ALTERNATION})\\b`, 'i')
+  }
+];
+
+// "I will not send", "we can never meet"
+const NEGATION_PATTERN = /\b(?:not|never|no longer)\b/i;
+
+// Confidence added when the commitment has a due date
+const DUE_DATE_CONFIDENCE_BONUS = 0.15;
+
+const MAX_TITLE_LENGTH = 120;
+
+// "I'll send it Friday and I'll call you next week" holds two commitments with their own dates
+const CLAUSE_BREAK = /,?\s+(?:and|but|then|also)\s+(?=(?:i|we|you|let's|please)\b)/i;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of a date, so due dates do not shift with the server's time zone
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function addMonths(date, months) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate()));
+}
+
+// Days from the reference date to the end of its Monday-to-Sunday week
+function daysLeftInWeek(date) {
+  return (7 - date.getUTCDay()) % 7;
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseCount(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word.toLowerCase()];
+}
+
+// Relative date expressions, most specific first; resolve receives the match and the reference day
+const DUE_DATE_RULES = [
+  {
+    pattern: /\b(?:the\s+)?day\s+after\s+tomorrow\b/i,
+    resolve: (match, day) => addDays(day, 2)
+  },
+  {
+    pattern: /\btomorrow\b/i,
+    resolve: (match, day) => addDays(day, 1)
+  },
+  {
+    pattern: /\b(?:today|tonight|later\s+today|this\s+(?:morning|afternoon|evening)|(?:by\s+)?(?:the\s+)?end\s+of\s+(?:the\s+)?day|eod|within\s+(?:the\s+next\s+)?(?:an|a\s+few|\d+|one|two|three)\s+hours?)\b/i,
+    resolve: (match, day) => day
+  },
+  {
+    pattern: /\bin\s+(a|an|one|two|three|four|five|six|seven|eight|nine|ten|\d+)\s+(day|week|month)s?\b/i,
+    resolve: (match, day) => {
+      const count = parseCount(match[1]);
+      const unit = match[2].toLowerCase();
+      if (unit === 'month') return addMonths(day, count);
+      return addDays(day, unit === 'week' ? count * 7 : count);
+    }
+  },
+  {
+    pattern: /\bin\s+a\s+(couple|few)\s+(?:of\s+)?(day|week)s\b/i,
+    resolve: (match, day) => {
+      const count = match[1].toLowerCase() === 'couple' ? 2 : 3;
+      return addDays(day, match[2].toLowerCase() === 'week' ? count * 7 : count);
+    }
+  },
+  {
+    pattern: new RegExp(`\\b(next|this|on|by|this\\s+coming)?\\s*(${WEEKDAYS.join('|')})\\b`, 'i'),
+    resolve: (match, day) => {
+      const target = WEEKDAYS.indexOf(match[2].toLowerCase());
+      const ahead = ((target - day.getUTCDay() + 7) % 7) || 7;
+      // "next Friday" said on a Monday means the Friday of the following week
+      const nextWeek = (match[1] || '').toLowerCase() === 'next' && ahead <= daysLeftInWeek(day);
+      return addDays(day, nextWeek ? ahead + 7 : ahead);
+    }
+  },
+  {
+    pattern: /\b(?:(?:by\s+)?(?:the\s+)?end\s+of\s+(?:the|this)\s+week|this\s+week|before\s+the\s+weekend|by\s+the\s+weekend)\b/i,
+    resolve: (match, day) => {
+      const toFriday = (5 - day.getUTCDay() + 7) % 7;
+      return day.getUTCDay() === 6 || day.getUTCDay() === 0 ? day : addDays(day, toFriday);
+    }
+  },
+  {
+    pattern: /\b(?:early\s+)?next\s+week\b/i,
+    resolve: (match, day) => addDays(day, daysLeftInWeek(day) + 1)
+  },
+  {
+    pattern: /\b(?:(?:by\s+)?(?:the\s+)?end\s+of\s+(?:the|this)\s+month|this\s+month)\b/i,
+    resolve: (match, day) => new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0))
+  },
+  {
+    pattern: /\bnext\s+month\b/i,
+    resolve: (match, day) => new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1))
+  }
+];
+
+/**
+ * Resolve a relative date expression such as "Friday", "next week" or "in two days"
+ * @param {string} text - Text containing the expression
+ * @param {Date|string} referenceDate - When the call took place
+ * @returns {Object|null} { date: 'YYYY-MM-DD', expression }, or null when the text has no date
+ */
+function parseDueDate(text, referenceDate = new Date()) {
+  const reference = new Date(referenceDate);
+  if (Number.isNaN(reference.getTime())) {
+    return null;
+  }
+
+  const day = startOfDay(reference);
+  for (const rule of DUE_DATE_RULES) {
+    const match = rule.pattern.exec(text || '');
+    if (match) {
+      return { date: toDateString(rule.resolve(match, day)), expression: match[0].trim() };
+    }
+  }
+
+  return null;
+}
+
+function actionTypeOf(verb) {
+  const normalized = verb.toLowerCase().replace(/\s+/g, ' ');
+  return ACTION_TYPES.find(type => ACTION_VERBS[type].includes(normalized)) || 'follow_up';
+}
+
+/**
+ * Owner of a commitment: the speaker for their own promises, the other side for requests
+ */
+function ownerOf(rule, role) {
+  if (rule.owner === 'rep') return ROLE_REP;
+  if (role !== ROLE_REP && role !== ROLE_CUSTOMER) return null;
+  if (rule.owner === 'speaker') return role;
+  return role === ROLE_REP ? ROLE_CUSTOMER : ROLE_REP;
+}
+
+/**
+ * Short task title from the verb to the end of the clause ("Send the proposal Friday")
+ */
+function buildTitle(sentence, verbIndex) {
+  const clause = sentence.slice(verbIndex).split(/[,;:!?]|\.(?:\s|$)|\s+(?:and|but|so)\s+(?:i|we|you|then)\b/i)[0].trim();
+  const title = clause.length > MAX_TITLE_LENGTH
+    ? `${clause.slice(0, clause.lastIndexOf(' ', MAX_TITLE_LENGTH))}…`
+    : clause;
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Detect the commitment in one sentence, if any
+ */
+function detectInSentence(sentence, role) {
+  for (const rule of COMMITMENT_PATTERNS) {
+    const match = rule.pattern.exec(sentence);
+    if (!match || NEGATION_PATTERN.test(match[1] || '')) {
+      continue;
+    }
+
+    const verb = match[2];
+    return {
+      kind: rule.kind,
+      owner: ownerOf(rule, role),
+      actionType: actionTypeOf(verb),
+      title: buildTitle(sentence, match.index + match[0].length - verb.length),
+      confidence: rule.confidence
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Find the commitments and next steps of a call
+ * @param {Array<Object>} segments - Speaker-labelled segments from separateSpeakers
+ * @param {Object} options - { referenceDate } the call date due dates are counted from,
+ *        { fallbackText } searched sentence by sentence when the transcript has no speaker segments
+ * @returns {Array<Object>} Commitments { kind, owner, actionType, title, excerpt, speaker, start,
+ *          segmentIndex, dueDate, dueExpression, confidence }
+ */
+function detectCommitments(segments, options = {}) {
+  const utterances = (segments || []).length > 0
+    ? segments
+    : [{ speaker: null, role: null, start: null, index: null, text: options.fallbackText || '' }];
+  const referenceDate = options.referenceDate || new Date();
+  const commitments = [];
+
+  utterances.forEach(utterance => {
+    const clauses = splitSentences(utterance.text).flatMap(sentence => sentence.split(CLAUSE_BREAK)
+      .map(clause => ({ sentence, clause: clause.trim() })));
+
+    clauses.forEach(({ sentence, clause }) => {
+      const commitment = detectInSentence(clause, utterance.role);
+      if (!commitment) {
+        return;
+      }
+
+      // One task per action in a segment; "I'll send it, I'll send it today" is one promise
+      const duplicate = commitments.find(existing => existing.segmentIndex === (utterance.index ?? null) &&
+        existing.actionType === commitment.actionType && existing.owner === commitment.owner);
+      const due = parseDueDate(clause, referenceDate);
+
+      if (duplicate) {
+        if (!duplicate.dueDate && due) {
+          duplicate.dueDate = due.date;
+          duplicate.dueExpression = due.expression;
+          duplicate.confidence = Math.min(1, Math.round((duplicate.confidence + DUE_DATE_CONFIDENCE_BONUS) * 100) / 100);
+        }
+        return;
+      }
+
+      commitments.push({
+        ...commitment,
+        excerpt: sentence,
+        speaker: utterance.speaker || null,
+        start: utterance.start ?? null,
+        segmentIndex: utterance.index ?? null,
+        dueDate: due ? due.date : null,
+        dueExpression: due ? due.expression : null,
+        confidence: Math.min(1, Math.round((commitment.confidence + (due ? DUE_DATE_CONFIDENCE_BONUS : 0)) * 100) / 100)
+      });
+    });
+  });
+
+  return commitments;
+}
+
+module.exports = {
+  ACTION_TYPES,
+  parseDueDate,
+  detectCommitments
+};
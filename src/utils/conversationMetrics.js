@@ -0,0 +1,205 @@
+/**
+ * Conversation dynamics of a sales call
+ *
+ * Talk time, monologues, questions, interruptions and speaking pace are derived from the
+ * speaker-labelled segments produced by separateSpeakers.
+ */
+
+const { ROLE_REP, ROLE_CUSTOMER, countWords } = require('./transcriptParser');
+
+// Speaking rate used to estimate segment length when the transcript has no end times
+const ESTIMATED_WORDS_PER_SECOND = 2.5;
+
+// Ranges commonly cited by conversation intelligence tools for in-person sales conversations
+const CONVERSATION_BENCHMARKS = {
+  repTalkShare: { min: 0.4, max: 0.65 },
+  longestMonologueSeconds: { max: 150 },
+  questionsAsked: { min: 6 },
+  wordsPerMinute: { min: 110, max: 170 },
+  interruptionsPerTenMinutes: { max: 2 }
+};
+
+const METRIC_FIELDS = [
+  'talkToListenRatio',
+  'repTalkShare',
+  'longestRepMonologueSeconds',
+  'questionsAsked',
+  'customerQuestions',
+  'repInterruptions',
+  'customerInterruptions',
+  'wordsPerMinute'
+];
+
+/**
+ * Count questions in a piece of speech
+ */
+function countQuestions(text) {
+  return (String(text || '').match(/\?+/g) || []).length;
+}
+
+/**
+ * A segment that stops without closing punctuation, or trails off with a dash or ellipsis,
+ * was cut off by the next speaker
+ */
+function wasCutOff(text) {
+  const trimmed = String(text || '').trim();
+  return /(--|—|–|\.\.\.|…)$/.test(trimmed) || !/[.!?"')\]]$/.test(trimmed);
+}
+
+/**
+ * Compute conversation dynamics from speaker-labelled segments
+ * @param {Array<Object>} segments - Segments { speaker, role, start, end, text } from separateSpeakers
+ * @param {Object} options - { duration } call length in seconds
+ * @returns {Object|null} Metrics, or null when the transcript could not be separated by speaker
+ */
+function computeConversationMetrics(segments, options = {}) {
+  const labelled = (segments || []).filter(segment => segment.role === ROLE_REP || segment.role === ROLE_CUSTOMER);
+  if (labelled.length === 0) {
+    return null;
+  }
+
+  const callDuration = Number(options.duration) > 0 ? Number(options.duration) : null;
+  const hasTimestamps = labelled.every(segment => segment.start !== null && segment.start !== undefined);
+
+  // Segment length from timestamps where possible, otherwise from the word count
+  const timed = labelled.map((segment, index) => {
+    const words = countWords(segment.text);
+    let seconds = null;
+
+    if (hasTimestamps) {
+      const next = labelled[index + 1];
+      const end = segment.end ?? (next ? next.start : callDuration);
+      if (end !== null && end !== undefined) {
+        seconds = Math.max(0, end - segment.start);
+      }
+    }
+
+    return {
+      ...segment,
+      words,
+      seconds: seconds !== null ? seconds : words / ESTIMATED_WORDS_PER_SECOND
+    };
+  });
+
+  const total = (role, field) => timed
+    .filter(segment => segment.role === role)
+    .reduce((sum, segment) => sum + segment[field], 0);
+
+  const repSeconds = total(ROLE_REP, 'seconds');
+  const customerSeconds = total(ROLE_CUSTOMER, 'seconds');
+  const repWords = total(ROLE_REP, 'words');
+
+  // Consecutive rep segments form one monologue
+  let longestRepMonologueSeconds = 0;
+  let longestRepMonologueWords = 0;
+  let currentSeconds = 0;
+  let currentWords = 0;
+  timed.forEach(segment => {
+    if (segment.role === ROLE_REP) {
+      currentSeconds += segment.seconds;
+      currentWords += segment.words;
+      if (currentSeconds > longestRepMonologueSeconds) {
+        longestRepMonologueSeconds = currentSeconds;
+        longestRepMonologueWords = currentWords;
+      }
+    } else {
+      currentSeconds = 0;
+      currentWords = 0;
+    }
+  });
+
+  // An interruption is a speaker change right after a cut-off segment, or overlapping timestamps
+  let repInterruptions = 0;
+  let customerInterruptions = 0;
+  timed.forEach((segment, index) => {
+    const next = timed[index + 1];
+    if (!next || next.role === segment.role) return;
+
+    const overlaps = segment.end !== null && segment.end !== undefined
+      && next.start !== null && next.start !== undefined && next.start < segment.end;
+    if (overlaps || wasCutOff(segment.text)) {
+      if (next.role === ROLE_REP) repInterruptions++;
+      else customerInterruptions++;
+    }
+  });
+
+  const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+  return {
+    repTalkSeconds: Math.round(repSeconds),
+    customerTalkSeconds: Math.round(customerSeconds),
+    talkToListenRatio: customerSeconds > 0 ? round(repSeconds / customerSeconds) : null,
+    repTalkShare: repSeconds + customerSeconds > 0 ? round(repSeconds / (repSeconds + customerSeconds)) : null,
+    longestRepMonologueSeconds: Math.round(longestRepMonologueSeconds),
+    longestRepMonologueWords,
+    questionsAsked: timed.filter(segment => segment.role === ROLE_REP).reduce((sum, segment) => sum + countQuestions(segment.text), 0),
+    customerQuestions: timed.filter(segment => segment.role === ROLE_CUSTOMER).reduce((sum, segment) => sum + countQuestions(segment.text), 0),
+    repInterruptions,
+    customerInterruptions,
+    wordsPerMinute: repSeconds > 0 ? Math.round(repWords / (repSeconds / 60)) : null,
+    turns: timed.filter((segment, index) => index === 0 || timed[index - 1].role !== segment.role).length,
+    timeSource: hasTimestamps ? 'timestamps' : 'estimated'
+  };
+}
+
+/**
+ * Score conversation dynamics against the benchmarks
+ * @param {Object} metrics - Result of computeConversationMetrics
+ * @returns {number|null} Score between 0 and 1, or null without metrics
+ */
+function scoreConversationMetrics(metrics) {
+  if (!metrics) {
+    return null;
+  }
+
+  const scores = [];
+  const { repTalkShare, longestMonologueSeconds, questionsAsked, wordsPerMinute, interruptionsPerTenMinutes } = CONVERSATION_BENCHMARKS;
+
+  // Distance outside a range reduces the score linearly
+  const rangeScore = (value, range, tolerance) => {
+    if (value === null || value === undefined) return null;
+    if (range.min !== undefined && value < range.min) return Math.max(0, 1 - (range.min - value) / tolerance);
+    if (range.max !== undefined && value > range.max) return Math.max(0, 1 - (value - range.max) / tolerance);
+    return 1;
+  };
+
+  scores.push(rangeScore(metrics.repTalkShare, repTalkShare, 0.35));
+  scores.push(rangeScore(metrics.longestRepMonologueSeconds, longestMonologueSeconds, 300));
+  scores.push(Math.min(1, metrics.questionsAsked / questionsAsked.min));
+  scores.push(rangeScore(metrics.wordsPerMinute, wordsPerMinute, 60));
+
+  const talkMinutes = (metrics.repTalkSeconds + metrics.customerTalkSeconds) / 60;
+  if (talkMinutes > 0) {
+    const interruptionRate = (metrics.repInterruptions / talkMinutes) * 10;
+    scores.push(rangeScore(interruptionRate, interruptionsPerTenMinutes, 6));
+  }
+
+  const applicable = scores.filter(score => score !== null);
+  return applicable.length > 0 ? applicable.reduce((sum, score) => sum + score, 0) / applicable.length : null;
+}
+
+/**
+ * Average conversation metrics across calls
+ * @param {Array<Object>} metricsList - conversation_metrics values (null entries are skipped)
+ * @returns {Object} Averages per metric plus the number of calls with metrics
+ */
+function averageConversationMetrics(metricsList) {
+  const available = (metricsList || []).filter(Boolean);
+  const averages = { callsWithMetrics: available.length };
+
+  METRIC_FIELDS.forEach(field => {
+    const values = available.map(metrics => metrics[field]).filter(value => typeof value === 'number');
+    averages[field] = values.length > 0
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+      : null;
+  });
+
+  return averages;
+}
+
+module.exports = {
+  CONVERSATION_BENCHMARKS,
+  computeConversationMetrics,
+  scoreConversationMetrics,
+  averageConversationMetrics
+};
@@ -0,0 +1,94 @@
+const isEqual = require('lodash/isEqual');
+
+// Line diffs above this size fall back to a whole-text replacement to keep the LCS table small
+const MAX_LINE_DIFF_CELLS = 4000000;
+
+/**
+ * Compute a line-level diff between two text values
+ * @param {string} before - Previous text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Hunks of { type: 'added'|'removed', line, text }
+ */
+function diffLines(before, after) {
+  const a = (before || '').split(/\r?\n/);
+  const b = (after || '').split(/\r?\n/);
+
+  if (a.length * b.length > MAX_LINE_DIFF_CELLS) {
+    return [
+      ...a.map((text, index) => ({ type: 'removed', line: index + 1, text })),
+      ...b.map((text, index) => ({ type: 'added', line: index + 1, text }))
+    ];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', line: i + 1, text: a[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: j + 1, text: b[j] });
+      j++;
+    }
+  }
+  while (i < a.length) {
+    changes.push({ type: 'removed', line: i + 1, text: a[i] });
+    i++;
+  }
+  while (j < b.length) {
+    changes.push({ type: 'added', line: j + 1, text: b[j] });
+    j++;
+  }
+
+  return changes;
+}
+
+/**
+ * Compute a field-level diff between two snapshots
+ * Multi-line text fields additionally carry a line diff.
+ * @param {Object} previous - Previous snapshot (or null for a new record)
+ * @param {Object} next - New snapshot
+ * @returns {Object} Map of changed field -> { from, to, lines? }
+ */
+function diffSnapshots(previous, next) {
+  const before = previous || {};
+  const after = next || {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const diff = {};
+
+  fields.forEach(field => {
+    if (isEqual(before[field], after[field])) {
+      return;
+    }
+
+    const change = { from: before[field] ?? null, to: after[field] ?? null };
+    const isMultiLineText = [before[field], after[field]].some(
+      value => typeof value === 'string' && value.includes('\n')
+    );
+
+    if (isMultiLineText) {
+      change.lines = diffLines(before[field], after[field]);
+    }
+
+    diff[field] = change;
+  });
+
+  return diff;
+}
+
+module.exports = {
+  diffLines,
+  diffSnapshots
+};
@@ -0,0 +1,125 @@
+/**
+ * Evidence for analysis findings
+ *
+ * Strengths, weaknesses and recommendations are stored as plain sentences on the sales call.
+ * Alongside them analysis keeps findings { text, evidence } so a rep can see why a finding was
+ * made: the transcript excerpts that triggered it (with speaker, timestamp and segment), or the
+ * items that were missing for findings about something the call lacked.
+ */
+
+// Evidence items kept per finding
+const MAX_EVIDENCE = 5;
+
+function normalizeText(text) {
+  return String(text || '').replace(/^…|…$/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Find the transcript segment an excerpt was taken from
+ * Excerpts cut from the rep's joined speech may span two segments, so the excerpt's first words
+ * are tried when the whole excerpt is not found.
+ * @param {Array<Object>} segments - Transcript segments { speaker, role, start, text, index }
+ * @param {string} excerpt - Excerpt from a phrase match
+ * @returns {Object|null} { segment, segmentIndex }
+ */
+function locateExcerpt(segments, excerpt) {
+  const needle = normalizeText(excerpt);
+  if (!needle || !Array.isArray(segments) || segments.length === 0) {
+    return null;
+  }
+
+  const texts = segments.map(segment => normalizeText(segment.text));
+  const words = needle.split(' ');
+  const candidates = [needle, words.slice(0, 6).join(' '), words.slice(-6).join(' ')];
+
+  for (const candidate of candidates) {
+    const position = texts.findIndex(text => text.includes(candidate));
+    if (position !== -1) {
+      return { segment: segments[position], segmentIndex: segments[position].index ?? position };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evidence quoting the transcript
+ * @param {string} excerpt - Transcript excerpt
+ * @param {Object} source - { speaker, role, start, segmentIndex } when already known, otherwise
+ *        looked up in the segments
+ * @param {Array<Object>} segments - Transcript segments
+ * @param {Object} details - Extra fields, e.g. { phrase, stage }
+ */
+function excerptEvidence(excerpt, source = {}, segments = [], details = {}) {
+  const located = Number.isInteger(source.segmentIndex)
+    ? {
+      segment: (segments || []).find((segment, position) => (segment.index ?? position) === source.segmentIndex),
+      segmentIndex: source.segmentIndex
+    }
+    : locateExcerpt(segments, excerpt);
+  const segment = located?.segment || {};
+
+  return {
+    type: 'excerpt',
+    excerpt,
+    speaker: source.speaker ?? segment.speaker ?? null,
+    role: source.role ?? segment.role ?? null,
+    start: source.start ?? segment.start ?? null,
+    segmentIndex: located?.segmentIndex ?? null,
+    ...details
+  };
+}
+
+/**
+ * Evidence naming something the call lacked, e.g. a required topic or a script stage
+ */
+function missingEvidence(item, details = {}) {
+  return { type: 'missing', item, ...details };
+}
+
+/**
+ * A finding with its evidence
+ */
+function createFinding(text, evidence = []) {
+  return { text, evidence: evidence.filter(Boolean).slice(0, MAX_EVIDENCE) };
+}
+
+/**
+ * Accept findings contributed as plain sentences (e.g. by analyzers) as findings without evidence
+ */
+function normalizeFinding(finding) {
+  if (typeof finding === 'string') {
+    return createFinding(finding);
+  }
+  return createFinding(finding?.text || '', Array.isArray(finding?.evidence) ? finding.evidence : []);
+}
+
+/**
+ * The stored strengths, weaknesses and recommendations of a sales call with their evidence
+ * Sentences that did not come from local analysis (e.g. Otter's own strengths) have no evidence.
+ * @param {Object} salesCall - SalesCall instance or plain object
+ * @returns {Object} { strengths, weaknesses, recommendations } lists of { text, evidence }
+ */
+function attachEvidence(salesCall) {
+  const analysisData = salesCall.analysis_data || {};
+  const stored = analysisData.findings || analysisData.transcriptAnalysis?.findings || {};
+
+  return ['strengths', 'weaknesses', 'recommendations'].reduce((result, kind) => {
+    const findings = Array.isArray(stored[kind]) ? stored[kind] : [];
+    result[kind] = (salesCall[kind] || []).map(entry => {
+      const text = normalizeFinding(entry).text;
+      const match = findings.find(finding => finding.text === text);
+      return createFinding(text, match?.evidence || []);
+    });
+    return result;
+  }, {});
+}
+
+module.exports = {
+  locateExcerpt,
+  excerptEvidence,
+  missingEvidence,
+  createFinding,
+  normalizeFinding,
+  attachEvidence
+};
@@ -0,0 +1,154 @@
+/**
+ * Keyword trackers
+ *
+ * Trackers count how often organization-defined phrases (competitors, promotions, product names)
+ * come up in a call, in the rep's speech, the customer's or both, and when.
+ */
+
+const { ROLE_REP, ROLE_CUSTOMER } = require('./transcriptParser');
+
+const TRACKER_SPEAKERS = ['rep', 'customer', 'any'];
+
+const SPEAKER_ROLES = {
+  rep: [ROLE_REP],
+  customer: [ROLE_CUSTOMER],
+  any: [ROLE_REP, ROLE_CUSTOMER]
+};
+
+/**
+ * Normalize a tracker from a model instance or a plain object
+ * @param {Object} tracker - Tracker definition
+ * @returns {Object} { id, name, phrases, speaker }
+ */
+function normalizeTracker(tracker) {
+  const source = typeof tracker.get === 'function' ? tracker.get({ plain: true }) : tracker;
+
+  return {
+    id: source.id || null,
+    name: source.name,
+    phrases: (Array.isArray(source.phrases) ? source.phrases : [])
+      .filter(phrase => typeof phrase === 'string' && phrase.trim())
+      .map(phrase => phrase.trim()),
+    speaker: TRACKER_SPEAKERS.includes(source.speaker) ? source.speaker : 'any'
+  };
+}
+
+/**
+ * Whole-word, case-insensitive occurrences of a phrase in a prepared document
+ */
+function exactOccurrences(document, phrase) {
+  const needle = phrase.toLowerCase();
+  const offsets = [];
+  const isWordChar = (char) => Boolean(char) && /[a-z0-9]/i.test(char);
+
+  let index = document.lowerText.indexOf(needle);
+  while (index >= 0) {
+    if (!isWordChar(document.lowerText[index - 1]) && !isWordChar(document.lowerText[index + needle.length])) {
+      offsets.push(index);
+    }
+    index = document.lowerText.indexOf(needle, index + needle.length);
+  }
+
+  return offsets;
+}
+
+/**
+ * Mentions of a tracker's phrases in one piece of text
+ * Verbatim mentions are all counted; a fuzzy match counts once when there is no verbatim mention.
+ */
+function findMentions(matcher, text, phrases) {
+  const document = matcher.prepare(text || '');
+  const mentions = [];
+
+  phrases.forEach(phrase => {
+    const offsets = exactOccurrences(document, phrase);
+
+    if (offsets.length > 0) {
+      offsets.forEach(offset => {
+        const match = matcher.buildMatch(document, phrase, 1, offset, offset + phrase.length, 'exact');
+        mentions.push({ ...match, offset });
+      });
+      return;
+    }
+
+    const match = matcher.match(document, phrase);
+    if (match.matched) {
+      mentions.push({ ...match, offset: match.start });
+    }
+  });
+
+  return { mentions, length: document.text.length };
+}
+
+/**
+ * Count tracker mentions in a call
+ * Mention times are interpolated within their segment. Without speaker segments the whole text
+ * is searched and neither the speaker nor the time is known.
+ * @param {Array<Object>} segments - Speaker-labelled segments from separateSpeakers
+ * @param {Array<Object>} trackers - Tracker definitions
+ * @param {PhraseMatcher} matcher - Phrase matcher configured for the organization
+ * @param {Object} options - { fallbackText } used when there are no labelled segments
+ * @returns {Array<Object>} Per tracker { trackerId, name, speaker, hitCount, hits: [{ phrase, speaker, start, segmentIndex, excerpt, confidence, method }] }
+ */
+function findTrackerHits(segments, trackers, matcher, options = {}) {
+  const labelled = (segments || []).filter(segment => segment.role === ROLE_REP || segment.role === ROLE_CUSTOMER);
+
+  return (trackers || [])
+    .map(normalizeTracker)
+    .filter(tracker => tracker.phrases.length > 0)
+    .map(tracker => {
+      let hits;
+
+      if (labelled.length === 0) {
+        hits = findMentions(matcher, options.fallbackText, tracker.phrases).mentions.map(mention => ({
+          phrase: mention.phrase,
+          speaker: null,
+          start: null,
+          segmentIndex: null,
+          excerpt: mention.excerpt,
+          confidence: mention.confidence,
+          method: mention.method
+        }));
+      } else {
+        hits = [];
+        labelled
+          .filter(segment => SPEAKER_ROLES[tracker.speaker].includes(segment.role))
+          .forEach(segment => {
+            const { mentions, length } = findMentions(matcher, segment.text, tracker.phrases);
+            const hasEnd = Number.isFinite(segment.end) && Number.isFinite(segment.start) && segment.end > segment.start;
+
+            mentions.forEach(mention => {
+              let start = Number.isFinite(segment.start) ? segment.start : null;
+              if (hasEnd && length > 0) {
+                start = Math.round((segment.start + (mention.offset / length) * (segment.end - segment.start)) * 10) / 10;
+              }
+
+              hits.push({
+                phrase: mention.phrase,
+                speaker: segment.role,
+                start,
+                segmentIndex: segment.index ?? null,
+                excerpt: mention.excerpt,
+                confidence: mention.confidence,
+                method: mention.method
+              });
+            });
+          });
+        hits.sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+      }
+
+      return {
+        trackerId: tracker.id,
+        name: tracker.name,
+        speaker: tracker.speaker,
+        hitCount: hits.length,
+        hits
+      };
+    });
+}
+
+module.exports = {
+  TRACKER_SPEAKERS,
+  normalizeTracker,
+  findTrackerHits
+};
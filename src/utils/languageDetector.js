@@ -0,0 +1,100 @@
+/**
+ * Transcript language detection
+ *
+ * Tells English and Spanish transcripts apart locally from the share of each language's most
+ * common function words, which make up a large part of any conversation, plus Spanish-only
+ * characters (ñ, ¿, ¡, accented vowels). Short or mixed transcripts are reported as unreliable
+ * so callers can fall back to a declared language.
+ */
+
+const { tokenize } = require('./phraseMatcher');
+
+const SUPPORTED_LANGUAGES = ['en', 'es'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Locale requested from OtterAI when recording a call in each language
+const LANGUAGE_LOCALES = { en: 'en-US', es: 'es-US' };
+
+// Frequent words that are rare in the other language; words common to both ("a", "no", "me") are left out
+const FUNCTION_WORDS = {
+  en: new Set([
+    'the', 'and', 'you', 'to', 'of', 'is', 'it', 'that', 'in', 'we', 'i', 'for', 'this', 'have', 'what', 'with',
+    'your', 'be', 'are', 'do', 'can', 'just', 'so', 'but', 'was', 'about', 'they', 'if', 'will', 'would',
+    'my', 'our', 'on', 'not', 'know', 'yeah', 'right', 'okay', 'like', 'get', 'how', 'there', 'one', 'at'
+  ]),
+  es: new Set([
+    'de', 'la', 'que', 'el', 'en', 'y', 'los', 'se', 'las', 'por', 'un', 'para', 'con', 'una', 'su', 'al',
+    'lo', 'como', 'pero', 'sus', 'le', 'ya', 'muy', 'mi', 'es', 'esta', 'este', 'eso', 'si', 'del', 'usted',
+    'ustedes', 'nosotros', 'tiene', 'tenemos', 'puede', 'bueno', 'pues', 'claro', 'entonces', 'porque',
+    'cuando', 'donde', 'hay', 'son', 'estoy', 'estamos', 'gracias', 'también', 'más', 'qué', 'está', 'sí'
+  ])
+};
+
+const SPANISH_CHARACTERS = /[ñ¿¡áéíóú]/gi;
+
+// Fewer words than this cannot be classified reliably
+const MIN_WORDS = 20;
+// The winning language needs at least this share of the function-word hits
+const MIN_CONFIDENCE = 0.65;
+
+/**
+ * Supported language code of a language or locale ("es-MX" -> "es")
+ * @param {string} value - Language code or locale
+ * @returns {string|null} Supported language code, or null
+ */
+function normalizeLanguage(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * Detect the language of a transcript
+ * @param {string} text - Transcript text
+ * @param {Object} options - { fallback } language reported when detection is unreliable
+ * @returns {Object} { language, confidence, reliable, scores: { en, es }, words }
+ */
+function detectLanguage(text, options = {}) {
+  const fallback = normalizeLanguage(options.fallback) || DEFAULT_LANGUAGE;
+  const words = tokenize(text).map(token => token.word);
+
+  const scores = SUPPORTED_LANGUAGES.reduce((result, language) => ({
+    ...result,
+    [language]: words.filter(word => FUNCTION_WORDS[language].has(word)).length
+  }), {});
+  // Accents and ñ are strong evidence even when a transcript's Spanish is mostly content words
+  scores.es += (String(text || '').match(SPANISH_CHARACTERS) || []).length * 0.5;
+
+  const total = SUPPORTED_LANGUAGES.reduce((sum, language) => sum + scores[language], 0);
+  const best = SUPPORTED_LANGUAGES.reduce((winner, language) => (scores[language] > scores[winner] ? language : winner), fallback);
+  const confidence = total > 0 ? Math.round((scores[best] / total) * 100) / 100 : 0;
+  const reliable = words.length >= MIN_WORDS && confidence >= MIN_CONFIDENCE;
+
+  return {
+    language: reliable ? best : fallback,
+    confidence,
+    reliable,
+    scores: {
+      en: scores.en,
+      es: Math.round(scores.es * 10) / 10
+    },
+    words: words.length
+  };
+}
+
+/**
+ * OtterAI locale for a language
+ */
+function localeForLanguage(language) {
+  return LANGUAGE_LOCALES[normalizeLanguage(language) || DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  detectLanguage,
+  localeForLanguage
+};
@@ -0,0 +1,247 @@
+/**
+ * Customer objection detection and rebuttal evaluation
+ *
+ * Objections are detected in customer segments from each objection's trigger phrases. An
+ * objection counts as handled when one of its approved rebuttals is found in the rep's next
+ * few turns.
+ */
+
+const { ROLE_REP, ROLE_CUSTOMER } = require('./transcriptParser');
+
+const OBJECTION_CATEGORIES = ['price', 'timing', 'spouse', 'competitor', 'trust', 'need', 'other'];
+
+// Rep turns after an objection in which an approved rebuttal counts as a response
+const DEFAULT_RESPONSE_WINDOW = 2;
+
+// Used for organizations that have not set up their own objection library
+const DEFAULT_OBJECTIONS = [
+  {
+    category: 'price',
+    name: 'Too expensive',
+    trigger_phrases: ['too expensive', 'costs too much', "can't afford", 'out of our budget', 'price is too high'],
+    rebuttals: ['monthly payment', 'financing options', 'return on investment', 'lower than your current bill', 'tax credit']
+  },
+  {
+    category: 'timing',
+    name: 'Not the right time',
+    trigger_phrases: ['not right now', 'think about it', 'maybe next year', 'need more time', 'call us back later'],
+    rebuttals: ['what would change', 'incentives expire', 'every month you wait', 'lock in today', 'no obligation']
+  },
+  {
+    category: 'spouse',
+    name: 'Needs to consult partner',
+    trigger_phrases: ['talk to my wife', 'talk to my husband', 'ask my spouse', 'discuss with my partner', 'decide together'],
+    rebuttals: ['both decision makers', 'questions would they have', 'set up a time with both', 'include them on a call']
+  },
+  {
+    category: 'competitor',
+    name: 'Considering a competitor',
+    trigger_phrases: ['another company', 'other quote', 'cheaper quote', 'already talking to', 'competitor offered'],
+    rebuttals: ['compare the warranty', 'what sets us apart', 'installation quality', 'compare equipment', 'local service']
+  },
+  {
+    category: 'trust',
+    name: 'Skeptical or distrustful',
+    trigger_phrases: ['sounds like a scam', 'too good to be true', "don't trust", 'bad experience', 'heard horror stories'],
+    rebuttals: ['customer reviews', 'references', 'licensed and insured', 'warranty in writing', 'understand your concern']
+  },
+  {
+    category: 'need',
+    name: 'No perceived need',
+    trigger_phrases: ['not interested', "don't need", 'happy with what we have', 'bill is already low'],
+    rebuttals: ['rates keep rising', 'what if you could', 'protect against', 'how much are you paying']
+  }
+];
+
+// Defaults for Spanish calls
+const SPANISH_DEFAULT_OBJECTIONS = [
+  {
+    category: 'price',
+    name: 'Demasiado caro',
+    trigger_phrases: ['muy caro', 'demasiado caro', 'no me alcanza', 'no puedo pagar', 'fuera de nuestro presupuesto', 'cuesta mucho'],
+    rebuttals: ['pago mensual', 'opciones de financiamiento', 'retorno de la inversión', 'menos de lo que paga ahora', 'crédito fiscal']
+  },
+  {
+    category: 'timing',
+    name: 'No es el momento',
+    trigger_phrases: ['ahora no', 'lo voy a pensar', 'tal vez el próximo año', 'necesito más tiempo', 'llámenos más tarde'],
+    rebuttals: ['qué cambiaría', 'los incentivos vencen', 'cada mes que espera', 'asegurar hoy', 'sin compromiso']
+  },
+  {
+    category: 'spouse',
+    name: 'Debe consultar con su pareja',
+    trigger_phrases: ['hablar con mi esposa', 'hablar con mi esposo', 'consultar con mi pareja', 'decidir juntos', 'preguntarle a mi esposa'],
+    rebuttals: ['ambos tomadores de decisión', 'qué preguntas tendría', 'una cita con los dos', 'incluirlos en una llamada']
+  },
+  {
+    category: 'competitor',
+    name: 'Considera a la competencia',
+    trigger_phrases: ['otra compañía', 'otra empresa', 'otra cotización', 'cotización más barata', 'ya tenemos otra oferta'],
+    rebuttals: ['compare la garantía', 'qué nos distingue', 'calidad de instalación', 'compare el equipo', 'servicio local']
+  },
+  {
+    category: 'trust',
+    name: 'Desconfianza',
+    trigger_phrases: ['suena a estafa', 'demasiado bueno para ser verdad', 'no confío', 'mala experiencia', 'historias de terror'],
+    rebuttals: ['reseñas de clientes', 'referencias', 'licencia y seguro', 'garantía por escrito', 'entiendo su preocupación']
+  },
+  {
+    category: 'need',
+    name: 'No ve la necesidad',
+    trigger_phrases: ['no me interesa', 'no lo necesito', 'estamos contentos con lo que tenemos', 'la factura ya es baja'],
+    rebuttals: ['las tarifas siguen subiendo', 'qué tal si pudiera', 'protegerse contra', 'cuánto está pagando']
+  }
+];
+
+const DEFAULT_OBJECTION_LIBRARIES = { en: DEFAULT_OBJECTIONS, es: SPANISH_DEFAULT_OBJECTIONS };
+
+/**
+ * Default objection library of a language, English when the language has none
+ */
+function getDefaultObjections(language = 'en') {
+  return DEFAULT_OBJECTION_LIBRARIES[language] || DEFAULT_OBJECTIONS;
+}
+
+/**
+ * Normalize an objection library entry from a model instance, a default or a plain object
+ * @param {Object} objection - Objection definition
+ * @returns {Object} { id, category, name, triggerPhrases, rebuttals, responseWindow }
+ */
+function normalizeObjection(objection) {
+  const source = typeof objection.get === 'function' ? objection.get({ plain: true }) : objection;
+  const phrases = (list) => (Array.isArray(list) ? list : [])
+    .filter(phrase => typeof phrase === 'string' && phrase.trim())
+    .map(phrase => phrase.trim());
+  const window = Number(source.response_window ?? source.responseWindow);
+
+  return {
+    id: source.id || null,
+    category: OBJECTION_CATEGORIES.includes(source.category) ? source.category : 'other',
+    name: source.name || source.category,
+    triggerPhrases: phrases(source.trigger_phrases ?? source.triggerPhrases),
+    rebuttals: phrases(source.rebuttals),
+    responseWindow: Number.isInteger(window) && window > 0 ? window : DEFAULT_RESPONSE_WINDOW
+  };
+}
+
+/**
+ * Best matching phrase of a list in a prepared document
+ */
+function bestMatch(matcher, document, phrases) {
+  return phrases
+    .map(phrase => matcher.match(document, phrase))
+    .filter(result => result.matched)
+    .sort((a, b) => b.confidence - a.confidence)[0] || null;
+}
+
+/**
+ * Detect objections in customer speech and check whether the rep answered them
+ * Without speaker segments objections are detected in the whole text, but handling cannot be judged.
+ * @param {Array<Object>} segments - Speaker-labelled segments from separateSpeakers
+ * @param {Array<Object>} library - Objection definitions
+ * @param {PhraseMatcher} matcher - Phrase matcher configured for the organization
+ * @param {Object} options - { fallbackText } used when there are no labelled segments
+ * @returns {Array<Object>} Occurrences { objectionId, category, name, trigger, confidence, excerpt,
+ *          start, segmentIndex, handled, rebuttal, rebuttalConfidence, responseExcerpt, turnsToRespond }
+ */
+function detectObjections(segments, library, matcher, options = {}) {
+  const objections = (library || []).map(normalizeObjection).filter(objection => objection.triggerPhrases.length > 0);
+  if (objections.length === 0) {
+    return [];
+  }
+
+  const labelled = (segments || []).filter(segment => segment.role === ROLE_REP || segment.role === ROLE_CUSTOMER);
+
+  if (labelled.length === 0) {
+    const document = matcher.prepare(options.fallbackText || '');
+    return objections
+      .map(objection => ({ objection, trigger: bestMatch(matcher, document, objection.triggerPhrases) }))
+      .filter(({ trigger }) => trigger)
+      .map(({ objection, trigger }) => ({
+        objectionId: objection.id,
+        category: objection.category,
+        name: objection.name,
+        trigger: trigger.phrase,
+        confidence: trigger.confidence,
+        excerpt: trigger.excerpt,
+        start: null,
+        segmentIndex: null,
+        handled: null
+      }));
+  }
+
+  const documents = labelled.map(segment => matcher.prepare(segment.text));
+  const occurrences = [];
+
+  labelled.forEach((segment, index) => {
+    if (segment.role !== ROLE_CUSTOMER) return;
+
+    objections.forEach(objection => {
+      const trigger = bestMatch(matcher, documents[index], objection.triggerPhrases);
+      if (!trigger) return;
+
+      // Rep segments within the next N rep turns, consecutive rep segments being one turn
+      let repTurns = 0;
+      let response = null;
+      for (let next = index + 1; next < labelled.length && !response; next++) {
+        if (labelled[next].role !== ROLE_REP) continue;
+        if (labelled[next - 1].role !== ROLE_REP) repTurns++;
+        if (repTurns > objection.responseWindow) break;
+
+        const rebuttal = bestMatch(matcher, documents[next], objection.rebuttals);
+        if (rebuttal) {
+          response = { rebuttal, turns: repTurns };
+        }
+      }
+
+      occurrences.push({
+        objectionId: objection.id,
+        category: objection.category,
+        name: objection.name,
+        trigger: trigger.phrase,
+        confidence: trigger.confidence,
+        excerpt: trigger.excerpt,
+        start: segment.start ?? null,
+        segmentIndex: segment.index ?? null,
+        handled: Boolean(response),
+        rebuttal: response ? response.rebuttal.phrase : null,
+        rebuttalConfidence: response ? response.rebuttal.confidence : null,
+        responseExcerpt: response ? response.rebuttal.excerpt : null,
+        turnsToRespond: response ? response.turns : null
+      });
+    });
+  });
+
+  return occurrences;
+}
+
+/**
+ * Share of objections answered with an approved rebuttal
+ * @param {Array<Object>} occurrences - Result of detectObjections
+ * @returns {number|null} Score between 0 and 1, or null when no objection could be evaluated
+ */
+function scoreObjectionHandling(occurrences) {
+  // Occurrences without speaker information (and objections stored as plain names) cannot be judged
+  const evaluated = (occurrences || []).filter(occurrence => typeof occurrence?.handled === 'boolean');
+  if (evaluated.length === 0) {
+    return null;
+  }
+
+  // Faster answers score higher: a rebuttal in the first rep turn counts fully
+  const total = evaluated.reduce((sum, occurrence) => {
+    if (!occurrence.handled) return sum;
+    return sum + (occurrence.turnsToRespond <= 1 ? 1 : 0.75);
+  }, 0);
+
+  return total / evaluated.length;
+}
+
+module.exports = {
+  OBJECTION_CATEGORIES,
+  DEFAULT_OBJECTIONS,
+  DEFAULT_RESPONSE_WINDOW,
+  getDefaultObjections,
+  normalizeObjection,
+  detectObjections,
+  scoreObjectionHandling
+};
@@ -0,0 +1,664 @@
+/**
+ * Local phrase matching engine used by script compliance analysis.
+ *
+ * Phrases are matched against transcripts after tokenization, stop-word removal,
+ * stemming and synonym folding. Each match carries a confidence value between 0 and 1
+ * and the excerpt of the transcript that produced it. English and Spanish have their own
+ * stop words, stemmer and built-in synonyms.
+ */
+
+const DEFAULT_THRESHOLD = 0.6;
+const EXCERPT_CONTEXT_CHARS = 40;
+// Two different tokens count as the same word when their trigram similarity reaches this value
+const TOKEN_SIMILARITY_THRESHOLD = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself',
+  'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under',
+  'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom',
+  'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves',
+  'um', 'uh', 'okay', 'ok', 'yeah', 'like', 'really', 'also', 'well'
+]);
+
+// Built-in synonym groups; organizations can extend these via settings.phraseMatching.synonyms
+const DEFAULT_SYNONYM_GROUPS = [
+  ['offer', 'provide', 'available', 'have'],
+  ['price', 'cost', 'pricing', 'rate'],
+  ['financing', 'finance', 'loan', 'payment plan'],
+  ['warranty', 'guarantee'],
+  ['discount', 'savings', 'deal'],
+  ['install', 'installation', 'setup'],
+  ['buy', 'purchase'],
+  ['help', 'assist', 'support']
+];
+
+// ---------------------------------------------------------------------------
+// Porter stemmer
+// ---------------------------------------------------------------------------
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ou', 'ism', 'ate',
+  'iti', 'ous', 'ive', 'ize'
+];
+
+const CONSONANT_SEQ = '[^aeiou][^aeiouy]*';
+const VOWEL_SEQ = '[aeiouy][aeiou]*';
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?[aeiouy]`);
+const CVC_ENDING = /[^aeiou][aeiouy][^aeiouwxy]$/;
+
+/**
+ * Reduce an English word to its stem (Porter, 1980)
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length < 3) {
+    return word;
+  }
+
+  let w = word;
+  const firstCharY = w[0] === 'y';
+  if (firstCharY) {
+    w = 'Y' + w.slice(1);
+  }
+
+  // Step 1a
+  if (/sses$/.test(w) || /ies$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (/[^s]s$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  // Step 1b
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const base = match[1];
+    if (HAS_VOWEL.test(base)) {
+      w = base;
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (MEASURE_EQ_1.test(w) && CVC_ENDING.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = match[1] + STEP2_SUFFIXES[match[2]];
+    }
+  }
+
+  // Step 3
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = match[1] + STEP3_SUFFIXES[match[2]];
+    }
+  }
+
+  // Step 4
+  const step4 = new RegExp(`^(.+?)(${STEP4_SUFFIXES.join('|')})$`);
+  if ((match = step4.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !CVC_ENDING.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (firstCharY) {
+    w = 'y' + w.slice(1);
+  }
+
+  return w;
+}
+
+// ---------------------------------------------------------------------------
+// Spanish
+// ---------------------------------------------------------------------------
+
+// Spanish words are compared without accents, since transcripts do not always keep them;
+// stop words are listed accent-free for that reason. "no" is kept: it carries objections.
+const SPANISH_STOP_WORDS = new Set([
+  'a', 'al', 'algo', 'algunas', 'algunos', 'ante', 'antes', 'aqui', 'asi', 'cada', 'como', 'con', 'contra',
+  'cual', 'cuando', 'de', 'del', 'desde', 'donde', 'durante', 'e', 'el', 'ella', 'ellas', 'ellos', 'en',
+  'entre', 'era', 'eramos', 'eran', 'eres', 'es', 'esa', 'esas', 'ese', 'eso', 'esos', 'esta', 'estaba',
+  'estamos', 'estan', 'estar', 'estas', 'este', 'esto', 'estos', 'estoy', 'fue', 'fueron', 'ha', 'han',
+  'has', 'hasta', 'hay', 'he', 'hemos', 'la', 'las', 'le', 'les', 'lo', 'los', 'me', 'mi', 'mia', 'mias',
+  'mio', 'mios', 'mis', 'mucho', 'muchos', 'muy', 'nada', 'ni', 'nos', 'nosotras', 'nosotros', 'nuestra',
+  'nuestras', 'nuestro', 'nuestros', 'o', 'os', 'otra', 'otras', 'otro', 'otros', 'para', 'pero', 'poco',
+  'por', 'porque', 'que', 'quien', 'quienes', 'se', 'sea', 'ser', 'si', 'sido', 'sin', 'sobre', 'somos',
+  'son', 'soy', 'su', 'sus', 'suya', 'suyo', 'tambien', 'tanto', 'te', 'ti', 'todo', 'todos', 'tu', 'tus',
+  'tuya', 'tuyo', 'u', 'un', 'una', 'unas', 'uno', 'unos', 'usted', 'ustedes', 'vosotras', 'vosotros',
+  'vuestra', 'vuestro', 'y', 'ya', 'yo',
+  'eh', 'em', 'este', 'bueno', 'pues', 'vale', 'okay', 'ok', 'osea', 'entonces'
+]);
+
+const SPANISH_SYNONYM_GROUPS = [
+  ['ofrecer', 'ofrecemos', 'proporcionar', 'disponible', 'tenemos'],
+  ['precio', 'costo', 'coste', 'tarifa'],
+  ['financiamiento', 'financiacion', 'prestamo', 'plan de pagos'],
+  ['garantia', 'garantizado'],
+  ['descuento', 'ahorro', 'oferta'],
+  ['instalar', 'instalacion'],
+  ['comprar', 'adquirir'],
+  ['ayudar', 'apoyar', 'asistir']
+];
+
+/**
+ * Lower-case a Spanish word and drop its accents, keeping ñ
+ */
+function foldSpanish(word) {
+  return String(word || '')
+    .toLowerCase()
+    .split('ñ')
+    .map(part => part.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+    .join('ñ');
+}
+
+const SPANISH_VOWELS = 'aeiou';
+const isSpanishVowel = (char) => SPANISH_VOWELS.includes(char);
+
+/**
+ * RV, R1 and R2 regions of the Snowball Spanish stemmer, as start offsets
+ */
+function spanishRegions(word) {
+  const afterVowelConsonant = (from) => {
+    for (let i = Math.max(from, 1); i < word.length; i++) {
+      if (!isSpanishVowel(word[i]) && isSpanishVowel(word[i - 1])) return i + 1;
+    }
+    return word.length;
+  };
+  const r1 = afterVowelConsonant(1);
+  const r2 = afterVowelConsonant(r1 + 1);
+
+  let rv = word.length;
+  if (word.length > 3) {
+    if (!isSpanishVowel(word[1])) {
+      const next = [...word.slice(2)].findIndex(isSpanishVowel);
+      rv = next === -1 ? word.length : next + 3;
+    } else if (isSpanishVowel(word[0])) {
+      const next = [...word.slice(2)].findIndex(char => !isSpanishVowel(char));
+      rv = next === -1 ? word.length : next + 3;
+    } else {
+      rv = 3;
+    }
+  }
+
+  return { rv, r1, r2 };
+}
+
+const SPANISH_PRONOUNS = ['selas', 'selos', 'sela', 'selo', 'las', 'les', 'los', 'nos', 'me', 'se', 'la', 'le', 'lo'];
+
+// Step 1 suffixes of the Snowball Spanish stemmer (accent-free), with what happens to them
+const SPANISH_STEP1 = [
+  { suffixes: ['amientos', 'imientos', 'amiento', 'imiento', 'anzas', 'ismos', 'ables', 'ibles', 'istas', 'anza', 'icos', 'icas', 'ismo', 'able', 'ible', 'ista', 'osos', 'osas', 'ico', 'ica', 'oso', 'osa'], region: 'r2' },
+  { suffixes: ['aciones', 'adoras', 'adores', 'ancias', 'adora', 'acion', 'antes', 'ancia', 'ador', 'ante'], region: 'r2', then: [['ic']] },
+  { suffixes: ['logias', 'logia'], region: 'r2', replace: 'log' },
+  { suffixes: ['uciones', 'ucion'], region: 'r2', replace: 'u' },
+  { suffixes: ['encias', 'encia'], region: 'r2', replace: 'ente' },
+  { suffixes: ['amente'], region: 'r1', then: [['iv', 'at'], ['os'], ['ic'], ['ad']] },
+  { suffixes: ['mente'], region: 'r2', then: [['ante'], ['able'], ['ible']] },
+  { suffixes: ['idades', 'idad'], region: 'r2', then: [['abil'], ['ic'], ['iv']] },
+  { suffixes: ['ivas', 'ivos', 'iva', 'ivo'], region: 'r2', then: [['at']] }
+];
+
+const SPANISH_STEP2A = ['yeron', 'yendo', 'yamos', 'yais', 'yan', 'yen', 'yas', 'yes', 'ya', 'ye', 'yo'];
+
+const SPANISH_STEP2B_GU = ['emos', 'eis', 'en', 'es'];
+const SPANISH_STEP2B = [
+  'iesemos', 'asemos', 'ieramos', 'ariamos', 'eriamos', 'iriamos', 'arais', 'ierais', 'aseis', 'ieseis',
+  'asteis', 'isteis', 'abamos', 'aramos', 'ariais', 'eriais', 'iriais', 'aremos', 'eremos', 'iremos',
+  'abais', 'arian', 'arias', 'erian', 'erias', 'irian', 'irias', 'ieran', 'iesen', 'ieron', 'iendo',
+  'ieras', 'ieses', 'areis', 'ereis', 'ireis', 'iamos', 'aria', 'eria', 'iria', 'aran', 'aras', 'eran',
+  'eras', 'iran', 'iras', 'aban', 'asen', 'aron', 'ando', 'abas', 'adas', 'idas', 'ases',
+  'iais', 'ados', 'idos', 'amos', 'imos', 'iera', 'iese', 'aste', 'iste', 'ara', 'are', 'era', 'ere',
+  'ira', 'ire', 'aba', 'ada', 'ida', 'ase', 'ian', 'ado', 'ido', 'ias', 'ais', 'ia', 'ad', 'ed', 'id',
+  'an', 'io', 'ar', 'er', 'ir', 'as', 'is'
+];
+
+const longestSuffix = (word, suffixes) => suffixes
+  .filter(suffix => word.endsWith(suffix))
+  .sort((a, b) => b.length - a.length)[0] || null;
+
+/**
+ * Reduce a Spanish word to its stem (Snowball Spanish stemmer, applied to accent-free words)
+ * @param {string} word - Word
+ * @returns {string} Stem
+ */
+function stemSpanish(word) {
+  let w = foldSpanish(word);
+  if (w.length < 3) {
+    return w;
+  }
+
+  const { rv, r1, r2 } = spanishRegions(w);
+  const inRegion = (suffix, start) => w.length - suffix.length >= start;
+  const regionStart = { rv: () => rv, r1: () => r1, r2: () => r2 };
+
+  // Step 0: attached pronouns ("instalarlo", "enviándoselo")
+  const pronoun = longestSuffix(w, SPANISH_PRONOUNS);
+  if (pronoun && inRegion(pronoun, rv)) {
+    const base = w.slice(0, -pronoun.length);
+    if (/(iendo|ando|ar|er|ir)$/.test(base) || /uyendo$/.test(base)) {
+      w = base;
+    }
+  }
+
+  // Step 1: standard suffixes
+  const before = w;
+  const step1Suffix = longestSuffix(w, SPANISH_STEP1.flatMap(rule => rule.suffixes));
+  if (step1Suffix) {
+    const rule = SPANISH_STEP1.find(entry => entry.suffixes.includes(step1Suffix));
+    if (inRegion(step1Suffix, regionStart[rule.region]())) {
+      w = w.slice(0, -step1Suffix.length) + (rule.replace || '');
+      // Preceding suffixes removed with it when they are in R2 ("-ivamente", "-icidad")
+      for (const chain of rule.then || []) {
+        if (w.endsWith(chain[0]) && inRegion(chain[0], r2)) {
+          w = w.slice(0, -chain[0].length);
+          if (chain[1] && w.endsWith(chain[1]) && inRegion(chain[1], r2)) {
+            w = w.slice(0, -chain[1].length);
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  if (w === before) {
+    // Step 2a: verb suffixes beginning with y, after u
+    const step2a = longestSuffix(w, SPANISH_STEP2A);
+    if (step2a && inRegion(step2a, rv) && w.slice(0, -step2a.length).endsWith('u')) {
+      w = w.slice(0, -step2a.length);
+    } else {
+      // Step 2b: other verb suffixes
+      const step2b = longestSuffix(w, [...SPANISH_STEP2B_GU, ...SPANISH_STEP2B]);
+      if (step2b && inRegion(step2b, rv)) {
+        w = w.slice(0, -step2b.length);
+        if (SPANISH_STEP2B_GU.includes(step2b) && w.endsWith('gu')) {
+          w = w.slice(0, -1);
+        }
+      }
+    }
+  }
+
+  // Step 3: residual suffix (regions keep their offsets as suffixes are removed)
+  const residual = longestSuffix(w, ['os', 'a', 'o', 'i', 'e']);
+  if (residual && inRegion(residual, rv)) {
+    w = w.slice(0, -residual.length);
+    if (residual === 'e' && w.endsWith('gu') && inRegion('u', rv)) {
+      w = w.slice(0, -1);
+    }
+  }
+
+  return w;
+}
+
+// Stop words, stemmer, word normalization and synonyms of each supported language
+const LANGUAGE_RESOURCES = {
+  en: { stopWords: STOP_WORDS, stem, normalize: (word) => word, synonyms: DEFAULT_SYNONYM_GROUPS },
+  es: { stopWords: SPANISH_STOP_WORDS, stem: stemSpanish, normalize: foldSpanish, synonyms: SPANISH_SYNONYM_GROUPS }
+};
+
+/**
+ * Language resources for a language code, English when the language is not supported
+ * @param {string} language - Language code ('en', 'es')
+ * @returns {Object} { stopWords, stem, normalize, synonyms }
+ */
+function getLanguageResources(language) {
+  return LANGUAGE_RESOURCES[language] || LANGUAGE_RESOURCES.en;
+}
+
+// ---------------------------------------------------------------------------
+// Tokenization and similarity helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Split text into word tokens with their character offsets
+ * @param {string} text - Input text
+ * @returns {Array<Object>} Tokens { word, start, end }
+ */
+function tokenize(text) {
+  const tokens = [];
+  const wordPattern = /[\p{L}\p{N}]+(?:'\p{L}+)?/gu;
+  let match;
+
+  while ((match = wordPattern.exec(text || '')) !== null) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/'\p{L}+$/u, ''),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Character trigrams of a token, padded so short tokens still produce grams
+ */
+function trigrams(token) {
+  const padded = `  ${token} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient between the trigram sets of two tokens
+ * @returns {number} Similarity between 0 and 1
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  gramsA.forEach(gram => {
+    if (gramsB.has(gram)) shared++;
+  });
+  return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+// ---------------------------------------------------------------------------
+// Matcher
+// ---------------------------------------------------------------------------
+
+class PhraseMatcher {
+  /**
+   * @param {Object} options
+   * @param {number} options.threshold - Minimum confidence for a match (default 0.6)
+   * @param {Array<Array<string>>|Object} options.synonyms - Extra synonym groups, either an
+   *        array of word lists or a map of word -> synonyms
+   * @param {string} options.language - Language of the transcripts and phrases ('en' or 'es')
+   */
+  constructor(options = {}) {
+    const threshold = Number(options.threshold);
+    this.threshold = Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : DEFAULT_THRESHOLD;
+    this.language = LANGUAGE_RESOURCES[options.language] ? options.language : 'en';
+    this.resources = getLanguageResources(this.language);
+    this.canonical = new Map();
+    this.similarityCache = new Map();
+
+    [...this.resources.synonyms, ...PhraseMatcher.toSynonymGroups(options.synonyms)]
+      .forEach(group => this.addSynonymGroup(group));
+  }
+
+  /**
+   * Accept synonyms as groups ([['a', 'b']]) or as a map ({ a: ['b'] })
+   */
+  static toSynonymGroups(synonyms) {
+    if (Array.isArray(synonyms)) {
+      return synonyms.filter(Array.isArray);
+    }
+    if (synonyms && typeof synonyms === 'object') {
+      return Object.entries(synonyms).map(([word, list]) => [word, ...(Array.isArray(list) ? list : [list])]);
+    }
+    return [];
+  }
+
+  addSynonymGroup(group) {
+    // Multi-word synonyms contribute their last content word (e.g. "payment plan" -> "plan")
+    const stems = group
+      .filter(entry => typeof entry === 'string')
+      .map(entry => this.normalizeTerms(entry, { foldSynonyms: false }))
+      .filter(terms => terms.length > 0)
+      .map(terms => terms[terms.length - 1]);
+
+    if (stems.length < 2) return;
+
+    // Merge with any group one of these stems already belongs to
+    const existing = stems.map(term => this.canonical.get(term)).find(Boolean);
+    const root = existing || stems[0];
+    stems.forEach(term => {
+      const previousRoot = this.canonical.get(term);
+      if (previousRoot && previousRoot !== root) {
+        this.canonical.forEach((value, key) => {
+          if (value === previousRoot) this.canonical.set(key, root);
+        });
+      }
+      this.canonical.set(term, root);
+    });
+  }
+
+  /**
+   * Turn text into comparable terms: content words only, stemmed and synonym-folded
+   */
+  normalizeTerms(text, { foldSynonyms = true } = {}) {
+    return tokenize(text)
+      .filter(token => !this.isStopWord(token.word))
+      .map(token => this.termFor(token.word, foldSynonyms));
+  }
+
+  isStopWord(word) {
+    return this.resources.stopWords.has(this.resources.normalize(word));
+  }
+
+  termFor(word, foldSynonyms = true) {
+    const stemmed = this.resources.stem(word);
+    return foldSynonyms ? (this.canonical.get(stemmed) || stemmed) : stemmed;
+  }
+
+  /**
+   * Pre-process a transcript once so many phrases can be matched against it
+   * @param {string} text - Transcript text
+   * @returns {Object} Prepared document
+   */
+  prepare(text) {
+    const source = text || '';
+    const terms = tokenize(source)
+      .filter(token => !this.isStopWord(token.word))
+      .map(token => ({ ...token, term: this.termFor(token.word) }));
+
+    return { text: source, lowerText: source.toLowerCase(), terms };
+  }
+
+  /**
+   * Find the best occurrence of a phrase in a document
+   * @param {Object|string} document - Prepared document or raw text
+   * @param {string} phrase - Phrase to look for
+   * @param {Object} options - { threshold } overrides the matcher threshold
+   * @returns {Object} { phrase, matched, confidence, excerpt, start, end, method }
+   */
+  match(document, phrase, options = {}) {
+    const doc = typeof document === 'string' ? this.prepare(document) : document;
+    const threshold = options.threshold || this.threshold;
+    const noMatch = { phrase, matched: false, confidence: 0, excerpt: null, start: null, end: null, method: null };
+
+    if (!phrase || !doc.text) {
+      return noMatch;
+    }
+
+    // Verbatim occurrences are always full-confidence matches
+    const exactIndex = doc.lowerText.indexOf(phrase.toLowerCase());
+    if (exactIndex >= 0) {
+      return this.buildMatch(doc, phrase, 1, exactIndex, exactIndex + phrase.length, 'exact');
+    }
+
+    const phraseTerms = [...new Set(this.normalizeTerms(phrase))];
+    if (phraseTerms.length === 0 || doc.terms.length === 0) {
+      return noMatch;
+    }
+
+    const best = this.bestWindow(doc.terms, phraseTerms);
+    if (!best || best.confidence <= 0) {
+      return noMatch;
+    }
+
+    const result = this.buildMatch(doc, phrase, best.confidence, best.start, best.end, 'fuzzy');
+    result.matched = best.confidence >= threshold;
+    return result;
+  }
+
+  /**
+   * Trigram similarity between two terms, cached because transcripts repeat words heavily
+   */
+  similarity(a, b) {
+    if (a === b) return 1;
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (!this.similarityCache.has(key)) {
+      this.similarityCache.set(key, tokenSimilarity(a, b));
+    }
+    return this.similarityCache.get(key);
+  }
+
+  /**
+   * Slide a window over the document terms and score how much of the phrase each window covers
+   */
+  bestWindow(docTerms, phraseTerms) {
+    const windowSize = phraseTerms.length + 2;
+    const isPhraseTerm = (token) => phraseTerms.some(term => this.similarity(term, token.term) >= TOKEN_SIMILARITY_THRESHOLD);
+    let best = null;
+
+    for (let startIndex = 0; startIndex < docTerms.length; startIndex++) {
+      // Windows starting on an unrelated word are never better than the next one
+      if (!isPhraseTerm(docTerms[startIndex])) continue;
+
+      const window = docTerms.slice(startIndex, startIndex + windowSize);
+      let coverage = 0;
+      const positions = [];
+
+      phraseTerms.forEach(term => {
+        let bestScore = 0;
+        let bestPosition = -1;
+        window.forEach((token, position) => {
+          const similarity = this.similarity(term, token.term);
+          if (similarity > bestScore) {
+            bestScore = similarity;
+            bestPosition = position;
+          }
+        });
+
+        if (bestScore >= TOKEN_SIMILARITY_THRESHOLD) {
+          coverage += bestScore;
+          positions.push(bestPosition);
+        }
+      });
+
+      if (positions.length === 0) continue;
+
+      const containment = coverage / phraseTerms.length;
+
+      // Bonus for matched words appearing in the same order as in the phrase
+      let ordered = 0;
+      for (let i = 1; i < positions.length; i++) {
+        if (positions[i] > positions[i - 1]) ordered++;
+      }
+      const orderScore = positions.length > 1 ? ordered / (positions.length - 1) : 0;
+      const confidence = Math.min(1, containment + 0.1 * orderScore * (1 - containment));
+
+      if (!best || confidence > best.confidence) {
+        const matchedTokens = positions.map(position => window[position]);
+        best = {
+          confidence,
+          start: Math.min(...matchedTokens.map(token => token.start)),
+          end: Math.max(...matchedTokens.map(token => token.end))
+        };
+      }
+    }
+
+    return best;
+  }
+
+  buildMatch(doc, phrase, confidence, start, end, method) {
+    return {
+      phrase,
+      matched: true,
+      confidence: Math.round(confidence * 100) / 100,
+      excerpt: PhraseMatcher.excerpt(doc.text, start, end),
+      start,
+      end,
+      method
+    };
+  }
+
+  /**
+   * Cut a readable excerpt around a character range, extended to word boundaries
+   */
+  static excerpt(text, start, end) {
+    let from = Math.max(0, start - EXCERPT_CONTEXT_CHARS);
+    let to = Math.min(text.length, end + EXCERPT_CONTEXT_CHARS);
+
+    while (from > 0 && /\S/.test(text[from - 1])) from--;
+    while (to < text.length && /\S/.test(text[to])) to++;
+
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+    return `${prefix}${text.slice(from, to).replace(/\s+/g, ' ').trim()}${suffix}`;
+  }
+}
+
+/**
+ * Build a matcher from an organization's settings
+ * @param {Object} settings - Organization.settings
+ * @param {string} language - Language of the call ('en' or 'es')
+ * @returns {PhraseMatcher} Matcher configured with the organization's synonyms and threshold
+ */
+function createMatcher(settings = {}, language = 'en') {
+  const config = settings?.phraseMatching || {};
+  return new PhraseMatcher({
+    threshold: config.threshold,
+    synonyms: config.synonyms,
+    language
+  });
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DEFAULT_SYNONYM_GROUPS,
+  STOP_WORDS,
+  SPANISH_STOP_WORDS,
+  PhraseMatcher,
+  createMatcher,
+  getLanguageResources,
+  foldSpanish,
+  stem,
+  stemSpanish,
+  tokenize,
+  tokenSimilarity
+};
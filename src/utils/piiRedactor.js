@@ -0,0 +1,186 @@
+/**
+ * PII redaction
+ *
+ * Finds card numbers, US social security numbers, phone numbers and email addresses in
+ * transcript text and replaces them with typed placeholders such as [REDACTED_CARD].
+ * Candidates are validated before they are redacted (Luhn checksum for cards, SSA rules
+ * for SSNs), so order numbers and other long digit runs are left alone.
+ */
+
+const PII_TYPES = ['card_number', 'ssn', 'phone', 'email'];
+
+const PLACEHOLDERS = {
+  card_number: '[REDACTED_CARD]',
+  ssn: '[REDACTED_SSN]',
+  phone: '[REDACTED_PHONE]',
+  email: '[REDACTED_EMAIL]'
+};
+
+// Redaction is on for every type unless an organization turns it off
+const DEFAULT_REDACTION_POLICY = {
+  enabled: true,
+  types: PII_TYPES
+};
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+// 13 to 19 digits, optionally grouped with spaces or dashes ("4111 1111 1111 1111")
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+// "123-45-6789" or "123 45 6789", with the same separator twice
+const SSN_PATTERN = /\b(\d{3})([- ])(\d{2})\2(\d{4})\b/g;
+// North American numbers ("(555) 123-4567", "+1 555.123.4567") and international "+44 20 7946 0958"
+const PHONE_PATTERN = /(?:\+?1[-.\s]?)?(?:\(\d{3}\)|\b\d{3})[-.\s]?\d{3}[-.\s]?\d{4}\b|\+\d{1,3}(?:[-.\s]?\d{2,4}){2,5}\b/g;
+
+/**
+ * Luhn checksum used by payment card numbers
+ * @param {string} digits - Digits only
+ * @returns {boolean} Whether the checksum is valid
+ */
+function isValidLuhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = parseInt(digits[digits.length - 1 - index], 10);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * SSNs never start with 000, 666 or 9, and have no all-zero group or serial
+ */
+function isValidSsn(area, group, serial) {
+  return area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000';
+}
+
+const DETECTORS = {
+  email: {
+    pattern: EMAIL_PATTERN,
+    isValid: () => true
+  },
+  card_number: {
+    pattern: CARD_PATTERN,
+    isValid: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && !/^(\d)\1+$/.test(digits) && isValidLuhn(digits);
+    }
+  },
+  ssn: {
+    pattern: SSN_PATTERN,
+    isValid: (match, area, separator, group, serial) => isValidSsn(area, group, serial)
+  },
+  phone: {
+    pattern: PHONE_PATTERN,
+    isValid: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 10 && digits.length <= 15;
+    }
+  }
+};
+
+// Emails first (they may contain digits), cards before SSNs and phones, whose patterns overlap card digits
+const DETECTION_ORDER = ['email', 'card_number', 'ssn', 'phone'];
+
+/**
+ * Normalize an organization's redaction policy
+ * @param {Object} policy - { enabled, types } from organization settings (piiRedaction)
+ * @returns {Object} { enabled, types } with only known types
+ */
+function normalizeRedactionPolicy(policy) {
+  if (!policy || typeof policy !== 'object') {
+    return { ...DEFAULT_REDACTION_POLICY };
+  }
+
+  return {
+    enabled: policy.enabled !== false,
+    types: Array.isArray(policy.types)
+      ? PII_TYPES.filter(type => policy.types.includes(type))
+      : DEFAULT_REDACTION_POLICY.types
+  };
+}
+
+/**
+ * Empty redaction counts, one per PII type
+ */
+function emptyCounts() {
+  return PII_TYPES.reduce((counts, type) => ({ ...counts, [type]: 0 }), {});
+}
+
+/**
+ * Replace PII in a text with typed placeholders
+ * @param {string} text - Text to redact
+ * @param {Object} policy - Redaction policy (see normalizeRedactionPolicy)
+ * @returns {Object} { text, counts: { card_number, ssn, phone, email }, total }
+ */
+function redactText(text, policy) {
+  const { enabled, types } = normalizeRedactionPolicy(policy);
+  const counts = emptyCounts();
+
+  if (typeof text !== 'string' || !enabled) {
+    return { text, counts, total: 0 };
+  }
+
+  let redacted = text;
+  DETECTION_ORDER
+    .filter(type => types.includes(type))
+    .forEach(type => {
+      const { pattern, isValid } = DETECTORS[type];
+      redacted = redacted.replace(pattern, (...args) => {
+        if (!isValid(...args)) {
+          return args[0];
+        }
+        counts[type]++;
+        return PLACEHOLDERS[type];
+      });
+    });
+
+  return {
+    text: redacted,
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+  };
+}
+
+/**
+ * Redact every string inside a value (objects and arrays are copied, other values kept)
+ * @param {*} value - Value to redact, e.g. a webhook payload
+ * @param {Object} policy - Redaction policy
+ * @returns {Object} { value, counts, total }
+ */
+function redactValue(value, policy) {
+  const counts = emptyCounts();
+
+  const visit = (current) => {
+    if (typeof current === 'string') {
+      const result = redactText(current, policy);
+      PII_TYPES.forEach(type => { counts[type] += result.counts[type]; });
+      return result.text;
+    }
+    if (Array.isArray(current)) {
+      return current.map(visit);
+    }
+    if (current && typeof current === 'object') {
+      return Object.keys(current).reduce((copy, key) => ({ ...copy, [key]: visit(current[key]) }), {});
+    }
+    return current;
+  };
+
+  const redacted = visit(value);
+  return {
+    value: redacted,
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+  };
+}
+
+module.exports = {
+  PII_TYPES,
+  PLACEHOLDERS,
+  DEFAULT_REDACTION_POLICY,
+  isValidLuhn,
+  normalizeRedactionPolicy,
+  redactText,
+  redactValue
+};
@@ -0,0 +1,311 @@
+/**
+ * Question quality analysis
+ *
+ * Finds the questions the rep asked, classifies each one as open ("What made you look into
+ * solar?") or closed ("Is the roof new?") from how it starts, and tags it with the discovery
+ * areas it covers (budget, timeline, decision maker, pain) from the organization's discovery
+ * question bank. Prompts such as "Tell me about your home" count as open questions even without
+ * a question mark.
+ */
+
+const { ROLE_REP } = require('./transcriptParser');
+const { splitSentences } = require('./callSummarizer');
+const { foldSpanish } = require('./phraseMatcher');
+
+const QUESTION_TYPES = ['open', 'closed'];
+
+// Used when the organization has not defined its own discovery question bank
+const DEFAULT_DISCOVERY_AREAS = {
+  en: [
+    {
+      key: 'budget',
+      name: 'Budget',
+      phrases: ['budget', 'how much are you paying', 'monthly bill', 'price range', 'afford', 'spend', 'financing']
+    },
+    {
+      key: 'timeline',
+      name: 'Timeline',
+      phrases: ['timeline', 'time frame', 'how soon', 'by when', 'deadline', 'start date']
+    },
+    {
+      key: 'decision_maker',
+      name: 'Decision maker',
+      phrases: ['decision maker', 'who else', 'make the decision', 'involved in the decision', 'sign off', 'homeowner', 'spouse']
+    },
+    {
+      key: 'pain',
+      name: 'Pain points',
+      phrases: ['biggest concern', 'problem', 'frustrating', 'challenge', 'pain point', 'why now', 'struggle', 'issue', 'worried about']
+    }
+  ],
+  es: [
+    {
+      key: 'budget',
+      name: 'Presupuesto',
+      phrases: ['presupuesto', 'cuánto está pagando', 'factura mensual', 'rango de precio', 'pagar', 'financiamiento']
+    },
+    {
+      key: 'timeline',
+      name: 'Plazo',
+      phrases: ['plazo', 'qué tan pronto', 'para cuándo', 'cuándo le gustaría', 'fecha límite', 'fecha de inicio']
+    },
+    {
+      key: 'decision_maker',
+      name: 'Quién decide',
+      phrases: ['quién toma la decisión', 'quién más', 'tomar la decisión', 'dueño de la casa', 'esposo', 'esposa']
+    },
+    {
+      key: 'pain',
+      name: 'Problemas',
+      phrases: ['mayor preocupación', 'problema', 'frustra', 'desafío', 'motivo', 'dificultad', 'le preocupa']
+    }
+  ]
+};
+
+// Words a question may start with before its first real word ("So, what...", "Bueno, ¿cómo...")
+const LEADING_FILLERS = {
+  en: new Set(['and', 'so', 'but', 'okay', 'ok', 'well', 'now', 'then', 'alright', 'right', 'um', 'uh', 'great', 'perfect', 'just', 'also']),
+  es: new Set(['y', 'entonces', 'bueno', 'pues', 'ok', 'okay', 'vale', 'oiga', 'mire', 'ahora', 'perfecto', 'muy', 'bien', 'este', 'tambien'])
+};
+
+// Openings of open questions, accent-free for Spanish
+const QUESTION_WORDS = {
+  en: ['what', "what's", 'how', "how's", 'why', 'where', 'when', 'who', 'which'],
+  es: ['que', 'como', 'por que', 'cual', 'cuales', 'cuando', 'donde', 'quien', 'quienes', 'cuanto', 'cuanta', 'cuantos', 'cuantas']
+};
+
+// Openings of prompts for an open answer, which need no question mark
+const OPEN_PROMPTS = {
+  en: ['tell me', 'walk me through', 'talk me through', 'describe', 'explain', 'help me understand'],
+  es: ['cuenteme', 'cuentame', 'digame', 'expliqueme', 'describame', 'ayudeme a entender']
+};
+
+// "Can you tell me...", "¿Me puede contar...?" ask for an open answer despite their yes/no form
+const OPEN_REQUESTS = {
+  en: /^(?:can|could|would|will)\s+you\s+(?:please\s+)?(?:tell|walk|talk|describe|explain|share|help me understand)\b/,
+  es: /^(?:me\s+)?(?:puede|podria|quiere|quisiera)\s+(?:usted\s+)?(?:contar|explicar|decir|describir|compartir)\b/
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Lower-case words of a question without leading punctuation and filler words
+ */
+function leadingWords(text, language) {
+  const lower = String(text || '').toLowerCase().replace(/[’‘]/g, "'");
+  const words = (language === 'es' ? foldSpanish(lower) : lower)
+    .replace(/[¿¡?!.,;:"()]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const fillers = LEADING_FILLERS[language] || LEADING_FILLERS.en;
+
+  let start = 0;
+  while (start < words.length - 1 && fillers.has(words[start])) {
+    start += 1;
+  }
+  return words.slice(start).join(' ');
+}
+
+function startsWithAny(text, starters) {
+  return starters.some(starter => text === starter || text.startsWith(`${starter} `));
+}
+
+/**
+ * Whether a sentence is a prompt for an open answer without a question mark ("Tell me about...")
+ */
+function isOpenPrompt(sentence, language = 'en') {
+  return startsWithAny(leadingWords(sentence, language), OPEN_PROMPTS[language] || OPEN_PROMPTS.en);
+}
+
+/**
+ * Classify a question as open or closed
+ * Questions opening with a question word or asking the customer to tell, describe or explain are
+ * open; everything else (yes/no questions, either/or choices, statements with a question mark)
+ * is closed.
+ * @param {string} question - Question text
+ * @param {string} language - 'en' or 'es'
+ * @returns {string} 'open' or 'closed'
+ */
+function classifyQuestion(question, language = 'en') {
+  const text = leadingWords(question, language);
+  const requests = OPEN_REQUESTS[language] || OPEN_REQUESTS.en;
+
+  return startsWithAny(text, QUESTION_WORDS[language] || QUESTION_WORDS.en) || isOpenPrompt(question, language) || requests.test(text)
+    ? 'open'
+    : 'closed';
+}
+
+/**
+ * Discovery areas from a question bank, dropping entries without a name or phrases
+ * @param {Array<Object>} areas - { key, name, phrases }
+ * @returns {Array<Object>} Areas { key, name, phrases } with keys derived from names when missing
+ */
+function normalizeDiscoveryAreas(areas) {
+  return (Array.isArray(areas) ? areas : [])
+    .map(area => {
+      const name = String(area?.name || '').trim();
+      return {
+        key: foldSpanish(String(area?.key || name).trim()).replace(/ñ/g, 'n').replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''),
+        name,
+        phrases: (Array.isArray(area?.phrases) ? area.phrases : [])
+          .filter(phrase => typeof phrase === 'string' && phrase.trim())
+          .map(phrase => phrase.trim())
+      };
+    })
+    .filter(area => area.key && area.name && area.phrases.length > 0);
+}
+
+/**
+ * The discovery areas a call is checked against: the organization's question bank, or the
+ * default areas of the call's language
+ */
+function getDiscoveryAreas(customAreas, language = 'en') {
+  const custom = normalizeDiscoveryAreas(customAreas);
+  return custom.length > 0 ? custom : (DEFAULT_DISCOVERY_AREAS[language] || DEFAULT_DISCOVERY_AREAS.en);
+}
+
+/**
+ * Validate a discovery question bank
+ * @returns {Array<string>} Error messages, empty when valid
+ */
+function validateDiscoveryAreas(areas) {
+  if (!Array.isArray(areas)) {
+    return ['discoveryAreas must be an array of { key, name, phrases }'];
+  }
+
+  const errors = [];
+  const keys = new Set();
+  areas.forEach((area, index) => {
+    if (!area || typeof area.name !== 'string' || !area.name.trim()) {
+      errors.push(`discoveryAreas[${index}].name is required`);
+    }
+    if (area?.key !== undefined && (typeof area.key !== 'string' || !/^[a-z0-9_]+$/.test(area.key))) {
+      errors.push(`discoveryAreas[${index}].key must use lowercase letters, digits and underscores`);
+    }
+    if (!Array.isArray(area?.phrases) || area.phrases.length === 0 || area.phrases.some(phrase => typeof phrase !== 'string')) {
+      errors.push(`discoveryAreas[${index}].phrases must be a non-empty array of strings`);
+    }
+  });
+  normalizeDiscoveryAreas(areas).forEach(area => {
+    if (keys.has(area.key)) {
+      errors.push(`Duplicate discovery area: ${area.key}`);
+    }
+    keys.add(area.key);
+  });
+
+  return errors;
+}
+
+/**
+ * Analyze the questions the rep asked on a call
+ * @param {Array<Object>} segments - Speaker-labelled segments from separateSpeakers
+ * @param {Object} options - { areas } discovery areas, { matcher } phrase matcher, { language },
+ *        { fallbackText } searched sentence by sentence when the transcript has no speaker segments
+ * @returns {Object} { metrics: { totalQuestions, openQuestions, closedQuestions, openRatio,
+ *          discoveryCoverage, askedAreas, missedAreas }, areas: [{ key, name, asked, questionCount }],
+ *          questions: [{ text, type, areas, speaker, start, segmentIndex }] }
+ */
+function analyzeQuestions(segments, options = {}) {
+  const language = options.language || 'en';
+  const areas = options.areas || getDiscoveryAreas(null, language);
+  const { matcher } = options;
+
+  const labelled = (segments || []).some(segment => segment.role);
+  const utterances = labelled
+    ? segments.filter(segment => segment.role === ROLE_REP)
+    : [{ speaker: null, role: null, start: null, index: null, text: options.fallbackText || '' }];
+
+  const questions = [];
+  utterances.forEach(utterance => {
+    splitSentences(utterance.text)
+      .filter(sentence => sentence.endsWith('?') || isOpenPrompt(sentence, language))
+      .forEach(sentence => {
+        const document = matcher ? matcher.prepare(sentence) : null;
+        const lower = sentence.toLowerCase();
+        const matchedAreas = areas
+          .filter(area => area.phrases.some(phrase => (document
+            ? matcher.match(document, phrase).matched
+            : lower.includes(phrase.toLowerCase()))))
+          .map(area => area.key);
+
+        questions.push({
+          text: sentence,
+          type: classifyQuestion(sentence, language),
+          areas: matchedAreas,
+          speaker: utterance.speaker || null,
+          start: utterance.start ?? null,
+          segmentIndex: utterance.index ?? null
+        });
+      });
+  });
+
+  const areaResults = areas.map(area => {
+    const questionCount = questions.filter(question => question.areas.includes(area.key)).length;
+    return { key: area.key, name: area.name, asked: questionCount > 0, questionCount };
+  });
+  const openQuestions = questions.filter(question => question.type === 'open').length;
+
+  return {
+    metrics: {
+      totalQuestions: questions.length,
+      openQuestions,
+      closedQuestions: questions.length - openQuestions,
+      openRatio: questions.length > 0 ? round(openQuestions / questions.length) : null,
+      discoveryCoverage: areaResults.length > 0 ? round(areaResults.filter(area => area.asked).length / areaResults.length) : null,
+      askedAreas: areaResults.filter(area => area.asked).map(area => area.key),
+      missedAreas: areaResults.filter(area => !area.asked).map(area => area.key)
+    },
+    areas: areaResults,
+    questions
+  };
+}
+
+/**
+ * Average question metrics across calls
+ * @param {Array<Object>} metricsList - question_metrics values (null entries are skipped)
+ * @returns {Object} Averages per metric, the share of calls that covered each discovery area and
+ *          the number of calls with metrics
+ */
+function averageQuestionMetrics(metricsList) {
+  const available = (metricsList || []).filter(Boolean);
+  const averages = { callsWithMetrics: available.length };
+
+  ['totalQuestions', 'openQuestions', 'closedQuestions', 'openRatio', 'discoveryCoverage'].forEach(field => {
+    const values = available.map(metrics => metrics[field]).filter(value => typeof value === 'number');
+    averages[field] = values.length > 0
+      ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+  });
+
+  // Share of the calls checked for an area that asked about it
+  const areaCounts = {};
+  available.forEach(metrics => {
+    (metrics.askedAreas || []).forEach(key => {
+      areaCounts[key] = areaCounts[key] || { asked: 0, calls: 0 };
+      areaCounts[key].asked += 1;
+      areaCounts[key].calls += 1;
+    });
+    (metrics.missedAreas || []).forEach(key => {
+      areaCounts[key] = areaCounts[key] || { asked: 0, calls: 0 };
+      areaCounts[key].calls += 1;
+    });
+  });
+  averages.discoveryAreas = Object.entries(areaCounts)
+    .map(([key, counts]) => ({ key, askedShare: round(counts.asked / counts.calls), calls: counts.calls }))
+    .sort((a, b) => a.askedShare - b.askedShare);
+
+  return averages;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  DEFAULT_DISCOVERY_AREAS,
+  classifyQuestion,
+  normalizeDiscoveryAreas,
+  getDiscoveryAreas,
+  validateDiscoveryAreas,
+  analyzeQuestions,
+  averageQuestionMetrics
+};
@@ -0,0 +1,214 @@
+/**
+ * Remote file downloads
+ *
+ * Downloads files from URLs that webhook callers supply without letting them reach internal
+ * services: only https URLs on allowed hosts are fetched, every address the host resolves to is
+ * checked against loopback, private and link-local ranges at connect time (so a DNS answer that
+ * changes between check and connect cannot slip through), redirects are refused and the body is
+ * read with a hard size cap whatever the response declares.
+ */
+
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+
+// Loopback, private, link-local (including the cloud metadata address), CGNAT, multicast and reserved ranges
+const INTERNAL_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const internalAddresses = new net.BlockList();
+INTERNAL_RANGES.forEach(([network, prefix, type]) => internalAddresses.addSubnet(network, prefix, type));
+
+/**
+ * Whether an IP address belongs to a loopback, private, link-local or reserved range
+ * IPv4-mapped IPv6 addresses ("::ffff:127.0.0.1") are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for internal (and unparseable) addresses
+ */
+function isInternalAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '');
+  const candidate = mapped ? mapped[1] : address;
+  const family = net.isIP(candidate);
+
+  if (family === 0) {
+    return true;
+  }
+
+  return internalAddresses.check(candidate, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Parse a comma-separated host allowlist ("otter.ai, files.example.com")
+ * @param {string|Array<string>} value - Hosts
+ * @returns {Array<string>} Lower-case hosts
+ */
+function parseAllowedHosts(value) {
+  const hosts = Array.isArray(value) ? value : String(value || '').split(',');
+  return hosts.map(host => String(host).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a hostname is an allowed host or one of its subdomains
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+/**
+ * Check a URL before downloading it
+ * @param {string} url - URL to download
+ * @param {Array<string>} allowedHosts - Hosts files may be downloaded from
+ * @returns {URL} Parsed URL
+ * @throws {Error} When the URL is not https, not on an allowed host, or an internal IP address
+ */
+function assertAllowedUrl(url, allowedHosts) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid URL');
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new Error('Only https URLs can be downloaded');
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error('URLs with credentials cannot be downloaded');
+  }
+
+  // IP literals are connected to directly, without a lookup to check
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isInternalAddress(hostname)) {
+    throw new Error(`Host ${parsed.hostname} is not allowed`);
+  }
+  if (!isAllowedHost(hostname, allowedHosts)) {
+    throw new Error(`Host ${parsed.hostname} is not allowed`);
+  }
+
+  return parsed;
+}
+
+/**
+ * dns.lookup that refuses hostnames resolving to internal addresses
+ * Used as the connection's lookup, so the address checked is the address connected to.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const blocked = addresses.find(entry => isInternalAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      callback(new Error(`Host ${hostname} resolves to an internal address`));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Read a stream into a buffer, failing as soon as it grows past maxBytes
+ * @param {Readable} stream - Response body
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<Buffer>} Body
+ */
+function readLimited(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        reject(new Error(`File is larger than ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Download a file from an allowed https host
+ * @param {string} url - File URL
+ * @param {Object} options - { allowedHosts, maxBytes, timeoutMs }
+ * @returns {Promise<Object>} { body (Buffer), contentType, filename }
+ */
+function downloadFile(url, { allowedHosts, maxBytes, timeoutMs }) {
+  const parsed = assertAllowedUrl(url, allowedHosts);
+
+  return new Promise((resolve, reject) => {
+    const request = https.get(parsed, {
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(timeoutMs)
+    }, (response) => {
+      const { statusCode } = response;
+
+      if (statusCode >= 300 && statusCode < 400) {
+        response.resume();
+        reject(new Error(`Redirects are not followed (${statusCode} to ${response.headers.location || 'unknown location'})`));
+        return;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        reject(new Error(`Failed to download file: ${statusCode} ${response.statusMessage}`));
+        return;
+      }
+
+      const declaredLength = parseInt(response.headers['content-length']);
+      if (declaredLength > maxBytes) {
+        response.destroy();
+        reject(new Error(`File is larger than ${maxBytes} bytes`));
+        return;
+      }
+
+      readLimited(response, maxBytes)
+        .then(body => resolve({
+          body,
+          contentType: (response.headers['content-type'] || '').split(';')[0].trim(),
+          filename: path.basename(parsed.pathname)
+        }))
+        .catch(reject);
+    });
+
+    request.on('error', reject);
+  });
+}
+
+module.exports = {
+  isInternalAddress,
+  parseAllowedHosts,
+  isAllowedHost,
+  assertAllowedUrl,
+  publicLookup,
+  readLimited,
+  downloadFile
+};
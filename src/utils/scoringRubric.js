@@ -0,0 +1,191 @@
+/**
+ * Per-organization scoring rubric for the call performance score
+ *
+ * The rubric lists the score components with their weights and whether they are enabled,
+ * and the thresholds above / below which a component is reported as a strength / weakness.
+ * It is stored in Organization.settings.scoringRubric.
+ */
+
+const SCORING_COMPONENTS = {
+  scriptCompliance: 'Script compliance',
+  customerSentiment: 'Customer sentiment',
+  topicCoverage: 'Topic coverage',
+  objectionHandling: 'Objection handling',
+  conversationDynamics: 'Conversation dynamics'
+};
+
+const DEFAULT_SCORING_RUBRIC = {
+  components: {
+    scriptCompliance: { enabled: true, weight: 0.4 },
+    customerSentiment: { enabled: true, weight: 0.3 },
+    topicCoverage: { enabled: true, weight: 0.2 },
+    objectionHandling: { enabled: true, weight: 0.1 },
+    conversationDynamics: { enabled: true, weight: 0.15 }
+  },
+  thresholds: {
+    strength: 0.8,
+    weakness: 0.6
+  }
+};
+
+/**
+ * Merge a stored or submitted rubric with the defaults
+ * @param {Object} rubric - Partial rubric ({ components, thresholds })
+ * @returns {Object} Complete rubric
+ */
+function normalizeScoringRubric(rubric) {
+  const source = rubric && typeof rubric === 'object' ? rubric : {};
+  const components = {};
+
+  Object.keys(SCORING_COMPONENTS).forEach(key => {
+    const defaults = DEFAULT_SCORING_RUBRIC.components[key];
+    const override = source.components?.[key] || {};
+    const weight = Number(override.weight);
+
+    components[key] = {
+      enabled: typeof override.enabled === 'boolean' ? override.enabled : defaults.enabled,
+      weight: Number.isFinite(weight) && weight >= 0 ? weight : defaults.weight
+    };
+  });
+
+  const threshold = (name) => {
+    const value = Number(source.thresholds?.[name]);
+    return Number.isFinite(value) && value >= 0 && value <= 1 ? value : DEFAULT_SCORING_RUBRIC.thresholds[name];
+  };
+
+  return {
+    components,
+    thresholds: {
+      strength: threshold('strength'),
+      weakness: threshold('weakness')
+    }
+  };
+}
+
+/**
+ * Validate a submitted rubric
+ * @param {Object} rubric - Rubric from a request
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateScoringRubric(rubric) {
+  if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+    return ['Scoring rubric must be an object'];
+  }
+
+  const errors = [];
+  const components = rubric.components || {};
+
+  if (typeof components !== 'object' || Array.isArray(components)) {
+    return ['Components must be an object keyed by component name'];
+  }
+
+  Object.entries(components).forEach(([key, component]) => {
+    if (!SCORING_COMPONENTS[key]) {
+      errors.push(`Unknown component "${key}" (expected one of: ${Object.keys(SCORING_COMPONENTS).join(', ')})`);
+      return;
+    }
+    if (!component || typeof component !== 'object') {
+      errors.push(`Component "${key}" must be an object`);
+      return;
+    }
+    if (component.weight !== undefined && (!Number.isFinite(Number(component.weight)) || Number(component.weight) < 0)) {
+      errors.push(`Component "${key}" weight must be a non-negative number`);
+    }
+    if (component.enabled !== undefined && typeof component.enabled !== 'boolean') {
+      errors.push(`Component "${key}" enabled must be a boolean`);
+    }
+  });
+
+  ['strength', 'weakness'].forEach(name => {
+    const value = rubric.thresholds?.[name];
+    if (value !== undefined && (!Number.isFinite(Number(value)) || Number(value) < 0 || Number(value) > 1)) {
+      errors.push(`The ${name} threshold must be between 0 and 1`);
+    }
+  });
+
+  const normalized = normalizeScoringRubric(rubric);
+  if (normalized.thresholds.weakness > normalized.thresholds.strength) {
+    errors.push('The weakness threshold cannot be above the strength threshold');
+  }
+  const activeWeight = Object.values(normalized.components)
+    .filter(component => component.enabled)
+    .reduce((sum, component) => sum + component.weight, 0);
+  if (activeWeight <= 0) {
+    errors.push('At least one enabled component needs a weight above 0');
+  }
+
+  return errors;
+}
+
+/**
+ * Combine component scores into the performance score
+ * Disabled components and components without a score (e.g. no objections were raised) are left
+ * out, and the remaining weights are rescaled so the score stays between 0 and 1.
+ * @param {Object} componentScores - Scores (0-1 or null) keyed by component
+ * @param {Object} rubric - Rubric (normalized or partial)
+ * @returns {Object} { score, breakdown: [{ component, label, enabled, weight, score, contribution }] }
+ */
+function applyScoringRubric(componentScores, rubric) {
+  const { components } = normalizeScoringRubric(rubric);
+
+  const breakdown = Object.keys(SCORING_COMPONENTS).map(key => {
+    const value = componentScores[key];
+    return {
+      component: key,
+      label: SCORING_COMPONENTS[key],
+      enabled: components[key].enabled,
+      weight: components[key].weight,
+      score: value === null || value === undefined ? null : value
+    };
+  });
+
+  const counted = breakdown.filter(entry => entry.enabled && entry.weight > 0 && entry.score !== null);
+  const totalWeight = counted.reduce((sum, entry) => sum + entry.weight, 0);
+
+  breakdown.forEach(entry => {
+    entry.contribution = counted.includes(entry) && totalWeight > 0
+      ? (entry.score * entry.weight) / totalWeight
+      : null;
+  });
+
+  return {
+    score: totalWeight > 0 ? counted.reduce((sum, entry) => sum + entry.contribution, 0) : 0,
+    breakdown
+  };
+}
+
+/**
+ * Add a score component contributed by an analyzer
+ * Rubrics saved before the component existed use its default weight.
+ * @param {string} key - Component key
+ * @param {Object} options - { label, weight, enabled }
+ */
+function registerScoringComponent(key, options = {}) {
+  if (SCORING_COMPONENTS[key]) {
+    return;
+  }
+
+  const weight = Number(options.weight);
+  SCORING_COMPONENTS[key] = options.label || key;
+  DEFAULT_SCORING_RUBRIC.components[key] = {
+    enabled: options.enabled !== false,
+    weight: Number.isFinite(weight) && weight >= 0 ? weight : 0.1
+  };
+}
+
+/**
+ * Whether a component is enabled in a rubric
+ */
+function isComponentEnabled(rubric, component) {
+  return normalizeScoringRubric(rubric).components[component].enabled;
+}
+
+module.exports = {
+  SCORING_COMPONENTS,
+  DEFAULT_SCORING_RUBRIC,
+  normalizeScoringRubric,
+  validateScoringRubric,
+  applyScoringRubric,
+  registerScoringComponent,
+  isComponentEnabled
+};
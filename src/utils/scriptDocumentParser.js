@@ -0,0 +1,311 @@
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const { DEFAULT_STAGE_KEYS } = require('./scriptStages');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const MARKDOWN_EXTENSIONS = /\.(md|markdown)$/i;
+
+// Headings of sub-sections inside a stage that say what their bullets are
+const SECTION_HINTS = [
+  { field: 'forbiddenPhrases', pattern: /\b(avoid|never say|don'?t say|do not say|forbidden|prohibited)\b/i },
+  { field: 'keyPhrases', pattern: /\b(key phrases?|phrases?|say|talking points|lines?|wording)\b/i },
+  { field: 'requiredTopics', pattern: /\b(topics?|cover|must|required|checklist|ask|questions?)\b/i }
+];
+
+// Inline prefixes on a single bullet, e.g. "Avoid: guaranteed savings"
+const BULLET_PREFIXES = [
+  { field: 'forbiddenPhrases', pattern: /^(avoid|never say|don'?t say|do not say|forbidden)\s*[:\-–]\s*/i },
+  { field: 'keyPhrases', pattern: /^(say|phrase|key phrase|script)\s*[:\-–]\s*/i },
+  { field: 'requiredTopics', pattern: /^(topic|cover|ask|required)\s*[:\-–]\s*/i }
+];
+
+const BULLET_PATTERN = /^\s*(?:[-*+•◦▪‣–]|\d+[.)]|[a-z][.)])\s+/i;
+// Bullets longer than this many words read as lines to say rather than topics to cover
+const KEY_PHRASE_MIN_WORDS = 6;
+
+/**
+ * Decode the handful of HTML entities mammoth emits
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn mammoth's HTML output into document blocks
+ * @param {string} html - HTML produced from a Word document
+ * @returns {Array<Object>} Blocks { type: 'heading'|'bullet'|'paragraph', level?, text }
+ */
+function htmlToBlocks(html) {
+  const blocks = [];
+  const elementPattern = /<(h[1-6]|li|p)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match;
+
+  while ((match = elementPattern.exec(html)) !== null) {
+    const tag = match[1].toLowerCase();
+    // Nested lists: only keep the item's own text, its children are matched separately
+    const text = stripTags(match[2].replace(/<(ul|ol)\b[\s\S]*$/i, ''));
+    if (!text) continue;
+
+    if (tag.startsWith('h')) {
+      blocks.push({ type: 'heading', level: Number(tag[1]), text });
+    } else if (tag === 'li') {
+      blocks.push({ type: 'bullet', text });
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Turn Markdown into document blocks
+ * @param {string} markdown - Markdown source
+ * @returns {Array<Object>} Blocks { type, level?, text }
+ */
+function markdownToBlocks(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const blocks = [];
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    // Setext underlines belong to the previous line
+    if (/^(=+|-+)$/.test(trimmed) && index > 0 && lines[index - 1].trim()) {
+      const previous = blocks[blocks.length - 1];
+      if (previous && previous.type === 'paragraph') {
+        previous.type = 'heading';
+        previous.level = trimmed.startsWith('=') ? 1 : 2;
+      }
+      return;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*$/.exec(trimmed);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: cleanInline(heading[2]) });
+    } else if (BULLET_PATTERN.test(line)) {
+      blocks.push({ type: 'bullet', text: cleanInline(line.replace(BULLET_PATTERN, '')) });
+    } else {
+      blocks.push({ type: 'paragraph', text: cleanInline(trimmed) });
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Remove Markdown emphasis and links from a line
+ */
+function cleanInline(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .trim();
+}
+
+/**
+ * Turn plain text (PDF or .txt) into document blocks
+ * Plain text has no heading markup, so short lines without closing punctuation that are
+ * written in capitals, end with a colon, or introduce a list are treated as headings.
+ * @param {string} text - Extracted text
+ * @returns {Array<Object>} Blocks { type, level?, text }
+ */
+function plainTextToBlocks(text) {
+  const lines = text.split(/\r?\n/).map(line => line.replace(/\s+$/, '')).filter(line => line.trim());
+
+  const blocks = lines.map((line, index) => {
+    if (BULLET_PATTERN.test(line)) {
+      return { type: 'bullet', text: line.replace(BULLET_PATTERN, '').trim() };
+    }
+
+    const trimmed = line.trim();
+    const words = trimmed.split(/\s+/).length;
+    const nextIsBullet = index + 1 < lines.length && BULLET_PATTERN.test(lines[index + 1]);
+    const isShort = trimmed.length <= 60 && words <= 8 && !/[.,;?!]$/.test(trimmed);
+    const isCapitalized = /[A-Z]/.test(trimmed) && trimmed === trimmed.toUpperCase();
+    const isNumberedSection = /^(stage|step|part|section|phase)\s+\d+/i.test(trimmed);
+
+    if (isShort && (isCapitalized || trimmed.endsWith(':') || isNumberedSection || nextIsBullet)) {
+      return { type: 'heading', level: isCapitalized || isNumberedSection ? 1 : 2, text: trimmed.replace(/:$/, '') };
+    }
+
+    return { type: 'paragraph', text: trimmed };
+  });
+
+  // A heading on the first line that does not introduce a list is the document title
+  if (blocks.length > 1 && blocks[0].type === 'heading' && blocks[1].type !== 'bullet') {
+    blocks[0].level = 0;
+  }
+
+  return blocks;
+}
+
+/**
+ * Extract structured blocks from an uploaded document
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimetype - Uploaded MIME type
+ * @param {string} originalName - Uploaded file name
+ * @returns {Promise<Object>} { format, blocks, text }
+ */
+async function extractDocument(buffer, mimetype, originalName = '') {
+  if (mimetype === DOCX_MIME_TYPE || /\.docx$/i.test(originalName)) {
+    const [{ value: html }, { value: text }] = await Promise.all([
+      mammoth.convertToHtml({ buffer }),
+      mammoth.extractRawText({ buffer })
+    ]);
+    return { format: 'docx', blocks: htmlToBlocks(html), text };
+  }
+
+  if (mimetype === 'application/pdf' || /\.pdf$/i.test(originalName)) {
+    const { text } = await pdfParse(buffer);
+    return { format: 'pdf', blocks: plainTextToBlocks(text), text };
+  }
+
+  const text = buffer.toString('utf8');
+  if (MARKDOWN_EXTENSIONS.test(originalName) || /markdown/.test(mimetype)) {
+    return { format: 'markdown', blocks: markdownToBlocks(text), text };
+  }
+
+  if (mimetype === 'text/plain' || /\.txt$/i.test(originalName)) {
+    return { format: 'text', blocks: plainTextToBlocks(text), text };
+  }
+
+  const error = new Error(`Unsupported script document type: ${mimetype}`);
+  error.code = 'UNSUPPORTED_SCRIPT_DOCUMENT';
+  throw error;
+}
+
+/**
+ * Derive a stage key from a heading, preferring the standard stage keys
+ */
+function stageKeyFor(name, usedKeys) {
+  const lower = name.toLowerCase();
+  const standardKey = DEFAULT_STAGE_KEYS.find(key => new RegExp(`\\b${key}`).test(lower) && !usedKeys.has(key));
+  let key = standardKey || lower.replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || `stage_${usedKeys.size + 1}`;
+
+  let suffix = 2;
+  const base = key;
+  while (usedKeys.has(key)) {
+    key = `${base}_${suffix++}`;
+  }
+  usedKeys.add(key);
+  return key;
+}
+
+/**
+ * Decide which phrase list a bullet belongs to
+ */
+function classifyBullet(text, sectionField) {
+  const prefix = BULLET_PREFIXES.find(({ pattern }) => pattern.test(text));
+  if (prefix) {
+    return { field: prefix.field, phrase: text.replace(prefix.pattern, '') };
+  }
+
+  const quoted = /^["“'](.+?)["”']?$/.exec(text);
+  if (quoted) {
+    return { field: sectionField === 'forbiddenPhrases' ? sectionField : 'keyPhrases', phrase: quoted[1] };
+  }
+
+  if (sectionField) {
+    return { field: sectionField, phrase: text };
+  }
+
+  const words = text.split(/\s+/).length;
+  return { field: words >= KEY_PHRASE_MIN_WORDS ? 'keyPhrases' : 'requiredTopics', phrase: text };
+}
+
+/**
+ * Build a draft sales script from document blocks
+ * The shallowest heading level that occurs more than once becomes the stage level; a single
+ * heading above it is used as the script name. Deeper headings mark sub-sections whose
+ * title says whether their bullets are topics, key phrases or phrases to avoid.
+ * @param {Array<Object>} blocks - Blocks from extractDocument
+ * @param {Object} options - { fallbackName } used when the document has no title
+ * @returns {Object} { name, description, stages, warnings }
+ */
+function buildScriptDraft(blocks, options = {}) {
+  const warnings = [];
+  const headings = blocks.filter(block => block.type === 'heading');
+  const levelCounts = headings.reduce((counts, heading) => {
+    counts[heading.level] = (counts[heading.level] || 0) + 1;
+    return counts;
+  }, {});
+  const levels = Object.keys(levelCounts).map(Number).sort((a, b) => a - b);
+  const stageLevel = levels.find(level => levelCounts[level] > 1) || levels[0];
+
+  const titleHeading = headings.find(heading => heading.level < stageLevel);
+  const name = titleHeading?.text || options.fallbackName || 'Imported script';
+
+  const stages = [];
+  const usedKeys = new Set();
+  const introduction = [];
+  let currentStage = null;
+  let sectionField = null;
+
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      if (block.level === stageLevel) {
+        const stageName = block.text.replace(/^(stage|step|part|section|phase)?\s*\d+[.):\-–]?\s*/i, '').trim() || block.text;
+        currentStage = {
+          key: stageKeyFor(stageName, usedKeys),
+          name: stageName,
+          order: stages.length + 1,
+          requiredTopics: [],
+          keyPhrases: [],
+          forbiddenPhrases: []
+        };
+        stages.push(currentStage);
+        sectionField = null;
+      } else if (block.level > stageLevel) {
+        const hint = SECTION_HINTS.find(({ pattern }) => pattern.test(block.text));
+        sectionField = hint ? hint.field : null;
+      }
+      return;
+    }
+
+    if (!currentStage) {
+      if (block.type === 'paragraph') introduction.push(block.text);
+      return;
+    }
+
+    if (block.type === 'bullet') {
+      const { field, phrase } = classifyBullet(block.text, sectionField);
+      if (phrase) currentStage[field].push(phrase);
+    }
+  });
+
+  if (stages.length === 0) {
+    warnings.push('No headings found; the draft has no stages. Add stages before activating it.');
+  }
+
+  stages
+    .filter(stage => stage.requiredTopics.length === 0 && stage.keyPhrases.length === 0)
+    .forEach(stage => warnings.push(`Stage "${stage.name}" has no bullet points to score against`));
+
+  return {
+    name,
+    description: introduction.join('\n') || null,
+    stages,
+    warnings
+  };
+}
+
+module.exports = {
+  MARKDOWN_EXTENSIONS,
+  extractDocument,
+  buildScriptDraft,
+  htmlToBlocks,
+  markdownToBlocks,
+  plainTextToBlocks
+};
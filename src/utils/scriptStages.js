@@ -0,0 +1,115 @@
+// Default ordering of the stages a sales presentation moves through
+const DEFAULT_STAGE_KEYS = ['opening', 'discovery', 'demo', 'pricing', 'close'];
+
+const PHRASE_LIST_FIELDS = ['requiredTopics', 'keyPhrases', 'forbiddenPhrases'];
+
+/**
+ * Clean a list of phrases: trim, drop empties and duplicates
+ * @param {Array} phrases - Raw phrase list
+ * @returns {Array<string>} Normalized phrases
+ */
+function normalizePhraseList(phrases) {
+  if (!Array.isArray(phrases)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return phrases
+    .filter(phrase => typeof phrase === 'string')
+    .map(phrase => phrase.trim())
+    .filter(phrase => {
+      const key = phrase.toLowerCase();
+      if (!phrase || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Normalize script stages into a consistent, ordered structure
+ * @param {Array<Object>} stages - Raw stages as stored or submitted
+ * @returns {Array<Object>} Stages sorted by order with defaults applied
+ */
+function normalizeStages(stages) {
+  if (!Array.isArray(stages)) {
+    return [];
+  }
+
+  return stages
+    .filter(stage => stage && typeof stage === 'object')
+    .map((stage, index) => {
+      const key = String(stage.key || stage.name || `stage_${index + 1}`).trim().toLowerCase().replace(/\s+/g, '_');
+      const defaultOrder = DEFAULT_STAGE_KEYS.includes(key) ? DEFAULT_STAGE_KEYS.indexOf(key) + 1 : index + 1;
+      const weight = Number(stage.weight);
+
+      const normalized = {
+        key,
+        name: stage.name || key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' '),
+        order: Number.isFinite(Number(stage.order)) ? Number(stage.order) : defaultOrder,
+        weight: Number.isFinite(weight) && weight >= 0 ? weight : 1
+      };
+
+      PHRASE_LIST_FIELDS.forEach(field => {
+        normalized[field] = normalizePhraseList(stage[field]);
+      });
+
+      return normalized;
+    })
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Validate submitted stages
+ * @param {*} stages - Value submitted by the client
+ * @returns {Array<string>} Validation error messages (empty when valid)
+ */
+function validateStages(stages) {
+  const errors = [];
+
+  if (!Array.isArray(stages)) {
+    return ['Stages must be an array'];
+  }
+
+  const keys = new Set();
+  stages.forEach((stage, index) => {
+    const label = `Stage ${index + 1}`;
+
+    if (!stage || typeof stage !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!stage.key && !stage.name) {
+      errors.push(`${label} requires a key or name`);
+    }
+
+    const key = String(stage.key || stage.name || '').trim().toLowerCase().replace(/\s+/g, '_');
+    if (key && keys.has(key)) {
+      errors.push(`${label} duplicates stage key "${key}"`);
+    }
+    keys.add(key);
+
+    if (stage.weight !== undefined && (!Number.isFinite(Number(stage.weight)) || Number(stage.weight) < 0)) {
+      errors.push(`${label} weight must be a non-negative number`);
+    }
+
+    if (stage.order !== undefined && !Number.isFinite(Number(stage.order))) {
+      errors.push(`${label} order must be a number`);
+    }
+
+    PHRASE_LIST_FIELDS.forEach(field => {
+      if (stage[field] !== undefined && (!Array.isArray(stage[field]) || stage[field].some(item => typeof item !== 'string'))) {
+        errors.push(`${label} ${field} must be an array of strings`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_STAGE_KEYS,
+  normalizeStages,
+  normalizePhraseList,
+  validateStages
+};
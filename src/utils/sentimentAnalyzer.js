@@ -0,0 +1,394 @@
+/**
+ * Lexicon-based sentiment scoring for customer speech
+ *
+ * Each utterance is scored from a word and phrase lexicon with negation and intensifier
+ * handling. The scores form a timeline across the call, and the overall customer sentiment
+ * is derived from how that timeline moves rather than from a single average. English and
+ * Spanish have their own lexicons.
+ */
+
+const { ROLE_CUSTOMER } = require('./transcriptParser');
+const { foldSpanish } = require('./phraseMatcher');
+
+// Word valences from -3 (very negative) to 3 (very positive), tuned for in-home sales conversations
+const WORD_LEXICON = {
+  // positive
+  amazing: 3, awesome: 3, excellent: 3, fantastic: 3, love: 3, perfect: 3, wonderful: 3, thrilled: 3,
+  beautiful: 2, excited: 2, exciting: 2, glad: 2, good: 2, great: 3, happy: 2, helpful: 2, impressed: 2,
+  impressive: 2, interested: 2, like: 1, nice: 2, pleased: 2, yes: 1, yeah: 1, sure: 1, definitely: 2,
+  absolutely: 2, agree: 2, appreciate: 2, benefit: 1, better: 2, clear: 1, comfortable: 2, cool: 1,
+  easy: 2, fair: 1, fine: 1, helps: 1, ideal: 2, affordable: 2, reasonable: 2, save: 2, saving: 2,
+  savings: 2, thank: 2, thanks: 2, trust: 2, useful: 2, valuable: 2, want: 1, willing: 2, worth: 2,
+  ready: 2, convinced: 2, okay: 1, ok: 1, right: 1, works: 1, best: 3,
+  // negative
+  angry: -3, awful: -3, hate: -3, horrible: -3, terrible: -3, scam: -3, ripoff: -3, worst: -3,
+  annoyed: -2, annoying: -2, bad: -2, complicated: -2, concerned: -2, confused: -2, confusing: -2,
+  difficult: -2, disappointed: -2, doubt: -2, expensive: -2, frustrated: -2, frustrating: -2,
+  hesitant: -2, pushy: -2, problem: -2, problems: -2, risky: -2, skeptical: -2, suspicious: -2,
+  upset: -2, unhappy: -2, unfortunately: -2, worried: -2, worry: -2, afraid: -2, costly: -2,
+  overpriced: -3, pressure: -2, pressured: -2, no: -1, issue: -1, issues: -1, unsure: -1, wait: -1,
+  hard: -1, high: -1, later: -1, maybe: -1, cancel: -2, complaint: -2, lose: -2, losing: -2, debt: -2,
+  busy: -1, tired: -1, wrong: -2, waste: -3
+};
+
+// Multi-word expressions are matched before single words and replace their words' valences
+const PHRASE_LEXICON = {
+  'no problem': 2,
+  'no worries': 1,
+  'sounds good': 3,
+  'sounds great': 3,
+  'makes sense': 2,
+  'that works': 2,
+  'sign up': 2,
+  'lets do it': 3,
+  "let's do it": 3,
+  'move forward': 2,
+  'go ahead': 2,
+  'i like that': 2,
+  'not interested': -3,
+  'too expensive': -3,
+  'too much': -2,
+  "can't afford": -3,
+  'cannot afford': -3,
+  'think about it': -1,
+  'not sure': -1,
+  'no thanks': -2,
+  'no thank you': -2,
+  'not right now': -2,
+  'waste of time': -3,
+  'talk to my wife': -1,
+  'talk to my husband': -1,
+  'bad experience': -3,
+  'sales pitch': -1
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely',
+  "don't", "doesn't", "didn't", "isn't", "aren't", "wasn't", "weren't", "won't", "wouldn't",
+  "can't", "cannot", "couldn't", "shouldn't", "haven't", "hasn't", "ain't", 'dont', 'doesnt',
+  'didnt', 'isnt', 'wont', 'cant'
+]);
+
+const INTENSIFIERS = {
+  very: 1.5, really: 1.5, so: 1.3, extremely: 1.8, super: 1.5, totally: 1.5, incredibly: 1.8,
+  quite: 1.2, pretty: 1.1, too: 1.3, slightly: 0.6, somewhat: 0.7, kinda: 0.7, little: 0.7, bit: 0.7
+};
+
+// Spanish lexicon, written without accents since Spanish tokens are compared accent-free
+const SPANISH_WORD_LEXICON = {
+  // positive
+  excelente: 3, fantastico: 3, increible: 3, perfecto: 3, perfecta: 3, maravilloso: 3, encanta: 3, genial: 3,
+  buenisimo: 3, mejor: 2, bueno: 2, buena: 2, buenos: 2, bonito: 2, bonita: 2, contento: 2, contenta: 2,
+  feliz: 2, interesa: 2, interesante: 2, interesado: 2, interesada: 2, gracias: 2, agradezco: 2, util: 2,
+  facil: 2, comodo: 2, comoda: 2, razonable: 2, accesible: 2, ahorro: 2, ahorrar: 2, ahorros: 2,
+  confianza: 2, confio: 2, listo: 2, lista: 2, convencido: 2, convencida: 2, gusta: 2, dispuesto: 2,
+  dispuesta: 2, emocionado: 2, emocionada: 2, bien: 1, claro: 1, si: 1, ayuda: 1, justo: 1, vale: 1,
+  seguro: 1, quiero: 1, exacto: 1, tranquilo: 1,
+  // negative
+  odio: -3, horrible: -3, terrible: -3, estafa: -3, fraude: -3, peor: -3, pesimo: -3, carisimo: -3,
+  enojado: -3, enojada: -3, malo: -2, mala: -2, mal: -2, caro: -2, costoso: -2, complicado: -2,
+  preocupado: -2, preocupada: -2, preocupa: -2, confundido: -2, confundida: -2, confuso: -2, dificil: -2,
+  decepcionado: -2, decepcionada: -2, duda: -2, frustrado: -2, frustrada: -2, molesto: -2, molesta: -2,
+  problema: -2, problemas: -2, riesgo: -2, arriesgado: -2, desconfio: -2, sospechoso: -2, infeliz: -2,
+  lamentablemente: -2, miedo: -2, presion: -2, presionado: -2, presionada: -2, cancelar: -2, queja: -2,
+  perder: -2, deuda: -2, equivocado: -2, no: -1, dudas: -1, quizas: -1, despues: -1, luego: -1,
+  ocupado: -1, ocupada: -1, cansado: -1, cansada: -1
+};
+
+const SPANISH_PHRASE_LEXICON = {
+  'no hay problema': 2,
+  'no se preocupe': 1,
+  'suena bien': 3,
+  'me parece bien': 3,
+  'tiene sentido': 2,
+  'de acuerdo': 2,
+  'vamos a hacerlo': 3,
+  'sigamos adelante': 2,
+  'me gusta': 2,
+  'no me interesa': -3,
+  'no estoy interesado': -3,
+  'no estoy interesada': -3,
+  'demasiado caro': -3,
+  'muy caro': -3,
+  'no puedo pagar': -3,
+  'no me alcanza': -3,
+  'lo voy a pensar': -1,
+  'tal vez': -1,
+  'no estoy seguro': -1,
+  'no estoy segura': -1,
+  'no gracias': -2,
+  'ahora no': -2,
+  'perdida de tiempo': -3,
+  'hablar con mi esposa': -1,
+  'hablar con mi esposo': -1,
+  'mala experiencia': -3
+};
+
+const SPANISH_NEGATIONS = new Set(['no', 'nunca', 'jamas', 'nada', 'nadie', 'ninguno', 'ninguna', 'ni', 'sin', 'tampoco']);
+
+const SPANISH_INTENSIFIERS = {
+  muy: 1.5, super: 1.5, realmente: 1.5, bastante: 1.2, demasiado: 1.3, tan: 1.3, extremadamente: 1.8,
+  totalmente: 1.5, increiblemente: 1.8, poco: 0.6, algo: 0.7
+};
+
+// Words looked back over when checking for negations and intensifiers
+const NEGATION_WINDOW = 3;
+// Negated words keep part of their strength with the opposite sign ("not bad" is mildly positive)
+const NEGATION_FACTOR = -0.75;
+// Clauses after "but" / "however" carry the speaker's actual view, the ones before it count less
+const CONTRAST_WORDS = new Set(['but', 'however', 'although', 'though', 'yet']);
+const SPANISH_CONTRAST_WORDS = new Set(['pero', 'aunque', 'sino']);
+const CONTRAST_WEIGHT = 1.5;
+const PRE_CONTRAST_WEIGHT = 0.5;
+const CLAUSE_BREAK = /^[.,;:!?¿¡]$/;
+
+const LEXICONS = {
+  en: { words: WORD_LEXICON, phrases: PHRASE_LEXICON, negations: NEGATIONS, intensifiers: INTENSIFIERS, contrastWords: CONTRAST_WORDS },
+  es: {
+    words: SPANISH_WORD_LEXICON,
+    phrases: SPANISH_PHRASE_LEXICON,
+    negations: SPANISH_NEGATIONS,
+    intensifiers: SPANISH_INTENSIFIERS,
+    contrastWords: SPANISH_CONTRAST_WORDS
+  }
+};
+// Normalization constant mapping raw valence sums onto (-1, 1)
+const NORMALIZATION_ALPHA = 15;
+// Scores at or beyond this magnitude are labelled positive or negative
+const LABEL_THRESHOLD = 0.1;
+// Change between opening and closing sentiment needed to call the trend improving or declining
+const TREND_THRESHOLD = 0.15;
+const EXCERPT_LENGTH = 120;
+
+/**
+ * Lower-case word tokens, keeping apostrophes inside words and clause punctuation as tokens
+ * Spanish tokens lose their accents.
+ */
+function tokenizeWords(text, language = 'en') {
+  const lower = String(text || '').toLowerCase().replace(/[’‘]/g, "'");
+  return (language === 'es' ? foldSpanish(lower) : lower)
+    .match(/[\p{L}\p{N}]+(?:'\p{L}+)?|[.,;:!?¿¡]/gu) || [];
+}
+
+/**
+ * Label a sentiment score
+ * @param {number|null} score - Score between -1 and 1
+ * @param {number} threshold - Minimum magnitude for a non-neutral label
+ * @returns {string} 'positive', 'neutral' or 'negative'
+ */
+function labelScore(score, threshold = LABEL_THRESHOLD) {
+  if (score === null || score === undefined) return 'neutral';
+  if (score >= threshold) return 'positive';
+  if (score <= -threshold) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Score one utterance
+ * @param {string} text - Utterance text
+ * @param {string} language - 'en' or 'es'
+ * @returns {Object} { score (-1 to 1), label, terms: [{ term, valence }] }
+ */
+function scoreUtterance(text, language = 'en') {
+  const lexicon = LEXICONS[language] || LEXICONS.en;
+  const tokens = tokenizeWords(text, language);
+  const terms = [];
+  let afterContrast = false;
+  let clauseStart = 0;
+
+  // Phrases are matched first, and their words skipped afterwards
+  const phraseAt = new Map();
+  Object.entries(lexicon.phrases).forEach(([phrase, valence]) => {
+    const words = tokenizeWords(phrase, language);
+    for (let i = 0; i + words.length <= tokens.length; i++) {
+      if (words.every((word, offset) => tokens[i + offset] === word) && !phraseAt.has(i)) {
+        phraseAt.set(i, { phrase, valence, length: words.length });
+      }
+    }
+  });
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // Negations do not reach across punctuation
+    if (CLAUSE_BREAK.test(token)) {
+      clauseStart = i + 1;
+      continue;
+    }
+
+    if (lexicon.contrastWords.has(token)) {
+      terms.forEach(entry => { entry.valence *= PRE_CONTRAST_WEIGHT; });
+      afterContrast = true;
+      clauseStart = i + 1;
+      continue;
+    }
+
+    const phrase = phraseAt.get(i);
+    let valence = phrase ? phrase.valence : lexicon.words[token];
+    const term = phrase ? phrase.phrase : token;
+
+    if (!valence) {
+      continue;
+    }
+
+    // "no" and "not" only count as sentiment when they do not negate something that follows
+    if (lexicon.negations.has(token) && !phrase && i + 1 < tokens.length && !CLAUSE_BREAK.test(tokens[i + 1])) {
+      continue;
+    }
+
+    const preceding = tokens.slice(Math.max(clauseStart, i - NEGATION_WINDOW), i);
+    const intensifier = preceding.length > 0 ? lexicon.intensifiers[preceding[preceding.length - 1]] : undefined;
+    if (intensifier) {
+      valence *= intensifier;
+    }
+    // Phrases that already contain the negation ("not interested") are not flipped again
+    if (!phrase?.phrase.split(' ').some(word => lexicon.negations.has(word)) && preceding.some(word => lexicon.negations.has(word))) {
+      valence *= NEGATION_FACTOR;
+    }
+    if (afterContrast) {
+      valence *= CONTRAST_WEIGHT;
+    }
+
+    terms.push({ term, valence });
+
+    if (phrase) {
+      i += phrase.length - 1;
+    }
+  }
+
+  const total = terms.reduce((sum, entry) => sum + entry.valence, 0);
+  const score = total === 0 ? 0 : total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    label: labelScore(score),
+    terms: terms.map(entry => ({ term: entry.term, valence: Math.round(entry.valence * 100) / 100 }))
+  };
+}
+
+/**
+ * Split unlabelled text into sentences, used when the transcript has no speaker segments
+ */
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Score every customer utterance of a call
+ * @param {Array<Object>} segments - Speaker-labelled segments from separateSpeakers
+ * @param {Object} options - { fallbackText, language } the text is scored sentence by sentence when there are
+ *        no customer segments
+ * @returns {Array<Object>} Timeline points { index, start, end, segmentIndex, speaker, score, label, smoothedScore, excerpt, terms }
+ */
+function buildSentimentTimeline(segments, options = {}) {
+  const customerSegments = (segments || []).filter(segment => segment.role === ROLE_CUSTOMER);
+  const utterances = customerSegments.length > 0
+    ? customerSegments
+    : splitSentences(options.fallbackText).map(text => ({ speaker: null, start: null, end: null, text }));
+
+  const points = utterances.map((utterance, index) => {
+    const { score, label, terms } = scoreUtterance(utterance.text, options.language);
+    return {
+      index,
+      start: utterance.start ?? null,
+      end: utterance.end ?? null,
+      segmentIndex: utterance.index ?? null,
+      speaker: utterance.speaker || null,
+      score,
+      label,
+      excerpt: utterance.text.length > EXCERPT_LENGTH ? `${utterance.text.slice(0, EXCERPT_LENGTH)}…` : utterance.text,
+      terms
+    };
+  });
+
+  // Rolling average over the current and two previous opinionated utterances, for charting
+  const recent = [];
+  points.forEach(point => {
+    if (point.terms.length > 0) {
+      recent.push(point.score);
+      if (recent.length > 3) recent.shift();
+    }
+    point.smoothedScore = recent.length > 0
+      ? Math.round((recent.reduce((sum, score) => sum + score, 0) / recent.length) * 1000) / 1000
+      : 0;
+  });
+
+  return points;
+}
+
+/**
+ * Describe how sentiment moved across the call
+ * Utterances without sentiment-bearing words are ignored. The call is split into thirds, and
+ * later utterances weigh more in the overall score since the customer's closing mood is
+ * what decides the sale.
+ * @param {Array<Object>} timeline - Result of buildSentimentTimeline
+ * @returns {Object} { overallSentiment, overallScore, opening, middle, closing, trend, description, confidence }
+ */
+function summarizeSentimentTrajectory(timeline) {
+  const opinionated = (timeline || []).filter(point => point.terms.length > 0);
+
+  if (opinionated.length === 0) {
+    return {
+      overallSentiment: 'neutral',
+      overallScore: 0,
+      opening: null,
+      middle: null,
+      closing: null,
+      trend: 'steady',
+      description: 'no clear sentiment expressed',
+      confidence: 0.2
+    };
+  }
+
+  const average = (points) => (points.length > 0
+    ? points.reduce((sum, point) => sum + point.score, 0) / points.length
+    : null);
+  const third = Math.ceil(opinionated.length / 3);
+  const openingScore = average(opinionated.slice(0, third));
+  const middleScore = average(opinionated.slice(third, opinionated.length - third));
+  const closingScore = average(opinionated.slice(-third));
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+  opinionated.forEach((point, index) => {
+    const weight = 1 + index / Math.max(1, opinionated.length - 1);
+    weightedSum += point.score * weight;
+    totalWeight += weight;
+  });
+  const overallScore = weightedSum / totalWeight;
+
+  const change = closingScore - openingScore;
+  const trend = opinionated.length < 2 || Math.abs(change) < TREND_THRESHOLD
+    ? 'steady'
+    : (change > 0 ? 'improving' : 'declining');
+
+  const opening = labelScore(openingScore);
+  const closing = labelScore(closingScore);
+  const description = opening === closing
+    ? `${opening} throughout`
+    : `started ${opening}, ended ${closing}`;
+
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+  return {
+    overallSentiment: labelScore(overallScore),
+    overallScore: round(overallScore),
+    opening: { score: round(openingScore), label: opening },
+    middle: middleScore === null ? null : { score: round(middleScore), label: labelScore(middleScore) },
+    closing: { score: round(closingScore), label: closing },
+    trend,
+    description,
+    // More opinionated utterances make the overall label more reliable
+    confidence: Math.round(Math.min(0.9, 0.3 + opinionated.length * 0.05) * 100) / 100
+  };
+}
+
+module.exports = {
+  scoreUtterance,
+  labelScore,
+  buildSentimentTimeline,
+  summarizeSentimentTrajectory
+};
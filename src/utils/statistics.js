@@ -0,0 +1,209 @@
+/**
+ * Descriptive statistics and significance tests used to compare groups of sales calls
+ */
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Samples
+ * @returns {number|null} Mean, or null for an empty sample
+ */
+function mean(values) {
+  if (!values || values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample variance (n - 1 denominator)
+ * @param {Array<number>} values - Samples
+ * @returns {number|null} Variance, or null with fewer than two samples
+ */
+function variance(values) {
+  if (!values || values.length < 2) {
+    return null;
+  }
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, max error 1.5e-7)
+ */
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const absX = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * absX);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-absX * absX);
+  return sign * y;
+}
+
+/**
+ * Standard normal cumulative distribution function
+ */
+function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log(2.5066282746310007 * series / x);
+}
+
+/**
+ * Continued fraction for the regularized incomplete beta function
+ */
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+
+    let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // Use the symmetry relation where the continued fraction converges faster
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value of Student's t distribution
+ * @param {number} t - Test statistic
+ * @param {number} df - Degrees of freedom
+ */
+function studentTTwoSidedPValue(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Two-proportion z-test (pooled), e.g. for comparing conversion rates
+ * @param {number} successesA - Successes in group A
+ * @param {number} totalA - Sample size of group A
+ * @param {number} successesB - Successes in group B
+ * @param {number} totalB - Sample size of group B
+ * @returns {Object|null} { test, statistic, pValue, difference } or null when not computable
+ */
+function twoProportionZTest(successesA, totalA, successesB, totalB) {
+  if (!totalA || !totalB) {
+    return null;
+  }
+
+  const rateA = successesA / totalA;
+  const rateB = successesB / totalB;
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+  if (standardError === 0) {
+    return null;
+  }
+
+  const statistic = (rateB - rateA) / standardError;
+
+  return {
+    test: 'two_proportion_z',
+    statistic,
+    pValue: 2 * (1 - normalCdf(Math.abs(statistic))),
+    difference: rateB - rateA
+  };
+}
+
+/**
+ * Welch's unequal-variance t-test, e.g. for comparing average scores
+ * @param {Array<number>} samplesA - Group A samples
+ * @param {Array<number>} samplesB - Group B samples
+ * @returns {Object|null} { test, statistic, degreesOfFreedom, pValue, difference } or null when not computable
+ */
+function welchTTest(samplesA, samplesB) {
+  const varianceA = variance(samplesA);
+  const varianceB = variance(samplesB);
+
+  if (varianceA === null || varianceB === null) {
+    return null;
+  }
+
+  const errorA = varianceA / samplesA.length;
+  const errorB = varianceB / samplesB.length;
+  const standardError = Math.sqrt(errorA + errorB);
+
+  if (standardError === 0) {
+    return null;
+  }
+
+  const difference = mean(samplesB) - mean(samplesA);
+  const statistic = difference / standardError;
+  const degreesOfFreedom = (errorA + errorB) ** 2 /
+    (errorA ** 2 / (samplesA.length - 1) + errorB ** 2 / (samplesB.length - 1));
+
+  return {
+    test: 'welch_t',
+    statistic,
+    degreesOfFreedom,
+    pValue: studentTTwoSidedPValue(statistic, degreesOfFreedom),
+    difference
+  };
+}
+
+module.exports = {
+  mean,
+  variance,
+  normalCdf,
+  studentTTwoSidedPValue,
+  twoProportionZTest,
+  welchTTest
+};
@@ -0,0 +1,246 @@
+/**
+ * Transcript file formats
+ *
+ * Recognizes SubRip (SRT), WebVTT and Otter JSON exports and turns subtitle cues into
+ * segments of { speaker, start, end, text }. Otter's plain-text export is parsed by
+ * transcriptParser, which uses this module for everything else.
+ */
+
+const TRANSCRIPT_FORMATS = ['otter_text', 'srt', 'vtt', 'otter_json', 'plain_text'];
+
+// Browsers often send subtitle files as application/octet-stream
+const TRANSCRIPT_EXTENSIONS = /\.(srt|vtt|json|txt)$/i;
+
+// "00:01:02,500" (SRT) or "01:02.500" / "00:01:02.500" (WebVTT)
+const TIMECODE_PATTERN = /(?:(\d{1,2}):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const CUE_TIMING_PATTERN = new RegExp(`^\\s*(${TIMECODE_PATTERN.source})\\s*-->\\s*(${TIMECODE_PATTERN.source})`);
+
+// "Jane Smith: text", "- Jane: text", ">> JANE: text", "[Jane Smith] text"
+const CUE_SPEAKER_PATTERN = /^(?:>>\s*|-\s*)?(?:\[([^\]\d]{1,40})\]\s*|([A-Za-z][\w.'-]*(?:\s[A-Za-z][\w.'-]*){0,3}):\s+)([\s\S]+)$/;
+
+// Share of cues that must carry a speaker label before labels are trusted
+const MIN_LABELLED_CUE_SHARE = 0.3;
+
+// Consecutive cues of one speaker separated by at most this many seconds form one segment
+const MAX_MERGE_GAP_SECONDS = 2;
+
+const EXTENSION_FORMATS = {
+  '.srt': 'srt',
+  '.vtt': 'vtt',
+  '.json': 'otter_json'
+};
+
+const MIME_FORMATS = {
+  'application/x-subrip': 'srt',
+  'text/srt': 'srt',
+  'text/vtt': 'vtt',
+  'application/json': 'otter_json'
+};
+
+/**
+ * Convert a subtitle timecode to seconds
+ * @param {string} value - "hh:mm:ss,mmm", "hh:mm:ss.mmm" or "mm:ss.mmm"
+ * @returns {number|null} Seconds
+ */
+function parseTimecode(value) {
+  const match = TIMECODE_PATTERN.exec(String(value || ''));
+  if (!match) {
+    return null;
+  }
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  const total = parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10)
+    + parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+  return Math.round(total * 1000) / 1000;
+}
+
+/**
+ * Find the transcript items and speakers list in an Otter JSON export
+ * @param {string|Object|Array} content - JSON text or parsed JSON
+ * @returns {Object|null} { items, speakers }, or null when the content is not an Otter export
+ */
+function extractOtterJson(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (Array.isArray(data)) {
+    return { items: data, speakers: [] };
+  }
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  // Exports wrap the transcript differently depending on where they were downloaded
+  const container = data.transcript && typeof data.transcript === 'object' && !Array.isArray(data.transcript)
+    ? data.transcript
+    : data;
+  const items = ['transcripts', 'segments', 'transcript', 'monologues', 'results']
+    .map(key => container[key])
+    .find(value => Array.isArray(value));
+
+  if (!items) {
+    return null;
+  }
+
+  return {
+    items,
+    speakers: Array.isArray(container.speakers) ? container.speakers : (Array.isArray(data.speakers) ? data.speakers : [])
+  };
+}
+
+/**
+ * Work out the format of a transcript
+ * The content decides; the file name and MIME type only break ties.
+ * @param {string|Object|Array} content - Transcript content
+ * @param {Object} options - { filename, mimetype }
+ * @returns {string} srt, vtt, otter_json or text (Otter or plain text, told apart by transcriptParser)
+ */
+function detectTranscriptFormat(content, options = {}) {
+  if (content && typeof content === 'object') {
+    return 'otter_json';
+  }
+
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  if (/^WEBVTT\b/.test(text)) {
+    return 'vtt';
+  }
+  if ((text.startsWith('{') || text.startsWith('[')) && extractOtterJson(text)) {
+    return 'otter_json';
+  }
+  if (text.split(/\r?\n/).some(line => CUE_TIMING_PATTERN.test(line))) {
+    // WebVTT uses dots before the milliseconds, SRT commas
+    const hinted = formatFromFileHints(options);
+    if (hinted === 'srt' || hinted === 'vtt') {
+      return hinted;
+    }
+    return /-->\s*[\d:]+,\d/.test(text) ? 'srt' : 'vtt';
+  }
+
+  return 'text';
+}
+
+function formatFromFileHints({ filename, mimetype } = {}) {
+  const extension = String(filename || '').toLowerCase().match(/\.[a-z0-9]+$/);
+  return (extension && EXTENSION_FORMATS[extension[0]]) || MIME_FORMATS[String(mimetype || '').toLowerCase()] || null;
+}
+
+/**
+ * Split subtitle text into cues of { start, end, text, voice }
+ */
+function parseCues(text, format) {
+  const blocks = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.trim());
+    const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+
+    // WebVTT header, NOTE, STYLE and REGION blocks have no timing line
+    if (timingIndex < 0) {
+      return;
+    }
+
+    const [start, end] = lines[timingIndex].split('-->').map(parseTimecode);
+    let cueText = lines.slice(timingIndex + 1).join('\n');
+    let voice = null;
+
+    if (format === 'vtt') {
+      const voiceTag = /<v(?:\.[\w.-]+)?\s+([^>]+)>/.exec(cueText);
+      voice = voiceTag ? voiceTag[1].trim() : null;
+    }
+
+    cueText = cueText
+      .replace(/<[^>]+>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (cueText) {
+      cues.push({ start, end, text: cueText, voice });
+    }
+  });
+
+  return cues;
+}
+
+/**
+ * Turn subtitle cues into speaker segments
+ * Speakers come from WebVTT voice tags or "Name:" / "[Name]" prefixes. Unlabelled cues continue
+ * the previous speaker, and consecutive cues of one speaker are merged into one segment.
+ */
+function cuesToSegments(cues) {
+  const labels = cues.map(cue => {
+    if (cue.voice) {
+      return { speaker: cue.voice, text: cue.text };
+    }
+    const prefix = CUE_SPEAKER_PATTERN.exec(cue.text);
+    return prefix ? { speaker: (prefix[1] || prefix[2]).trim(), text: prefix[3].trim() } : null;
+  });
+
+  const labelled = labels.filter(Boolean).length;
+  const useLabels = cues.length > 0 && labelled / cues.length >= MIN_LABELLED_CUE_SHARE;
+
+  const segments = [];
+  let speaker = null;
+
+  cues.forEach((cue, index) => {
+    const label = useLabels ? labels[index] : null;
+    if (label) {
+      speaker = label.speaker;
+    }
+    const text = label ? label.text : cue.text;
+    const previous = segments[segments.length - 1];
+
+    if (previous && speaker && previous.speaker === speaker &&
+        (previous.end === null || cue.start === null || cue.start - previous.end <= MAX_MERGE_GAP_SECONDS)) {
+      previous.text = `${previous.text} ${text}`;
+      previous.end = cue.end ?? previous.end;
+      return;
+    }
+
+    segments.push({ speaker: useLabels ? speaker : null, start: cue.start, end: cue.end, text });
+  });
+
+  return segments;
+}
+
+/**
+ * Parse a SubRip (.srt) transcript
+ * @param {string} text - SRT content
+ * @returns {Array<Object>} Segments { speaker, start, end, text }; speaker is null without labels
+ */
+function parseSrt(text) {
+  return cuesToSegments(parseCues(text, 'srt'));
+}
+
+/**
+ * Parse a WebVTT (.vtt) transcript
+ * @param {string} text - WebVTT content
+ * @returns {Array<Object>} Segments { speaker, start, end, text }; speaker is null without labels
+ */
+function parseVtt(text) {
+  return cuesToSegments(parseCues(text, 'vtt'));
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  TRANSCRIPT_EXTENSIONS,
+  parseTimecode,
+  extractOtterJson,
+  detectTranscriptFormat,
+  parseSrt,
+  parseVtt
+};
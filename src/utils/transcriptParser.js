@@ -0,0 +1,415 @@
+/**
+ * Speaker-aware transcript parsing
+ *
+ * Transcripts arrive as Otter-style text blocks ("Speaker Name  0:12" followed by the
+ * utterance), as structured segments with a separate speakers list (OtterAI API, Otter JSON
+ * export) or as SRT / WebVTT subtitles. All are turned into segments of
+ * { speaker, start, end, text } and mapped to the sales rep and the customer.
+ */
+
+const {
+  TRANSCRIPT_FORMATS,
+  detectTranscriptFormat,
+  extractOtterJson,
+  parseSrt,
+  parseVtt
+} = require('./transcriptFormats');
+
+// "Jane Smith  0:12", "Speaker 1  1:02:33" (Otter separates name and time with two spaces)
+const OTTER_HEADER_PATTERN = /^(.{1,80}?)\s{2,}(\d{1,2}:\d{2}(?::\d{2})?)\s*$/;
+// Same header with a single space, only accepted when every header in the text looks like this
+const LOOSE_HEADER_PATTERN = /^([^\d:][^:]{0,79}?)\s(\d{1,2}:\d{2}(?::\d{2})?)\s*$/;
+
+const ROLE_REP = 'sales_representative';
+const ROLE_CUSTOMER = 'customer';
+const ROLE_UNKNOWN = 'unknown';
+
+/**
+ * Convert "m:ss" or "h:mm:ss" to seconds
+ * @param {string} value - Timestamp
+ * @returns {number|null} Seconds
+ */
+function parseTimestamp(value) {
+  if (typeof value !== 'string' || !/^\d{1,2}(:\d{2}){1,2}$/.test(value.trim())) {
+    return null;
+  }
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Parse Otter's exported text format into segments
+ * @param {string} text - Transcript text
+ * @returns {Array<Object>} Segments { speaker, start, end, text }; empty when the text has no speaker headers
+ */
+function parseOtterText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return [];
+  }
+
+  const lines = text.split(/\r?\n/);
+  const strictHeaders = lines.filter(line => OTTER_HEADER_PATTERN.test(line.trim())).length;
+  const headerPattern = strictHeaders > 0 ? OTTER_HEADER_PATTERN : LOOSE_HEADER_PATTERN;
+
+  const segments = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const header = headerPattern.exec(line.trim());
+    if (header) {
+      current = { speaker: header[1].trim(), start: parseTimestamp(header[2]), end: null, lines: [] };
+      segments.push(current);
+      return;
+    }
+    if (current && line.trim()) {
+      current.lines.push(line.trim());
+    }
+  });
+
+  // Each segment ends where the next one starts
+  return segments
+    .map((segment, index) => ({
+      speaker: segment.speaker,
+      start: segment.start,
+      end: segments[index + 1] ? segments[index + 1].start : null,
+      text: segment.lines.join(' ')
+    }))
+    .filter(segment => segment.text);
+}
+
+/**
+ * Normalize structured transcript data from the OtterAI API
+ * @param {Array<Object>} items - Transcript items ({ speaker|speaker_id|speaker_name, start|start_offset, end|end_offset, text|transcript })
+ * @param {Array<Object>} speakers - Speakers list ({ id|speaker_id, name|speaker_name })
+ * @returns {Array<Object>} Segments { speaker, start, end, text }
+ */
+function parseStructuredTranscript(items, speakers = []) {
+  const speakerNames = new Map();
+  (Array.isArray(speakers) ? speakers : []).forEach(speaker => {
+    if (!speaker || typeof speaker !== 'object') return;
+    const id = speaker.id ?? speaker.speaker_id;
+    const name = speaker.name || speaker.speaker_name || speaker.label;
+    if (id !== undefined && name) speakerNames.set(String(id), name);
+  });
+
+  // start_offset / end_offset are milliseconds, start / end are seconds
+  const toSeconds = (item, field) => {
+    if (item[field] !== undefined && item[field] !== null) return Number(item[field]);
+    if (item[`${field}_offset`] !== undefined && item[`${field}_offset`] !== null) return Number(item[`${field}_offset`]) / 1000;
+    return null;
+  };
+
+  return items
+    .filter(item => item && typeof item === 'object')
+    .map(item => {
+      const speakerId = item.speaker_id ?? item.speaker;
+      // Numeric IDs without a speakers entry become "Speaker 2"; string labels are already names
+      const unlisted = typeof speakerId === 'string' && !/^\d+$/.test(speakerId) ? speakerId : `Speaker ${speakerId}`;
+      const speaker = item.speaker_name
+        || (speakerId !== undefined && speakerId !== null ? speakerNames.get(String(speakerId)) || unlisted : null);
+
+      return {
+        speaker,
+        start: toSeconds(item, 'start'),
+        end: toSeconds(item, 'end'),
+        text: String(item.text || item.transcript || '').trim()
+      };
+    })
+    .filter(segment => segment.text);
+}
+
+/**
+ * Parse a transcript in any supported format
+ * @param {string|Object|Array<Object>} content - Otter text, SRT, WebVTT, Otter JSON (text or parsed) or structured items
+ * @param {Object} options - { speakers, filename, mimetype }; the file hints only break format ties
+ * @returns {Object} { format, segments } with format one of TRANSCRIPT_FORMATS; speaker is null when unknown
+ */
+function parseTranscriptContent(content, options = {}) {
+  if (Array.isArray(content)) {
+    return { format: 'otter_json', segments: parseStructuredTranscript(content, options.speakers) };
+  }
+
+  const format = detectTranscriptFormat(content, options);
+
+  if (format === 'srt') {
+    return { format, segments: parseSrt(content) };
+  }
+  if (format === 'vtt') {
+    return { format, segments: parseVtt(content) };
+  }
+  if (format === 'otter_json') {
+    const { items, speakers } = extractOtterJson(content) || { items: [], speakers: [] };
+    const listed = Array.isArray(options.speakers) && options.speakers.length > 0 ? options.speakers : speakers;
+    return { format, segments: parseStructuredTranscript(items, listed) };
+  }
+
+  const segments = parseOtterText(content);
+  return { format: segments.length > 0 ? 'otter_text' : 'plain_text', segments };
+}
+
+/**
+ * Turn any supported transcript shape into speaker segments
+ * @param {string|Object|Array<Object>} transcript - See parseTranscriptContent
+ * @param {Array<Object>} speakers - Speakers list from the OtterAI API
+ * @returns {Array<Object>} Segments; empty when the transcript is plain text
+ */
+function parseTranscript(transcript, speakers = []) {
+  return parseTranscriptContent(transcript, { speakers }).segments;
+}
+
+/**
+ * Format seconds as Otter does: "m:ss", or "h:mm:ss" past the hour
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Render segments as Otter's text export, the form transcripts are stored in
+ * Segments without a speaker are written as plain paragraphs.
+ * @param {Array<Object>} segments - Segments { speaker, start, end, text }
+ * @returns {string} Transcript text
+ */
+function formatTranscriptText(segments) {
+  const labelled = (segments || []).some(segment => segment.speaker);
+
+  return (segments || [])
+    .map(segment => (labelled
+      ? `${segment.speaker || 'Unknown Speaker'}  ${formatTimestamp(segment.start)}\n${segment.text}`
+      : segment.text))
+    .join('\n\n');
+}
+
+/**
+ * Normalize a transcript from any source into segments and storable text
+ * Otter and plain text are kept as they are; other formats are rendered as Otter text so every
+ * stored transcript can be re-parsed the same way.
+ * @param {string|Object|Array<Object>} content - Transcript in any supported format
+ * @param {Object} options - { speakers, filename, mimetype }
+ * @returns {Object} { format, segments, text }
+ */
+function normalizeTranscript(content, options = {}) {
+  const { format, segments } = parseTranscriptContent(content, options);
+  const keepText = typeof content === 'string' && (format === 'otter_text' || format === 'plain_text');
+
+  return {
+    format,
+    segments,
+    text: keepText ? content.trim() : formatTranscriptText(segments)
+  };
+}
+
+/**
+ * Lower-case name tokens without punctuation
+ */
+function nameTokens(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * How well a speaker label matches a person
+ * @param {string} label - Speaker label from the transcript
+ * @param {Object} person - { names: [], email }
+ * @returns {number} 0 (no match) to 1 (full name match)
+ */
+function matchScore(label, person) {
+  const labelTokens = nameTokens(label);
+  if (labelTokens.length === 0 || !person) {
+    return 0;
+  }
+
+  let best = 0;
+  (person.names || []).forEach(name => {
+    const tokens = nameTokens(name);
+    if (tokens.length === 0) return;
+
+    if (tokens.join(' ') === labelTokens.join(' ')) {
+      best = Math.max(best, 1);
+    } else if (tokens.every(token => labelTokens.includes(token))) {
+      best = Math.max(best, 0.9);
+    } else if (labelTokens.includes(tokens[0])) {
+      // First name only, e.g. "Mike" for "Mike Jones"
+      best = Math.max(best, 0.7);
+    } else if (tokens.length > 1 && labelTokens.includes(tokens[tokens.length - 1])) {
+      best = Math.max(best, 0.5);
+    }
+  });
+
+  const emailName = nameTokens(String(person.email || '').split('@')[0].replace(/[._-]/g, ' '));
+  if (emailName.length > 0 && labelTokens.some(token => token.length >= 3 && emailName.includes(token))) {
+    best = Math.max(best, 0.6);
+  }
+
+  return best;
+}
+
+/**
+ * Word count of a text
+ */
+function countWords(text) {
+  return (String(text || '').match(/\S+/g) || []).length;
+}
+
+/**
+ * Map transcript speakers to the sales rep and the customer
+ * Speakers are matched by name against the rep's user record and the customer name. When no
+ * name matches, the speaker who talks the most is taken to be the rep, since in-home
+ * presentations are rep-led.
+ * @param {Array<Object>} segments - Parsed segments
+ * @param {Object} participants - { salesRepresentative: { names, email }, customer: { names, email } }
+ * @returns {Object} { roles: { speaker: role }, method, confidence }
+ */
+function assignSpeakerRoles(segments, participants = {}) {
+  const speakers = [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+  const roles = {};
+
+  if (speakers.length === 0) {
+    return { roles, method: null, confidence: 0 };
+  }
+
+  const wordsBySpeaker = speakers.reduce((counts, speaker) => {
+    counts[speaker] = segments
+      .filter(segment => segment.speaker === speaker)
+      .reduce((sum, segment) => sum + countWords(segment.text), 0);
+    return counts;
+  }, {});
+
+  const scores = speakers.map(speaker => ({
+    speaker,
+    rep: matchScore(speaker, participants.salesRepresentative),
+    customer: matchScore(speaker, participants.customer)
+  }));
+
+  const repCandidate = scores
+    .filter(score => score.rep > 0 && score.rep >= score.customer)
+    .sort((a, b) => b.rep - a.rep)[0];
+
+  let repSpeaker;
+  let method;
+  let confidence;
+
+  if (repCandidate) {
+    repSpeaker = repCandidate.speaker;
+    method = 'name_match';
+    confidence = repCandidate.rep;
+  } else {
+    // The customer may be identified even when the rep is not
+    const customerSpeakers = scores.filter(score => score.customer > 0).map(score => score.speaker);
+    const remaining = speakers.filter(speaker => !customerSpeakers.includes(speaker));
+    const candidates = remaining.length > 0 ? remaining : speakers;
+
+    repSpeaker = candidates.reduce((top, speaker) => (wordsBySpeaker[speaker] > wordsBySpeaker[top] ? speaker : top));
+    method = customerSpeakers.length > 0 ? 'customer_name_match' : 'talk_time';
+    confidence = customerSpeakers.length > 0 ? 0.7 : 0.4;
+  }
+
+  speakers.forEach(speaker => {
+    roles[speaker] = speaker === repSpeaker ? ROLE_REP : ROLE_CUSTOMER;
+  });
+
+  if (speakers.length === 1) {
+    method = method === 'name_match' ? method : 'single_speaker';
+    confidence = Math.min(confidence, 0.3);
+  }
+
+  return { roles, method, confidence };
+}
+
+/**
+ * Split a transcript into the segments stored for a call
+ * Transcripts without speakers or timestamps are split into paragraphs, so every transcript
+ * can be paged through and referenced segment by segment.
+ * @param {string|Object|Array<Object>} transcript - Transcript in any supported format
+ * @param {Array<Object>} speakers - Speakers list from the OtterAI API
+ * @returns {Array<Object>} Segments { speaker, start, end, text }
+ */
+function segmentTranscript(transcript, speakers = []) {
+  const segments = parseTranscript(transcript, speakers);
+  if (segments.length > 0 || typeof transcript !== 'string') {
+    return segments;
+  }
+
+  return transcript
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(text => ({ speaker: null, start: null, end: null, text }));
+}
+
+/**
+ * Split a transcript into rep-only and customer-only text
+ * @param {string|Object|Array<Object>} transcript - Transcript in any supported format (see parseTranscriptContent)
+ * @param {Array<Object>} speakers - Speakers list from the OtterAI API
+ * @param {Object} participants - See assignSpeakerRoles
+ * @returns {Object} { salesRepSpeech, customerSpeech, segments, speakers, method, confidence, separated }
+ */
+function separateSpeakers(transcript, speakers = [], participants = {}) {
+  const segments = parseTranscript(transcript, speakers);
+
+  if (!segments.some(segment => segment.speaker)) {
+    // No speaker information: both sides fall back to the full text
+    const text = segments.length > 0 || typeof transcript !== 'string'
+      ? segments.map(segment => segment.text).join(' ')
+      : transcript;
+
+    return {
+      salesRepSpeech: text,
+      customerSpeech: text,
+      segments: [],
+      speakers: [],
+      method: 'unseparated',
+      confidence: 0,
+      separated: false
+    };
+  }
+
+  const { roles, method, confidence } = assignSpeakerRoles(segments, participants);
+  // index is the segment's position in the transcript, which persisted segments are keyed by
+  const labelled = segments.map((segment, index) => ({ ...segment, index, role: roles[segment.speaker] || ROLE_UNKNOWN }));
+  const textFor = (role) => labelled.filter(segment => segment.role === role).map(segment => segment.text).join('\n');
+
+  const speakerSummaries = Object.keys(roles).map(speaker => {
+    const own = labelled.filter(segment => segment.speaker === speaker);
+    return {
+      speaker,
+      role: roles[speaker],
+      segments: own.length,
+      words: own.reduce((sum, segment) => sum + countWords(segment.text), 0)
+    };
+  });
+
+  return {
+    salesRepSpeech: textFor(ROLE_REP),
+    customerSpeech: textFor(ROLE_CUSTOMER),
+    segments: labelled,
+    speakers: speakerSummaries,
+    method,
+    confidence,
+    separated: true
+  };
+}
+
+module.exports = {
+  ROLE_REP,
+  ROLE_CUSTOMER,
+  ROLE_UNKNOWN,
+  parseTimestamp,
+  parseOtterText,
+  parseStructuredTranscript,
+  parseTranscriptContent,
+  parseTranscript,
+  formatTranscriptText,
+  normalizeTranscript,
+  segmentTranscript,
+  TRANSCRIPT_FORMATS,
+  assignSpeakerRoles,
+  separateSpeakers,
+  countWords
+};
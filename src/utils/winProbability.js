@@ -0,0 +1,273 @@
+/**
+ * Win probability model
+ *
+ * A logistic regression trained per organization on its analyzed calls with a final outcome.
+ * Features come from the stored analysis (talk metrics, script compliance, sentiment,
+ * objections, duration) and are standardized with the training set's means and deviations;
+ * missing values count as the training mean. Training is plain batch gradient descent with
+ * L2 regularization, so models stay small enough to store as JSON.
+ */
+
+const SENTIMENT_VALUES = { positive: 1, neutral: 0.5, negative: 0 };
+
+const WIN_PROBABILITY_FEATURES = [
+  { key: 'repTalkShare', label: 'Rep talk share', extract: (call) => call.conversation_metrics?.repTalkShare },
+  { key: 'questionsAsked', label: 'Questions asked by the rep', extract: (call) => call.conversation_metrics?.questionsAsked },
+  { key: 'customerQuestions', label: 'Questions asked by the customer', extract: (call) => call.conversation_metrics?.customerQuestions },
+  {
+    key: 'longestMonologueMinutes',
+    label: 'Longest rep monologue (minutes)',
+    extract: (call) => divide(call.conversation_metrics?.longestRepMonologueSeconds, 60)
+  },
+  { key: 'repInterruptions', label: 'Rep interruptions', extract: (call) => call.conversation_metrics?.repInterruptions },
+  { key: 'scriptCompliance', label: 'Script compliance', extract: (call) => call.script_compliance },
+  { key: 'customerSentiment', label: 'Customer sentiment', extract: (call) => SENTIMENT_VALUES[call.customer_sentiment] },
+  { key: 'objections', label: 'Objections raised', extract: (call) => (Array.isArray(call.objections_handled) ? call.objections_handled.length : null) },
+  {
+    key: 'objectionsHandledShare',
+    label: 'Share of objections handled',
+    extract: (call) => {
+      const objections = Array.isArray(call.objections_handled) ? call.objections_handled : [];
+      return objections.length > 0 ? objections.filter(objection => objection.handled).length / objections.length : null;
+    }
+  },
+  { key: 'durationMinutes', label: 'Call duration (minutes)', extract: (call) => divide(call.duration, 60) }
+];
+
+const DEFAULT_TRAINING_OPTIONS = {
+  iterations: 500,
+  learningRate: 0.1,
+  // L2 penalty; keeps weights small on the few hundred calls a typical organization has
+  regularization: 0.1,
+  // Share of calls held out to measure accuracy before the final model is trained on all calls
+  holdoutShare: 0.2,
+  seed: 42
+};
+
+// Factors reported with a prediction
+const MAX_FACTORS = 3;
+
+function divide(value, by) {
+  return value === null || value === undefined ? null : Number(value) / by;
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+/**
+ * Feature values of a sales call
+ * @param {Object} salesCall - SalesCall instance or plain object with the analysis columns
+ * @returns {Object} { [featureKey]: number|null }
+ */
+function extractFeatures(salesCall) {
+  const call = typeof salesCall?.get === 'function' ? salesCall.get({ plain: true }) : (salesCall || {});
+
+  return WIN_PROBABILITY_FEATURES.reduce((features, feature) => {
+    const value = feature.extract(call);
+    const number = value === null || value === undefined ? null : Number(value);
+    return { ...features, [feature.key]: Number.isFinite(number) ? number : null };
+  }, {});
+}
+
+/**
+ * Means and standard deviations of each feature, ignoring missing values
+ */
+function computeScaling(rows) {
+  const means = {};
+  const stds = {};
+
+  WIN_PROBABILITY_FEATURES.forEach(({ key }) => {
+    const values = rows.map(row => row.features[key]).filter(value => value !== null);
+    const mean = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    const variance = values.length > 1
+      ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1)
+      : 0;
+    means[key] = round(mean, 6);
+    // Constant features get a deviation of 1 so they standardize to 0 rather than dividing by zero
+    stds[key] = round(Math.sqrt(variance), 6) || 1;
+  });
+
+  return { means, stds };
+}
+
+function standardize(features, scaling) {
+  return WIN_PROBABILITY_FEATURES.map(({ key }) => {
+    const value = features[key];
+    return value === null || value === undefined ? 0 : (value - scaling.means[key]) / scaling.stds[key];
+  });
+}
+
+function fitLogisticRegression(rows, options) {
+  const scaling = computeScaling(rows);
+  const samples = rows.map(row => ({ x: standardize(row.features, scaling), y: row.won ? 1 : 0 }));
+  const weights = new Array(WIN_PROBABILITY_FEATURES.length).fill(0);
+
+  // Starting from the base rate makes the intercept converge in a few steps
+  const positives = samples.filter(sample => sample.y === 1).length;
+  let intercept = Math.log((positives + 0.5) / (samples.length - positives + 0.5));
+
+  for (let iteration = 0; iteration < options.iterations; iteration++) {
+    const gradient = new Array(weights.length).fill(0);
+    let interceptGradient = 0;
+
+    samples.forEach(({ x, y }) => {
+      const error = sigmoid(intercept + x.reduce((sum, value, index) => sum + value * weights[index], 0)) - y;
+      interceptGradient += error;
+      x.forEach((value, index) => { gradient[index] += error * value; });
+    });
+
+    intercept -= options.learningRate * interceptGradient / samples.length;
+    weights.forEach((weight, index) => {
+      weights[index] -= options.learningRate * (gradient[index] / samples.length + options.regularization * weight / samples.length);
+    });
+  }
+
+  return {
+    intercept: round(intercept, 6),
+    weights: WIN_PROBABILITY_FEATURES.reduce((result, { key }, index) => ({ ...result, [key]: round(weights[index], 6) }), {}),
+    means: scaling.means,
+    stds: scaling.stds
+  };
+}
+
+/**
+ * Win probability of a call under a trained model
+ * @param {Object} coefficients - { intercept, weights, means, stds } from trainWinProbabilityModel
+ * @param {Object} features - Result of extractFeatures
+ * @returns {Object} { probability, factors: [{ feature, label, value, impact }] } where impact is the
+ *          feature's contribution to the log-odds (positive raises the probability)
+ */
+function predictWinProbability(coefficients, features) {
+  const x = standardize(features, coefficients);
+  const contributions = WIN_PROBABILITY_FEATURES.map((feature, index) => ({
+    feature: feature.key,
+    label: feature.label,
+    value: features[feature.key],
+    impact: round((coefficients.weights[feature.key] || 0) * x[index])
+  }));
+  const logOdds = coefficients.intercept + contributions.reduce((sum, contribution) => sum + contribution.impact, 0);
+
+  return {
+    probability: round(sigmoid(logOdds)),
+    factors: contributions
+      .filter(contribution => contribution.value !== null && contribution.impact !== 0)
+      .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact))
+      .slice(0, MAX_FACTORS)
+  };
+}
+
+/**
+ * Area under the ROC curve (probability a random win is ranked above a random loss)
+ */
+function areaUnderCurve(predictions) {
+  const wins = predictions.filter(prediction => prediction.won);
+  const losses = predictions.filter(prediction => !prediction.won);
+  if (wins.length === 0 || losses.length === 0) {
+    return null;
+  }
+
+  let ranked = 0;
+  wins.forEach(win => losses.forEach(loss => {
+    if (win.probability > loss.probability) ranked += 1;
+    else if (win.probability === loss.probability) ranked += 0.5;
+  }));
+  return round(ranked / (wins.length * losses.length));
+}
+
+/**
+ * Accuracy metrics of predicted probabilities against actual outcomes
+ * @param {Array<Object>} predictions - { probability, won }
+ * @returns {Object} { samples, accuracy, baselineAccuracy, precision, recall, auc, brierScore, logLoss }
+ */
+function evaluatePredictions(predictions) {
+  if (predictions.length === 0) {
+    return { samples: 0, accuracy: null, baselineAccuracy: null, precision: null, recall: null, auc: null, brierScore: null, logLoss: null };
+  }
+
+  const predictedWins = predictions.filter(prediction => prediction.probability >= 0.5);
+  const truePositives = predictedWins.filter(prediction => prediction.won).length;
+  const actualWins = predictions.filter(prediction => prediction.won).length;
+  const correct = predictions.filter(prediction => (prediction.probability >= 0.5) === prediction.won).length;
+  const clamp = (probability) => Math.min(Math.max(probability, 1e-6), 1 - 1e-6);
+
+  return {
+    samples: predictions.length,
+    accuracy: round(correct / predictions.length),
+    // Accuracy of always predicting the more common outcome, for comparison
+    baselineAccuracy: round(Math.max(actualWins, predictions.length - actualWins) / predictions.length),
+    precision: predictedWins.length > 0 ? round(truePositives / predictedWins.length) : null,
+    recall: actualWins > 0 ? round(truePositives / actualWins) : null,
+    auc: areaUnderCurve(predictions),
+    brierScore: round(predictions.reduce((sum, { probability, won }) => sum + (probability - (won ? 1 : 0)) ** 2, 0) / predictions.length),
+    logLoss: round(-predictions.reduce((sum, { probability, won }) => sum + Math.log(won ? clamp(probability) : 1 - clamp(probability)), 0) / predictions.length)
+  };
+}
+
+/**
+ * Deterministic shuffle so retraining on the same calls gives the same split
+ */
+function shuffle(items, seed) {
+  const shuffled = [...items];
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  for (let index = shuffled.length - 1; index > 0; index--) {
+    const swap = Math.floor(random() * (index + 1));
+    [shuffled[index], shuffled[swap]] = [shuffled[swap], shuffled[index]];
+  }
+  return shuffled;
+}
+
+/**
+ * Train a win probability model
+ * Accuracy is measured on a held-out share of the calls, stratified by outcome; the returned
+ * model is then trained on all calls.
+ * @param {Array<Object>} rows - Training calls { features, won }
+ * @param {Object} options - Overrides of DEFAULT_TRAINING_OPTIONS
+ * @returns {Object} { coefficients, metrics: { training, holdout }, samples, positives }
+ */
+function trainWinProbabilityModel(rows, options = {}) {
+  const settings = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+  const byOutcome = [true, false].map(won => shuffle(rows.filter(row => row.won === won), settings.seed));
+  const holdout = byOutcome.flatMap(group => group.slice(0, Math.round(group.length * settings.holdoutShare)));
+  const training = byOutcome.flatMap(group => group.slice(Math.round(group.length * settings.holdoutShare)));
+
+  const evaluationModel = fitLogisticRegression(training, settings);
+  const holdoutMetrics = evaluatePredictions(holdout.map(row => ({
+    probability: predictWinProbability(evaluationModel, row.features).probability,
+    won: row.won
+  })));
+
+  const coefficients = fitLogisticRegression(rows, settings);
+  const trainingMetrics = evaluatePredictions(rows.map(row => ({
+    probability: predictWinProbability(coefficients, row.features).probability,
+    won: row.won
+  })));
+
+  return {
+    coefficients,
+    metrics: { training: trainingMetrics, holdout: holdoutMetrics },
+    samples: rows.length,
+    positives: rows.filter(row => row.won).length
+  };
+}
+
+module.exports = {
+  WIN_PROBABILITY_FEATURES,
+  extractFeatures,
+  predictWinProbability,
+  evaluatePredictions,
+  trainWinProbabilityModel
+};
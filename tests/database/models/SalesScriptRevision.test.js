@@ -0,0 +1,62 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('../../helpers/database');
+
+const { sequelize, models } = createTestDatabase();
+
+const ORGANIZATION_ID = '11111111-1111-4111-8111-111111111111';
+const SCRIPT_ID = '55555555-5555-4555-8555-555555555555';
+
+describe('SalesScriptRevision.record', () => {
+  let script;
+  let calls;
+  let transaction;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    calls = [];
+    transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    script = models.SalesScript.build({
+      id: SCRIPT_ID,
+      organization_id: ORGANIZATION_ID,
+      name: 'Discovery',
+      content: 'Ask about budget',
+      is_active: true
+    });
+
+    mock.method(models.SalesScript, 'findByPk', async (id, options) => {
+      calls.push(['lock', id, options]);
+      return { id };
+    });
+    mock.method(models.SalesScriptRevision, 'findLatest', async () => {
+      calls.push(['findLatest']);
+      return { revision_number: 3, snapshot: { ...script.toSnapshot(), name: 'Intro' } };
+    });
+    mock.method(models.SalesScriptRevision, 'create', async (values, options) => {
+      calls.push(['create', values, options]);
+      return values;
+    });
+  });
+
+  it('locks the script row before numbering the revision', async () => {
+    const revision = await models.SalesScriptRevision.record(script, { transaction });
+
+    assert.deepEqual(calls.map(([step]) => step), ['lock', 'findLatest', 'create']);
+    const [, id, lockOptions] = calls[0];
+    assert.equal(id, SCRIPT_ID);
+    assert.equal(lockOptions.lock, 'UPDATE');
+    assert.equal(lockOptions.transaction, transaction);
+    assert.equal(revision.revision_number, 4);
+    assert.deepEqual(Object.keys(revision.diff), ['name']);
+  });
+
+  it('opens a transaction to hold the lock when none is given', async () => {
+    mock.method(sequelize, 'transaction', async (callback) => callback(transaction));
+
+    await models.SalesScriptRevision.record(script, { action: 'activated' });
+
+    assert.equal(sequelize.transaction.mock.callCount(), 1);
+    assert.equal(calls[0][2].transaction, transaction);
+    assert.equal(calls[2][2].transaction, transaction);
+  });
+});
@@ -0,0 +1,63 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { mock } = require('node:test');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * Express app serving one router, the way server.js mounts it
+ */
+function createTestApp(basePath, router) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(basePath, router);
+  return app;
+}
+
+/**
+ * Authorization header for a user that authenticateToken will load from the stubbed User model
+ * @param {Object} models - Test database models
+ * @param {Object} user - User fields (id, role, organization_id, ...)
+ * @returns {Object} Request headers
+ */
+function signIn(models, user) {
+  const record = {
+    status: 'active',
+    organization: null,
+    ...user,
+    update: async () => record
+  };
+  mock.method(models.User, 'findByPk', async () => record);
+
+  return { authorization: `Bearer ${jwt.sign({ userId: record.id }, process.env.JWT_SECRET)}` };
+}
+
+/**
+ * Send one request to the app on an ephemeral port
+ * @param {Object} app - Express app
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with query string
+ * @param {Object} options - { body, headers }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(app, method, path, options = {}) {
+  const server = app.listen(0);
+  try {
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...options.headers },
+      body: options.body === undefined ? undefined : JSON.stringify(options.body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+module.exports = {
+  createTestApp,
+  signIn,
+  request
+};
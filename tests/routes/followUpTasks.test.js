@@ -0,0 +1,45 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('../helpers/database');
+const { createTestApp, signIn, request } = require('../helpers/app');
+
+const { models } = createTestDatabase();
+const followUpTasksRouter = require('../../src/routes/followUpTasks');
+
+const app = createTestApp('/api/v1/follow-up-tasks', followUpTasksRouter);
+const ORGANIZATION_ID = '11111111-1111-4111-8111-111111111111';
+const MANAGER = { id: '22222222-2222-4222-8222-222222222222', role: 'sales_manager', organization_id: ORGANIZATION_ID };
+const REP = { id: '66666666-6666-4666-8666-666666666666', role: 'sales_representative', organization_id: ORGANIZATION_ID };
+
+describe('GET /api/v1/follow-up-tasks', () => {
+  let findAndCountAll;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    findAndCountAll = mock.method(models.FollowUpTask, 'findAndCountAll', async () => ({ rows: [], count: 0 }));
+  });
+
+  const whereOfLastQuery = () => findAndCountAll.mock.calls[0].arguments[0].where;
+
+  it('lists unassigned tasks for managers', async () => {
+    const response = await request(app, 'GET', '/api/v1/follow-up-tasks?unassigned=true', { headers: signIn(models, MANAGER) });
+
+    assert.equal(response.status, 200);
+    assert.equal(whereOfLastQuery().assigned_to, null);
+    assert.ok('assigned_to' in whereOfLastQuery());
+  });
+
+  it('keeps sales representatives to their own tasks', async () => {
+    const response = await request(app, 'GET', '/api/v1/follow-up-tasks?unassigned=true', { headers: signIn(models, REP) });
+
+    assert.equal(response.status, 200);
+    assert.equal(whereOfLastQuery().assigned_to, REP.id);
+  });
+
+  it('rejects a malformed unassigned flag', async () => {
+    const response = await request(app, 'GET', '/api/v1/follow-up-tasks?unassigned=maybe', { headers: signIn(models, MANAGER) });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const { createTestDatabase } = require('../helpers/database');
+const { createTestApp, signIn, request } = require('../helpers/app');
+
+const { models } = createTestDatabase();
+const salesCallsRouter = require('../../src/routes/salesCalls');
+
+const app = createTestApp('/api/v1/sales-calls', salesCallsRouter);
+const TRACKER_ID = '44444444-4444-4444-8444-444444444444';
+const USER = { id: '22222222-2222-4222-8222-222222222222', role: 'sales_manager', organization_id: '11111111-1111-4111-8111-111111111111' };
+
+describe('GET /api/v1/sales-calls', () => {
+  let headers;
+  let findAndCountAll;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    headers = signIn(models, USER);
+    findAndCountAll = mock.method(models.SalesCall, 'findAndCountAll', async () => ({ rows: [], count: 0 }));
+  });
+
+  it('rejects a tracker ID that is not a UUID', async () => {
+    const response = await request(app, 'GET', '/api/v1/sales-calls?trackerId=abc', { headers });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+    assert.equal(response.body.error.details[0].path, 'trackerId');
+    assert.equal(findAndCountAll.mock.callCount(), 0);
+  });
+
+  it('rejects a minimum hit count below one', async () => {
+    const response = await request(app, 'GET', `/api/v1/sales-calls?trackerId=${TRACKER_ID}&minTrackerHits=0`, { headers });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details[0].path, 'minTrackerHits');
+  });
+
+  it('filters by tracker hits', async () => {
+    const response = await request(app, 'GET', `/api/v1/sales-calls?trackerId=${TRACKER_ID}&minTrackerHits=2`, { headers });
+
+    assert.equal(response.status, 200);
+    const trackerInclude = findAndCountAll.mock.calls[0].arguments[0].include.find(include => include.as === 'trackerHits');
+    assert.equal(trackerInclude.where.keyword_tracker_id, TRACKER_ID);
+    assert.equal(trackerInclude.where.hit_count[Op.gte], 2);
+  });
+});
+
+describe('GET /api/v1/sales-calls/:id/segments', () => {
+  const CALL_ID = '33333333-3333-4333-8333-333333333333';
+  let headers;
+  let findAndCountAll;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    headers = signIn(models, USER);
+    mock.method(models.SalesCall, 'findOne', async () => ({ id: CALL_ID, transcript_format: 'plain' }));
+    findAndCountAll = mock.method(models.TranscriptSegment, 'findAndCountAll', async () => ({ rows: [], count: 0 }));
+  });
+
+  it('matches LIKE wildcards in the search text literally', async () => {
+    const response = await request(app, 'GET', `/api/v1/sales-calls/${CALL_ID}/segments?q=${encodeURIComponent('100%_off\\')}`, { headers });
+
+    assert.equal(response.status, 200);
+    const { where } = findAndCountAll.mock.calls[0].arguments[0];
+    assert.equal(where.text[Op.iLike], '%100\\%\\_off\\\\%');
+  });
+
+  it('rejects search text over the length limit', async () => {
+    const response = await request(app, 'GET', `/api/v1/sales-calls/${CALL_ID}/segments?q=${'a'.repeat(201)}`, { headers });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+    assert.equal(findAndCountAll.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createTestDatabase } = require('../helpers/database');
+const { createTestApp, request } = require('../helpers/app');
+
+const { models } = createTestDatabase();
+const zapierRouter = require('../../src/routes/zapier');
+const otterAIService = require('../../src/services/otterAIService');
+const transcriptIngestionService = require('../../src/services/transcriptIngestionService');
+
+const app = createTestApp('/api/v1/zapier', zapierRouter);
+const ORGANIZATION_ID = '11111111-1111-4111-8111-111111111111';
+const REP_ID = '22222222-2222-4222-8222-222222222222';
+const CALL_ID = '33333333-3333-4333-8333-333333333333';
+const POLICY = { enabled: true, types: ['card_number', 'ssn', 'phone', 'email'] };
+
+const TRANSCRIPT = `Alex Rep  0:02
+Thanks for joining. You can reach me at 415-555-0142.
+
+Sam Customer  0:10
+Sounds good, email me at sam@example.com.`;
+
+describe('POST /api/v1/zapier/actions/otterai-analyze', () => {
+  let created;
+  let savedInputs;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    created = [];
+    savedInputs = [];
+    mock.method(fs, 'existsSync', () => true);
+    mock.method(fs, 'writeFileSync', (file, contents) => savedInputs.push(contents));
+    mock.method(transcriptIngestionService, 'getRedactionPolicy', async () => POLICY);
+    mock.method(otterAIService, 'analyzeTranscriptText', async () => ({}));
+    mock.method(models.SalesCall, 'findOne', async () => null);
+    mock.method(models.SalesCall, 'create', async (values) => {
+      created.push(values);
+      return { id: CALL_ID, ...values };
+    });
+    mock.method(models.User, 'findOne', async () => null);
+  });
+
+  const analyze = (body) => request(app, 'POST', '/api/v1/zapier/actions/otterai-analyze', { body });
+
+  it('makes the Otter account owner the rep of the call when they belong to the organization', async () => {
+    const findOne = mock.method(models.User, 'findOne', async () => ({ id: REP_ID }));
+
+    const response = await analyze({
+      organizationId: ORGANIZATION_ID,
+      transcript: TRANSCRIPT,
+      user_identification: { user_name: 'Alex Rep', user_email: 'alex@example.com' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].where, { organization_id: ORGANIZATION_ID, email: 'alex@example.com', status: 'active' });
+    assert.equal(created[0].sales_representative_id, REP_ID);
+  });
+
+  it('leaves the call without a rep when the owner is not a member', async () => {
+    await analyze({ organizationId: ORGANIZATION_ID, transcript: TRANSCRIPT, user_info: { user_email: 'someone@example.com' } });
+    await analyze({ transcript: TRANSCRIPT, user_info: { user_email: 'alex@example.com' } });
+
+    assert.equal(created[0].sales_representative_id, null);
+    assert.equal(created[1].sales_representative_id, null);
+    assert.equal(models.User.findOne.mock.callCount(), 1);
+  });
+
+  it('stores the transcript and Otter data redacted, and analyzes the new call', async () => {
+    const response = await analyze({
+      data: {
+        'organization id': ORGANIZATION_ID,
+        'meeting id': 'otter-123',
+        transcript: TRANSCRIPT,
+        'sentiment analysis': { 'sentiment category': 'Positive', strengths: 'Rapport, call me at 415-555-0199' },
+        'meeting details': { duration: '00:45:30', summary: 'Sam (sam@example.com) asked for a quote' }
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.salesCallId, CALL_ID);
+    assert.deepEqual(response.body.data.dataReceived.piiRedactions, { card_number: 0, ssn: 0, phone: 1, email: 1 });
+
+    const [call] = created;
+    assert.equal(call.transcript_format, 'otter_text');
+    assert.match(call.transcript_text, /reach me at \[REDACTED_PHONE\]/);
+    assert.match(call.transcript_text, /email me at \[REDACTED_EMAIL\]/);
+    assert.equal(call.analysis_data.meeting_details.summary, 'Sam ([REDACTED_EMAIL]) asked for a quote');
+    assert.deepEqual(call.strengths, ['Rapport', 'call me at [REDACTED_PHONE]']);
+    assert.equal(call.customer_sentiment, 'positive');
+    assert.equal(call.duration, 2730);
+    assert.equal(call.otter_ai_recording_id, 'otter-123');
+
+    assert.equal(savedInputs.length, 1);
+    assert.doesNotMatch(savedInputs[0], /415-555-0142|sam@example\.com/);
+    assert.deepEqual(otterAIService.analyzeTranscriptText.mock.calls[0].arguments, [CALL_ID]);
+  });
+
+  it('normalizes subtitle transcripts to Otter text', async () => {
+    await analyze({
+      organizationId: ORGANIZATION_ID,
+      transcript: '1\n00:00:02,000 --> 00:00:04,000\nAlex Rep: Hello there\n\n2\n00:00:05,000 --> 00:00:06,000\nSam Customer: Hi'
+    });
+
+    assert.equal(created[0].transcript_format, 'srt');
+    assert.equal(created[0].transcript_text, 'Alex Rep  0:02\nHello there\n\nSam Customer  0:05\nHi');
+  });
+
+  it('updates the call matching an Otter meeting ID instead of creating one', async () => {
+    const updates = [];
+    const existing = { id: CALL_ID, sales_representative_id: REP_ID, update: async (values) => updates.push(values) };
+    mock.method(models.SalesCall, 'findOne', async () => existing);
+
+    const response = await analyze({ salesCallId: 'otter-123', transcript: TRANSCRIPT });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(models.SalesCall.findOne.mock.calls[0].arguments[0], { where: { otter_ai_recording_id: 'otter-123' } });
+    assert.equal(created.length, 0);
+    assert.equal(updates[0].sales_representative_id, REP_ID);
+    assert.match(updates[0].transcript_text, /\[REDACTED_PHONE\]/);
+  });
+
+  it('keeps the data as received when the organization turned redaction off', async () => {
+    mock.method(transcriptIngestionService, 'getRedactionPolicy', async () => ({ enabled: false, types: [] }));
+
+    await analyze({ organizationId: ORGANIZATION_ID, transcript: TRANSCRIPT });
+
+    assert.match(created[0].transcript_text, /415-555-0142/);
+  });
+});
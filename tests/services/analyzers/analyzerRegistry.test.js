@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AnalyzerRegistry = require('../../../src/services/analyzers/analyzerRegistry');
+
+const analyzer = (name, inputs, outputs, extra = {}) => ({
+  name,
+  inputs,
+  outputs,
+  analyze: (values) => Object.fromEntries(outputs.map(output => [output, { from: name, values }])),
+  ...extra
+});
+
+describe('AnalyzerRegistry execution order', () => {
+  it('runs analyzers after the analyzers producing their inputs', () => {
+    const registry = new AnalyzerRegistry()
+      .register(analyzer('summary', ['scored', 'separated'], ['summarized']))
+      .register(analyzer('scoring', ['separated'], ['scored']))
+      .register(analyzer('speakers', ['transcript'], ['separated']));
+
+    assert.deepEqual(registry.list().map(entry => entry.name), ['speakers', 'scoring', 'summary']);
+  });
+
+  it('keeps registration order between independent analyzers', () => {
+    const registry = new AnalyzerRegistry()
+      .register(analyzer('b', ['transcript'], ['bOut']))
+      .register(analyzer('a', ['transcript'], ['aOut']));
+
+    assert.deepEqual(registry.list().map(entry => entry.name), ['b', 'a']);
+  });
+
+  it('rejects dependency cycles and outputs produced twice', () => {
+    const registry = new AnalyzerRegistry()
+      .register(analyzer('first', ['second'], ['first']))
+      .register(analyzer('second', ['first'], ['second']));
+
+    assert.throws(() => registry.list(), /dependency cycle: first -> second -> first/);
+    assert.throws(() => registry.register(analyzer('again', [], ['first'])), /already produced by "first"/);
+  });
+
+  it('recomputes the order when analyzers change', () => {
+    const registry = new AnalyzerRegistry().register(analyzer('a', [], ['aOut']));
+    assert.equal(registry.list().length, 1);
+
+    registry.register(analyzer('b', ['aOut'], ['bOut']));
+    assert.deepEqual(registry.list().map(entry => entry.name), ['a', 'b']);
+
+    registry.unregister('a');
+    assert.deepEqual(registry.list().map(entry => entry.name), ['b']);
+  });
+});
+
+describe('AnalyzerRegistry.run', () => {
+  it('passes only declared inputs and keeps only declared outputs', async () => {
+    const registry = new AnalyzerRegistry().register({
+      name: 'echo',
+      inputs: ['transcript'],
+      outputs: ['echoed'],
+      analyze: (values) => ({ echoed: values, undeclared: true })
+    });
+
+    const { results, pipeline } = await registry.run({ transcript: 'Hi', language: 'en' });
+
+    assert.deepEqual(results.echoed, { transcript: 'Hi' });
+    assert.equal(results.undeclared, undefined);
+    assert.equal(pipeline[0].status, 'completed');
+  });
+
+  it('uses the fallback of a failing analyzer so dependents still run', async () => {
+    const registry = new AnalyzerRegistry()
+      .register(analyzer('broken', [], ['base'], {
+        analyze: () => { throw new Error('boom'); },
+        fallback: () => ({ base: 'fallback' })
+      }))
+      .register(analyzer('dependent', ['base'], ['derived']));
+
+    const { results, pipeline } = await registry.run({});
+
+    assert.deepEqual(pipeline.map(entry => [entry.name, entry.status]), [['broken', 'failed'], ['dependent', 'completed']]);
+    assert.equal(pipeline[0].error, 'boom');
+    assert.deepEqual(results.derived.values, { base: 'fallback' });
+  });
+
+  it('skips analyzers whose inputs were not produced and falls back for them', async () => {
+    const registry = new AnalyzerRegistry()
+      .register(analyzer('broken', [], ['base'], { analyze: () => { throw new Error('boom'); } }))
+      .register(analyzer('dependent', ['base'], ['derived'], { fallback: () => ({ derived: null }) }));
+
+    const { results, pipeline } = await registry.run({});
+
+    assert.equal(pipeline[1].status, 'skipped');
+    assert.equal(pipeline[1].error, 'Missing inputs: base');
+    assert.equal(results.derived, null);
+  });
+
+  it('honours organization settings, except for required analyzers', async () => {
+    const registry = new AnalyzerRegistry()
+      .register(analyzer('core', [], ['coreOut'], { required: true }))
+      .register(analyzer('optional', [], ['optionalOut'], { enabledByDefault: false, fallback: () => ({ optionalOut: 'off' }) }))
+      .register(analyzer('tunable', [], ['tunableOut'], { analyze: (values, { options }) => ({ tunableOut: options }) }));
+
+    const settings = { core: { enabled: false }, tunable: { options: { threshold: 2 } } };
+    const { results, pipeline } = await registry.run({}, settings);
+
+    assert.deepEqual(pipeline.map(entry => entry.status), ['completed', 'disabled', 'completed']);
+    assert.equal(results.optionalOut, 'off');
+    assert.deepEqual(results.tunableOut, { threshold: 2 });
+    assert.deepEqual(registry.validateSettings(settings), ['Analyzer "core" is required and cannot be disabled']);
+  });
+
+  it('scores only the analyzers that completed', async () => {
+    const registry = new AnalyzerRegistry()
+      .register(analyzer('good', [], ['goodOut'], { scoreComponents: ['registryTestGood'], score: () => ({ registryTestGood: 1.4 }) }))
+      .register(analyzer('bad', [], ['badOut'], {
+        analyze: () => { throw new Error('boom'); },
+        scoreComponents: ['registryTestBad'],
+        score: () => ({ registryTestBad: 0.5 })
+      }));
+
+    const { results, pipeline } = await registry.run({});
+
+    assert.deepEqual(registry.score(results, pipeline), { registryTestGood: 1, registryTestBad: null });
+  });
+});
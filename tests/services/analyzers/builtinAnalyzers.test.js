@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBuiltinAnalyzers } = require('../../../src/services/analyzers/builtinAnalyzers');
+
+describe('builtin stageSequence analyzer', () => {
+  const analyzerFor = (service) => createBuiltinAnalyzers(service).find(analyzer => analyzer.name === 'stageSequence');
+
+  it('passes the script compliance was scored against', () => {
+    const calls = [];
+    const script = { id: 'script-2' };
+    const analyzer = analyzerFor({ analyzeStageSequence: (...args) => calls.push(args) });
+
+    analyzer.analyze({
+      speakerSeparation: { salesRepSpeech: 'Hello', segments: [] },
+      scriptAnalysis: { scriptId: 'script-2' },
+      salesScripts: [{ id: 'script-1' }, script],
+      duration: 60
+    });
+
+    assert.equal(calls[0][1], script);
+  });
+
+  it('passes null when no script was matched', () => {
+    const calls = [];
+    const analyzer = analyzerFor({ analyzeStageSequence: (...args) => calls.push(args) });
+
+    analyzer.analyze({
+      speakerSeparation: { salesRepSpeech: 'Hello', segments: [] },
+      scriptAnalysis: { scriptId: null },
+      salesScripts: [{ id: 'script-1' }],
+      duration: 60
+    });
+
+    assert.equal(calls[0][1], null);
+  });
+});
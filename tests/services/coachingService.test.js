@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('../helpers/database');
+
+const { models, inserted } = createTestDatabase();
+const coachingService = require('../../src/services/coachingService');
+
+const ORGANIZATION_ID = '11111111-1111-4111-8111-111111111111';
+const REP_ID = '22222222-2222-4222-8222-222222222222';
+const CALL_ID = '33333333-3333-4333-8333-333333333333';
+
+const salesCall = {
+  id: CALL_ID,
+  organization_id: ORGANIZATION_ID,
+  sales_representative_id: REP_ID,
+  organization: { settings: {} }
+};
+
+// An analysis with an unanswered price objection and a skipped stage
+const analysis = {
+  conversationMetrics: null,
+  detailedAnalysis: {
+    scriptAnalysis: { complianceScore: 0.9, stageBreakdown: [], missedTopics: [], forbiddenPhrasesUsed: [] },
+    sequenceAnalysis: { skippedStages: [{ key: 'close', name: 'Close' }], outOfOrderStages: [] },
+    topicAnalysis: { objections: [{ category: 'price', handled: false, segmentIndex: 4 }] },
+    sentimentAnalysis: { overallSentiment: 'neutral' }
+  }
+};
+
+describe('coachingService.deliverCoachingTips', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    delete inserted.notifications;
+    mock.method(models.User, 'findByPk', async () => ({ id: REP_ID, preferences: {} }));
+    mock.method(models.Notification, 'findAll', async () => []);
+    mock.method(models.SalesCall, 'findAll', async () => []);
+  });
+
+  it('saves coaching_tip notifications for the call\'s rep', async () => {
+    const notifications = await coachingService.deliverCoachingTips(salesCall, analysis);
+
+    assert.equal(notifications.length, 2);
+    assert.equal(inserted.notifications.length, 2);
+    inserted.notifications.forEach(row => {
+      assert.equal(row.type, 'coaching_tip');
+      assert.equal(row.user_id, REP_ID);
+      assert.equal(row.organization_id, ORGANIZATION_ID);
+      assert.equal(row.data.salesCallId, CALL_ID);
+    });
+    assert.deepEqual(inserted.notifications.map(row => row.priority), ['high', 'high']);
+    assert.ok(inserted.notifications.every(row => row.data.needId));
+  });
+
+  it('skips tips already sent for the call', async () => {
+    const first = await coachingService.deliverCoachingTips(salesCall, analysis);
+    mock.method(models.Notification, 'findAll', async () => first.map(notification => ({ data: notification.data })));
+
+    const second = await coachingService.deliverCoachingTips(salesCall, analysis);
+
+    assert.equal(second.length, 0);
+    assert.equal(inserted.notifications.length, first.length);
+  });
+
+  it('sends nothing for calls without a rep', async () => {
+    const notifications = await coachingService.deliverCoachingTips({ ...salesCall, sales_representative_id: null }, analysis);
+
+    assert.deepEqual(notifications, []);
+    assert.equal(inserted.notifications, undefined);
+  });
+});
+
+describe('Notification validation', () => {
+  it('accepts coaching_tip notifications with normal and high priority', async () => {
+    for (const priority of ['normal', 'high']) {
+      await models.Notification.build({ type: 'coaching_tip', title: 'Tip', message: 'Tip', priority }).validate();
+    }
+  });
+
+  it('rejects unknown types and priorities', async () => {
+    await assert.rejects(models.Notification.build({ type: 'coaching', title: 'Tip', message: 'Tip' }).validate());
+    await assert.rejects(models.Notification.build({ type: 'reminder', title: 'Tip', message: 'Tip', priority: 'hig' }).validate());
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase } = require('../helpers/database');
+
+const { models } = createTestDatabase();
+const otterAIService = require('../../src/services/otterAIService');
+const transcriptIngestionService = require('../../src/services/transcriptIngestionService');
+const winProbabilityService = require('../../src/services/winProbabilityService');
+const coachingService = require('../../src/services/coachingService');
+
+const POLICY = { enabled: true, types: ['card_number', 'ssn', 'phone', 'email'] };
+
+describe('otterAIService.redactRecordingDetails', () => {
+  const recordingDetails = {
+    id: 'rec-1',
+    duration: 120,
+    transcript: [
+      { speaker_id: 1, start_offset: 0, end_offset: 5000, transcript: 'Hi, this is Sam from Solar Co.' },
+      { speaker_id: 2, start_offset: 5000, end_offset: 9000, transcript: 'Reach me at 415-555-0142 or pat@example.com.' }
+    ],
+    speakers: [{ id: 1, name: 'Sam' }, { id: 2, name: 'Pat' }],
+    summary: 'Pat asked for a call back at 415-555-0142.',
+    insights: { action_items: ['Email the quote to pat@example.com'] }
+  };
+
+  it('redacts the transcript, summary and insights before analysis', () => {
+    const { recordingDetails: redacted, transcript } = otterAIService.redactRecordingDetails(recordingDetails, POLICY);
+
+    assert.equal(transcript.format, 'otter_json');
+    assert.equal(transcript.redaction.counts.phone, 1);
+    assert.equal(transcript.redaction.counts.email, 1);
+    assert.doesNotMatch(redacted.transcript, /415-555-0142|pat@example\.com/);
+    assert.match(redacted.transcript, /\[REDACTED_PHONE\]/);
+    assert.ok(transcript.segments.every(segment => !segment.text.includes('pat@example.com')));
+    assert.equal(redacted.summary, 'Pat asked for a call back at [REDACTED_PHONE].');
+    assert.deepEqual(redacted.insights.action_items, ['Email the quote to [REDACTED_EMAIL]']);
+    assert.equal(redacted.duration, 120);
+  });
+
+  it('keeps the text when the organization turned redaction off', () => {
+    const { recordingDetails: redacted } = otterAIService.redactRecordingDetails(recordingDetails, { enabled: false, types: [] });
+
+    assert.match(redacted.transcript, /415-555-0142/);
+    assert.equal(redacted.summary, recordingDetails.summary);
+  });
+
+  it('returns no transcript for recordings without one', () => {
+    const { recordingDetails: redacted, transcript } = otterAIService.redactRecordingDetails({ id: 'rec-2', transcript: null }, POLICY);
+
+    assert.equal(transcript, null);
+    assert.equal(redacted.transcript, '');
+  });
+});
+
+describe('otterAIService.analyzeSalesCall', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('stores the redacted transcript text so the call can be re-analyzed', async () => {
+    const updates = [];
+    const salesCall = {
+      id: 'call-1',
+      organization_id: 'org-1',
+      organization: { settings: {}, salesScripts: [] },
+      update: async (values) => { updates.push(values); }
+    };
+
+    mock.method(otterAIService, 'findSalesCallForAnalysis', async () => salesCall);
+    mock.method(otterAIService, 'getRecordingDetails', async () => ({
+      id: 'rec-1',
+      duration: 60,
+      transcript: 'Sam  0:00\nHi Pat, thanks for your time.\nPat  0:05\nSure, call me at 415-555-0142.',
+      speakers: []
+    }));
+    mock.method(otterAIService, 'saveTranscriptSegments', async () => {});
+    mock.method(otterAIService, 'saveTrackerHits', async () => {});
+    mock.method(otterAIService, 'saveFollowUpTasks', async () => {});
+    mock.method(transcriptIngestionService, 'getRedactionPolicy', async () => POLICY);
+    mock.method(models.Objection, 'getLibrary', async () => []);
+    mock.method(models.KeywordTracker, 'findActiveByOrganization', async () => []);
+    mock.method(models.ScoreHistory, 'record', async () => {});
+    mock.method(winProbabilityService, 'predictForCall', async () => null);
+    mock.method(coachingService, 'deliverCoachingTips', async () => []);
+
+    await otterAIService.analyzeSalesCall('call-1', 'rec-1');
+
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].transcript_format, 'otter_text');
+    assert.match(updates[0].transcript_text, /call me at \[REDACTED_PHONE\]/);
+    assert.equal(updates[0].pii_redaction.counts.phone, 1);
+    assert.doesNotMatch(JSON.stringify(updates[0].analysis_data), /415-555-0142/);
+  });
+});
+
+describe('otterAIService.analyzeStageSequence', () => {
+  const script = {
+    id: 'script-1',
+    stages: [
+      { key: 'opening', name: 'Opening', order: 1, keyPhrases: ['thanks for joining'] },
+      { key: 'discovery', name: 'Discovery', order: 2, keyPhrases: ['current process'] },
+      { key: 'close', name: 'Close', order: 3, keyPhrases: ['next steps'] }
+    ]
+  };
+  const segments = [
+    { speaker: 'Alex', role: 'sales_representative', start: 5, end: 15, text: 'Thanks for joining today.' },
+    { speaker: 'Sam', role: 'customer', start: 15, end: 100, text: 'Happy to be here, we have a lot to cover.' },
+    { speaker: 'Alex', role: 'sales_representative', start: 100, end: 110, text: 'Walk me through your current process.' },
+    { speaker: 'Alex', role: 'sales_representative', start: 280, end: 290, text: 'Let us agree on next steps.' }
+  ];
+  const salesRepSpeech = segments.filter(segment => segment.role === 'sales_representative').map(segment => segment.text).join('\n');
+
+  it('times stages from the segment timestamps, interpolating within a segment', () => {
+    const result = otterAIService.analyzeStageSequence(salesRepSpeech, script, 300, undefined, segments);
+
+    assert.equal(result.timeSource, 'timestamps');
+    assert.deepEqual(result.timePerStage.map(stage => [stage.key, stage.startAt, stage.endAt]), [
+      ['opening', 5, 106],
+      ['discovery', 106, 286],
+      ['close', 286, 300]
+    ]);
+  });
+
+  it('estimates times from character offsets without timestamps', () => {
+    const untimed = segments.map(segment => ({ ...segment, start: null, end: null }));
+    const result = otterAIService.analyzeStageSequence(salesRepSpeech, script, 300, undefined, untimed);
+
+    assert.equal(result.timeSource, 'estimated');
+    assert.equal(result.stages.find(stage => stage.key === 'close').firstMentionAt,
+      Math.round((salesRepSpeech.indexOf('next steps') / salesRepSpeech.length) * 300));
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMatcher, stem, tokenize, PhraseMatcher } = require('../../src/utils/phraseMatcher');
+
+describe('PhraseMatcher.match', () => {
+  const matcher = createMatcher();
+
+  it('matches verbatim phrases with full confidence', () => {
+    const result = matcher.match('So our Warranty Covers ten years.', 'warranty covers');
+
+    assert.equal(result.matched, true);
+    assert.equal(result.method, 'exact');
+    assert.equal(result.confidence, 1);
+    assert.deepEqual([result.start, result.end], [7, 22]);
+  });
+
+  it('matches reworded phrases through stemming and synonyms', () => {
+    const result = matcher.match('We offer financing on every system.', 'financing options available');
+
+    assert.equal(result.matched, true);
+    assert.equal(result.method, 'fuzzy');
+    assert.equal(result.confidence, 0.67);
+    assert.equal(result.excerpt, 'We offer financing on every system.');
+    assert.equal(matcher.match('Let me tell you about the guarantee.', 'warranty').matched, true);
+  });
+
+  it('reports partial matches below the threshold as unmatched', () => {
+    const partial = matcher.match('We have a loan program.', 'financing available');
+    const unrelated = matcher.match('The weather is nice today.', 'financing options available');
+
+    assert.equal(partial.matched, false);
+    assert.ok(partial.confidence > 0 && partial.confidence < matcher.threshold);
+    assert.deepEqual(unrelated, {
+      phrase: 'financing options available', matched: false, confidence: 0, excerpt: null, start: null, end: null, method: null
+    });
+  });
+
+  it('reuses a prepared document', () => {
+    const document = matcher.prepare('Installation is free this month.');
+
+    assert.equal(matcher.match(document, 'free setup').matched, true);
+    assert.equal(matcher.match(document, 'monthly payment').matched, false);
+  });
+});
+
+describe('createMatcher', () => {
+  it('applies the organization\'s synonyms and threshold', () => {
+    const matcher = createMatcher({ phraseMatching: { synonyms: { rebate: ['cashback'] }, threshold: 0.9 } });
+
+    assert.equal(matcher.threshold, 0.9);
+    assert.equal(matcher.match('You get cashback', 'rebate').matched, true);
+    assert.equal(createMatcher().match('You get cashback', 'rebate').matched, false);
+  });
+
+  it('ignores thresholds outside (0, 1]', () => {
+    assert.equal(createMatcher({ phraseMatching: { threshold: 3 } }).threshold, 0.6);
+  });
+
+  it('matches Spanish transcripts with the Spanish stemmer', () => {
+    const matcher = createMatcher({}, 'es');
+
+    assert.equal(matcher.language, 'es');
+    assert.equal(matcher.match('Le ofrecemos garantía de diez años', 'garantías').matched, true);
+  });
+});
+
+describe('helpers', () => {
+  it('stems English words', () => {
+    assert.deepEqual(['running', 'installation', 'connected'].map(stem), ['run', 'instal', 'connect']);
+  });
+
+  it('tokenizes with character offsets', () => {
+    assert.deepEqual(tokenize('Hi, there!'), [{ word: 'hi', start: 0, end: 2 }, { word: 'there', start: 4, end: 9 }]);
+  });
+
+  it('cuts excerpts at word boundaries', () => {
+    const text = `${'word '.repeat(20)}target${' word'.repeat(20)}`;
+    const start = text.indexOf('target');
+
+    assert.equal(PhraseMatcher.excerpt(text, start, start + 6), `…${'word '.repeat(8)}target${' word'.repeat(8)}…`);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidLuhn, normalizeRedactionPolicy, redactText, redactValue } = require('../../src/utils/piiRedactor');
+
+describe('redactText', () => {
+  it('redacts each PII type with its placeholder', () => {
+    const result = redactText(
+      'Card 4111 1111 1111 1111, SSN 123-45-6789, call (415) 555-0142 or email jane.doe@example.com',
+      {}
+    );
+
+    assert.equal(result.text, 'Card [REDACTED_CARD], SSN [REDACTED_SSN], call [REDACTED_PHONE] or email [REDACTED_EMAIL]');
+    assert.deepEqual(result.counts, { card_number: 1, ssn: 1, phone: 1, email: 1 });
+    assert.equal(result.total, 4);
+  });
+
+  it('leaves numbers that fail validation alone', () => {
+    const text = 'Order 4111 1111 1111 1112, ticket 000-12-3456 and 1111111111111';
+
+    assert.equal(redactText(text, {}).text, text);
+  });
+
+  it('redacts international phone numbers', () => {
+    assert.equal(redactText('Reach me on +44 20 7946 0958.', {}).text, 'Reach me on [REDACTED_PHONE].');
+  });
+
+  it('only redacts the types the policy enables', () => {
+    const text = 'jane@example.com, 415-555-0142';
+
+    assert.equal(redactText(text, { types: ['email'] }).text, '[REDACTED_EMAIL], 415-555-0142');
+    assert.equal(redactText(text, { enabled: false }).text, text);
+  });
+
+  it('passes non-string values through', () => {
+    assert.deepEqual(redactText(null, {}), { text: null, counts: { card_number: 0, ssn: 0, phone: 0, email: 0 }, total: 0 });
+  });
+});
+
+describe('redactValue', () => {
+  it('redacts nested strings without changing the input', () => {
+    const input = { summary: 'Email jane@example.com', speakers: [{ name: 'Jane', phone: '415-555-0142' }], duration: 60 };
+    const result = redactValue(input, {});
+
+    assert.deepEqual(result.value, { summary: 'Email [REDACTED_EMAIL]', speakers: [{ name: 'Jane', phone: '[REDACTED_PHONE]' }], duration: 60 });
+    assert.equal(result.total, 2);
+    assert.equal(input.summary, 'Email jane@example.com');
+  });
+});
+
+describe('normalizeRedactionPolicy', () => {
+  it('defaults to every type and drops unknown ones', () => {
+    assert.deepEqual(normalizeRedactionPolicy(undefined), { enabled: true, types: ['card_number', 'ssn', 'phone', 'email'] });
+    assert.deepEqual(normalizeRedactionPolicy({ types: ['ssn', 'passport'] }), { enabled: true, types: ['ssn'] });
+  });
+});
+
+describe('isValidLuhn', () => {
+  it('checks the card checksum', () => {
+    assert.equal(isValidLuhn('4111111111111111'), true);
+    assert.equal(isValidLuhn('4111111111111112'), false);
+  });
+});
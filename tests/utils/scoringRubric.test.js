@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeScoringRubric,
+  validateScoringRubric,
+  applyScoringRubric,
+  registerScoringComponent,
+  isComponentEnabled
+} = require('../../src/utils/scoringRubric');
+
+const SCORES = {
+  scriptCompliance: 0.9,
+  customerSentiment: 0.5,
+  topicCoverage: 0.8,
+  objectionHandling: null,
+  conversationDynamics: 0.6
+};
+
+describe('applyScoringRubric', () => {
+  it('weights the components that have a score and rescales the weights', () => {
+    const { score, breakdown } = applyScoringRubric(SCORES, null);
+    const objections = breakdown.find(entry => entry.component === 'objectionHandling');
+
+    // (0.9 * 0.4 + 0.5 * 0.3 + 0.8 * 0.2 + 0.6 * 0.15) / 1.05
+    assert.equal(Math.round(score * 10000) / 10000, 0.7238);
+    assert.equal(objections.contribution, null);
+    assert.equal(breakdown.reduce((sum, entry) => sum + (entry.contribution || 0), 0), score);
+  });
+
+  it('leaves disabled components out', () => {
+    const { score, breakdown } = applyScoringRubric(SCORES, {
+      components: { customerSentiment: { enabled: false }, topicCoverage: { enabled: false }, conversationDynamics: { weight: 0 } }
+    });
+
+    assert.equal(score, 0.9);
+    assert.equal(breakdown.find(entry => entry.component === 'customerSentiment').enabled, false);
+  });
+
+  it('scores 0 when no component counts', () => {
+    assert.equal(applyScoringRubric({}, null).score, 0);
+  });
+});
+
+describe('normalizeScoringRubric', () => {
+  it('fills in defaults and ignores invalid overrides', () => {
+    const rubric = normalizeScoringRubric({
+      components: { scriptCompliance: { weight: 2 }, topicCoverage: { weight: -1, enabled: 'no' } },
+      thresholds: { strength: 0.9, weakness: 7 }
+    });
+
+    assert.deepEqual(rubric.components.scriptCompliance, { enabled: true, weight: 2 });
+    assert.deepEqual(rubric.components.topicCoverage, { enabled: true, weight: 0.2 });
+    assert.deepEqual(rubric.thresholds, { strength: 0.9, weakness: 0.6 });
+    assert.equal(isComponentEnabled({ components: { topicCoverage: { enabled: false } } }, 'topicCoverage'), false);
+  });
+});
+
+describe('validateScoringRubric', () => {
+  it('accepts a partial rubric', () => {
+    assert.deepEqual(validateScoringRubric({ components: { scriptCompliance: { weight: 0.5 } } }), []);
+  });
+
+  it('reports every problem', () => {
+    const allDisabled = Object.fromEntries(
+      Object.keys(normalizeScoringRubric().components).map(key => [key, { enabled: false }])
+    );
+
+    assert.deepEqual(validateScoringRubric({
+      components: { talkSpeed: {}, scriptCompliance: { weight: 'heavy' } },
+      thresholds: { strength: 0.5, weakness: 0.7 }
+    }), [
+      'Unknown component "talkSpeed" (expected one of: scriptCompliance, customerSentiment, topicCoverage, objectionHandling, conversationDynamics)',
+      'Component "scriptCompliance" weight must be a non-negative number',
+      'The weakness threshold cannot be above the strength threshold'
+    ]);
+    assert.deepEqual(validateScoringRubric({ components: allDisabled }), ['At least one enabled component needs a weight above 0']);
+    assert.deepEqual(validateScoringRubric([]), ['Scoring rubric must be an object']);
+  });
+});
+
+describe('registerScoringComponent', () => {
+  it('adds analyzer components with their default weight', () => {
+    registerScoringComponent('rubricTestDisclosures', { label: 'Disclosures', weight: 0.25 });
+
+    const { components } = normalizeScoringRubric({});
+    const { breakdown } = applyScoringRubric({ rubricTestDisclosures: 1 }, {});
+
+    assert.deepEqual(components.rubricTestDisclosures, { enabled: true, weight: 0.25 });
+    assert.equal(breakdown.find(entry => entry.component === 'rubricTestDisclosures').label, 'Disclosures');
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimecode, extractOtterJson, detectTranscriptFormat, parseSrt, parseVtt } = require('../../src/utils/transcriptFormats');
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,500
+Jane Smith: Thanks for having me.
+
+2
+00:00:04,000 --> 00:00:05,000
+Let me show you the options.
+
+3
+00:00:06,000 --> 00:00:08,000
+Bob: Sounds good.
+`;
+
+const VTT = `WEBVTT
+
+NOTE exported from the meeting tool
+
+00:01.000 --> 00:03.000
+<v Jane Smith>Hello &amp; welcome</v>
+
+00:03.500 --> 00:05.000
+<v.loud Bob>Hi Jane</v>
+`;
+
+describe('parseTimecode', () => {
+  it('reads SRT and WebVTT timecodes', () => {
+    assert.equal(parseTimecode('01:02:03,250'), 3723.25);
+    assert.equal(parseTimecode('02:03.5'), 123.5);
+    assert.equal(parseTimecode('later'), null);
+  });
+});
+
+describe('detectTranscriptFormat', () => {
+  it('decides from the content', () => {
+    assert.equal(detectTranscriptFormat(SRT), 'srt');
+    assert.equal(detectTranscriptFormat(VTT), 'vtt');
+    assert.equal(detectTranscriptFormat('{"transcripts":[{"text":"Hi"}]}'), 'otter_json');
+    assert.equal(detectTranscriptFormat({ segments: [] }), 'otter_json');
+    assert.equal(detectTranscriptFormat('Jane Smith  0:01\nHello'), 'text');
+  });
+
+  it('only uses file hints to break ties', () => {
+    const cues = '00:00:01.000 --> 00:00:02.000\nHello';
+
+    assert.equal(detectTranscriptFormat(cues), 'vtt');
+    assert.equal(detectTranscriptFormat(cues, { filename: 'call.srt' }), 'srt');
+    assert.equal(detectTranscriptFormat('plain words', { filename: 'call.srt' }), 'text');
+  });
+});
+
+describe('parseSrt', () => {
+  it('merges unlabelled cues into the previous speaker\'s segment', () => {
+    assert.deepEqual(parseSrt(SRT), [
+      { speaker: 'Jane Smith', start: 1, end: 5, text: 'Thanks for having me. Let me show you the options.' },
+      { speaker: 'Bob', start: 6, end: 8, text: 'Sounds good.' }
+    ]);
+  });
+
+  it('leaves speakers unknown when few cues are labelled', () => {
+    const segments = parseSrt('1\n00:00:01,000 --> 00:00:02,000\nNote: this is fine\n\n2\n00:00:03,000 --> 00:00:04,000\nPlain\n\n3\n00:00:05,000 --> 00:00:06,000\nMore\n\n4\n00:00:07,000 --> 00:00:08,000\nText');
+
+    assert.ok(segments.every(segment => segment.speaker === null));
+    assert.equal(segments[0].text, 'Note: this is fine');
+  });
+});
+
+describe('parseVtt', () => {
+  it('reads voice tags and strips markup', () => {
+    assert.deepEqual(parseVtt(VTT), [
+      { speaker: 'Jane Smith', start: 1, end: 3, text: 'Hello & welcome' },
+      { speaker: 'Bob', start: 3.5, end: 5, text: 'Hi Jane' }
+    ]);
+  });
+});
+
+describe('extractOtterJson', () => {
+  it('finds the items and speakers wherever the export puts them', () => {
+    const wrapped = { transcript: { segments: [{ text: 'Hi' }], speakers: [{ id: 1, name: 'Jane' }] } };
+
+    assert.deepEqual(extractOtterJson(wrapped), { items: [{ text: 'Hi' }], speakers: [{ id: 1, name: 'Jane' }] });
+    assert.deepEqual(extractOtterJson('[{"text":"Hi"}]'), { items: [{ text: 'Hi' }], speakers: [] });
+    assert.equal(extractOtterJson('{"title":"No transcript"}'), null);
+    assert.equal(extractOtterJson('not json'), null);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseTimestamp,
+  parseOtterText,
+  parseStructuredTranscript,
+  parseTranscriptContent,
+  formatTranscriptText,
+  normalizeTranscript,
+  assignSpeakerRoles,
+  separateSpeakers
+} = require('../../src/utils/transcriptParser');
+
+const OTTER_TEXT = `Mike Jones  0:02
+Thanks for having me over tonight.
+Let me walk you through the system.
+
+Sarah Lee  0:15
+Sure, what does it cost?
+
+Mike Jones  1:05
+Financing options are available.`;
+
+const PARTICIPANTS = {
+  salesRepresentative: { names: ['Mike Jones'], email: 'mike@example.com' },
+  customer: { names: ['Sarah Lee'] }
+};
+
+describe('parseOtterText', () => {
+  it('splits the export at speaker headers', () => {
+    assert.deepEqual(parseOtterText(OTTER_TEXT), [
+      { speaker: 'Mike Jones', start: 2, end: 15, text: 'Thanks for having me over tonight. Let me walk you through the system.' },
+      { speaker: 'Sarah Lee', start: 15, end: 65, text: 'Sure, what does it cost?' },
+      { speaker: 'Mike Jones', start: 65, end: null, text: 'Financing options are available.' }
+    ]);
+  });
+
+  it('returns no segments for plain text', () => {
+    assert.deepEqual(parseOtterText('Just a note about the call.'), []);
+    assert.equal(parseTimestamp('1:02:03'), 3723);
+    assert.equal(parseTimestamp('soon'), null);
+  });
+});
+
+describe('parseStructuredTranscript', () => {
+  it('names speakers from the speakers list and converts offsets to seconds', () => {
+    const segments = parseStructuredTranscript([
+      { speaker_id: 1, start_offset: 1500, end_offset: 4000, transcript: 'Hello there' },
+      { speaker_id: 2, start: 4, end: 6, text: 'Hi' },
+      { speaker: 'Guest', text: '  ' }
+    ], [{ id: 1, name: 'Mike Jones' }]);
+
+    assert.deepEqual(segments, [
+      { speaker: 'Mike Jones', start: 1.5, end: 4, text: 'Hello there' },
+      { speaker: 'Speaker 2', start: 4, end: 6, text: 'Hi' }
+    ]);
+  });
+});
+
+describe('normalizeTranscript', () => {
+  it('keeps Otter and plain text as they are', () => {
+    assert.equal(normalizeTranscript(`  ${OTTER_TEXT}\n`).text, OTTER_TEXT);
+    assert.equal(parseTranscriptContent('No speakers here').format, 'plain_text');
+  });
+
+  it('renders other formats as Otter text that parses back to the same segments', () => {
+    const srt = '1\n00:00:02,000 --> 00:00:04,000\nMike: Hello\n\n2\n00:01:05,000 --> 00:01:07,000\nSarah: Hi';
+    const { format, segments, text } = normalizeTranscript(srt);
+
+    assert.equal(format, 'srt');
+    assert.equal(text, 'Mike  0:02\nHello\n\nSarah  1:05\nHi');
+    assert.deepEqual(parseOtterText(text).map(segment => [segment.speaker, segment.start, segment.text]),
+      segments.map(segment => [segment.speaker, segment.start, segment.text]));
+    assert.equal(formatTranscriptText([{ speaker: null, text: 'One' }, { speaker: null, text: 'Two' }]), 'One\n\nTwo');
+  });
+});
+
+describe('assignSpeakerRoles', () => {
+  const segments = parseOtterText(OTTER_TEXT);
+
+  it('matches speakers to the rep by name', () => {
+    assert.deepEqual(assignSpeakerRoles(segments, PARTICIPANTS), {
+      roles: { 'Mike Jones': 'sales_representative', 'Sarah Lee': 'customer' },
+      method: 'name_match',
+      confidence: 1
+    });
+  });
+
+  it('takes the speaker who talks most as the rep when no name matches', () => {
+    const { roles, method } = assignSpeakerRoles(segments, {});
+
+    assert.equal(roles['Mike Jones'], 'sales_representative');
+    assert.equal(method, 'talk_time');
+  });
+});
+
+describe('separateSpeakers', () => {
+  it('splits the rep\'s speech from the customer\'s', () => {
+    const separation = separateSpeakers(OTTER_TEXT, [], PARTICIPANTS);
+
+    assert.equal(separation.separated, true);
+    assert.equal(separation.salesRepSpeech, 'Thanks for having me over tonight. Let me walk you through the system.\nFinancing options are available.');
+    assert.equal(separation.customerSpeech, 'Sure, what does it cost?');
+    assert.deepEqual(separation.segments.map(segment => [segment.index, segment.role]), [
+      [0, 'sales_representative'], [1, 'customer'], [2, 'sales_representative']
+    ]);
+  });
+
+  it('falls back to the full text without speaker information', () => {
+    const separation = separateSpeakers('We talked about pricing.');
+
+    assert.equal(separation.separated, false);
+    assert.equal(separation.salesRepSpeech, 'We talked about pricing.');
+    assert.equal(separation.customerSpeech, 'We talked about pricing.');
+  });
+});